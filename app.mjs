@@ -16,12 +16,24 @@ import budgetSuggestionsRoutes from './src/routes/budgetSuggestionsRoutes.mjs';
 import incomeRoutes from './src/routes/incomeRoutes.mjs';
 import expenseRoutes from './src/routes/expenseRoutes.mjs';
 import costCenterRoutes from './src/routes/costCenterRoutes.mjs';
+import supplierRoutes from './src/routes/supplierRoutes.mjs';
+import clientRoutes from './src/routes/clientRoutes.mjs';
+import cashFlowRoutes from './src/routes/cashFlowRoutes.mjs';
+import recurringTemplateRoutes from './src/routes/recurringTemplateRoutes.mjs';
+import exchangeRateRoutes from './src/routes/exchangeRateRoutes.mjs';
+import taxRoutes from './src/routes/taxRoutes.mjs';
+import auditRoutes from './src/routes/auditRoutes.mjs';
 import organizationRoutes from './src/routes/organizationRoutes.mjs';
 import invitationRoutes from './src/routes/invitationRoutes.mjs';
 import usageRoutes from './src/routes/usageRoutes.mjs';
 
 const app = express();
 
+// Proxies de confianza para req.ip (X-Forwarded-For solo se acepta desde ellos).
+// TRUST_PROXY: número de saltos, lista de IPs/subredes o 'loopback' (por defecto)
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Verificar conexión a la base de datos
 testConnection()
   .then(connected => {
@@ -121,6 +133,13 @@ app.use(budgetSuggestionsRoutes);
 app.use('/api', incomeRoutes);
 app.use('/api', expenseRoutes);
 app.use('/api/cost-centers', costCenterRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/cash-flow', cashFlowRoutes);
+app.use('/api/recurring-templates', recurringTemplateRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/audit', auditRoutes);
 
 app.use('/api', usageRoutes);
 
@@ -134,6 +134,8 @@ async function createCostCentersTable() {
       manager_id BIGINT UNSIGNED NULL,
       budget_period ENUM('mensual', 'trimestral', 'anual') NULL,
       active BOOLEAN DEFAULT TRUE,
+      created_by BIGINT UNSIGNED NULL,
+      updated_by BIGINT UNSIGNED NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       
@@ -247,6 +249,166 @@ async function addCrossTableForeignKeys() {
 }
 
 
+// ==========================================
+// COLUMNAS NUEVAS EN TABLAS EXISTENTES
+// ==========================================
+async function addColumnIfMissing(table, column, definition) {
+  try {
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Columna ${table}.${column} agregada`);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_FIELDNAME') {
+      console.error(`⚠️ Error agregando columna ${table}.${column}:`, error.message);
+    }
+    return false;
+  }
+}
+
+// Columnas generadas con el monto en CLP (incomes_data / expenses_data)
+const CLP_RATE_EXPRESSION = `(CASE WHEN currency IS NULL OR currency = 'CLP' THEN 1 ELSE exchange_rate END)`;
+const CLP_AMOUNT_EXPRESSIONS = {
+  amount_clp: `amount * ${CLP_RATE_EXPRESSION}`,
+  total_amount_clp: `COALESCE(total_amount, amount) * ${CLP_RATE_EXPRESSION}`,
+  paid_amount_clp: `paid_amount * ${CLP_RATE_EXPRESSION}`
+};
+
+async function addMissingColumns() {
+  // cost_centers: auditoría de creación/actualización (usada por costCenterModel)
+  await addColumnIfMissing('cost_centers', 'created_by', 'BIGINT UNSIGNED NULL AFTER active');
+  await addColumnIfMissing('cost_centers', 'updated_by', 'BIGINT UNSIGNED NULL AFTER created_by');
+
+  // incomes_data / expenses_data: monto pagado derivado de la tabla de pagos.
+  // Los registros ya marcados como pagados se consideran pagados por su total.
+  for (const table of ['incomes_data', 'expenses_data']) {
+    const added = await addColumnIfMissing(table, 'paid_amount', 'DECIMAL(15,2) NOT NULL DEFAULT 0 AFTER payment_status');
+    if (added) {
+      await conn.query(`
+        UPDATE ${table}
+        SET paid_amount = COALESCE(total_amount, amount, 0)
+        WHERE payment_status = 'pagado'
+      `);
+    }
+  }
+
+  // incomes_data / expenses_data: fecha del último pago (payment_date queda como fecha esperada)
+  for (const [table, paymentsTable, foreignKey] of [
+    ['incomes_data', 'income_payments', 'income_id'],
+    ['expenses_data', 'expense_payments', 'expense_id']
+  ]) {
+    const added = await addColumnIfMissing(table, 'last_payment_date', "DATE DEFAULT NULL COMMENT 'Fecha del último pago vigente' AFTER paid_amount");
+    if (added) {
+      await conn.query(`
+        UPDATE ${table} t
+        SET last_payment_date = (
+          SELECT MAX(p.payment_date) FROM ${paymentsTable} p
+          WHERE p.${foreignKey} = t.id AND p.status = 'active'
+        )
+      `);
+    }
+  }
+
+  // expenses_data: proveedor asociado
+  const supplierAdded = await addColumnIfMissing('expenses_data', 'supplier_id', 'BIGINT UNSIGNED DEFAULT NULL AFTER cost_center_id');
+  if (supplierAdded) {
+    try {
+      await conn.query(`
+        ALTER TABLE expenses_data
+        ADD INDEX idx_supplier (supplier_id),
+        ADD CONSTRAINT fk_expenses_data_supplier
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL
+      `);
+      console.log('✅ FK: expenses_data.supplier_id → suppliers.id');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_KEYNAME') {
+        console.error('⚠️ Error añadiendo FK expenses_data.supplier:', error.message);
+      }
+    }
+  }
+
+  // incomes_data: cliente asociado
+  const clientAdded = await addColumnIfMissing('incomes_data', 'client_id', 'BIGINT UNSIGNED DEFAULT NULL AFTER cost_center_id');
+  if (clientAdded) {
+    try {
+      await conn.query(`
+        ALTER TABLE incomes_data
+        ADD INDEX idx_client (client_id),
+        ADD CONSTRAINT fk_incomes_data_client
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL
+      `);
+      console.log('✅ FK: incomes_data.client_id → clients.id');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_KEYNAME') {
+        console.error('⚠️ Error añadiendo FK incomes_data.client:', error.message);
+      }
+    }
+  }
+
+  // incomes_data / expenses_data: plantilla recurrente de origen
+  for (const table of ['incomes_data', 'expenses_data']) {
+    const added = await addColumnIfMissing(table, 'recurring_template_id', 'BIGINT UNSIGNED DEFAULT NULL AFTER invoice_number');
+    if (added) {
+      await conn.query(`ALTER TABLE ${table} ADD INDEX idx_recurring_template (recurring_template_id)`);
+    }
+  }
+
+  // incomes_data / expenses_data: tratamiento IVA y retención de honorarios.
+  // Los registros con IVA informado se consideran afectos.
+  for (const table of ['incomes_data', 'expenses_data']) {
+    const added = await addColumnIfMissing(table, 'tax_treatment', "ENUM('afecto', 'exento', 'honorarios') DEFAULT NULL AFTER total_amount");
+    if (added) {
+      await conn.query(`
+        UPDATE ${table}
+        SET tax_treatment = 'afecto'
+        WHERE tax_amount > 0
+      `);
+    }
+    await addColumnIfMissing(table, 'withholding_amount', 'DECIMAL(15,2) DEFAULT NULL AFTER tax_treatment');
+  }
+
+  // income_statuses / expense_statuses: campos obligatorios al entrar al estado
+  for (const table of ['income_statuses', 'expense_statuses']) {
+    await addColumnIfMissing(table, 'required_fields', "JSON DEFAULT NULL COMMENT 'Campos obligatorios al entrar a este estado' AFTER is_final");
+  }
+
+  // incomes_data / expenses_data: montos normalizados a CLP
+  for (const table of ['incomes_data', 'expenses_data']) {
+    let previous = 'recurring_template_id';
+    for (const [column, expression] of Object.entries(CLP_AMOUNT_EXPRESSIONS)) {
+      await addColumnIfMissing(table, column, `DECIMAL(15,2) GENERATED ALWAYS AS (${expression}) STORED AFTER ${previous}`);
+      previous = column;
+    }
+  }
+
+  // incomes_data / expenses_data: papelera (soft delete)
+  for (const table of ['incomes_data', 'expenses_data']) {
+    const added = await addColumnIfMissing(table, 'deleted_at', "TIMESTAMP NULL DEFAULT NULL COMMENT 'Fecha de envío a la papelera (NULL = vigente)' AFTER updated_at");
+    if (added) {
+      await conn.query(`ALTER TABLE ${table} ADD INDEX idx_deleted_at (deleted_at)`);
+    }
+    await addColumnIfMissing(table, 'deleted_by', 'BIGINT UNSIGNED DEFAULT NULL AFTER deleted_at');
+  }
+
+  // audit_log: acciones de papelera
+  await conn.query(`
+    ALTER TABLE audit_log
+    MODIFY COLUMN action ENUM('create', 'update', 'delete', 'restore', 'purge') NOT NULL
+  `);
+
+  // recurring_occurrences: reserva de la ocurrencia mientras se genera
+  await conn.query(`
+    ALTER TABLE recurring_occurrences
+    MODIFY COLUMN status ENUM('pending', 'generating', 'generated', 'skipped', 'failed') NOT NULL DEFAULT 'pending'
+  `);
+
+  // ai_cost_limits: tope de gasto mensual
+  await addColumnIfMissing('ai_cost_limits', 'monthly_cost_limit_usd', "DECIMAL(10,2) DEFAULT NULL COMMENT 'Tope de gasto mensual; alertas al 80% y 100%' AFTER user_daily_cost_limit_usd");
+
+  // budget_analysis_jobs: instancia dueña del job (la cola y el PDF viven en su memoria)
+  await addColumnIfMissing('budget_analysis_jobs', 'instance_id', "VARCHAR(255) DEFAULT NULL COMMENT 'Instancia del servidor que procesa el job' AFTER id");
+}
+
+
 // ==========================================
 // TABLA: ACCOUNT_CATEGORIES (compartida)
 // ==========================================
@@ -489,6 +651,7 @@ async function createIncomeStatusesTable() {
       description TEXT COLLATE utf8mb4_unicode_ci,
       color VARCHAR(20) COLLATE utf8mb4_unicode_ci DEFAULT '#6B7280',
       is_final BOOLEAN DEFAULT FALSE COMMENT 'Indica si es un estado final (ej: pagado, cancelado)',
+      required_fields JSON DEFAULT NULL COMMENT 'Campos obligatorios al entrar a este estado',
 
       is_active BOOLEAN DEFAULT TRUE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -527,47 +690,107 @@ async function createIncomesDataTable() {
       date DATE,
       status_id BIGINT UNSIGNED,
       cost_center_id BIGINT UNSIGNED,
+      client_id BIGINT UNSIGNED DEFAULT NULL,
 
       -- Campos opcionales (usados solo si show_* = true en income_type)
       amount DECIMAL(15,2) DEFAULT NULL,
       tax_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto de impuestos/IVA',
       net_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto neto sin impuestos',
       total_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto total con impuestos',
+      tax_treatment ENUM('afecto', 'exento', 'honorarios') DEFAULT NULL COMMENT 'Tratamiento IVA (NULL = sin desglose)',
+      withholding_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Retención de boleta de honorarios',
       category_id BIGINT UNSIGNED DEFAULT NULL,
       payment_date DATE DEFAULT NULL,
       reference_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
 
       payment_method ENUM('transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro') DEFAULT NULL,
       payment_status ENUM('pendiente', 'parcial', 'pagado', 'anulado') DEFAULT NULL,
+      paid_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Suma de pagos vigentes (derivado)',
       currency VARCHAR(10) COLLATE utf8mb4_unicode_ci DEFAULT 'CLP',
       exchange_rate DECIMAL(10,4) DEFAULT NULL,
       invoice_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      recurring_template_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'Plantilla recurrente que generó el registro',
+
+      -- Montos normalizados a CLP con el tipo de cambio del registro (NULL si falta el tipo de cambio)
+      amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.amount_clp}) STORED,
+      total_amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.total_amount_clp}) STORED,
+      paid_amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.paid_amount_clp}) STORED,
 
       -- Metadata
       created_by BIGINT UNSIGNED DEFAULT NULL,
       updated_by BIGINT UNSIGNED DEFAULT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Fecha de envío a la papelera (NULL = vigente)',
+      deleted_by BIGINT UNSIGNED DEFAULT NULL,
 
       FOREIGN KEY (income_type_id) REFERENCES income_types(id) ON DELETE RESTRICT,
       FOREIGN KEY (status_id) REFERENCES income_statuses(id) ON DELETE RESTRICT,
       FOREIGN KEY (category_id) REFERENCES income_categories(id) ON DELETE SET NULL,
       FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id) ON DELETE RESTRICT,
+      FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
       FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
       FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
 
       INDEX idx_organization (organization_id),
       INDEX idx_income_type (income_type_id),
       INDEX idx_date (date),
       INDEX idx_status (status_id),
       INDEX idx_cost_center (cost_center_id),
+      INDEX idx_client (client_id),
       INDEX idx_category (category_id),
-      INDEX idx_payment_status (payment_status)
+      INDEX idx_payment_status (payment_status),
+      INDEX idx_recurring_template (recurring_template_id),
+      INDEX idx_deleted_at (deleted_at)
     ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
   `);
   console.log('✅ Tabla incomes_data creada (datos unificados)');
 }
 
+// TABLA 5: income_payments - Pagos parciales/totales de cada ingreso
+async function createIncomePaymentsTable() {
+  const exists = await checkTableExists('income_payments');
+  if (exists) {
+    console.log('ℹ️ Tabla income_payments ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS income_payments (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      income_id BIGINT UNSIGNED NOT NULL,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+
+      amount DECIMAL(15,2) NOT NULL,
+      payment_date DATE NOT NULL,
+      payment_method ENUM('transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro') DEFAULT NULL,
+      reference_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      notes TEXT COLLATE utf8mb4_unicode_ci,
+
+      -- Anulación (los pagos no se eliminan, se anulan)
+      status ENUM('active', 'voided') NOT NULL DEFAULT 'active',
+      voided_at TIMESTAMP NULL DEFAULT NULL,
+      voided_by BIGINT UNSIGNED DEFAULT NULL,
+      void_reason VARCHAR(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (income_id) REFERENCES incomes_data(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_income (income_id),
+      INDEX idx_organization (organization_id),
+      INDEX idx_payment_date (payment_date),
+      INDEX idx_status (status)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla income_payments creada (pagos)');
+}
+
 // ==========================================
 // SISTEMA DINÁMICO DE EGRESOS (4 TABLAS)
 // ==========================================
@@ -695,6 +918,7 @@ async function createExpenseStatusesTable() {
       description TEXT COLLATE utf8mb4_unicode_ci,
       color VARCHAR(20) COLLATE utf8mb4_unicode_ci DEFAULT '#6B7280',
       is_final BOOLEAN DEFAULT FALSE COMMENT 'Indica si es un estado final (ej: pagado, cancelado)',
+      required_fields JSON DEFAULT NULL COMMENT 'Campos obligatorios al entrar a este estado',
 
       is_active BOOLEAN DEFAULT TRUE,
       created_by BIGINT UNSIGNED DEFAULT NULL,
@@ -737,47 +961,463 @@ async function createExpensesDataTable() {
       date DATE,
       status_id BIGINT UNSIGNED,
       cost_center_id BIGINT UNSIGNED,
+      supplier_id BIGINT UNSIGNED DEFAULT NULL,
 
       -- Campos opcionales (usados solo si show_* = true en expense_type)
       amount DECIMAL(15,2) DEFAULT NULL,
       tax_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto de impuestos/IVA',
       net_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto neto sin impuestos',
       total_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Monto total con impuestos',
+      tax_treatment ENUM('afecto', 'exento', 'honorarios') DEFAULT NULL COMMENT 'Tratamiento IVA (NULL = sin desglose)',
+      withholding_amount DECIMAL(15,2) DEFAULT NULL COMMENT 'Retención de boleta de honorarios',
       category_id BIGINT UNSIGNED DEFAULT NULL,
       payment_date DATE DEFAULT NULL,
       reference_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
 
       payment_method ENUM('transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro') DEFAULT NULL,
       payment_status ENUM('pendiente', 'parcial', 'pagado', 'anulado') DEFAULT NULL,
+      paid_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Suma de pagos vigentes (derivado)',
       currency VARCHAR(10) COLLATE utf8mb4_unicode_ci DEFAULT 'CLP',
       exchange_rate DECIMAL(10,4) DEFAULT NULL,
       invoice_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      recurring_template_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'Plantilla recurrente que generó el registro',
+
+      -- Montos normalizados a CLP con el tipo de cambio del registro (NULL si falta el tipo de cambio)
+      amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.amount_clp}) STORED,
+      total_amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.total_amount_clp}) STORED,
+      paid_amount_clp DECIMAL(15,2) GENERATED ALWAYS AS (${CLP_AMOUNT_EXPRESSIONS.paid_amount_clp}) STORED,
 
       -- Metadata
       created_by BIGINT UNSIGNED DEFAULT NULL,
       updated_by BIGINT UNSIGNED DEFAULT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Fecha de envío a la papelera (NULL = vigente)',
+      deleted_by BIGINT UNSIGNED DEFAULT NULL,
 
       FOREIGN KEY (expense_type_id) REFERENCES expense_types(id) ON DELETE RESTRICT,
       FOREIGN KEY (status_id) REFERENCES expense_statuses(id) ON DELETE RESTRICT,
       FOREIGN KEY (category_id) REFERENCES expense_categories(id) ON DELETE SET NULL,
       FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id) ON DELETE RESTRICT,
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL,
       FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
       FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
 
       INDEX idx_organization (organization_id),
       INDEX idx_expense_type (expense_type_id),
+      INDEX idx_supplier (supplier_id),
       INDEX idx_date (date),
       INDEX idx_status (status_id),
       INDEX idx_cost_center (cost_center_id),
       INDEX idx_category (category_id),
-      INDEX idx_payment_status (payment_status)
+      INDEX idx_payment_status (payment_status),
+      INDEX idx_recurring_template (recurring_template_id),
+      INDEX idx_deleted_at (deleted_at)
     ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
   `);
   console.log('✅ Tabla expenses_data creada (datos unificados)');
 }
 
+// TABLA 5: expense_payments - Pagos parciales/totales de cada egreso
+async function createExpensePaymentsTable() {
+  const exists = await checkTableExists('expense_payments');
+  if (exists) {
+    console.log('ℹ️ Tabla expense_payments ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS expense_payments (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      expense_id BIGINT UNSIGNED NOT NULL,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+
+      amount DECIMAL(15,2) NOT NULL,
+      payment_date DATE NOT NULL,
+      payment_method ENUM('transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro') DEFAULT NULL,
+      reference_number VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      notes TEXT COLLATE utf8mb4_unicode_ci,
+
+      -- Anulación (los pagos no se eliminan, se anulan)
+      status ENUM('active', 'voided') NOT NULL DEFAULT 'active',
+      voided_at TIMESTAMP NULL DEFAULT NULL,
+      voided_by BIGINT UNSIGNED DEFAULT NULL,
+      void_reason VARCHAR(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (expense_id) REFERENCES expenses_data(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_expense (expense_id),
+      INDEX idx_organization (organization_id),
+      INDEX idx_payment_date (payment_date),
+      INDEX idx_status (status)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla expense_payments creada (pagos)');
+}
+
+// ==========================================
+// TABLA: COST_CENTER_BUDGET_LINES (presupuesto por partida)
+// ==========================================
+async function createCostCenterBudgetLinesTable() {
+  const exists = await checkTableExists('cost_center_budget_lines');
+  if (exists) {
+    console.log('ℹ️ Tabla cost_center_budget_lines ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS cost_center_budget_lines (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      cost_center_id BIGINT UNSIGNED NOT NULL,
+      expense_type_id BIGINT UNSIGNED NOT NULL,
+      category_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'NULL = todo el tipo de egreso',
+
+      -- Período cubierto por la partida (NULL = toda la duración del centro de costo)
+      period_start DATE DEFAULT NULL,
+      period_end DATE DEFAULT NULL,
+
+      version ENUM('original', 'revised') NOT NULL DEFAULT 'original',
+      amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+      notes TEXT COLLATE utf8mb4_unicode_ci,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id) ON DELETE CASCADE,
+      FOREIGN KEY (expense_type_id) REFERENCES expense_types(id) ON DELETE RESTRICT,
+      FOREIGN KEY (category_id) REFERENCES expense_categories(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_organization (organization_id),
+      INDEX idx_cost_center (cost_center_id),
+      INDEX idx_expense_type (expense_type_id),
+      INDEX idx_category (category_id),
+      INDEX idx_period (period_start, period_end),
+      INDEX idx_version (version)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla cost_center_budget_lines creada (presupuesto por partida)');
+}
+
+// ==========================================
+// TABLA: EXCHANGE_RATES (UF/USD/EUR en CLP por fecha)
+// ==========================================
+async function createExchangeRatesTable() {
+  const exists = await checkTableExists('exchange_rates');
+  if (exists) {
+    console.log('ℹ️ Tabla exchange_rates ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      currency_code ENUM('UF', 'USD', 'EUR') NOT NULL,
+      rate_date DATE NOT NULL,
+      value DECIMAL(12,4) NOT NULL COMMENT 'CLP por unidad de la moneda',
+      source ENUM('manual', 'import') NOT NULL DEFAULT 'manual',
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      UNIQUE KEY uk_org_currency_date (organization_id, currency_code, rate_date),
+      INDEX idx_currency_date (currency_code, rate_date)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla exchange_rates creada (tipos de cambio)');
+}
+
+// ==========================================
+// TABLAS: RECURRING_TEMPLATES (egresos/ingresos recurrentes)
+// ==========================================
+async function createRecurringTemplatesTable() {
+  const exists = await checkTableExists('recurring_templates');
+  if (exists) {
+    console.log('ℹ️ Tabla recurring_templates ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS recurring_templates (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      target ENUM('expense', 'income') NOT NULL,
+      name VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      description TEXT COLLATE utf8mb4_unicode_ci,
+
+      -- Datos del registro a generar (mismo formato que POST /api/expenses o /api/incomes, sin fecha)
+      template_data JSON NOT NULL,
+
+      -- Regla de recurrencia
+      frequency ENUM('weekly', 'monthly') NOT NULL DEFAULT 'monthly',
+      interval_count TINYINT UNSIGNED NOT NULL DEFAULT 1 COMMENT 'Cada cuántas semanas/meses',
+      day_of_month TINYINT UNSIGNED DEFAULT NULL COMMENT '1-31; se ajusta al último día en meses cortos',
+      day_of_week TINYINT UNSIGNED DEFAULT NULL COMMENT '1 = lunes ... 7 = domingo',
+      payment_due_days SMALLINT UNSIGNED DEFAULT NULL COMMENT 'Fecha de pago esperada = fecha + N días',
+      start_date DATE NOT NULL,
+      end_date DATE DEFAULT NULL,
+      max_occurrences INT UNSIGNED DEFAULT NULL,
+
+      -- Estado de la generación
+      status ENUM('active', 'paused', 'finished') NOT NULL DEFAULT 'active',
+      next_occurrence_date DATE DEFAULT NULL,
+      generated_count INT UNSIGNED NOT NULL DEFAULT 0,
+      last_generated_at TIMESTAMP NULL DEFAULT NULL,
+      last_error TEXT COLLATE utf8mb4_unicode_ci,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_organization (organization_id),
+      INDEX idx_target (target),
+      INDEX idx_due (status, next_occurrence_date)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla recurring_templates creada (plantillas recurrentes)');
+}
+
+// Excepciones por ocurrencia (omitida, editada) y resultado de cada generación
+async function createRecurringOccurrencesTable() {
+  const exists = await checkTableExists('recurring_occurrences');
+  if (exists) {
+    console.log('ℹ️ Tabla recurring_occurrences ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS recurring_occurrences (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      template_id BIGINT UNSIGNED NOT NULL,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      scheduled_date DATE NOT NULL,
+
+      status ENUM('pending', 'generating', 'generated', 'skipped', 'failed') NOT NULL DEFAULT 'pending',
+      overrides JSON DEFAULT NULL COMMENT 'Campos editados solo para esta ocurrencia',
+      record_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'ID en expenses_data/incomes_data',
+      error_message TEXT COLLATE utf8mb4_unicode_ci,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (template_id) REFERENCES recurring_templates(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      UNIQUE KEY uk_template_date (template_id, scheduled_date),
+      INDEX idx_organization (organization_id),
+      INDEX idx_status (status)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla recurring_occurrences creada (ocurrencias de plantillas)');
+}
+
+// TABLA: expense_approval_rules - Umbrales de aprobación por tipo de egreso
+async function createExpenseApprovalRulesTable() {
+  const exists = await checkTableExists('expense_approval_rules');
+  if (exists) {
+    console.log('ℹ️ Tabla expense_approval_rules ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS expense_approval_rules (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      expense_type_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'NULL = todos los tipos',
+      name VARCHAR(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+
+      threshold_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Aplica a egresos con total en CLP mayor a este monto',
+      required_role ENUM('manager', 'admin') NOT NULL DEFAULT 'manager',
+      is_active BOOLEAN DEFAULT TRUE,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (expense_type_id) REFERENCES expense_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_organization (organization_id),
+      INDEX idx_expense_type (expense_type_id),
+      INDEX idx_active (is_active)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla expense_approval_rules creada (umbrales de aprobación)');
+}
+
+// TABLA: expense_approvals - Solicitudes de aprobación de egresos
+async function createExpenseApprovalsTable() {
+  const exists = await checkTableExists('expense_approvals');
+  if (exists) {
+    console.log('ℹ️ Tabla expense_approvals ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS expense_approvals (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      expense_id BIGINT UNSIGNED NOT NULL,
+      rule_id BIGINT UNSIGNED DEFAULT NULL,
+
+      required_role ENUM('manager', 'admin') NOT NULL,
+      amount_clp DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Total del egreso al solicitar la aprobación',
+      status ENUM('pending', 'approved', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+
+      requested_by BIGINT UNSIGNED DEFAULT NULL,
+      requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      decided_by BIGINT UNSIGNED DEFAULT NULL,
+      decided_at TIMESTAMP NULL DEFAULT NULL,
+      comment TEXT COLLATE utf8mb4_unicode_ci COMMENT 'Comentario de la aprobación o rechazo',
+
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (expense_id) REFERENCES expenses_data(id) ON DELETE CASCADE,
+      FOREIGN KEY (rule_id) REFERENCES expense_approval_rules(id) ON DELETE SET NULL,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_organization_status (organization_id, status),
+      INDEX idx_expense (expense_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla expense_approvals creada (solicitudes de aprobación)');
+}
+
+// TABLAS: expense_status_transitions / income_status_transitions - Transiciones permitidas por tipo
+// Sin transiciones definidas el tipo no restringe cambios de estado.
+// from_status_id NULL = estado inicial permitido al crear el registro.
+async function createStatusTransitionsTable(side) {
+  const table = `${side}_status_transitions`;
+  const exists = await checkTableExists(table);
+  if (exists) {
+    console.log(`ℹ️ Tabla ${table} ya existe`);
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      ${side}_type_id BIGINT UNSIGNED NOT NULL,
+      from_status_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'NULL = estado inicial',
+      to_status_id BIGINT UNSIGNED NOT NULL,
+
+      created_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (${side}_type_id) REFERENCES ${side}_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (from_status_id) REFERENCES ${side}_statuses(id) ON DELETE CASCADE,
+      FOREIGN KEY (to_status_id) REFERENCES ${side}_statuses(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      UNIQUE KEY uk_transition (${side}_type_id, from_status_id, to_status_id),
+      INDEX idx_organization_type (organization_id, ${side}_type_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log(`✅ Tabla ${table} creada (transiciones de estado)`);
+}
+
+// TABLA: audit_log - Historial de cambios campo a campo de registros financieros y su configuración
+async function createAuditLogTable() {
+  const exists = await checkTableExists('audit_log');
+  if (exists) {
+    console.log('ℹ️ Tabla audit_log ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+
+      entity_type VARCHAR(50) NOT NULL COMMENT 'expense, income, expense_type, expense_category, expense_status, income_*, cost_center',
+      entity_id BIGINT UNSIGNED NOT NULL,
+      entity_label VARCHAR(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'Nombre del registro al momento del cambio',
+      action ENUM('create', 'update', 'delete', 'restore', 'purge') NOT NULL,
+      changes JSON DEFAULT NULL COMMENT '{ campo: { before, after } }',
+
+      user_id BIGINT UNSIGNED DEFAULT NULL,
+      user_email VARCHAR(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'Se conserva aunque el usuario se elimine',
+      ip_address VARCHAR(45) DEFAULT NULL,
+      user_agent VARCHAR(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_organization_date (organization_id, created_at),
+      INDEX idx_entity (entity_type, entity_id),
+      INDEX idx_user (user_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla audit_log creada (auditoría de cambios)');
+}
+
+// ==========================================
+// TABLA: ATTACHMENTS (documentos de respaldo de ingresos y egresos)
+// ==========================================
+async function createAttachmentsTable() {
+  const exists = await checkTableExists('attachments');
+  if (exists) {
+    console.log('ℹ️ Tabla attachments ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      target ENUM('expense', 'income') NOT NULL,
+      record_id BIGINT UNSIGNED NOT NULL COMMENT 'ID en expenses_data/incomes_data',
+
+      original_name VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INT UNSIGNED NOT NULL,
+      checksum_sha256 CHAR(64) NOT NULL,
+
+      -- Ubicación en el almacenamiento (ATTACHMENTS_STORAGE, por defecto 'local')
+      storage_backend VARCHAR(20) NOT NULL DEFAULT 'local',
+      storage_key VARCHAR(500) NOT NULL,
+      thumbnail_key VARCHAR(500) DEFAULT NULL COMMENT 'Miniatura JPEG (solo imágenes)',
+
+      uploaded_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_record (organization_id, target, record_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla attachments creada (documentos adjuntos)');
+}
+
 // ==========================================
 // TABLA: PROJECTS (multi-tenant)
 // ==========================================
@@ -927,6 +1567,161 @@ async function createBudgetAnalysesTable() {
   console.log('✅ Tabla budget_analyses creada (multi-tenant)');
 }
 
+// Análisis de PDF en segundo plano: estado, avance por etapa y resultado en budget_analyses
+async function createBudgetAnalysisJobsTable() {
+  const exists = await checkTableExists('budget_analysis_jobs');
+  if (exists) {
+    console.log('ℹ️ Tabla budget_analysis_jobs ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS budget_analysis_jobs (
+      id VARCHAR(64) PRIMARY KEY COMMENT 'job_<uuid>',
+      instance_id VARCHAR(255) DEFAULT NULL COMMENT 'Instancia del servidor que procesa el job',
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+      user_id BIGINT UNSIGNED DEFAULT NULL,
+
+      file_name VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      file_size INT UNSIGNED DEFAULT NULL COMMENT 'Tamaño en bytes',
+      options JSON DEFAULT NULL COMMENT 'analysisDepth, projectType, projectLocation, ...',
+      estimated_cost_usd DECIMAL(8,4) DEFAULT NULL,
+
+      status ENUM('queued', 'extracting', 'analyzing', 'consolidating', 'done', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+      progress TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Avance total 0-100',
+      stage_progress JSON DEFAULT NULL COMMENT '{ completed, total } de la etapa actual',
+      analysis_id VARCHAR(100) DEFAULT NULL COMMENT 'budget_analyses.analysis_id al terminar',
+      error_message TEXT COLLATE utf8mb4_unicode_ci,
+
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP NULL DEFAULT NULL,
+      finished_at TIMESTAMP NULL DEFAULT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_org_created (organization_id, created_at),
+      INDEX idx_status (status),
+      INDEX idx_instance_status (instance_id, status)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla budget_analysis_jobs creada (análisis de PDF en segundo plano)');
+}
+
+// Contadores del control de costos de IA (backend 'mysql' de COST_TRACKING_STORE)
+async function createAiCostCountersTable() {
+  const exists = await checkTableExists('ai_cost_counters');
+  if (exists) {
+    console.log('ℹ️ Tabla ai_cost_counters ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ai_cost_counters (
+      counter_key VARCHAR(191) PRIMARY KEY COMMENT 'cost:org:<org>:<día>, analyses:org:<org>:<hora>, cost:user:<id>:<día>',
+      value DECIMAL(14,6) NOT NULL DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      INDEX idx_expires (expires_at)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla ai_cost_counters creada (control de costos de IA)');
+}
+
+// Límites de costo de IA por organización (NULL = valor por defecto del entorno)
+async function createAiCostLimitsTable() {
+  const exists = await checkTableExists('ai_cost_limits');
+  if (exists) {
+    console.log('ℹ️ Tabla ai_cost_limits ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ai_cost_limits (
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci PRIMARY KEY,
+      daily_cost_limit_usd DECIMAL(10,2) DEFAULT NULL,
+      hourly_analysis_limit INT UNSIGNED DEFAULT NULL,
+      user_daily_cost_limit_usd DECIMAL(10,2) DEFAULT NULL,
+      monthly_cost_limit_usd DECIMAL(10,2) DEFAULT NULL COMMENT 'Tope de gasto mensual; alertas al 80% y 100%',
+
+      updated_by BIGINT UNSIGNED DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla ai_cost_limits creada (límites de costo por organización)');
+}
+
+// Libro de gasto de IA: una fila por llamada a Claude (o cargo estimado), para refacturar por cliente o proyecto
+async function createAiUsageLedgerTable() {
+  const exists = await checkTableExists('ai_usage_ledger');
+  if (exists) {
+    console.log('ℹ️ Tabla ai_usage_ledger ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci COMMENT 'Clerk organization ID',
+      user_id BIGINT UNSIGNED DEFAULT NULL,
+
+      -- Origen del gasto
+      feature VARCHAR(50) NOT NULL COMMENT 'quick_analysis, project_analysis, pdf_analysis, invoice_extraction, ...',
+      reference_type VARCHAR(50) DEFAULT NULL COMMENT 'budget_analysis, budget_analysis_job, ...',
+      reference_id VARCHAR(100) DEFAULT NULL,
+      project_id VARCHAR(100) DEFAULT NULL COMMENT 'Proyecto al que se imputa el gasto',
+
+      -- Consumo
+      model VARCHAR(100) DEFAULT NULL COMMENT 'NULL en cargos estimados',
+      input_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+      output_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+      cache_creation_input_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+      cache_read_input_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+      cost_usd DECIMAL(12,6) NOT NULL DEFAULT 0,
+      is_estimated BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Cargo sin tokens informados por la API',
+
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+      INDEX idx_org_created (organization_id, created_at),
+      INDEX idx_org_feature (organization_id, feature),
+      INDEX idx_org_project (organization_id, project_id),
+      INDEX idx_reference (reference_type, reference_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla ai_usage_ledger creada (libro de gasto de IA)');
+}
+
+// Alertas de tope mensual de gasto de IA (una por organización, mes y umbral)
+async function createAiSpendAlertsTable() {
+  const exists = await checkTableExists('ai_spend_alerts');
+  if (exists) {
+    console.log('ℹ️ Tabla ai_spend_alerts ya existe');
+    return;
+  }
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ai_spend_alerts (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      organization_id VARCHAR(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+      period CHAR(7) NOT NULL COMMENT 'Mes UTC (YYYY-MM)',
+      threshold_percent TINYINT UNSIGNED NOT NULL COMMENT '80 o 100',
+      spend_usd DECIMAL(12,6) NOT NULL COMMENT 'Gasto del mes al disparar la alerta',
+      limit_usd DECIMAL(10,2) NOT NULL,
+      notified_emails JSON DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      UNIQUE KEY uq_org_period_threshold (organization_id, period, threshold_percent)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  console.log('✅ Tabla ai_spend_alerts creada (alertas de tope mensual de IA)');
+}
+
 // ==========================================
 // TABLA: ORGANIZATION_INVITATIONS
 // ==========================================
@@ -1464,19 +2259,36 @@ async function setup() {
     await createAccountingCostsTable();
     await createProjectsTable();
     await createBudgetAnalysesTable();
+    await createBudgetAnalysisJobsTable();
+    await createAiCostCountersTable();
+    await createAiCostLimitsTable();
+    await createAiUsageLedgerTable();
+    await createAiSpendAlertsTable();
     await createOrganizationInvitationsTable();
+    await createExchangeRatesTable();
 
     console.log('\n💰 PASO 3.5: Creando sistema dinámico de ingresos...\n');
     await createIncomeTypesTable();
     await createIncomeStatusesTable();
     await createIncomeCategoriesTableNew();
     await createIncomesDataTable();
+    await createIncomePaymentsTable();
 
     console.log('\n💸 PASO 3.6: Creando sistema dinámico de egresos...\n');
     await createExpenseTypesTable();
     await createExpenseStatusesTable();
     await createExpenseCategoriesTable();
     await createExpensesDataTable();
+    await createExpensePaymentsTable();
+    await createCostCenterBudgetLinesTable();
+    await createRecurringTemplatesTable();
+    await createRecurringOccurrencesTable();
+    await createExpenseApprovalRulesTable();
+    await createExpenseApprovalsTable();
+    await createStatusTransitionsTable('expense');
+    await createStatusTransitionsTable('income');
+    await createAuditLogTable();
+    await createAttachmentsTable();
 
     // ✅ AGREGAR ESTO AQUÍ ✅
     console.log('\n📊 PASO 3.7: Creando sistema de métricas de uso...\n');
@@ -1485,6 +2297,9 @@ async function setup() {
     await createUsageHistoryTable();
     await createServiceFeaturesTable();
 
+    console.log('\n🧩 PASO 3.8: Agregando columnas nuevas a tablas existentes...\n');
+    await addMissingColumns();
+
     console.log('\n🔄 PASO 4: Creando vista multidimensional...\n');
     await createMultidimensionalView();
 
@@ -1507,6 +2322,18 @@ async function setup() {
     console.log('   ✅ 19 tablas creadas con relaciones correctas');
     console.log('   ✅ Sistema dinámico de ingresos (4 tablas)');
     console.log('   ✅ Sistema dinámico de egresos (4 tablas)');
+    console.log('   ✅ Presupuesto por partida en centros de costo');
+    console.log('   ✅ Pagos parciales de ingresos y egresos');
+    console.log('   ✅ Plantillas recurrentes de ingresos y egresos');
+    console.log('   ✅ Tipos de cambio (UF/USD/EUR) y montos en CLP');
+    console.log('   ✅ Aprobación de egresos por umbral de monto');
+    console.log('   ✅ Transiciones de estado por tipo y bloqueo de estados finales');
+    console.log('   ✅ Auditoría de cambios (audit_log)');
+    console.log('   ✅ Papelera de ingresos y egresos (soft delete)');
+    console.log('   ✅ Documentos adjuntos de ingresos y egresos');
+    console.log('   ✅ Cola de análisis de PDF en segundo plano');
+    console.log('   ✅ Control de costos de IA persistente y límites por organización');
+    console.log('   ✅ Libro de gasto de IA y topes mensuales por organización');
     console.log('   ✅ Sistema de invitaciones multi-tenant');
     console.log('   ✅ Usuario admin creado (admin@saer.cl / admin)');
     console.log('   ✅ Collation uniforme (utf8mb4_unicode_ci)');
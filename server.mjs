@@ -1,5 +1,8 @@
 import app from './app.mjs';
 import config from './src/config/config.mjs';
+import { startRecurringScheduler } from './src/services/recurringTemplateService.mjs';
+import { startTrashPurgeScheduler } from './src/services/trashService.mjs';
+import { recoverInterruptedJobs } from './src/services/budgetAnalysisJobService.mjs';
 
 const PORT = config.server.port;
 
@@ -19,4 +22,13 @@ app.listen(PORT, () => {
   
   Presione CTRL+C para detener el servidor
   `);
+
+  // Generación programada de egresos/ingresos recurrentes
+  startRecurringScheduler();
+
+  // Eliminación permanente de la papelera al vencer la retención
+  startTrashPurgeScheduler();
+
+  // Análisis de PDF que quedaron en proceso antes del reinicio
+  recoverInterruptedJobs();
 });
\ No newline at end of file
@@ -0,0 +1,278 @@
+// src/controllers/aiCostController.mjs
+// Controlador de límites de costo de IA por organización y del libro de gasto (reportes para refacturación)
+
+import * as AiCostLimitModel from '../models/aiCostLimitModel.mjs';
+import * as AiUsageLedgerModel from '../models/aiUsageLedgerModel.mjs';
+import {
+  AI_FEATURES,
+  getEffectiveCostLimits,
+  getDefaultCostLimits,
+  getMaxCostLimits,
+  getMonthlySpendStatus
+} from '../services/aiCostService.mjs';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validar límites enviados (número no negativo hasta el máximo de la plataforma, o null para volver al valor por defecto)
+ * @returns {Array} errores
+ */
+function validateCostLimits(body) {
+  const errors = [];
+  const maximums = getMaxCostLimits();
+
+  for (const field of AiCostLimitModel.COST_LIMIT_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      errors.push({ field, message: 'Debe ser un número mayor o igual a 0, o null para usar el valor por defecto' });
+    } else if (field === 'hourly_analysis_limit' && !Number.isInteger(number)) {
+      errors.push({ field, message: 'Debe ser un número entero' });
+    } else if (number > maximums[field]) {
+      errors.push({ field, message: `No puede superar el máximo de la plataforma (${maximums[field]})` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/budget-analysis/cost-limits
+ * Límites vigentes de la organización y valores por defecto
+ */
+export async function getCostLimits(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const [limits, configured, monthly] = await Promise.all([
+      getEffectiveCostLimits(organizationId),
+      AiCostLimitModel.getCostLimits(organizationId),
+      getMonthlySpendStatus(organizationId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        limits,
+        configured,
+        defaults: getDefaultCostLimits(),
+        maximums: getMaxCostLimits(),
+        monthly
+      }
+    });
+  } catch (error) {
+    console.error('Error getting AI cost limits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener límites de costo',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/budget-analysis/cost-limits
+ * Configurar límites de la organización (solo admin)
+ * Body: daily_cost_limit_usd, hourly_analysis_limit, user_daily_cost_limit_usd, monthly_cost_limit_usd
+ *       (null = por defecto; nunca sobre los máximos de la plataforma, AI_MAX_*)
+ */
+export async function updateCostLimits(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const errors = validateCostLimits(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const current = await AiCostLimitModel.getCostLimits(organizationId);
+    const limits = {};
+    for (const field of AiCostLimitModel.COST_LIMIT_FIELDS) {
+      // Campos omitidos conservan su valor actual
+      limits[field] = req.body[field] !== undefined
+        ? (req.body[field] === null ? null : Number(req.body[field]))
+        : current?.[field] ?? null;
+    }
+
+    const configured = await AiCostLimitModel.upsertCostLimits(organizationId, limits, req.user?.id);
+
+    res.json({
+      success: true,
+      message: 'Límites de costo actualizados',
+      data: {
+        limits: await getEffectiveCostLimits(organizationId),
+        configured,
+        defaults: getDefaultCostLimits(),
+        maximums: getMaxCostLimits()
+      }
+    });
+  } catch (error) {
+    console.error('Error updating AI cost limits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar límites de costo',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Validar filtros del libro de gasto
+ * @returns {Array} errores
+ */
+function validateLedgerFilters(filters) {
+  const errors = [];
+
+  if (filters.feature && !AI_FEATURES.includes(filters.feature)) {
+    errors.push({ field: 'feature', message: `Funcionalidad no válida. Debe ser: ${AI_FEATURES.join(', ')}` });
+  }
+
+  for (const key of ['date_from', 'date_to']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+      errors.push({ field: key, message: 'Fecha inválida (YYYY-MM-DD)' });
+    }
+  }
+
+  if (filters.group_by && !AiUsageLedgerModel.REPORT_GROUP_BY.includes(filters.group_by)) {
+    errors.push({ field: 'group_by', message: `Agrupación no válida. Debe ser: ${AiUsageLedgerModel.REPORT_GROUP_BY.join(', ')}` });
+  }
+
+  return errors;
+}
+
+function buildLedgerFilters(query) {
+  return {
+    feature: query.feature,
+    model: query.model,
+    user_id: query.user_id,
+    project_id: query.project_id,
+    reference_type: query.reference_type,
+    reference_id: query.reference_id,
+    date_from: query.date_from,
+    date_to: query.date_to
+  };
+}
+
+// Los SUM/DECIMAL de MySQL llegan como string
+function serializeAmounts(row) {
+  return {
+    ...row,
+    calls: parseInt(row.calls),
+    input_tokens: parseInt(row.input_tokens),
+    output_tokens: parseInt(row.output_tokens),
+    cost_usd: parseFloat(row.cost_usd),
+    estimated_cost_usd: parseFloat(row.estimated_cost_usd)
+  };
+}
+
+/**
+ * GET /api/budget-analysis/ai-usage
+ * Libro de gasto de IA de la organización (una entrada por llamada a Claude o cargo estimado)
+ * Filtros: feature, model, user_id, project_id, reference_type, reference_id, date_from, date_to, limit, offset
+ */
+export async function getAiUsageLedger(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      ...buildLedgerFilters(req.query),
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const errors = validateLedgerFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      AiUsageLedgerModel.getLedgerEntries(organizationId, filters),
+      AiUsageLedgerModel.countLedgerEntries(organizationId, filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        ...entry,
+        cost_usd: parseFloat(entry.cost_usd),
+        is_estimated: Boolean(entry.is_estimated)
+      })),
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting AI usage ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener libro de gasto de IA',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/budget-analysis/ai-usage/report
+ * Gasto de IA agrupado para refacturar a clientes o proyectos
+ * Query: group_by (feature, model, user, project, reference, day, month; por defecto feature),
+ *        date_from, date_to (por defecto el mes en curso, UTC) y los filtros del libro
+ */
+export async function getAiUsageReport(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      ...buildLedgerFilters(req.query),
+      group_by: req.query.group_by || 'feature'
+    };
+
+    const errors = validateLedgerFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    if (!filters.date_from && !filters.date_to) {
+      filters.date_from = `${new Date().toISOString().slice(0, 7)}-01`;
+    }
+
+    const [totals, groups, monthly] = await Promise.all([
+      AiUsageLedgerModel.getLedgerTotals(organizationId, filters),
+      AiUsageLedgerModel.getLedgerReport(organizationId, filters.group_by, filters),
+      getMonthlySpendStatus(organizationId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        filters,
+        totals: serializeAmounts(totals),
+        groups: groups.map(serializeAmounts),
+        monthly
+      }
+    });
+  } catch (error) {
+    console.error('Error getting AI usage report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar reporte de gasto de IA',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,214 @@
+// src/controllers/attachmentController.mjs
+// Controlador de documentos adjuntos de ingresos y egresos
+// Cada handler se crea para un tipo de registro ('expense' | 'income') y verifica la organización del registro.
+
+import * as AttachmentService from '../services/attachmentService.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+
+function sendServiceError(res, result) {
+  return res.status(result.status).json({
+    success: false,
+    message: result.error,
+    ...(result.errors ? { errors: result.errors } : {})
+  });
+}
+
+/**
+ * Registrar en la auditoría del registro el cambio en su lista de adjuntos
+ */
+async function auditAttachmentChange(req, target, record, before, after) {
+  await recordAudit(getAuditContext(req), {
+    entityType: target,
+    entityId: record.id,
+    action: 'update',
+    before: { name: record.name, attachments: before },
+    after: { name: record.name, attachments: after }
+  });
+}
+
+function streamContent(res, content, disposition) {
+  res.setHeader('Content-Type', content.mimeType);
+  res.setHeader(
+    'Content-Disposition',
+    `${disposition}; filename*=UTF-8''${encodeURIComponent(content.fileName)}`
+  );
+
+  content.stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error al leer el adjunto', error: error.message });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  content.stream.pipe(res);
+}
+
+/**
+ * GET /api/{expenses|incomes}/:id/attachments
+ * Listar adjuntos de un registro
+ */
+export function getAttachments(target) {
+  return async (req, res) => {
+    try {
+      const organizationId = req.user?.organization_id || req.query.organization_id;
+
+      const result = await AttachmentService.listAttachments(target, req.params.id, organizationId);
+      if (result.error) return sendServiceError(res, result);
+
+      res.json({
+        success: true,
+        data: result.attachments.map(AttachmentService.serializeAttachment)
+      });
+    } catch (error) {
+      console.error('Error getting attachments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error al obtener adjuntos',
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/{expenses|incomes}/:id/attachments
+ * Adjuntar uno o varios documentos (multipart, campo "files": PDF, JPG o PNG)
+ */
+export function uploadAttachments(target) {
+  return async (req, res) => {
+    try {
+      const organizationId = req.user?.organization_id || req.body.organization_id;
+      const { id } = req.params;
+
+      const existing = await AttachmentService.listAttachments(target, id, organizationId);
+      if (existing.error) return sendServiceError(res, existing);
+
+      const result = await AttachmentService.uploadAttachments({
+        target,
+        recordId: id,
+        organizationId,
+        files: req.files,
+        userId: req.user?.id
+      });
+      if (result.error) return sendServiceError(res, result);
+
+      const previousNames = existing.attachments.map(attachment => attachment.original_name);
+      await auditAttachmentChange(req, target, result.record, previousNames, [
+        ...previousNames,
+        ...result.attachments.map(attachment => attachment.original_name)
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: result.attachments.length === 1
+          ? 'Adjunto agregado exitosamente'
+          : `${result.attachments.length} adjuntos agregados exitosamente`,
+        data: result.attachments.map(AttachmentService.serializeAttachment)
+      });
+    } catch (error) {
+      console.error('Error uploading attachments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error al guardar adjuntos',
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * GET /api/{expenses|incomes}/:id/attachments/:attachmentId/download
+ * Descargar un adjunto (?inline=true para mostrarlo en el navegador)
+ */
+export function downloadAttachment(target) {
+  return async (req, res) => {
+    try {
+      const organizationId = req.user?.organization_id || req.query.organization_id;
+      const { id, attachmentId } = req.params;
+
+      const content = await AttachmentService.getAttachmentContent(target, id, attachmentId, organizationId);
+      if (content.error) return sendServiceError(res, content);
+
+      res.setHeader('Content-Length', content.attachment.size_bytes);
+      streamContent(res, content, req.query.inline === 'true' ? 'inline' : 'attachment');
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error al descargar adjunto',
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * GET /api/{expenses|incomes}/:id/attachments/:attachmentId/thumbnail
+ * Miniatura JPEG de un adjunto de imagen
+ */
+export function getAttachmentThumbnail(target) {
+  return async (req, res) => {
+    try {
+      const organizationId = req.user?.organization_id || req.query.organization_id;
+      const { id, attachmentId } = req.params;
+
+      const content = await AttachmentService.getAttachmentContent(
+        target, id, attachmentId, organizationId, { thumbnail: true }
+      );
+      if (content.error) return sendServiceError(res, content);
+
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+      streamContent(res, content, 'inline');
+    } catch (error) {
+      console.error('Error getting attachment thumbnail:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error al obtener miniatura',
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * DELETE /api/{expenses|incomes}/:id/attachments/:attachmentId
+ * Eliminar un adjunto y sus archivos
+ */
+export function deleteAttachment(target) {
+  return async (req, res) => {
+    try {
+      const organizationId = req.user?.organization_id || req.query.organization_id;
+      const { id, attachmentId } = req.params;
+
+      const existing = await AttachmentService.listAttachments(target, id, organizationId);
+      if (existing.error) return sendServiceError(res, existing);
+
+      const result = await AttachmentService.deleteAttachment(target, id, attachmentId, organizationId);
+      if (result.error) return sendServiceError(res, result);
+
+      await auditAttachmentChange(
+        req,
+        target,
+        result.record,
+        existing.attachments.map(attachment => attachment.original_name),
+        existing.attachments
+          .filter(attachment => attachment.id !== result.attachment.id)
+          .map(attachment => attachment.original_name)
+      );
+
+      res.json({
+        success: true,
+        message: 'Adjunto eliminado exitosamente'
+      });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error al eliminar adjunto',
+        error: error.message
+      });
+    }
+  };
+}
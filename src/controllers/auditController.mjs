@@ -0,0 +1,133 @@
+// src/controllers/auditController.mjs
+// Controlador de consulta del historial de auditoría
+
+import * as AuditLogModel from '../models/auditLogModel.mjs';
+import { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS } from '../services/auditService.mjs';
+
+const FIELD_PATTERN = /^[a-z_]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validar filtros comunes de auditoría
+ * @returns {Array} errores
+ */
+function validateAuditFilters(filters) {
+  const errors = [];
+
+  if (filters.entity_type && !AUDIT_ENTITY_TYPES.includes(filters.entity_type)) {
+    errors.push({ field: 'entity_type', message: `Tipo de registro no válido. Debe ser: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+  }
+
+  if (filters.action && !AUDIT_ACTIONS.includes(filters.action)) {
+    errors.push({ field: 'action', message: `Acción no válida. Debe ser: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+
+  if (filters.field && !FIELD_PATTERN.test(filters.field)) {
+    errors.push({ field: 'field', message: 'Nombre de campo no válido' });
+  }
+
+  for (const key of ['date_from', 'date_to']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+      errors.push({ field: key, message: 'Fecha inválida (YYYY-MM-DD)' });
+    }
+  }
+
+  return errors;
+}
+
+async function respondWithEntries(res, organizationId, filters) {
+  const [entries, total] = await Promise.all([
+    AuditLogModel.getAuditEntries(organizationId, filters),
+    AuditLogModel.countAuditEntries(organizationId, filters)
+  ]);
+
+  res.json({
+    success: true,
+    data: entries,
+    pagination: {
+      total,
+      limit: filters.limit,
+      offset: filters.offset,
+      hasMore: (filters.offset + filters.limit) < total
+    }
+  });
+}
+
+/**
+ * GET /api/audit
+ * Historial de cambios de la organización
+ * Filtros: entity_type, entity_id, action, user_id, field (campo modificado), date_from, date_to, limit, offset
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      entity_type: req.query.entity_type,
+      entity_id: req.query.entity_id,
+      action: req.query.action,
+      user_id: req.query.user_id,
+      field: req.query.field,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const errors = validateAuditFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    await respondWithEntries(res, organizationId, filters);
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial de auditoría',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/audit/:entityType/:entityId
+ * Historial de cambios de un registro (incluye los eliminados)
+ */
+export async function getRecordAuditLog(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { entityType, entityId } = req.params;
+
+    const filters = {
+      entity_type: entityType,
+      entity_id: entityId,
+      action: req.query.action,
+      field: req.query.field,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const errors = validateAuditFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    await respondWithEntries(res, organizationId, filters);
+  } catch (error) {
+    console.error('Error getting record audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial del registro',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,180 @@
+// src/controllers/budgetAnalysisJobController.mjs
+// Controlador de seguimiento de análisis de PDF en segundo plano (polling y Server-Sent Events)
+
+import * as BudgetAnalysisJobService from '../services/budgetAnalysisJobService.mjs';
+
+const SSE_HEARTBEAT_MS = 25 * 1000;
+// El job puede procesarse en otra instancia: además de los eventos locales se consulta la base de datos
+const SSE_POLL_MS = 3 * 1000;
+
+/**
+ * GET /api/budget-analysis/jobs
+ * Análisis recientes de la organización (filtros: status, limit)
+ */
+export async function getJobs(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { status } = req.query;
+
+    if (status && !BudgetAnalysisJobService.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado no válido. Debe ser: ${BudgetAnalysisJobService.JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const jobs = await BudgetAnalysisJobService.listJobs(organizationId, {
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error getting budget analysis jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener análisis en proceso',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/budget-analysis/jobs/:jobId
+ * Estado y avance de un análisis
+ */
+export async function getJobById(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const job = await BudgetAnalysisJobService.getJob(req.params.jobId, organizationId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Análisis no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error getting budget analysis job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el análisis',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/budget-analysis/jobs/:jobId/events
+ * Server-Sent Events: envía el estado actual y cada cambio (evento "job") hasta que el análisis termina
+ */
+export async function streamJobEvents(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { jobId } = req.params;
+
+    const job = await BudgetAnalysisJobService.getJob(jobId, organizationId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Análisis no encontrado'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let unsubscribe = () => {};
+    let poll = null;
+    let closed = false;
+    let lastPayload = null;
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearInterval(poll);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (data) => {
+      if (closed) return;
+      const payload = JSON.stringify(data);
+      if (payload === lastPayload) return;
+      lastPayload = payload;
+      res.write(`event: job\ndata: ${payload}\n\n`);
+      if (data.is_final) close();
+    };
+
+    req.on('close', close);
+
+    if (job.is_final) {
+      send(job);
+      return;
+    }
+
+    unsubscribe = BudgetAnalysisJobService.subscribeToJob(jobId, send);
+    poll = setInterval(() => {
+      BudgetAnalysisJobService.getJob(jobId, organizationId)
+        .then(current => current && send(current))
+        .catch(error => console.error('Error polling budget analysis job:', error));
+    }, SSE_POLL_MS);
+    send(job);
+  } catch (error) {
+    console.error('Error streaming budget analysis job:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error al seguir el análisis',
+        error: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+}
+
+/**
+ * POST /api/budget-analysis/jobs/:jobId/cancel
+ * Cancelar un análisis en cola o en proceso
+ */
+export async function cancelJob(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const result = await BudgetAnalysisJobService.cancelJob(req.params.jobId, organizationId);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Análisis cancelado',
+      data: result.job
+    });
+  } catch (error) {
+    console.error('Error cancelling budget analysis job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cancelar el análisis',
+      error: error.message
+    });
+  }
+}
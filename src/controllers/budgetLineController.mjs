@@ -0,0 +1,625 @@
+// src/controllers/budgetLineController.mjs
+// Controlador para partidas de presupuesto por centro de costo
+
+import { pool } from '../config/database.mjs';
+import * as BudgetLineModel from '../models/budgetLineModel.mjs';
+import * as CostCenterModel from '../models/costCenterModel.mjs';
+import * as ExpenseTypeModel from '../models/expenseTypeModel.mjs';
+import * as ExpenseCategoryModel from '../models/expenseCategoryModel.mjs';
+import {
+  getAnalysisForOrganization,
+  linkAnalysisToCostCenter,
+  extractBudgetSections
+} from '../utils/budgetAnalysisUtils.mjs';
+
+const VALID_VERSIONS = ['original', 'revised'];
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validar los datos de una partida de presupuesto
+ * @returns {Promise<Array>} Lista de errores { field, message }
+ */
+async function validateBudgetLineData(data, organizationId) {
+  const errors = [];
+
+  if (!data.expense_type_id) {
+    errors.push({ field: 'expense_type_id', message: 'El tipo de egreso es requerido' });
+  } else {
+    const expenseType = await ExpenseTypeModel.getExpenseTypeById(data.expense_type_id, organizationId);
+    if (!expenseType) {
+      errors.push({ field: 'expense_type_id', message: 'Tipo de egreso no encontrado' });
+    }
+  }
+
+  if (data.category_id) {
+    const category = await ExpenseCategoryModel.getCategoryById(data.category_id, organizationId);
+    if (!category) {
+      errors.push({ field: 'category_id', message: 'Categoría no encontrada' });
+    } else if (data.expense_type_id && String(category.expense_type_id) !== String(data.expense_type_id)) {
+      errors.push({ field: 'category_id', message: 'La categoría no pertenece al tipo de egreso' });
+    }
+  }
+
+  const amount = parseFloat(data.amount);
+  if (data.amount === undefined || data.amount === null || data.amount === '' || isNaN(amount) || amount < 0) {
+    errors.push({ field: 'amount', message: 'El monto debe ser un número mayor o igual a 0' });
+  }
+
+  if (data.version && !VALID_VERSIONS.includes(data.version)) {
+    errors.push({ field: 'version', message: 'La versión debe ser original o revised' });
+  }
+
+  if (data.period_start && data.period_end && new Date(data.period_start) > new Date(data.period_end)) {
+    errors.push({ field: 'period_end', message: 'El fin del período debe ser posterior al inicio' });
+  }
+
+  return errors;
+}
+
+/**
+ * Verificar que el centro de costo exista en la organización
+ */
+async function findCostCenter(req, res) {
+  const organizationId = req.user?.organization_id || req.query.organization_id;
+  const costCenter = await CostCenterModel.getCostCenterById(req.params.id, organizationId);
+
+  if (!costCenter) {
+    res.status(404).json({
+      success: false,
+      message: 'Centro de costo no encontrado'
+    });
+    return null;
+  }
+
+  return costCenter;
+}
+
+/**
+ * GET /api/cost-centers/:id/budget-lines
+ * Obtener las partidas de presupuesto del centro de costo
+ */
+export async function getBudgetLines(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const costCenter = await findCostCenter(req, res);
+    if (!costCenter) return;
+
+    const { version, expense_type_id, category_id } = req.query;
+    const lines = await BudgetLineModel.getBudgetLines(costCenter.id, organizationId, {
+      version,
+      expense_type_id,
+      category_id
+    });
+
+    res.json({
+      success: true,
+      data: lines,
+      count: lines.length
+    });
+  } catch (error) {
+    console.error('Error getting budget lines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener partidas de presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/cost-centers/:id/budget-lines/:lineId
+ * Obtener una partida de presupuesto
+ */
+export async function getBudgetLineById(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const line = await BudgetLineModel.getBudgetLineById(req.params.lineId, req.params.id, organizationId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partida de presupuesto no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    console.error('Error getting budget line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener partida de presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/cost-centers/:id/budget-lines
+ * Crear una partida de presupuesto
+ */
+export async function createBudgetLine(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const costCenter = await findCostCenter(req, res);
+    if (!costCenter) return;
+
+    const errors = await validateBudgetLineData(req.body, organizationId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const lineData = {
+      ...req.body,
+      cost_center_id: costCenter.id,
+      organization_id: organizationId,
+      created_by: req.user?.id
+    };
+
+    const duplicate = await BudgetLineModel.findDuplicateBudgetLine(lineData);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una partida para ese tipo, categoría, período y versión',
+        data: { id: duplicate.id }
+      });
+    }
+
+    const newId = await BudgetLineModel.createBudgetLine(lineData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Partida de presupuesto creada exitosamente',
+      data: { id: newId }
+    });
+  } catch (error) {
+    console.error('Error creating budget line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear partida de presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/cost-centers/:id/budget-lines/:lineId
+ * Actualizar una partida de presupuesto
+ */
+export async function updateBudgetLine(req, res) {
+  try {
+    const { id, lineId } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const existing = await BudgetLineModel.getBudgetLineById(lineId, id, organizationId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partida de presupuesto no encontrada'
+      });
+    }
+
+    const lineData = {
+      expense_type_id: existing.expense_type_id,
+      category_id: existing.category_id,
+      period_start: existing.period_start,
+      period_end: existing.period_end,
+      version: existing.version,
+      amount: existing.amount,
+      notes: existing.notes,
+      ...req.body,
+      cost_center_id: existing.cost_center_id,
+      organization_id: organizationId,
+      updated_by: req.user?.id
+    };
+
+    const errors = await validateBudgetLineData(lineData, organizationId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const duplicate = await BudgetLineModel.findDuplicateBudgetLine(lineData, lineId);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe otra partida para ese tipo, categoría, período y versión',
+        data: { id: duplicate.id }
+      });
+    }
+
+    await BudgetLineModel.updateBudgetLine(lineId, id, organizationId, lineData);
+
+    res.json({
+      success: true,
+      message: 'Partida de presupuesto actualizada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error updating budget line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar partida de presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/cost-centers/:id/budget-lines/:lineId
+ * Eliminar una partida de presupuesto
+ */
+export async function deleteBudgetLine(req, res) {
+  try {
+    const { id, lineId } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const affectedRows = await BudgetLineModel.deleteBudgetLine(lineId, id, organizationId);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partida de presupuesto no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Partida de presupuesto eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error deleting budget line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar partida de presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/cost-centers/:id/budget-lines/revise
+ * Crear la versión revisada a partir de las partidas originales sin revisión
+ */
+export async function reviseBudgetLines(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const costCenter = await findCostCenter(req, res);
+    if (!costCenter) return;
+
+    const created = await BudgetLineModel.createRevisedFromOriginal(costCenter.id, organizationId, req.user?.id);
+
+    res.status(201).json({
+      success: true,
+      message: `${created} partida(s) revisada(s) creada(s)`,
+      data: { created }
+    });
+  } catch (error) {
+    console.error('Error revising budget lines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la versión revisada del presupuesto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/cost-centers/:id/budget-lines/variance
+ * Reporte de varianza: presupuesto vigente (revisado u original) vs. egresos reales
+ */
+export async function getBudgetVariance(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const costCenter = await findCostCenter(req, res);
+    if (!costCenter) return;
+
+    const [cells, costCenterActual] = await Promise.all([
+      BudgetLineModel.getBudgetVariance(costCenter.id, organizationId),
+      BudgetLineModel.getCostCenterActualTotal(costCenter.id, organizationId)
+    ]);
+
+    const lines = cells.map(cell => {
+      const original = parseFloat(cell.original_amount) || 0;
+      const revised = cell.revised_amount !== null ? parseFloat(cell.revised_amount) || 0 : null;
+      const budget = revised !== null ? revised : original;
+      const actual = parseFloat(cell.actual_amount) || 0;
+
+      return {
+        expense_type_id: cell.expense_type_id,
+        expense_type_name: cell.expense_type_name,
+        category_id: cell.category_id,
+        category_name: cell.category_name,
+        period_start: cell.period_start,
+        period_end: cell.period_end,
+        original_amount: roundAmount(original),
+        revised_amount: revised !== null ? roundAmount(revised) : null,
+        revision_delta: revised !== null ? roundAmount(revised - original) : null,
+        budget_amount: roundAmount(budget),
+        actual_amount: roundAmount(actual),
+        variance: roundAmount(budget - actual),
+        percent_consumed: budget > 0 ? roundAmount((actual / budget) * 100) : null,
+        over_budget: actual > budget
+      };
+    });
+
+    const totals = lines.reduce((acc, line) => {
+      acc.original_amount += line.original_amount;
+      acc.budget_amount += line.budget_amount;
+      acc.actual_amount += line.actual_amount;
+      return acc;
+    }, { original_amount: 0, budget_amount: 0, actual_amount: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        cost_center: {
+          id: costCenter.id,
+          code: costCenter.code,
+          name: costCenter.name
+        },
+        summary: {
+          original_amount: roundAmount(totals.original_amount),
+          budget_amount: roundAmount(totals.budget_amount),
+          actual_amount: roundAmount(totals.actual_amount),
+          variance: roundAmount(totals.budget_amount - totals.actual_amount),
+          percent_consumed: totals.budget_amount > 0
+            ? roundAmount((totals.actual_amount / totals.budget_amount) * 100)
+            : null,
+          // Egresos del centro que no caen en ninguna partida (aprox. si las partidas se solapan)
+          actual_outside_lines: roundAmount(Math.max(0, costCenterActual - totals.actual_amount)),
+          cost_center_actual: roundAmount(costCenterActual),
+          lines_over_budget: lines.filter(line => line.over_budget).length
+        },
+        lines
+      }
+    });
+  } catch (error) {
+    console.error('Error getting budget variance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener reporte de varianza',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Resolver la categoría de una sección del análisis: usa la indicada en section_mapping
+ * o busca/crea una categoría con el nombre de la sección dentro del tipo de egreso
+ */
+async function resolveSectionCategory(section, mapping, expenseTypeId, organizationId, userId, connection) {
+  if (mapping?.category_id) {
+    return mapping.category_id;
+  }
+
+  const existing = await ExpenseCategoryModel.getCategoryByName(expenseTypeId, section.label, organizationId, connection);
+  if (existing) {
+    return existing.id;
+  }
+
+  return ExpenseCategoryModel.createCategory({
+    expense_type_id: expenseTypeId,
+    organization_id: organizationId,
+    name: section.label,
+    description: 'Creada desde un análisis de presupuesto',
+    created_by: userId
+  }, connection);
+}
+
+/**
+ * POST /api/cost-centers/from-analysis/:analysisId
+ * Convertir un análisis de presupuesto guardado en partidas de un centro de costo.
+ * Si no se envía cost_center_id se crea un centro de costo nuevo.
+ */
+export async function createBudgetFromAnalysis(req, res) {
+  try {
+    const { analysisId } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const userId = req.user?.id;
+    const {
+      cost_center_id,
+      code,
+      name,
+      description,
+      expense_type_id,
+      section_mapping = {},
+      version = 'original',
+      period_start,
+      period_end,
+      include_indirect = false,
+      update_total_budget
+    } = req.body;
+
+    if (!VALID_VERSIONS.includes(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La versión debe ser original o revised'
+      });
+    }
+
+    const analysis = await getAnalysisForOrganization(analysisId, organizationId);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Análisis no encontrado'
+      });
+    }
+
+    const sections = extractBudgetSections(analysis.full_analysis, { includeIndirect: include_indirect });
+    if (sections.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El análisis no tiene montos de materiales, mano de obra o equipos'
+      });
+    }
+
+    // Validar tipos de egreso (uno general y/o uno por sección)
+    const typeIds = [...new Set(sections.map(section => section_mapping[section.key]?.expense_type_id || expense_type_id))];
+    if (typeIds.some(typeId => !typeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere expense_type_id (general o por sección en section_mapping)'
+      });
+    }
+
+    for (const typeId of typeIds) {
+      const expenseType = await ExpenseTypeModel.getExpenseTypeById(typeId, organizationId);
+      if (!expenseType) {
+        return res.status(400).json({
+          success: false,
+          message: `Tipo de egreso ${typeId} no encontrado`
+        });
+      }
+    }
+
+    for (const section of sections) {
+      const mapping = section_mapping[section.key];
+      if (!mapping?.category_id) continue;
+
+      const category = await ExpenseCategoryModel.getCategoryById(mapping.category_id, organizationId);
+      const typeId = mapping.expense_type_id || expense_type_id;
+      if (!category || String(category.expense_type_id) !== String(typeId)) {
+        return res.status(400).json({
+          success: false,
+          message: `La categoría de la sección ${section.key} no existe o no pertenece al tipo de egreso`
+        });
+      }
+    }
+
+    // Centro de costo existente o nuevo
+    let costCenterId = cost_center_id;
+    let created = false;
+
+    if (costCenterId) {
+      const costCenter = await CostCenterModel.getCostCenterById(costCenterId, organizationId);
+      if (!costCenter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Centro de costo no encontrado'
+        });
+      }
+    }
+
+    // Centro de costo, categorías, partidas y vínculo del análisis en una sola transacción
+    const connection = await pool.getConnection();
+    const lines = [];
+    let totalBudget = 0;
+
+    try {
+      await connection.beginTransaction();
+
+      if (!costCenterId) {
+        try {
+          costCenterId = await CostCenterModel.createCostCenter({
+            code: code || `AN-${analysis.id}`,
+            name: name || analysis.project_type || analysis.file_name || `Análisis ${analysis.analysis_id}`,
+            description: description || analysis.summary,
+            organization_id: organizationId,
+            created_by: userId
+          }, connection);
+          created = true;
+        } catch (error) {
+          if (error.code === 'ER_DUP_ENTRY') {
+            await connection.rollback();
+            return res.status(400).json({
+              success: false,
+              message: 'Ya existe un centro de costo con ese código'
+            });
+          }
+          throw error;
+        }
+      }
+
+      // Agrupar secciones por celda (tipo y categoría): varias secciones pueden ir a la misma categoría
+      const cells = new Map();
+      for (const section of sections) {
+        const mapping = section_mapping[section.key];
+        const typeId = mapping?.expense_type_id || expense_type_id;
+        const categoryId = await resolveSectionCategory(section, mapping, typeId, organizationId, userId, connection);
+
+        const key = `${typeId}:${categoryId}`;
+        if (!cells.has(key)) {
+          cells.set(key, { typeId, categoryId, amount: 0, sections: [] });
+        }
+        const cell = cells.get(key);
+        cell.amount += section.amount;
+        cell.sections.push(section);
+      }
+
+      // Crear o actualizar una partida por celda
+      for (const cell of cells.values()) {
+        const lineData = {
+          organization_id: organizationId,
+          cost_center_id: costCenterId,
+          expense_type_id: cell.typeId,
+          category_id: cell.categoryId,
+          period_start,
+          period_end,
+          version,
+          amount: Math.round(cell.amount),
+          notes: `${cell.sections.map(section => `${section.label} (${section.item_count} items)`).join(', ')} desde análisis ${analysis.analysis_id}`,
+          created_by: userId,
+          updated_by: userId
+        };
+        const sectionKeys = cell.sections.map(section => section.key);
+
+        const duplicate = await BudgetLineModel.findDuplicateBudgetLine(lineData, null, connection);
+        if (duplicate) {
+          await BudgetLineModel.updateBudgetLine(duplicate.id, costCenterId, organizationId, lineData, connection);
+          lines.push({ id: duplicate.id, sections: sectionKeys, amount: lineData.amount, action: 'updated' });
+        } else {
+          const lineId = await BudgetLineModel.createBudgetLine(lineData, connection);
+          lines.push({ id: lineId, sections: sectionKeys, amount: lineData.amount, action: 'created' });
+        }
+      }
+
+      totalBudget = lines.reduce((sum, line) => sum + line.amount, 0);
+      if (created || update_total_budget) {
+        await CostCenterModel.setCostCenterTotalBudget(costCenterId, organizationId, totalBudget, userId, connection);
+      }
+
+      await linkAnalysisToCostCenter(analysis.analysis_id, costCenterId, organizationId, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? 'Centro de costo creado desde el análisis'
+        : 'Análisis vinculado al centro de costo',
+      data: {
+        cost_center_id: costCenterId,
+        cost_center_created: created,
+        analysis_id: analysis.analysis_id,
+        version,
+        total_budget: totalBudget,
+        lines
+      }
+    });
+  } catch (error) {
+    console.error('Error creating budget from analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al convertir el análisis en presupuesto',
+      error: error.message
+    });
+  }
+}
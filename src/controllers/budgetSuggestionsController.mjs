@@ -25,11 +25,13 @@ import {
 } from '../utils/budgetAnalysisUtils.mjs';
 import { estimateApiCosts,
   estimateCostFromFileSize, } from '../services/pdfAnalysisOptimizer.mjs';
+import { getUfValue } from '../services/exchangeRateService.mjs';
+import { enqueueBudgetAnalysisJob } from '../services/budgetAnalysisJobService.mjs';
 
 /**
  * 🔥 FUNCIÓN NUEVA: Calcular presupuesto de manera consistente con metodología chilena
  */
-const calcularPresupuestoCompleto = (materiales, manoObra, equipos, subcontratos = 0) => {
+const calcularPresupuestoCompleto = (materiales, manoObra, equipos, subcontratos = 0, uf = null) => {
   console.log('📊 Calculando presupuesto con valores:', {
     materiales,
     manoObra, 
@@ -77,7 +79,10 @@ const calcularPresupuestoCompleto = (materiales, manoObra, equipos, subcontratos
     subtotal,
     iva,
     total,
-    totalUF: total / 36000,
+    // UF vigente registrada en /api/exchange-rates (null si la organización no la tiene)
+    totalUF: uf ? total / uf.value : null,
+    valorUF: uf?.value ?? null,
+    fechaUF: uf?.rate_date ?? null,
     precioM2: total / 100 // Por defecto 100m²
   };
 
@@ -93,7 +98,7 @@ const calcularPresupuestoCompleto = (materiales, manoObra, equipos, subcontratos
 /**
  * 🔥 FUNCIÓN NUEVA: Procesar y corregir análisis PDF con cálculos consistentes
  */
-const procesarYCorregirAnalisis = (analysisResult) => {
+const procesarYCorregirAnalisis = (analysisResult, uf = null) => {
   try {
     console.log('🔍 Procesando análisis para corrección de cálculos...');
 
@@ -121,7 +126,8 @@ const procesarYCorregirAnalisis = (analysisResult) => {
       materialesTotal,
       manoObraTotal,
       equiposTotal,
-      0 // subcontratos
+      0, // subcontratos
+      uf
     );
 
     // Actualizar el analysis con los valores corregidos
@@ -130,6 +136,9 @@ const procesarYCorregirAnalisis = (analysisResult) => {
       // ✅ CORREGIR: presupuesto_estimado debe usar el total real
       presupuesto_estimado: {
         total_clp: presupuestoCorregido.presupuestoFinal.total,
+        total_uf: presupuestoCorregido.presupuestoFinal.totalUF,
+        uf_value: presupuestoCorregido.presupuestoFinal.valorUF,
+        uf_date: presupuestoCorregido.presupuestoFinal.fechaUF,
         materials_percentage: materialesTotal > 0 ? (materialesTotal / presupuestoCorregido.costosDirectos.total) * 100 : 0,
         labor_percentage: manoObraTotal > 0 ? (manoObraTotal / presupuestoCorregido.costosDirectos.total) * 100 : 0,
         equipment_percentage: equiposTotal > 0 ? (equiposTotal / presupuestoCorregido.costosDirectos.total) * 100 : 0,
@@ -163,6 +172,22 @@ const procesarYCorregirAnalisis = (analysisResult) => {
   }
 };
 
+/**
+ * Valor UF vigente de la organización para expresar el presupuesto en UF
+ * Devuelve null si no hay UF registrada (el análisis se entrega solo en CLP)
+ */
+const obtenerValorUF = async (req) => {
+  const organizationId = req.user?.organization_id;
+  if (!organizationId) return null;
+
+  try {
+    return await getUfValue(organizationId);
+  } catch (error) {
+    console.error('⚠️ Error obteniendo valor UF (no crítico):', error.message);
+    return null;
+  }
+};
+
 /**
  * 🔥 FUNCIÓN NUEVA: Validar consistencia de presupuesto
  */
@@ -254,17 +279,19 @@ const budgetController = {
       console.log('⚙️ Opciones de análisis configuradas:', analysisOptions);
 
       const analysis = await generateBudgetSuggestions(projectData, analysisOptions);
+      req.aiUsage = analysis.metadata?.usage;
 
       // 🔥 GUARDAR EN MYSQL
       if (req.body.saveAnalysis !== false) {
         try {
-          await saveQuickAnalysisToDatabase(
+          const saved = await saveQuickAnalysisToDatabase(
             analysis, 
             req.user?.id,
             projectData,
             req.user?.clerkId || req.auth?.userId, // Clerk user ID
             req.user?.organizationId || req.auth?.orgId // Organization ID
           );
+          req.aiUsageReference = { type: 'budget_analysis', id: saved.analysis_id };
           console.log('💾 Análisis rápido guardado en MySQL');
         } catch (saveError) {
           console.error('⚠️ Error guardando análisis (no crítico):', saveError);
@@ -389,17 +416,20 @@ const budgetController = {
       console.log('⚙️ Opciones de análisis:', analysisOptions);
 
       const analysis = await generateBudgetSuggestions(projectData, analysisOptions);
+      req.aiUsage = analysis.metadata?.usage;
+      req.aiUsageReference = { projectId: req.params.projectId };
 
       // 🔥 GUARDAR EN MYSQL
       if (req.body.saveAnalysis !== false) {
         try {
-          await saveAnalysisToDatabase(
+          const saved = await saveAnalysisToDatabase(
             req.params.projectId, 
             analysis, 
             req.user?.id,
             req.user?.clerkId || req.auth?.userId,
             req.user?.organizationId || req.auth?.orgId
           );
+          req.aiUsageReference = { type: 'budget_analysis', id: saved.analysis_id, projectId: req.params.projectId };
           console.log('💾 Análisis de proyecto guardado en MySQL');
         } catch (saveError) {
           console.warn('⚠️ Error guardando análisis:', saveError.message);
@@ -596,8 +626,8 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
   },
 
   /**
-   * 🔥 MÉTODO 5: Análisis de PDF con estrategia optimizada - FUNCIÓN COMPLETA CORREGIDA
-   * ✅ SE USA en budgetSuggestionsRoutes.mjs línea 195
+   * 🔥 MÉTODO 5: Análisis de PDF en segundo plano - encola el job y responde 202
+   * ✅ SE USA en budgetSuggestionsRoutes.mjs (POST /api/budget-analysis/pdf)
    */
   async analyzePdfBudget(req, res, next) {
     const startTime = Date.now();
@@ -624,8 +654,6 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
         });
       }
 
-      const analysisId = `pdf_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-      
       const analysisOptions = {
         analysisDepth: req.body.analysisDepth || 'standard',
         projectType: req.body.projectType,
@@ -636,59 +664,33 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
 
       console.log('⚙️ Opciones de análisis PDF:', analysisOptions);
 
-      const analysisResult = await analyzePdfBudgetWithAI(
-        req.file.buffer,
-        req.file.originalname,
-        analysisOptions
-      );
-
-      const processingTime = Date.now() - startTime;
-
-      // 🔥 GUARDAR EN MYSQL
-      try {
-        await savePdfAnalysisToDatabase(
-          analysisId,
-          analysisResult,
-          req.user?.id,
-          req.file.originalname,
-          req.user?.clerkId || req.auth?.userId,
-          req.user?.organizationId || req.auth?.orgId
-        );
-        console.log('💾 Análisis PDF guardado en MySQL');
-      } catch (saveError) {
-        console.error('⚠️ Error guardando análisis PDF (no crítico):', saveError);
-      }
-
-      if (req.user?.id) {
-        await incrementUserUsage(req.user.id, 'pdf_analysis');
-      }
+      // El análisis se ejecuta en segundo plano; el resultado se guarda en budget_analyses al terminar
+      const job = await enqueueBudgetAnalysisJob({
+        file: req.file,
+        options: analysisOptions,
+        user: req.user,
+        clerkUserId: req.user?.clerkId || req.auth?.userId,
+        costEstimate: req.costEstimate,
+        costContext: req.costContext
+      });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Análisis PDF completado exitosamente',
+        message: 'Análisis PDF en cola. Consulte el avance del job o suscríbase a sus eventos.',
         data: {
-          analysis_id: analysisId,
-          analysis: procesarYCorregirAnalisis(analysisResult),
+          job,
+          status_url: `/api/budget-analysis/jobs/${job.id}`,
+          events_url: `/api/budget-analysis/jobs/${job.id}/events`,
           file_info: {
             name: req.file.originalname,
             size: req.file.size,
             mime_type: req.file.mimetype
           },
-          processing_time_ms: processingTime,
-          metadata: {
-            ...analysisResult.metadata,
-            processing_time_ms: processingTime
-          }
+          cost_estimate: req.costEstimate || null
         },
         timestamp: new Date().toISOString()
       });
 
-      console.log('✅ Análisis PDF completado:', {
-        tiempo: `${processingTime}ms`,
-        archivo: req.file.originalname,
-        analysis_id: analysisId
-      });
-
     } catch (error) {
       console.error('❌ Error en analyzePdfBudget:', error);
       
@@ -698,7 +700,11 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
       let errorCode = 'ANALYSIS_ERROR';
       let statusCode = 500;
 
-      if (error.message.includes('COST_LIMIT')) {
+      if (error.statusCode === 503) {
+        errorMessage = error.message;
+        errorCode = 'QUEUE_FULL';
+        statusCode = 503;
+      } else if (error.message.includes('COST_LIMIT')) {
         errorMessage = error.message;
         errorCode = 'COST_LIMIT_EXCEEDED';
         statusCode = 400;
@@ -753,7 +759,7 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
         });
       }
 
-      const correctedAnalysis = procesarYCorregirAnalisis(analysis);
+      const correctedAnalysis = procesarYCorregirAnalisis(analysis, await obtenerValorUF(req));
 
       res.json({
         success: true,
@@ -802,8 +808,9 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
       const comparison = await generatePdfComparison(analysisIds, comparisonType);
 
       if (comparison.analyses) {
+        const uf = await obtenerValorUF(req);
         comparison.analyses = comparison.analyses.map(analysis => 
-          procesarYCorregirAnalisis(analysis)
+          procesarYCorregirAnalisis(analysis, uf)
         );
       }
 
@@ -846,8 +853,9 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
       });
 
       if (history.analyses) {
+        const uf = await obtenerValorUF(req);
         history.analyses = history.analyses.map(analysis => 
-          procesarYCorregirAnalisis(analysis)
+          procesarYCorregirAnalisis(analysis, uf)
         );
       }
 
@@ -899,8 +907,9 @@ NOTA: No se pudo extraer texto del PDF. Análisis limitado basado en metadatos d
       const comparison = await compareProjectAnalyses(projectId, analysisIds, comparisonType);
 
       if (comparison.analyses) {
+        const uf = await obtenerValorUF(req);
         comparison.analyses = comparison.analyses.map(analysis => 
-          procesarYCorregirAnalisis(analysis)
+          procesarYCorregirAnalisis(analysis, uf)
         );
       }
 
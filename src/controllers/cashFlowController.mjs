@@ -0,0 +1,356 @@
+// src/controllers/cashFlowController.mjs
+// Controlador de flujo de caja neto (ingresos - egresos) y rentabilidad por centro de costo
+
+import * as expenseDashboardModel from '../models/expenseDashboardModel.mjs';
+import * as incomeDashboardModel from '../models/incomeDashboardModel.mjs';
+import * as CostCenterModel from '../models/costCenterModel.mjs';
+import { generateCashFlowForecast, FORECAST_PERIODS } from '../services/cashFlowForecastService.mjs';
+
+const VALID_PERIODS = ['week', 'month', 'quarter', 'year'];
+
+// cash: por fecha efectiva de pago (igual que /dashboard/cash-flow)
+// accrual: por fecha del documento, excluyendo anulados
+const VALID_BASES = ['cash', 'accrual'];
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Margen bruto como porcentaje de los ingresos
+ */
+function marginPercent(net, income) {
+  return income > 0 ? roundAmount((net / income) * 100) : null;
+}
+
+/**
+ * cost_center_id opcional de la query (entero positivo)
+ * @returns {{ value: number|null, error?: string }}
+ */
+function parseCostCenterId(value) {
+  if (value === undefined || value === '') return { value: null };
+  if (!/^\d+$/.test(String(value)) || parseInt(value) < 1) {
+    return { error: 'cost_center_id debe ser un entero positivo' };
+  }
+  return { value: parseInt(value) };
+}
+
+/**
+ * Validar period/basis y construir filtros comunes desde la query
+ */
+function parseCashFlowQuery(query) {
+  const { period = 'month', basis = 'cash', date_from, date_to, cost_center_id } = query;
+
+  if (!VALID_PERIODS.includes(period)) {
+    return { error: 'Período inválido. Debe ser: week, month, quarter o year' };
+  }
+
+  if (!VALID_BASES.includes(basis)) {
+    return { error: 'Base inválida. Debe ser: cash o accrual' };
+  }
+
+  const costCenter = parseCostCenterId(cost_center_id);
+  if (costCenter.error) {
+    return { error: costCenter.error };
+  }
+
+  const filters = { date_from, date_to };
+  if (costCenter.value) {
+    filters.cost_center_id = costCenter.value;
+  }
+
+  return { period, basis, filters };
+}
+
+/**
+ * Obtener los flujos de ingresos y egresos con la base indicada
+ */
+async function fetchFlows(organizationId, period, basis, filters) {
+  if (basis === 'accrual') {
+    const accrualFilters = { ...filters, exclude_voided: true };
+    return Promise.all([
+      incomeDashboardModel.getCashFlowByPeriod(organizationId, period, accrualFilters),
+      expenseDashboardModel.getCashFlowByPeriod(organizationId, period, accrualFilters)
+    ]);
+  }
+
+  return Promise.all([
+    incomeDashboardModel.getPaymentFlowByPeriod(organizationId, period, filters),
+    expenseDashboardModel.getPaymentFlowByPeriod(organizationId, period, filters)
+  ]);
+}
+
+/**
+ * Combinar filas de ingresos y egresos por period_label con neto, margen y saldo acumulado
+ */
+function buildNetSeries(incomeRows, expenseRows) {
+  const periods = new Map();
+
+  const getPeriod = (label) => {
+    if (!periods.has(label)) {
+      periods.set(label, { period_label: label, income: 0, expense: 0, income_count: 0, expense_count: 0 });
+    }
+    return periods.get(label);
+  };
+
+  for (const row of incomeRows) {
+    const entry = getPeriod(row.period_label);
+    entry.income += parseFloat(row.total_amount) || 0;
+    entry.income_count += parseInt(row.count) || 0;
+  }
+
+  for (const row of expenseRows) {
+    const entry = getPeriod(row.period_label);
+    entry.expense += parseFloat(row.total_amount) || 0;
+    entry.expense_count += parseInt(row.count) || 0;
+  }
+
+  // Las etiquetas (2025-03, 2025-Q1, 2025-07, 2025) ordenan cronológicamente como texto
+  const sorted = Array.from(periods.values()).sort((a, b) => a.period_label.localeCompare(b.period_label));
+
+  let cumulative = 0;
+  const series = sorted.map(entry => {
+    const net = entry.income - entry.expense;
+    cumulative += net;
+
+    return {
+      period_label: entry.period_label,
+      income: roundAmount(entry.income),
+      expense: roundAmount(entry.expense),
+      net: roundAmount(net),
+      gross_margin_percent: marginPercent(net, entry.income),
+      cumulative_balance: roundAmount(cumulative),
+      income_count: entry.income_count,
+      expense_count: entry.expense_count
+    };
+  });
+
+  const totalIncome = series.reduce((sum, entry) => sum + entry.income, 0);
+  const totalExpense = series.reduce((sum, entry) => sum + entry.expense, 0);
+  const totalNet = totalIncome - totalExpense;
+
+  return {
+    series,
+    totals: {
+      income: roundAmount(totalIncome),
+      expense: roundAmount(totalExpense),
+      net: roundAmount(totalNet),
+      gross_margin_percent: marginPercent(totalNet, totalIncome),
+      negative_periods: series.filter(entry => entry.net < 0).length,
+      lowest_cumulative_balance: series.length > 0
+        ? Math.min(...series.map(entry => entry.cumulative_balance))
+        : 0
+    }
+  };
+}
+
+/**
+ * GET /api/cash-flow/net
+ * Flujo de caja neto por período: ingresos, egresos, neto, margen y saldo acumulado
+ * Query: period (week|month|quarter|year), basis (cash|accrual), date_from, date_to, cost_center_id
+ */
+export async function getNetCashFlow(req, res) {
+  try {
+    const { organization_id } = req.user;
+    const parsed = parseCashFlowQuery(req.query);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { period, basis, filters } = parsed;
+    const [incomeRows, expenseRows] = await fetchFlows(organization_id, period, basis, filters);
+    const { series, totals } = buildNetSeries(incomeRows, expenseRows);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        basis,
+        filters,
+        periods: series,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Error en getNetCashFlow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener flujo de caja neto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/cash-flow/profitability
+ * Rentabilidad por centro de costo: ingresos, egresos, margen bruto y saldo acumulado por período
+ * Query: period, basis (por defecto accrual), date_from, date_to, cost_center_id, status
+ */
+export async function getCostCenterProfitability(req, res) {
+  try {
+    const { organization_id } = req.user;
+    const parsed = parseCashFlowQuery({ basis: 'accrual', ...req.query });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { period, basis, filters } = parsed;
+    const groupedFilters = { ...filters, group_by_cost_center: true };
+
+    const [[incomeRows, expenseRows], costCenters] = await Promise.all([
+      fetchFlows(organization_id, period, basis, groupedFilters),
+      CostCenterModel.getAllCostCenters(organization_id, { status: req.query.status })
+    ]);
+
+    const costCenterMap = new Map(costCenters.map(cc => [cc.id, cc]));
+
+    // Agrupar filas por centro de costo (null = sin centro asignado)
+    const groups = new Map();
+    const getGroup = (costCenterId) => {
+      const key = costCenterId ?? null;
+      if (!groups.has(key)) groups.set(key, { incomeRows: [], expenseRows: [] });
+      return groups.get(key);
+    };
+
+    incomeRows.forEach(row => getGroup(row.cost_center_id).incomeRows.push(row));
+    expenseRows.forEach(row => getGroup(row.cost_center_id).expenseRows.push(row));
+
+    const data = [];
+    for (const [costCenterId, group] of groups.entries()) {
+      const costCenter = costCenterId !== null ? costCenterMap.get(costCenterId) : null;
+
+      // Con filtro de estado solo se informan los centros que cumplen
+      if (req.query.status && !costCenter) continue;
+
+      const { series, totals } = buildNetSeries(group.incomeRows, group.expenseRows);
+      const totalBudget = costCenter?.total_budget !== null && costCenter?.total_budget !== undefined
+        ? parseFloat(costCenter.total_budget)
+        : null;
+
+      data.push({
+        cost_center_id: costCenterId,
+        cost_center_code: costCenter?.code || null,
+        cost_center_name: costCenter?.name || 'Sin centro de costo',
+        status: costCenter?.status || null,
+        client_name: costCenter?.client_name || null,
+        total_budget: totalBudget,
+        budget_consumed_percent: totalBudget > 0 ? roundAmount((totals.expense / totalBudget) * 100) : null,
+        is_profitable: totals.net >= 0,
+        totals,
+        periods: series
+      });
+    }
+
+    // Primero los menos rentables
+    data.sort((a, b) => a.totals.net - b.totals.net);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        basis,
+        filters,
+        cost_centers: data,
+        summary: {
+          count: data.length,
+          profitable: data.filter(item => item.is_profitable).length,
+          unprofitable: data.filter(item => !item.is_profitable).length,
+          income: roundAmount(data.reduce((sum, item) => sum + item.totals.income, 0)),
+          expense: roundAmount(data.reduce((sum, item) => sum + item.totals.expense, 0)),
+          net: roundAmount(data.reduce((sum, item) => sum + item.totals.net, 0))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en getCostCenterProfitability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener rentabilidad por centro de costo',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/cash-flow/forecast
+ * Proyección de la posición de caja: pendientes con fecha esperada de pago, recurrentes detectados y tendencia histórica
+ * Query: period (week|month), horizon, history, opening_balance, include_trend (true|false), cost_center_id
+ */
+export async function getCashFlowForecast(req, res) {
+  try {
+    const { organization_id } = req.user;
+    const { period = 'month', horizon, history, opening_balance, include_trend, cost_center_id } = req.query;
+
+    const config = FORECAST_PERIODS[period];
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período inválido. Debe ser: week o month'
+      });
+    }
+
+    const horizonValue = horizon !== undefined ? parseInt(horizon) : config.defaultHorizon;
+    if (isNaN(horizonValue) || horizonValue < 1 || horizonValue > config.maxHorizon) {
+      return res.status(400).json({
+        success: false,
+        message: `El horizonte debe estar entre 1 y ${config.maxHorizon} períodos`
+      });
+    }
+
+    const historyValue = history !== undefined ? parseInt(history) : config.defaultHorizon;
+    if (isNaN(historyValue) || historyValue < 1 || historyValue > config.maxHorizon) {
+      return res.status(400).json({
+        success: false,
+        message: `El historial debe estar entre 1 y ${config.maxHorizon} períodos`
+      });
+    }
+
+    const costCenter = parseCostCenterId(cost_center_id);
+    if (costCenter.error) {
+      return res.status(400).json({
+        success: false,
+        message: costCenter.error
+      });
+    }
+
+    let openingBalance = null;
+    if (opening_balance !== undefined && opening_balance !== '') {
+      openingBalance = parseFloat(opening_balance);
+      if (isNaN(openingBalance)) {
+        return res.status(400).json({
+          success: false,
+          message: 'El saldo inicial debe ser numérico'
+        });
+      }
+    }
+
+    const data = await generateCashFlowForecast(organization_id, {
+      period,
+      horizon: horizonValue,
+      historyPeriods: historyValue,
+      openingBalance,
+      includeTrend: include_trend !== 'false',
+      costCenterId: costCenter.value
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error en getCashFlowForecast:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar la proyección de flujo de caja',
+      error: error.message
+    });
+  }
+}
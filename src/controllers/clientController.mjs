@@ -0,0 +1,465 @@
+// src/controllers/clientController.mjs
+// Controlador para clientes, sus ingresos y estado de cuenta
+
+import * as ClientModel from '../models/clientModel.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import { validateRut, normalizeRut } from '../utils/rutUtils.mjs';
+
+const CLIENT_TYPES = ['publico', 'privado', 'mixto'];
+
+/**
+ * Validar datos obligatorios de un cliente
+ */
+function validateClientData(data, { checkTaxId = true } = {}) {
+  const errors = [];
+
+  if (checkTaxId) {
+    const rutCheck = validateRut(data.tax_id);
+    if (!rutCheck.valid) {
+      errors.push({ field: 'tax_id', message: rutCheck.message });
+    }
+  }
+
+  if (!data.legal_name || !String(data.legal_name).trim()) {
+    errors.push({ field: 'legal_name', message: 'La razón social es requerida' });
+  }
+
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push({ field: 'email', message: 'El email no es válido' });
+  }
+
+  if (data.contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.contact_email)) {
+    errors.push({ field: 'contact_email', message: 'El email de contacto no es válido' });
+  }
+
+  if (data.client_type && !CLIENT_TYPES.includes(data.client_type)) {
+    errors.push({ field: 'client_type', message: `Tipo de cliente inválido (${CLIENT_TYPES.join(', ')})` });
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/clients
+ * Obtener clientes (búsqueda por RUT o nombre)
+ */
+export async function getAllClients(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      organization_id: organizationId,
+      search: req.query.search,
+      tax_id: req.query.tax_id,
+      client_type: req.query.client_type,
+      active: req.query.active,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [clients, total] = await Promise.all([
+      ClientModel.getAllClients(filters),
+      ClientModel.countClients(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: clients,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting clients:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener clientes',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/clients/:id
+ * Obtener un cliente por ID
+ */
+export async function getClientById(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const client = await ClientModel.getClientById(id, organizationId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    console.error('Error getting client:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/clients/:id/statement
+ * Estado de cuenta: ingresos del cliente (directos o de sus centros de costo)
+ * con estado de pago y saldo pendiente, agrupados por centro de costo
+ */
+export async function getClientStatement(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { date_from, date_to, payment_status } = req.query;
+
+    const client = await ClientModel.getClientById(id, organizationId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const [rows, costCenters] = await Promise.all([
+      ClientModel.getClientStatement(id, organizationId, { date_from, date_to, payment_status }),
+      ClientModel.getClientCostCenters(id, organizationId)
+    ]);
+
+    const totals = {
+      count: 0,
+      total_due: 0,
+      paid_amount: 0,
+      outstanding_amount: 0,
+      overdue_30_amount: 0
+    };
+    const byCostCenter = new Map();
+
+    // Centros del cliente aparecen aunque no tengan ingresos en el rango
+    for (const cc of costCenters) {
+      byCostCenter.set(cc.id, {
+        cost_center_id: cc.id,
+        cost_center_code: cc.code,
+        cost_center_name: cc.name,
+        count: 0,
+        total_due: 0,
+        paid_amount: 0,
+        outstanding_amount: 0
+      });
+    }
+
+    const incomes = rows.map(row => {
+      const income = {
+        ...row,
+        amount: parseFloat(row.amount) || 0,
+        total_due: parseFloat(row.total_due) || 0,
+        paid_amount: parseFloat(row.paid_amount) || 0,
+        outstanding_amount: parseFloat(row.outstanding_amount) || 0,
+        days_since_issue: row.days_since_issue !== null ? parseInt(row.days_since_issue) : null
+      };
+
+      const key = income.cost_center_id || null;
+      if (!byCostCenter.has(key)) {
+        byCostCenter.set(key, {
+          cost_center_id: key,
+          cost_center_code: income.cost_center_code || null,
+          cost_center_name: income.cost_center_name || 'Sin centro de costo',
+          count: 0,
+          total_due: 0,
+          paid_amount: 0,
+          outstanding_amount: 0
+        });
+      }
+
+      // Los anulados se listan pero no suman al estado de cuenta
+      if (income.payment_status !== 'anulado') {
+        const group = byCostCenter.get(key);
+        group.count += 1;
+        group.total_due += income.total_due;
+        group.paid_amount += income.paid_amount;
+        group.outstanding_amount += income.outstanding_amount;
+
+        totals.count += 1;
+        totals.total_due += income.total_due;
+        totals.paid_amount += income.paid_amount;
+        totals.outstanding_amount += income.outstanding_amount;
+        if (income.days_since_issue > 30) {
+          totals.overdue_30_amount += income.outstanding_amount;
+        }
+      }
+
+      return income;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        client,
+        period: { date_from: date_from || null, date_to: date_to || null },
+        totals,
+        by_cost_center: Array.from(byCostCenter.values()),
+        incomes
+      }
+    });
+  } catch (error) {
+    console.error('Error getting client statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener estado de cuenta del cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/clients/:id/incomes
+ * Ingresos vinculados directamente al cliente (paginado)
+ */
+export async function getClientIncomes(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const client = await ClientModel.getClientById(id, organizationId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const filters = {
+      organization_id: organizationId,
+      client_id: id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      payment_status: req.query.payment_status,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [incomes, total] = await Promise.all([
+      IncomeDataModel.getAllIncomes(filters),
+      IncomeDataModel.countIncomes(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: incomes,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting client incomes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener ingresos del cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/clients
+ * Crear un cliente
+ */
+export async function createClient(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    if (!organizationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario debe pertenecer a una organización para crear clientes'
+      });
+    }
+
+    const errors = validateClientData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const existing = await ClientModel.getClientByTaxId(req.body.tax_id, organizationId);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un cliente con ese RUT',
+        data: { id: existing.id }
+      });
+    }
+
+    const newId = await ClientModel.createClient({
+      ...req.body,
+      tax_id: normalizeRut(req.body.tax_id),
+      legal_name: String(req.body.legal_name).trim(),
+      organization_id: organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cliente creado exitosamente',
+      data: { id: newId }
+    });
+  } catch (error) {
+    console.error('Error creating client:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/clients/:id
+ * Actualizar un cliente
+ */
+export async function updateClient(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const client = await ClientModel.getClientById(id, organizationId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const clientData = {
+      tax_id: client.tax_id,
+      legal_name: client.legal_name,
+      commercial_name: client.commercial_name,
+      address: client.address,
+      phone: client.phone,
+      email: client.email,
+      contact_person: client.contact_person,
+      contact_phone: client.contact_phone,
+      contact_email: client.contact_email,
+      client_type: client.client_type,
+      industry: client.industry,
+      active: client.active,
+      ...req.body
+    };
+
+    // Registros antiguos pueden tener un RUT inválido: solo se exige al modificarlo
+    const errors = validateClientData(clientData, { checkTaxId: req.body.tax_id !== undefined });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const duplicate = await ClientModel.getClientByTaxId(clientData.tax_id, organizationId, id);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe otro cliente con ese RUT'
+      });
+    }
+
+    await ClientModel.updateClient(id, organizationId, {
+      ...clientData,
+      tax_id: req.body.tax_id !== undefined ? normalizeRut(clientData.tax_id) : client.tax_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Cliente actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error updating client:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/clients/:id
+ * Desactivar un cliente (soft delete, conserva su historial)
+ */
+export async function deactivateClient(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const affectedRows = await ClientModel.setClientActive(id, organizationId, false);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cliente desactivado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error deactivating client:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al desactivar cliente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PATCH /api/clients/:id/activate
+ * Reactivar un cliente
+ */
+export async function activateClient(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const affectedRows = await ClientModel.setClientActive(id, organizationId, true);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cliente activado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error activating client:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al activar cliente',
+      error: error.message
+    });
+  }
+}
@@ -1,9 +1,177 @@
 // src/controllers/costCenterController.mjs
 import * as CostCenterModel from '../models/costCenterModel.mjs';
+import * as ClientModel from '../models/clientModel.mjs';
+import { isUserInOrganization } from '../models/memberModel.mjs';
+import * as expenseDashboardModel from '../models/expenseDashboardModel.mjs';
+import * as incomeDashboardModel from '../models/incomeDashboardModel.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const COST_CENTER_TYPES = ['proyecto', 'administrativo', 'operacional', 'mantenimiento'];
+const BUDGET_PERIODS = ['mensual', 'trimestral', 'anual'];
+
+// Transiciones de estado permitidas (cancelado es terminal; completado puede reabrirse)
+const STATUS_TRANSITIONS = {
+  borrador: ['activo', 'cancelado'],
+  activo: ['en_progreso', 'suspendido', 'completado', 'cancelado'],
+  en_progreso: ['suspendido', 'completado', 'cancelado'],
+  suspendido: ['activo', 'en_progreso', 'cancelado'],
+  completado: ['en_progreso'],
+  cancelado: []
+};
+
+// budget_period del centro de costo -> período de agrupación de los dashboards
+const BUDGET_PERIOD_MAP = {
+  mensual: 'month',
+  trimestral: 'quarter',
+  anual: 'year'
+};
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Period label with the same format used by getCashFlowByPeriod (2025-03, 2025-Q1, 2025)
+ */
+function getPeriodLabel(date, period) {
+  const year = date.getUTCFullYear();
+  if (period === 'year') return `${year}`;
+  if (period === 'quarter') return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+  return `${year}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * List every period label between two dates (inclusive)
+ */
+function enumeratePeriodLabels(from, to, period) {
+  const labels = [];
+  const step = period === 'year' ? 12 : period === 'quarter' ? 3 : 1;
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  const end = getPeriodLabel(to, period);
+
+  while (labels.length < 1200) {
+    const label = getPeriodLabel(cursor, period);
+    if (labels[labels.length - 1] !== label) labels.push(label);
+    if (label === end) break;
+    cursor.setUTCMonth(cursor.getUTCMonth() + step);
+  }
+
+  return labels;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentOf(value, total) {
+  return total > 0 ? roundAmount((value / total) * 100) : null;
+}
+
+/**
+ * Validate cost center metadata (enums, dates, coordinates and references)
+ */
+async function validateCostCenterData(data, organizationId) {
+  const errors = [];
+
+  if (!data.code || !String(data.code).trim()) {
+    errors.push({ field: 'code', message: 'El código es requerido' });
+  }
+
+  if (!data.name || !String(data.name).trim()) {
+    errors.push({ field: 'name', message: 'El nombre es requerido' });
+  }
+
+  if (data.type && !COST_CENTER_TYPES.includes(data.type)) {
+    errors.push({ field: 'type', message: `Tipo inválido (${COST_CENTER_TYPES.join(', ')})` });
+  }
+
+  if (data.status && !STATUS_TRANSITIONS[data.status]) {
+    errors.push({ field: 'status', message: `Estado inválido (${Object.keys(STATUS_TRANSITIONS).join(', ')})` });
+  }
+
+  if (data.budget_period && !BUDGET_PERIODS.includes(data.budget_period)) {
+    errors.push({ field: 'budget_period', message: `Período de presupuesto inválido (${BUDGET_PERIODS.join(', ')})` });
+  }
+
+  for (const field of ['start_date', 'expected_end_date', 'actual_end_date']) {
+    if (data[field] && !parseDate(data[field])) {
+      errors.push({ field, message: 'Fecha inválida (YYYY-MM-DD)' });
+    }
+  }
+
+  const startDate = parseDate(data.start_date);
+  if (startDate && parseDate(data.expected_end_date) && parseDate(data.expected_end_date) < startDate) {
+    errors.push({ field: 'expected_end_date', message: 'La fecha de término estimada no puede ser anterior al inicio' });
+  }
+  if (startDate && parseDate(data.actual_end_date) && parseDate(data.actual_end_date) < startDate) {
+    errors.push({ field: 'actual_end_date', message: 'La fecha de término real no puede ser anterior al inicio' });
+  }
+
+  if (data.total_budget !== undefined && data.total_budget !== null && data.total_budget !== '') {
+    const totalBudget = parseFloat(data.total_budget);
+    if (isNaN(totalBudget) || totalBudget < 0) {
+      errors.push({ field: 'total_budget', message: 'El presupuesto total debe ser un número mayor o igual a 0' });
+    }
+  }
+
+  const coordinates = [['location_lat', 90], ['location_lon', 180]];
+  for (const [field, max] of coordinates) {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      const value = parseFloat(data[field]);
+      if (isNaN(value) || Math.abs(value) > max) {
+        errors.push({ field, message: `Coordenada inválida (entre -${max} y ${max})` });
+      }
+    }
+  }
+
+  if (data.client_id) {
+    const client = await ClientModel.getClientById(data.client_id, organizationId);
+    if (!client) {
+      errors.push({ field: 'client_id', message: 'Cliente no encontrado' });
+    }
+  }
+
+  for (const field of ['manager_id', 'owner_id']) {
+    if (data[field] && !(await isUserInOrganization(data[field], organizationId))) {
+      errors.push({ field, message: 'El usuario no pertenece a la organización' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a status change against STATUS_TRANSITIONS
+ * @returns {string|null} Mensaje de error o null si la transición es válida
+ */
+function getTransitionError(fromStatus, toStatus) {
+  if (!toStatus || fromStatus === toStatus) return null;
+
+  const allowed = STATUS_TRANSITIONS[fromStatus || 'borrador'] || [];
+  if (!allowed.includes(toStatus)) {
+    return allowed.length > 0
+      ? `No se puede pasar de ${fromStatus} a ${toStatus}. Transiciones permitidas: ${allowed.join(', ')}`
+      : `El centro de costo está ${fromStatus} y no admite cambios de estado`;
+  }
+
+  return null;
+}
 
 /**
  * GET /api/cost-centers
  * Get all cost centers for the organization
+ * Filtros: status (uno o varios separados por coma), type, client_id, manager_id, budget_period, active, search
  */
 export async function getAllCostCenters(req, res) {
   try {
@@ -16,7 +184,15 @@ export async function getAllCostCenters(req, res) {
       });
     }
 
-    const costCenters = await CostCenterModel.getAllCostCenters(organizationId);
+    const costCenters = await CostCenterModel.getAllCostCenters(organizationId, {
+      status: req.query.status,
+      type: req.query.type,
+      client_id: req.query.client_id,
+      manager_id: req.query.manager_id,
+      budget_period: req.query.budget_period,
+      active: req.query.active,
+      search: req.query.search
+    });
 
     res.json({
       success: true,
@@ -79,14 +255,42 @@ export async function createCostCenter(req, res) {
       created_by: userId
     };
 
+    const errors = await validateCostCenterData(costCenterData, organizationId);
+
+    // Un centro nuevo solo puede nacer en borrador o activo
+    if (costCenterData.status && !['borrador', 'activo'].includes(costCenterData.status)) {
+      errors.push({ field: 'status', message: 'Un centro de costo nuevo debe crearse en estado borrador o activo' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
     const newId = await CostCenterModel.createCostCenter(costCenterData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'cost_center',
+      entityId: newId,
+      action: 'create',
+      after: await CostCenterModel.getCostCenterById(newId, organizationId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Centro de costo creado exitosamente',
       data: { id: newId }
     });
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un centro de costo con ese código'
+      });
+    }
     console.error('Error creating cost center:', error);
     res.status(500).json({
       success: false,
@@ -106,25 +310,56 @@ export async function updateCostCenter(req, res) {
     const organizationId = req.user?.organization_id || req.body.organization_id;
     const userId = req.user?.id;
 
+    const costCenter = await CostCenterModel.getCostCenterById(id, organizationId);
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Centro de costo no encontrado'
+      });
+    }
+
+    // Los campos no enviados conservan su valor actual
     const costCenterData = {
+      ...costCenter,
       ...req.body,
       updated_by: userId
     };
 
-    const affectedRows = await CostCenterModel.updateCostCenter(id, organizationId, costCenterData);
+    const errors = await validateCostCenterData(costCenterData, organizationId);
+    const transitionError = getTransitionError(costCenter.status, costCenterData.status);
+    if (transitionError) {
+      errors.push({ field: 'status', message: transitionError });
+    }
 
-    if (affectedRows === 0) {
-      return res.status(404).json({
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Centro de costo no encontrado'
+        message: 'Errores de validación',
+        errors
       });
     }
 
+    await CostCenterModel.updateCostCenter(id, organizationId, costCenterData);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'cost_center',
+      entityId: id,
+      action: 'update',
+      before: costCenter,
+      after: await CostCenterModel.getCostCenterById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Centro de costo actualizado exitosamente'
     });
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un centro de costo con ese código'
+      });
+    }
     console.error('Error updating cost center:', error);
     res.status(500).json({
       success: false,
@@ -134,6 +369,90 @@ export async function updateCostCenter(req, res) {
   }
 }
 
+/**
+ * PATCH /api/cost-centers/:id/status
+ * Change the status of a cost center following STATUS_TRANSITIONS
+ * Al completar se registra actual_end_date (hoy si no se envía)
+ */
+export async function updateCostCenterStatus(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const userId = req.user?.id;
+    const { status, actual_end_date } = req.body;
+
+    if (!status || !STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado inválido (${Object.keys(STATUS_TRANSITIONS).join(', ')})`
+      });
+    }
+
+    if (actual_end_date && !parseDate(actual_end_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha de término inválida (YYYY-MM-DD)'
+      });
+    }
+
+    const costCenter = await CostCenterModel.getCostCenterById(id, organizationId);
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Centro de costo no encontrado'
+      });
+    }
+
+    const transitionError = getTransitionError(costCenter.status, status);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
+        data: {
+          current_status: costCenter.status,
+          allowed_transitions: STATUS_TRANSITIONS[costCenter.status] || []
+        }
+      });
+    }
+
+    const endDate = status === 'completado'
+      ? (actual_end_date || costCenter.actual_end_date || toDateString(new Date()))
+      : actual_end_date;
+
+    await CostCenterModel.updateCostCenterStatus(id, organizationId, status, {
+      actual_end_date: endDate,
+      updated_by: userId
+    });
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'cost_center',
+      entityId: id,
+      action: 'update',
+      before: costCenter,
+      after: await CostCenterModel.getCostCenterById(id, organizationId)
+    });
+
+    res.json({
+      success: true,
+      message: 'Estado del centro de costo actualizado',
+      data: {
+        id: parseInt(id),
+        previous_status: costCenter.status,
+        status,
+        actual_end_date: endDate || costCenter.actual_end_date,
+        allowed_transitions: STATUS_TRANSITIONS[status]
+      }
+    });
+  } catch (error) {
+    console.error('Error updating cost center status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar estado del centro de costo',
+      error: error.message
+    });
+  }
+}
+
 /**
  * DELETE /api/cost-centers/:id
  * Delete (soft delete) cost center
@@ -143,6 +462,7 @@ export async function deleteCostCenter(req, res) {
     const { id } = req.params;
     const organizationId = req.user?.organization_id || req.query.organization_id;
 
+    const costCenter = await CostCenterModel.getCostCenterById(id, organizationId);
     const affectedRows = await CostCenterModel.deleteCostCenter(id, organizationId);
 
     if (affectedRows === 0) {
@@ -152,6 +472,13 @@ export async function deleteCostCenter(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'cost_center',
+      entityId: id,
+      action: 'delete',
+      before: costCenter
+    });
+
     res.json({
       success: true,
       message: 'Centro de costo eliminado exitosamente'
@@ -165,3 +492,154 @@ export async function deleteCostCenter(req, res) {
     });
   }
 }
+
+/**
+ * GET /api/cost-centers/:id/budget-vs-actual
+ * Presupuesto vs. real: comprometido, pagado y saldo por período, % consumido
+ * y proyección de gasto (burn rate) hasta expected_end_date
+ */
+export async function getBudgetVsActual(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const costCenter = await CostCenterModel.getCostCenterBudget(id, organizationId);
+
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Centro de costo no encontrado'
+      });
+    }
+
+    const period = req.query.period || BUDGET_PERIOD_MAP[costCenter.budget_period] || 'month';
+    const validPeriods = ['month', 'quarter', 'year'];
+    if (!validPeriods.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período inválido. Debe ser: month, quarter o year'
+      });
+    }
+
+    const asOf = parseDate(req.query.as_of) || parseDate(costCenter.actual_end_date) || parseDate(toDateString(new Date()));
+    const filters = { cost_center_id: parseInt(id), exclude_voided: true };
+
+    const [expenseRows, incomeRows] = await Promise.all([
+      expenseDashboardModel.getCashFlowByPeriod(organizationId, period, filters),
+      incomeDashboardModel.getCashFlowByPeriod(organizationId, period, filters)
+    ]);
+
+    const totalBudget = parseFloat(costCenter.total_budget) || 0;
+    const startDate = parseDate(costCenter.start_date) || parseDate(costCenter.first_expense_date);
+    const endDate = parseDate(costCenter.expected_end_date);
+
+    // Períodos planificados: el presupuesto se reparte en partes iguales entre ellos
+    const plannedLabels = startDate && endDate && endDate >= startDate
+      ? enumeratePeriodLabels(startDate, endDate, period)
+      : [];
+    const budgetPerPeriod = totalBudget > 0 && plannedLabels.length > 0
+      ? totalBudget / plannedLabels.length
+      : null;
+
+    const expensesByLabel = new Map(expenseRows.map(row => [row.period_label, row]));
+    const incomesByLabel = new Map(incomeRows.map(row => [row.period_label, row]));
+    const labels = [...new Set([...plannedLabels, ...expensesByLabel.keys(), ...incomesByLabel.keys()])].sort();
+
+    let cumulativeCommitted = 0;
+    let cumulativePaid = 0;
+
+    const periods = labels.map(label => {
+      const expense = expensesByLabel.get(label);
+      const income = incomesByLabel.get(label);
+      const committed = parseFloat(expense?.total_amount) || 0;
+      const paid = parseFloat(expense?.paid_amount) || 0;
+      const budget = budgetPerPeriod !== null && plannedLabels.includes(label) ? budgetPerPeriod : null;
+
+      cumulativeCommitted += committed;
+      cumulativePaid += paid;
+
+      return {
+        period_label: label,
+        budget: budget !== null ? roundAmount(budget) : null,
+        committed: roundAmount(committed),
+        paid: roundAmount(paid),
+        pending_payment: roundAmount(committed - paid),
+        remaining: budget !== null ? roundAmount(budget - committed) : null,
+        percent_consumed: budget !== null ? percentOf(committed, budget) : null,
+        income: roundAmount(parseFloat(income?.total_amount) || 0),
+        cumulative_committed: roundAmount(cumulativeCommitted),
+        cumulative_paid: roundAmount(cumulativePaid),
+        cumulative_remaining: totalBudget > 0 ? roundAmount(totalBudget - cumulativeCommitted) : null,
+        expense_count: parseInt(expense?.count) || 0
+      };
+    });
+
+    const committed = cumulativeCommitted;
+    const paid = cumulativePaid;
+    const remaining = totalBudget - committed;
+
+    // Burn rate: gasto comprometido promedio por día desde el inicio hasta la fecha de corte
+    let projection = null;
+    if (startDate && asOf >= startDate) {
+      const elapsedDays = Math.floor((asOf - startDate) / MS_PER_DAY) + 1;
+      const dailyBurnRate = committed / elapsedDays;
+      const remainingDays = endDate ? Math.max(0, Math.floor((endDate - asOf) / MS_PER_DAY)) : null;
+      const projectedTotal = remainingDays !== null ? committed + dailyBurnRate * remainingDays : null;
+
+      let exhaustionDate = null;
+      if (totalBudget > 0 && dailyBurnRate > 0 && remaining > 0) {
+        exhaustionDate = new Date(asOf.getTime() + Math.ceil(remaining / dailyBurnRate) * MS_PER_DAY);
+      }
+
+      projection = {
+        as_of: toDateString(asOf),
+        elapsed_days: elapsedDays,
+        remaining_days: remainingDays,
+        daily_burn_rate: roundAmount(dailyBurnRate),
+        monthly_burn_rate: roundAmount(dailyBurnRate * 30),
+        projected_total: projectedTotal !== null ? roundAmount(projectedTotal) : null,
+        projected_variance: projectedTotal !== null && totalBudget > 0 ? roundAmount(totalBudget - projectedTotal) : null,
+        projected_percent: projectedTotal !== null ? percentOf(projectedTotal, totalBudget) : null,
+        budget_exhaustion_date: exhaustionDate ? toDateString(exhaustionDate) : null,
+        on_track: projectedTotal !== null && totalBudget > 0 ? projectedTotal <= totalBudget : null
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cost_center: {
+          id: costCenter.id,
+          code: costCenter.code,
+          name: costCenter.name,
+          status: costCenter.status,
+          budget_period: costCenter.budget_period,
+          start_date: costCenter.start_date,
+          expected_end_date: costCenter.expected_end_date,
+          actual_end_date: costCenter.actual_end_date
+        },
+        period,
+        summary: {
+          total_budget: totalBudget > 0 ? roundAmount(totalBudget) : null,
+          committed: roundAmount(committed),
+          paid: roundAmount(paid),
+          pending_payment: roundAmount(committed - paid),
+          remaining: totalBudget > 0 ? roundAmount(remaining) : null,
+          percent_consumed: percentOf(committed, totalBudget),
+          percent_paid: percentOf(paid, totalBudget),
+          over_budget: totalBudget > 0 ? committed > totalBudget : null,
+          income: roundAmount(periods.reduce((sum, p) => sum + p.income, 0))
+        },
+        projection,
+        periods
+      }
+    });
+  } catch (error) {
+    console.error('Error getting budget vs actual:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener presupuesto vs. real',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,288 @@
+// src/controllers/exchangeRateController.mjs
+// Controlador de tipos de cambio (UF/USD/EUR en CLP por fecha)
+
+import * as ExchangeRateModel from '../models/exchangeRateModel.mjs';
+import {
+  validateExchangeRateInput,
+  convertToClp,
+  importExchangeRates,
+  fillMissingExchangeRates
+} from '../services/exchangeRateService.mjs';
+import { getAuditContext } from '../services/auditService.mjs';
+import { RATE_CURRENCIES, normalizeCurrency } from '../utils/currencyUtils.mjs';
+
+/**
+ * GET /api/exchange-rates
+ * Listar tipos de cambio (filtros: currency, date_from, date_to, limit, offset)
+ */
+export async function getExchangeRates(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      currency: req.query.currency ? normalizeCurrency(req.query.currency) : undefined,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [rates, total] = await Promise.all([
+      ExchangeRateModel.getExchangeRates(organizationId, filters),
+      ExchangeRateModel.countExchangeRates(organizationId, filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: rates,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener tipos de cambio',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/exchange-rates/latest
+ * Último valor registrado por moneda y registros sin tipo de cambio
+ */
+export async function getLatestRates(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const [latest, missingExpenses, missingIncomes] = await Promise.all([
+      ExchangeRateModel.getLatestRates(organizationId),
+      ExchangeRateModel.getMissingRateSummary(organizationId, 'expense'),
+      ExchangeRateModel.getMissingRateSummary(organizationId, 'income')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rates: latest,
+        missing_currencies: RATE_CURRENCIES.filter(code => !latest.some(rate => rate.currency_code === code)),
+        records_without_rate: {
+          expenses: missingExpenses,
+          incomes: missingIncomes
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting latest exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener tipos de cambio vigentes',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/exchange-rates/convert
+ * Convertir un monto a CLP (query: amount, currency, date)
+ */
+export async function convertAmount(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { currency, date } = req.query;
+    const amount = parseFloat(req.query.amount);
+
+    if (isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El monto es requerido y debe ser numérico'
+      });
+    }
+
+    if (!normalizeCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Moneda no soportada'
+      });
+    }
+
+    const conversion = await convertToClp(organizationId, amount, currency, date || undefined);
+
+    if (!conversion) {
+      return res.status(404).json({
+        success: false,
+        message: `No hay tipo de cambio ${normalizeCurrency(currency)} registrado a la fecha`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount,
+        currency: normalizeCurrency(currency),
+        ...conversion
+      }
+    });
+  } catch (error) {
+    console.error('Error converting amount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al convertir monto',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/exchange-rates
+ * Registrar (o reemplazar) el tipo de cambio de una moneda en una fecha
+ * Body: currency_code, rate_date, value
+ */
+export async function upsertExchangeRate(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const { errors, rate } = validateExchangeRateInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const created = await ExchangeRateModel.upsertExchangeRate({
+      ...rate,
+      organization_id: organizationId,
+      source: 'manual',
+      user_id: req.user?.id
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Tipo de cambio registrado' : 'Tipo de cambio actualizado',
+      data: rate
+    });
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al guardar tipo de cambio',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/exchange-rates/import
+ * Importar tipos de cambio desde CSV/XLSX (campo "file"; dry_run=true solo valida)
+ */
+export async function importRates(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+
+    const result = await importExchangeRates({
+      file: req.file,
+      organizationId,
+      userId: req.user?.id,
+      dryRun
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { summary } = result;
+    const statusCode = summary.errors.length === 0 ? 200 : 207; // 207 = Multi-Status
+
+    res.status(statusCode).json({
+      success: summary.errors.length === 0,
+      message: dryRun
+        ? `${summary.total - summary.errors.length} tipos de cambio válidos, ${summary.errors.length} con errores`
+        : `Se registraron ${summary.created} y actualizaron ${summary.updated} tipos de cambio`,
+      data: { ...summary, dry_run: dryRun }
+    });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar tipos de cambio',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/exchange-rates/backfill
+ * Completar exchange_rate en egresos/ingresos en moneda extranjera que no lo tienen
+ * (excepto los que están en estado final)
+ */
+export async function backfillExchangeRates(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const auditContext = getAuditContext(req);
+    const expenses = await fillMissingExchangeRates(organizationId, 'expense', auditContext);
+    const incomes = await fillMissingExchangeRates(organizationId, 'income', auditContext);
+
+    const [missingExpenses, missingIncomes] = await Promise.all([
+      ExchangeRateModel.getMissingRateSummary(organizationId, 'expense'),
+      ExchangeRateModel.getMissingRateSummary(organizationId, 'income')
+    ]);
+
+    res.json({
+      success: true,
+      message: `Se asignó tipo de cambio a ${expenses} egresos y ${incomes} ingresos`,
+      data: {
+        updated: { expenses, incomes },
+        still_missing: { expenses: missingExpenses, incomes: missingIncomes }
+      }
+    });
+  } catch (error) {
+    console.error('Error backfilling exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al completar tipos de cambio',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Eliminar un tipo de cambio (los registros que ya lo usan conservan su exchange_rate)
+ */
+export async function deleteExchangeRate(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const affectedRows = await ExchangeRateModel.deleteExchangeRate(req.params.id, organizationId);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de cambio no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tipo de cambio eliminado'
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar tipo de cambio',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,335 @@
+// src/controllers/expenseApprovalController.mjs
+// Controlador de aprobaciones de egresos (colas, aprobar/rechazar y reglas por umbral)
+
+import * as ExpenseApprovalModel from '../models/expenseApprovalModel.mjs';
+import {
+  APPROVAL_STATUSES,
+  getApprovableRoles,
+  validateRuleInput,
+  decideExpenseApproval
+} from '../services/expenseApprovalService.mjs';
+
+/**
+ * GET /api/expenses/approvals/pending
+ * Cola de aprobaciones pendientes que puede resolver el usuario (según su rol)
+ */
+export async function getPendingApprovals(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const filters = {
+      status: 'pending',
+      required_roles: getApprovableRoles(req.user?.role),
+      expense_type_id: req.query.expense_type_id,
+      cost_center_id: req.query.cost_center_id,
+      limit,
+      offset
+    };
+
+    const [approvals, total] = await Promise.all([
+      ExpenseApprovalModel.getApprovals(organizationId, filters),
+      ExpenseApprovalModel.countApprovals(organizationId, filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: approvals.map(approval => ({
+        ...approval,
+        // El creador del egreso no puede aprobarlo
+        can_approve: !approval.expense_created_by || String(approval.expense_created_by) !== String(req.user?.id)
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting pending approvals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener aprobaciones pendientes',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/expenses/approvals
+ * Historial de solicitudes de aprobación (filtros: status, expense_type_id, cost_center_id)
+ */
+export async function getApprovals(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status && !APPROVAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado no válido. Debe ser: ${APPROVAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const filters = {
+      status,
+      expense_type_id: req.query.expense_type_id,
+      cost_center_id: req.query.cost_center_id,
+      limit,
+      offset
+    };
+
+    const [approvals, total] = await Promise.all([
+      ExpenseApprovalModel.getApprovals(organizationId, filters),
+      ExpenseApprovalModel.countApprovals(organizationId, filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: approvals,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting approvals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener aprobaciones',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/expenses/:id/approvals
+ * Historial de aprobaciones de un egreso
+ */
+export async function getExpenseApprovals(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const approvals = await ExpenseApprovalModel.getApprovalsByExpense(req.params.id, organizationId);
+
+    res.json({
+      success: true,
+      data: approvals
+    });
+  } catch (error) {
+    console.error('Error getting expense approvals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener aprobaciones del egreso',
+      error: error.message
+    });
+  }
+}
+
+async function decide(req, res, decision) {
+  const organizationId = req.user?.organization_id || req.body.organization_id;
+
+  const result = await decideExpenseApproval(req.params.id, organizationId, {
+    decision,
+    user: req.user,
+    comment: req.body.comment
+  });
+
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    message: decision === 'approved' ? 'Egreso aprobado' : 'Egreso rechazado',
+    data: result.approval
+  });
+}
+
+/**
+ * POST /api/expenses/:id/approve
+ * Aprobar la solicitud pendiente de un egreso (body: comment opcional)
+ */
+export async function approveExpense(req, res) {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    console.error('Error approving expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al aprobar egreso',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expenses/:id/reject
+ * Rechazar la solicitud pendiente de un egreso (body: comment requerido)
+ */
+export async function rejectExpense(req, res) {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    console.error('Error rejecting expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al rechazar egreso',
+      error: error.message
+    });
+  }
+}
+
+// ============================================
+// REGLAS DE APROBACIÓN
+// ============================================
+
+/**
+ * GET /api/expense-approval-rules
+ * Listar reglas de aprobación (filtros: expense_type_id, active)
+ */
+export async function getApprovalRules(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const rules = await ExpenseApprovalModel.getApprovalRules(organizationId, {
+      expense_type_id: req.query.expense_type_id,
+      only_active: req.query.active === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error getting approval rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener reglas de aprobación',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expense-approval-rules
+ * Crear regla (body: threshold_amount en CLP, required_role, expense_type_id opcional, name)
+ */
+export async function createApprovalRule(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const { errors, rule } = await validateRuleInput(req.body, organizationId);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const id = await ExpenseApprovalModel.createApprovalRule({
+      ...rule,
+      organization_id: organizationId,
+      created_by: req.user?.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regla de aprobación creada',
+      data: await ExpenseApprovalModel.getApprovalRuleById(id, organizationId)
+    });
+  } catch (error) {
+    console.error('Error creating approval rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear regla de aprobación',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/expense-approval-rules/:id
+ * Actualizar regla (las solicitudes existentes no se recalculan hasta que el egreso cambie)
+ */
+export async function updateApprovalRule(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const existing = await ExpenseApprovalModel.getApprovalRuleById(id, organizationId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla de aprobación no encontrada'
+      });
+    }
+
+    const { errors, rule } = await validateRuleInput({ ...existing, ...req.body }, organizationId);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    await ExpenseApprovalModel.updateApprovalRule(id, organizationId, {
+      ...rule,
+      updated_by: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Regla de aprobación actualizada',
+      data: await ExpenseApprovalModel.getApprovalRuleById(id, organizationId)
+    });
+  } catch (error) {
+    console.error('Error updating approval rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar regla de aprobación',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/expense-approval-rules/:id
+ * Eliminar regla
+ */
+export async function deleteApprovalRule(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const affectedRows = await ExpenseApprovalModel.deleteApprovalRule(req.params.id, organizationId);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla de aprobación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Regla de aprobación eliminada'
+    });
+  } catch (error) {
+    console.error('Error deleting approval rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar regla de aprobación',
+      error: error.message
+    });
+  }
+}
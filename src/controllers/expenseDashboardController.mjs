@@ -89,6 +89,12 @@ export async function getExpenseDashboardSummary(req, res) {
         total_amount: parseFloat(summary.total_amount) || 0,
         total_count: parseInt(summary.total_count) || 0,
         avg_amount: parseFloat(summary.avg_amount) || 0,
+        tax_summary: {
+          net_amount: parseFloat(summary.total_net) || 0,
+          tax_amount: parseFloat(summary.total_tax) || 0,
+          total_amount: parseFloat(summary.total_with_tax) || 0,
+          withholding_amount: parseFloat(summary.total_withholding) || 0
+        },
         by_type: byType.map(t => ({
           type_id: t.type_id,
           type_name: t.type_name,
@@ -234,7 +240,8 @@ export async function getExpenseCashFlow(req, res) {
       filters.cost_center_id = parseInt(cost_center_id);
     }
 
-    const data = await expenseDashboardModel.getCashFlowByPeriod(organization_id, period, filters);
+    // Flujo real: agrupado por fecha efectiva de pago
+    const data = await expenseDashboardModel.getPaymentFlowByPeriod(organization_id, period, filters);
 
     res.json({
       success: true,
@@ -361,3 +368,87 @@ export async function getExpensesCategoryByPeriod(req, res) {
     });
   }
 }
+
+/**
+ * Convertir una fila de antigüedad a números
+ */
+function mapAgingRow(row) {
+  return {
+    count: parseInt(row.count) || 0,
+    total_amount: parseFloat(row.total_amount) || 0,
+    buckets: {
+      '0_30': parseFloat(row.bucket_0_30) || 0,
+      '31_60': parseFloat(row.bucket_31_60) || 0,
+      '61_90': parseFloat(row.bucket_61_90) || 0,
+      '90_plus': parseFloat(row.bucket_90_plus) || 0
+    },
+    max_days: row.max_days !== null ? parseInt(row.max_days) : null
+  };
+}
+
+/**
+ * GET /api/expenses/dashboard/aging
+ * Antigüedad de cuentas por pagar (pendientes y parciales) por tramos: 0-30, 31-60, 61-90 y 90+ días
+ */
+export async function getExpenseAging(req, res) {
+  try {
+    const { organization_id } = req.user;
+    const { as_of, cost_center_id, expense_type_id } = req.query;
+
+    const asOf = as_of || new Date().toISOString().split('T')[0];
+    if (isNaN(new Date(asOf))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha as_of inválida'
+      });
+    }
+
+    const filters = { as_of: asOf };
+    if (cost_center_id) {
+      filters.cost_center_id = parseInt(cost_center_id);
+    }
+    if (expense_type_id) {
+      filters.expense_type_id = parseInt(expense_type_id);
+    }
+
+    const [totals, bySupplier, byCostCenter, byType] = await Promise.all([
+      expenseDashboardModel.getAgingBuckets(organization_id, null, filters),
+      expenseDashboardModel.getAgingBuckets(organization_id, 'supplier', filters),
+      expenseDashboardModel.getAgingBuckets(organization_id, 'cost_center', filters),
+      expenseDashboardModel.getAgingBuckets(organization_id, 'expense_type', filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        as_of: asOf,
+        totals: mapAgingRow(totals[0] || {}),
+        by_supplier: bySupplier.map(row => ({
+          supplier_id: row.group_id,
+          supplier_tax_id: row.group_code,
+          supplier_name: row.group_name || 'Sin proveedor',
+          ...mapAgingRow(row)
+        })),
+        by_cost_center: byCostCenter.map(row => ({
+          cost_center_id: row.group_id,
+          cost_center_code: row.group_code,
+          cost_center_name: row.group_name || 'Sin centro de costo',
+          ...mapAgingRow(row)
+        })),
+        by_type: byType.map(row => ({
+          type_id: row.group_id,
+          type_name: row.group_name,
+          type_color: row.group_color,
+          ...mapAgingRow(row)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error en getExpenseAging:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener antigüedad de cuentas por pagar',
+      error: error.message
+    });
+  }
+}
@@ -2,7 +2,18 @@
 // Controlador para datos de egresos con validación dinámica
 
 import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as ExpensePaymentModel from '../models/expensePaymentModel.mjs';
 import { validateExpenseData } from '../services/expenseValidationService.mjs';
+import { applyExchangeRate } from '../services/exchangeRateService.mjs';
+import { applyTaxBreakdown } from '../utils/taxUtils.mjs';
+import { checkRecordLock } from '../services/statusTransitionService.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+import { deleteRecordAttachments } from '../services/attachmentService.mjs';
+import { syncExpenseApproval } from '../services/expenseApprovalService.mjs';
+import { getCurrentApproval } from '../models/expenseApprovalModel.mjs';
+import { buildImportPreview } from '../services/spreadsheetImportService.mjs';
+import { extractExpenseDraftFromPdf } from '../services/invoiceExtractionService.mjs';
+import { streamExport, EXPORT_FORMATS } from '../services/exportService.mjs';
 
 /**
  * GET /api/expenses
@@ -18,6 +29,7 @@ export async function getAllExpenses(req, res) {
       status_id: req.query.status_id,
       category_id: req.query.category_id,
       cost_center_id: req.query.cost_center_id,
+      supplier_id: req.query.supplier_id,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
       payment_status: req.query.payment_status,
@@ -51,6 +63,55 @@ export async function getAllExpenses(req, res) {
   }
 }
 
+/**
+ * GET /api/expenses/export?format=csv|xlsx|pdf
+ * Exportar egresos con los mismos filtros del listado (sin paginación)
+ */
+export async function exportExpenses(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Formato inválido. Use: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const filters = {
+      organization_id: organizationId,
+      expense_type_id: req.query.expense_type_id,
+      status_id: req.query.status_id,
+      category_id: req.query.category_id,
+      cost_center_id: req.query.cost_center_id,
+      supplier_id: req.query.supplier_id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      payment_status: req.query.payment_status,
+      search: req.query.search
+    };
+
+    await streamExport(res, {
+      target: 'expense',
+      format,
+      fetchPage: ExpenseDataModel.getAllExpenses,
+      filters
+    });
+  } catch (error) {
+    console.error('Error exporting expenses:', error);
+    // Si el archivo ya comenzó a enviarse no se puede responder JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar egresos',
+      error: error.message
+    });
+  }
+}
+
 /**
  * GET /api/expenses/:id
  * Obtener un egreso por ID
@@ -69,6 +130,9 @@ export async function getExpenseById(req, res) {
       });
     }
 
+    // Solicitud de aprobación vigente (null si el monto no la requiere)
+    expense.approval = await getCurrentApproval(id, organizationId);
+
     res.json({
       success: true,
       data: expense
@@ -92,8 +156,16 @@ export async function createExpense(req, res) {
     const organizationId = req.user?.organization_id || req.body.organization_id;
     const userId = req.user?.id;
 
+    // Moneda y tipo de cambio vigente a la fecha (antes de validar, por si el tipo lo exige)
+    const currencyCheck = await applyExchangeRate(req.body, organizationId);
+    // Desglose neto / IVA / total (y retención de honorarios)
+    const taxCheck = applyTaxBreakdown(req.body);
+
     // Validar datos según configuración del tipo
     const validation = await validateExpenseData(req.body, req.body.expense_type_id, organizationId);
+    validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+    validation.warnings.push(...currencyCheck.warnings, ...taxCheck.warnings);
+    validation.valid = validation.errors.length === 0;
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -112,10 +184,20 @@ export async function createExpense(req, res) {
 
     const newId = await ExpenseDataModel.createExpense(expenseData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: newId,
+      action: 'create',
+      after: await ExpenseDataModel.getExpenseById(newId, organizationId)
+    });
+
+    // Solicitud de aprobación si el monto supera algún umbral
+    const approval = await syncExpenseApproval(newId, organizationId, userId);
+
     res.status(201).json({
       success: true,
       message: 'Egreso creado exitosamente',
-      data: { id: newId },
+      data: { id: newId, approval },
       warnings: validation.warnings.length > 0 ? validation.warnings : undefined
     });
   } catch (error) {
@@ -147,9 +229,30 @@ export async function updateExpense(req, res) {
       });
     }
 
+    // Un PUT sin status_id mantiene el estado actual (el update reemplaza el registro completo)
+    if (req.body.status_id === undefined) {
+      req.body.status_id = existingExpense.status_id;
+    }
+
+    // Registro en estado final: bloqueado salvo reapertura por un administrador
+    const lock = await checkRecordLock('expense', existingExpense, req.body, organizationId, req.user);
+    if (lock) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.error
+      });
+    }
+
+    // Moneda y tipo de cambio: se recalcula si cambia la fecha o la moneda
+    const currencyCheck = await applyExchangeRate(req.body, organizationId, { existing: existingExpense });
+    const taxCheck = applyTaxBreakdown(req.body, { existing: existingExpense });
+
     // Validar datos según configuración del tipo
     const expenseTypeId = req.body.expense_type_id || existingExpense.expense_type_id;
-    const validation = await validateExpenseData(req.body, expenseTypeId, organizationId);
+    const validation = await validateExpenseData(req.body, expenseTypeId, organizationId, { existing: existingExpense });
+    validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+    validation.warnings.push(...currencyCheck.warnings, ...taxCheck.warnings);
+    validation.valid = validation.errors.length === 0;
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -174,9 +277,27 @@ export async function updateExpense(req, res) {
       });
     }
 
+    // Si tiene pagos registrados, el estado de pago se deriva de ellos
+    const payments = await ExpensePaymentModel.getPaymentsByExpense(id, organizationId, false);
+    if (payments.length > 0) {
+      await ExpensePaymentModel.recalculatePaymentStatus(id, organizationId);
+    }
+
+    // Un cambio de monto puede exigir (o dejar de exigir) aprobación
+    const approval = await syncExpenseApproval(id, organizationId, userId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'update',
+      before: existingExpense,
+      after: await ExpenseDataModel.getExpenseById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Egreso actualizado exitosamente',
+      data: { approval },
       warnings: validation.warnings.length > 0 ? validation.warnings : undefined
     });
   } catch (error) {
@@ -191,14 +312,31 @@ export async function updateExpense(req, res) {
 
 /**
  * DELETE /api/expenses/:id
- * Eliminar un egreso
+ * Enviar un egreso a la papelera
  */
 export async function deleteExpense(req, res) {
   try {
     const { id } = req.params;
     const organizationId = req.user?.organization_id || req.query.organization_id;
 
-    const affectedRows = await ExpenseDataModel.deleteExpense(id, organizationId);
+    const existingExpense = await ExpenseDataModel.getExpenseById(id, organizationId);
+    if (!existingExpense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Egreso no encontrado'
+      });
+    }
+
+    // Registro en estado final: solo un administrador puede enviarlo a la papelera
+    const lock = await checkRecordLock('expense', existingExpense, {}, organizationId, req.user, { deleting: true });
+    if (lock) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.error
+      });
+    }
+
+    const affectedRows = await ExpenseDataModel.deleteExpense(id, organizationId, req.user?.id);
 
     if (affectedRows === 0) {
       return res.status(404).json({
@@ -207,9 +345,16 @@ export async function deleteExpense(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'delete',
+      before: existingExpense
+    });
+
     res.json({
       success: true,
-      message: 'Egreso eliminado exitosamente'
+      message: 'Egreso enviado a la papelera'
     });
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -221,6 +366,139 @@ export async function deleteExpense(req, res) {
   }
 }
 
+/**
+ * GET /api/expenses/trash
+ * Listar egresos en la papelera (mismos filtros del listado)
+ */
+export async function getTrashedExpenses(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      organization_id: organizationId,
+      expense_type_id: req.query.expense_type_id,
+      cost_center_id: req.query.cost_center_id,
+      supplier_id: req.query.supplier_id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      search: req.query.search,
+      trashed: true,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [expenses, total] = await Promise.all([
+      ExpenseDataModel.getAllExpenses(filters),
+      ExpenseDataModel.countExpenses(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: expenses,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting trashed expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener la papelera de egresos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expenses/:id/restore
+ * Restaurar un egreso desde la papelera (solo admin)
+ */
+export async function restoreExpense(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const trashedExpense = await ExpenseDataModel.getExpenseById(id, organizationId, { includeDeleted: true });
+    if (!trashedExpense?.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Egreso no encontrado en la papelera'
+      });
+    }
+
+    await ExpenseDataModel.restoreExpense(id, organizationId, req.user?.id);
+    const restoredExpense = await ExpenseDataModel.getExpenseById(id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'restore',
+      before: trashedExpense,
+      after: restoredExpense
+    });
+
+    res.json({
+      success: true,
+      data: restoredExpense,
+      message: 'Egreso restaurado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error restoring expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restaurar egreso',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/expenses/:id/purge
+ * Eliminar permanentemente un egreso que está en la papelera (solo admin)
+ */
+export async function purgeExpense(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const trashedExpense = await ExpenseDataModel.getExpenseById(id, organizationId, { includeDeleted: true });
+    const affectedRows = trashedExpense?.deleted_at
+      ? await ExpenseDataModel.purgeExpense(id, organizationId)
+      : 0;
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Egreso no encontrado en la papelera'
+      });
+    }
+
+    await deleteRecordAttachments('expense', id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'purge',
+      before: trashedExpense
+    });
+
+    res.json({
+      success: true,
+      message: 'Egreso eliminado permanentemente'
+    });
+  } catch (error) {
+    console.error('Error purging expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar permanentemente el egreso',
+      error: error.message
+    });
+  }
+}
+
 /**
  * GET /api/expenses/stats
  * Obtener estadísticas de egresos
@@ -301,8 +579,13 @@ export async function bulkCreateExpenses(req, res) {
       const expense = expenses[i];
 
       try {
+        const currencyCheck = await applyExchangeRate(expense, organizationId);
+        const taxCheck = applyTaxBreakdown(expense);
+
         // Validar datos según configuración del tipo
         const validation = await validateExpenseData(expense, expense.expense_type_id, organizationId);
+        validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+        validation.valid = validation.errors.length === 0;
 
         if (!validation.valid) {
           results.errors.push({
@@ -321,11 +604,19 @@ export async function bulkCreateExpenses(req, res) {
         };
 
         const newId = await ExpenseDataModel.createExpense(expenseData);
+        await recordAudit(getAuditContext(req), {
+          entityType: 'expense',
+          entityId: newId,
+          action: 'create',
+          after: await ExpenseDataModel.getExpenseById(newId, organizationId)
+        });
+        const approval = await syncExpenseApproval(newId, organizationId, userId);
 
         results.success.push({
           index: i,
           row: i + 2,
           id: newId,
+          approval_status: approval?.status || null,
           data: expense
         });
       } catch (error) {
@@ -356,3 +647,97 @@ export async function bulkCreateExpenses(req, res) {
     });
   }
 }
+
+/**
+ * Leer un campo JSON enviado en multipart/form-data
+ */
+function parseJsonField(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  return JSON.parse(value);
+}
+
+/**
+ * POST /api/expenses/import/preview
+ * Previsualizar la importación de una planilla CSV/XLSX: mapeo de columnas detectado,
+ * filas convertidas con errores por fila y el cuerpo listo para POST /api/expenses/bulk
+ */
+export async function previewExpenseImport(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    let mapping;
+    try {
+      mapping = parseJsonField(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'El mapeo de columnas debe ser un JSON válido'
+      });
+    }
+
+    const preview = await buildImportPreview({
+      file: req.file,
+      target: 'expense',
+      organizationId,
+      mapping,
+      defaults: {
+        expense_type_id: req.body.expense_type_id ? parseInt(req.body.expense_type_id) : null,
+        cost_center_id: req.body.cost_center_id ? parseInt(req.body.cost_center_id) : null
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${preview.summary.valid} de ${preview.summary.total} filas listas para importar`,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error previewing expense import:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error al procesar la planilla',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expenses/import/invoice
+ * Extraer una factura, boleta o recibo en PDF y devolver un borrador de egreso (no crea registros)
+ * El borrador se confirma luego vía POST /api/expenses
+ * Campos opcionales: expense_type_id, cost_center_id, category_id, status_id
+ */
+export async function extractExpenseFromInvoice(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const result = await extractExpenseDraftFromPdf({
+      file: req.file,
+      organizationId,
+      defaults: {
+        expense_type_id: req.body.expense_type_id ? parseInt(req.body.expense_type_id) : null,
+        cost_center_id: req.body.cost_center_id ? parseInt(req.body.cost_center_id) : null,
+        category_id: req.body.category_id ? parseInt(req.body.category_id) : null,
+        status_id: req.body.status_id ? parseInt(req.body.status_id) : null
+      }
+    });
+    req.aiUsage = result.extraction.usage;
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? 'Documento extraído. Revise el borrador antes de guardarlo'
+        : 'Documento extraído con campos por completar',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error extracting expense from invoice:', error);
+    req.aiUsage = error.usage;
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error al procesar el documento',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,230 @@
+// src/controllers/expensePaymentController.mjs
+// Controlador para pagos de egresos
+
+import { pool } from '../config/database.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as ExpensePaymentModel from '../models/expensePaymentModel.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+
+const VALID_PAYMENT_METHODS = ['transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro'];
+
+/**
+ * Resumen de saldo de un egreso a partir de sus datos actuales
+ */
+function buildBalance(record) {
+  const totalDue = parseFloat(record.total_amount ?? record.amount) || 0;
+  const paidAmount = parseFloat(record.paid_amount) || 0;
+
+  return {
+    total_due: totalDue,
+    paid_amount: paidAmount,
+    outstanding_amount: parseFloat(record.outstanding_amount) || 0,
+    payment_status: record.payment_status
+  };
+}
+
+/**
+ * GET /api/expenses/:id/payments
+ * Obtener pagos de un egreso con su saldo pendiente
+ */
+export async function getPayments(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const includeVoided = req.query.include_voided !== 'false';
+
+    const record = await ExpenseDataModel.getExpenseById(id, organizationId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Egreso no encontrado'
+      });
+    }
+
+    const payments = await ExpensePaymentModel.getPaymentsByExpense(id, organizationId, includeVoided);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        balance: buildBalance(record)
+      },
+      count: payments.length
+    });
+  } catch (error) {
+    console.error('Error getting expense payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener pagos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expenses/:id/payments
+ * Registrar un pago (parcial o total) y recalcular el estado de pago
+ */
+export async function addPayment(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const { amount, payment_date, payment_method, reference_number, notes } = req.body;
+
+    const record = await ExpenseDataModel.getExpenseById(id, organizationId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Egreso no encontrado'
+      });
+    }
+
+    if (record.payment_status === 'anulado') {
+      return res.status(400).json({
+        success: false,
+        message: 'No se pueden registrar pagos en un egreso anulado'
+      });
+    }
+
+    const errors = [];
+    const paymentAmount = parseFloat(amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+      errors.push({ field: 'amount', message: 'El monto del pago debe ser mayor a 0' });
+    }
+
+    const outstanding = parseFloat(record.outstanding_amount) || 0;
+    if (!isNaN(paymentAmount) && paymentAmount > outstanding + 0.005) {
+      errors.push({ field: 'amount', message: `El pago supera el saldo pendiente (${outstanding})` });
+    }
+
+    if (payment_date && isNaN(new Date(payment_date))) {
+      errors.push({ field: 'payment_date', message: 'Fecha de pago inválida' });
+    }
+
+    if (payment_method && !VALID_PAYMENT_METHODS.includes(payment_method)) {
+      errors.push({ field: 'payment_method', message: `Método de pago inválido. Debe ser: ${VALID_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    // Saldo, pago y recálculo en una transacción con el egreso bloqueado:
+    // dos pagos simultáneos no pueden superar el saldo pendiente
+    const connection = await pool.getConnection();
+    let paymentId;
+    let balance;
+
+    try {
+      await connection.beginTransaction();
+
+      const locked = await ExpensePaymentModel.lockExpenseBalance(id, organizationId, connection);
+      const lockedOutstanding = parseFloat(locked?.outstanding_amount) || 0;
+      if (!locked || locked.payment_status === 'anulado' || paymentAmount > lockedOutstanding + 0.005) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Errores de validación',
+          errors: [{ field: 'amount', message: `El pago supera el saldo pendiente (${lockedOutstanding})` }]
+        });
+      }
+
+      paymentId = await ExpensePaymentModel.createPayment({
+        expense_id: id,
+        organization_id: organizationId,
+        amount: paymentAmount,
+        payment_date: payment_date || new Date().toISOString().split('T')[0],
+        payment_method,
+        reference_number,
+        notes,
+        created_by: req.user?.id
+      }, connection);
+
+      balance = await ExpensePaymentModel.recalculatePaymentStatus(id, organizationId, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // El pago modifica paid_amount / payment_status del registro
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'update',
+      before: record,
+      after: await ExpenseDataModel.getExpenseById(id, organizationId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      data: { id: paymentId, balance }
+    });
+  } catch (error) {
+    console.error('Error adding expense payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al registrar pago',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/expenses/:id/payments/:paymentId/void
+ * Anular un pago y recalcular el estado de pago
+ */
+export async function voidPayment(req, res) {
+  try {
+    const { id, paymentId } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const payment = await ExpensePaymentModel.getPaymentById(paymentId, id, organizationId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pago no encontrado'
+      });
+    }
+
+    if (payment.status === 'voided') {
+      return res.status(400).json({
+        success: false,
+        message: 'El pago ya está anulado'
+      });
+    }
+
+    const record = await ExpenseDataModel.getExpenseById(id, organizationId);
+    await ExpensePaymentModel.voidPayment(paymentId, id, organizationId, req.user?.id, req.body.reason);
+    const balance = await ExpensePaymentModel.recalculatePaymentStatus(id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'expense',
+      entityId: id,
+      action: 'update',
+      before: record,
+      after: await ExpenseDataModel.getExpenseById(id, organizationId)
+    });
+
+    res.json({
+      success: true,
+      message: 'Pago anulado exitosamente',
+      data: { id: parseInt(paymentId), balance }
+    });
+  } catch (error) {
+    console.error('Error voiding expense payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al anular pago',
+      error: error.message
+    });
+  }
+}
@@ -2,7 +2,15 @@
 // Controlador para datos de ingresos con validación dinámica
 
 import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import * as IncomePaymentModel from '../models/incomePaymentModel.mjs';
 import { validateIncomeData } from '../services/incomeValidationService.mjs';
+import { applyExchangeRate } from '../services/exchangeRateService.mjs';
+import { applyTaxBreakdown } from '../utils/taxUtils.mjs';
+import { checkRecordLock } from '../services/statusTransitionService.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+import { deleteRecordAttachments } from '../services/attachmentService.mjs';
+import { buildImportPreview } from '../services/spreadsheetImportService.mjs';
+import { streamExport, EXPORT_FORMATS } from '../services/exportService.mjs';
 
 /**
  * GET /api/incomes
@@ -18,6 +26,7 @@ export async function getAllIncomes(req, res) {
       status_id: req.query.status_id,
       category_id: req.query.category_id,
       cost_center_id: req.query.cost_center_id,
+      client_id: req.query.client_id,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
       payment_status: req.query.payment_status,
@@ -51,6 +60,55 @@ export async function getAllIncomes(req, res) {
   }
 }
 
+/**
+ * GET /api/incomes/export?format=csv|xlsx|pdf
+ * Exportar ingresos con los mismos filtros del listado (sin paginación)
+ */
+export async function exportIncomes(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Formato inválido. Use: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const filters = {
+      organization_id: organizationId,
+      income_type_id: req.query.income_type_id,
+      status_id: req.query.status_id,
+      category_id: req.query.category_id,
+      cost_center_id: req.query.cost_center_id,
+      client_id: req.query.client_id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      payment_status: req.query.payment_status,
+      search: req.query.search
+    };
+
+    await streamExport(res, {
+      target: 'income',
+      format,
+      fetchPage: IncomeDataModel.getAllIncomes,
+      filters
+    });
+  } catch (error) {
+    console.error('Error exporting incomes:', error);
+    // Si el archivo ya comenzó a enviarse no se puede responder JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar ingresos',
+      error: error.message
+    });
+  }
+}
+
 /**
  * GET /api/incomes/:id
  * Obtener un ingreso por ID
@@ -92,8 +150,16 @@ export async function createIncome(req, res) {
     const organizationId = req.user?.organization_id || req.body.organization_id;
     const userId = req.user?.id;
 
+    // Moneda y tipo de cambio vigente a la fecha (antes de validar, por si el tipo lo exige)
+    const currencyCheck = await applyExchangeRate(req.body, organizationId);
+    // Desglose neto / IVA / total (y retención de honorarios)
+    const taxCheck = applyTaxBreakdown(req.body);
+
     // Validar datos según configuración del tipo
     const validation = await validateIncomeData(req.body, req.body.income_type_id, organizationId);
+    validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+    validation.warnings.push(...currencyCheck.warnings, ...taxCheck.warnings);
+    validation.valid = validation.errors.length === 0;
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -112,6 +178,13 @@ export async function createIncome(req, res) {
 
     const newId = await IncomeDataModel.createIncome(incomeData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: newId,
+      action: 'create',
+      after: await IncomeDataModel.getIncomeById(newId, organizationId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Ingreso creado exitosamente',
@@ -147,9 +220,30 @@ export async function updateIncome(req, res) {
       });
     }
 
+    // Un PUT sin status_id mantiene el estado actual (el update reemplaza el registro completo)
+    if (req.body.status_id === undefined) {
+      req.body.status_id = existingIncome.status_id;
+    }
+
+    // Registro en estado final: bloqueado salvo reapertura por un administrador
+    const lock = await checkRecordLock('income', existingIncome, req.body, organizationId, req.user);
+    if (lock) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.error
+      });
+    }
+
+    // Moneda y tipo de cambio: se recalcula si cambia la fecha o la moneda
+    const currencyCheck = await applyExchangeRate(req.body, organizationId, { existing: existingIncome });
+    const taxCheck = applyTaxBreakdown(req.body, { existing: existingIncome });
+
     // Validar datos según configuración del tipo
     const incomeTypeId = req.body.income_type_id || existingIncome.income_type_id;
-    const validation = await validateIncomeData(req.body, incomeTypeId, organizationId);
+    const validation = await validateIncomeData(req.body, incomeTypeId, organizationId, { existing: existingIncome });
+    validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+    validation.warnings.push(...currencyCheck.warnings, ...taxCheck.warnings);
+    validation.valid = validation.errors.length === 0;
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -174,6 +268,20 @@ export async function updateIncome(req, res) {
       });
     }
 
+    // Si tiene pagos registrados, el estado de pago se deriva de ellos
+    const payments = await IncomePaymentModel.getPaymentsByIncome(id, organizationId, false);
+    if (payments.length > 0) {
+      await IncomePaymentModel.recalculatePaymentStatus(id, organizationId);
+    }
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'update',
+      before: existingIncome,
+      after: await IncomeDataModel.getIncomeById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Ingreso actualizado exitosamente',
@@ -191,14 +299,31 @@ export async function updateIncome(req, res) {
 
 /**
  * DELETE /api/incomes/:id
- * Eliminar un ingreso
+ * Enviar un ingreso a la papelera
  */
 export async function deleteIncome(req, res) {
   try {
     const { id } = req.params;
     const organizationId = req.user?.organization_id || req.query.organization_id;
 
-    const affectedRows = await IncomeDataModel.deleteIncome(id, organizationId);
+    const existingIncome = await IncomeDataModel.getIncomeById(id, organizationId);
+    if (!existingIncome) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingreso no encontrado'
+      });
+    }
+
+    // Registro en estado final: solo un administrador puede enviarlo a la papelera
+    const lock = await checkRecordLock('income', existingIncome, {}, organizationId, req.user, { deleting: true });
+    if (lock) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.error
+      });
+    }
+
+    const affectedRows = await IncomeDataModel.deleteIncome(id, organizationId, req.user?.id);
 
     if (affectedRows === 0) {
       return res.status(404).json({
@@ -207,9 +332,16 @@ export async function deleteIncome(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'delete',
+      before: existingIncome
+    });
+
     res.json({
       success: true,
-      message: 'Ingreso eliminado exitosamente'
+      message: 'Ingreso enviado a la papelera'
     });
   } catch (error) {
     console.error('Error deleting income:', error);
@@ -221,6 +353,139 @@ export async function deleteIncome(req, res) {
   }
 }
 
+/**
+ * GET /api/incomes/trash
+ * Listar ingresos en la papelera (mismos filtros del listado)
+ */
+export async function getTrashedIncomes(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      organization_id: organizationId,
+      income_type_id: req.query.income_type_id,
+      cost_center_id: req.query.cost_center_id,
+      client_id: req.query.client_id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      search: req.query.search,
+      trashed: true,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [incomes, total] = await Promise.all([
+      IncomeDataModel.getAllIncomes(filters),
+      IncomeDataModel.countIncomes(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: incomes,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting trashed incomes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener la papelera de ingresos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/incomes/:id/restore
+ * Restaurar un ingreso desde la papelera (solo admin)
+ */
+export async function restoreIncome(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const trashedIncome = await IncomeDataModel.getIncomeById(id, organizationId, { includeDeleted: true });
+    if (!trashedIncome?.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingreso no encontrado en la papelera'
+      });
+    }
+
+    await IncomeDataModel.restoreIncome(id, organizationId, req.user?.id);
+    const restoredIncome = await IncomeDataModel.getIncomeById(id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'restore',
+      before: trashedIncome,
+      after: restoredIncome
+    });
+
+    res.json({
+      success: true,
+      data: restoredIncome,
+      message: 'Ingreso restaurado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error restoring income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restaurar ingreso',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/incomes/:id/purge
+ * Eliminar permanentemente un ingreso que está en la papelera (solo admin)
+ */
+export async function purgeIncome(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const trashedIncome = await IncomeDataModel.getIncomeById(id, organizationId, { includeDeleted: true });
+    const affectedRows = trashedIncome?.deleted_at
+      ? await IncomeDataModel.purgeIncome(id, organizationId)
+      : 0;
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingreso no encontrado en la papelera'
+      });
+    }
+
+    await deleteRecordAttachments('income', id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'purge',
+      before: trashedIncome
+    });
+
+    res.json({
+      success: true,
+      message: 'Ingreso eliminado permanentemente'
+    });
+  } catch (error) {
+    console.error('Error purging income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar permanentemente el ingreso',
+      error: error.message
+    });
+  }
+}
+
 /**
  * GET /api/incomes/stats
  * Obtener estadísticas de ingresos
@@ -301,8 +566,13 @@ export async function bulkCreateIncomes(req, res) {
       const income = incomes[i];
 
       try {
+        const currencyCheck = await applyExchangeRate(income, organizationId);
+        const taxCheck = applyTaxBreakdown(income);
+
         // Validar datos según configuración del tipo
         const validation = await validateIncomeData(income, income.income_type_id, organizationId);
+        validation.errors.unshift(...currencyCheck.errors, ...taxCheck.errors);
+        validation.valid = validation.errors.length === 0;
 
         if (!validation.valid) {
           results.errors.push({
@@ -321,6 +591,12 @@ export async function bulkCreateIncomes(req, res) {
         };
 
         const newId = await IncomeDataModel.createIncome(incomeData);
+        await recordAudit(getAuditContext(req), {
+          entityType: 'income',
+          entityId: newId,
+          action: 'create',
+          after: await IncomeDataModel.getIncomeById(newId, organizationId)
+        });
 
         results.success.push({
           index: i,
@@ -356,3 +632,57 @@ export async function bulkCreateIncomes(req, res) {
     });
   }
 }
+
+/**
+ * Leer un campo JSON enviado en multipart/form-data
+ */
+function parseJsonField(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  return JSON.parse(value);
+}
+
+/**
+ * POST /api/incomes/import/preview
+ * Previsualizar la importación de una planilla CSV/XLSX: mapeo de columnas detectado,
+ * filas convertidas con errores por fila y el cuerpo listo para POST /api/incomes/bulk
+ */
+export async function previewIncomeImport(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    let mapping;
+    try {
+      mapping = parseJsonField(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'El mapeo de columnas debe ser un JSON válido'
+      });
+    }
+
+    const preview = await buildImportPreview({
+      file: req.file,
+      target: 'income',
+      organizationId,
+      mapping,
+      defaults: {
+        income_type_id: req.body.income_type_id ? parseInt(req.body.income_type_id) : null,
+        cost_center_id: req.body.cost_center_id ? parseInt(req.body.cost_center_id) : null
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${preview.summary.valid} de ${preview.summary.total} filas listas para importar`,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error previewing income import:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error al procesar la planilla',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,230 @@
+// src/controllers/incomePaymentController.mjs
+// Controlador para pagos de ingresos
+
+import { pool } from '../config/database.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import * as IncomePaymentModel from '../models/incomePaymentModel.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+
+const VALID_PAYMENT_METHODS = ['transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro'];
+
+/**
+ * Resumen de saldo de un ingreso a partir de sus datos actuales
+ */
+function buildBalance(record) {
+  const totalDue = parseFloat(record.total_amount ?? record.amount) || 0;
+  const paidAmount = parseFloat(record.paid_amount) || 0;
+
+  return {
+    total_due: totalDue,
+    paid_amount: paidAmount,
+    outstanding_amount: parseFloat(record.outstanding_amount) || 0,
+    payment_status: record.payment_status
+  };
+}
+
+/**
+ * GET /api/incomes/:id/payments
+ * Obtener pagos de un ingreso con su saldo pendiente
+ */
+export async function getPayments(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const includeVoided = req.query.include_voided !== 'false';
+
+    const record = await IncomeDataModel.getIncomeById(id, organizationId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingreso no encontrado'
+      });
+    }
+
+    const payments = await IncomePaymentModel.getPaymentsByIncome(id, organizationId, includeVoided);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        balance: buildBalance(record)
+      },
+      count: payments.length
+    });
+  } catch (error) {
+    console.error('Error getting income payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener pagos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/incomes/:id/payments
+ * Registrar un pago (parcial o total) y recalcular el estado de pago
+ */
+export async function addPayment(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const { amount, payment_date, payment_method, reference_number, notes } = req.body;
+
+    const record = await IncomeDataModel.getIncomeById(id, organizationId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingreso no encontrado'
+      });
+    }
+
+    if (record.payment_status === 'anulado') {
+      return res.status(400).json({
+        success: false,
+        message: 'No se pueden registrar pagos en un ingreso anulado'
+      });
+    }
+
+    const errors = [];
+    const paymentAmount = parseFloat(amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+      errors.push({ field: 'amount', message: 'El monto del pago debe ser mayor a 0' });
+    }
+
+    const outstanding = parseFloat(record.outstanding_amount) || 0;
+    if (!isNaN(paymentAmount) && paymentAmount > outstanding + 0.005) {
+      errors.push({ field: 'amount', message: `El pago supera el saldo pendiente (${outstanding})` });
+    }
+
+    if (payment_date && isNaN(new Date(payment_date))) {
+      errors.push({ field: 'payment_date', message: 'Fecha de pago inválida' });
+    }
+
+    if (payment_method && !VALID_PAYMENT_METHODS.includes(payment_method)) {
+      errors.push({ field: 'payment_method', message: `Método de pago inválido. Debe ser: ${VALID_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    // Saldo, pago y recálculo en una transacción con el ingreso bloqueado:
+    // dos pagos simultáneos no pueden superar el saldo pendiente
+    const connection = await pool.getConnection();
+    let paymentId;
+    let balance;
+
+    try {
+      await connection.beginTransaction();
+
+      const locked = await IncomePaymentModel.lockIncomeBalance(id, organizationId, connection);
+      const lockedOutstanding = parseFloat(locked?.outstanding_amount) || 0;
+      if (!locked || locked.payment_status === 'anulado' || paymentAmount > lockedOutstanding + 0.005) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Errores de validación',
+          errors: [{ field: 'amount', message: `El pago supera el saldo pendiente (${lockedOutstanding})` }]
+        });
+      }
+
+      paymentId = await IncomePaymentModel.createPayment({
+        income_id: id,
+        organization_id: organizationId,
+        amount: paymentAmount,
+        payment_date: payment_date || new Date().toISOString().split('T')[0],
+        payment_method,
+        reference_number,
+        notes,
+        created_by: req.user?.id
+      }, connection);
+
+      balance = await IncomePaymentModel.recalculatePaymentStatus(id, organizationId, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // El pago modifica paid_amount / payment_status del registro
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'update',
+      before: record,
+      after: await IncomeDataModel.getIncomeById(id, organizationId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      data: { id: paymentId, balance }
+    });
+  } catch (error) {
+    console.error('Error adding income payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al registrar pago',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/incomes/:id/payments/:paymentId/void
+ * Anular un pago y recalcular el estado de pago
+ */
+export async function voidPayment(req, res) {
+  try {
+    const { id, paymentId } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const payment = await IncomePaymentModel.getPaymentById(paymentId, id, organizationId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pago no encontrado'
+      });
+    }
+
+    if (payment.status === 'voided') {
+      return res.status(400).json({
+        success: false,
+        message: 'El pago ya está anulado'
+      });
+    }
+
+    const record = await IncomeDataModel.getIncomeById(id, organizationId);
+    await IncomePaymentModel.voidPayment(paymentId, id, organizationId, req.user?.id, req.body.reason);
+    const balance = await IncomePaymentModel.recalculatePaymentStatus(id, organizationId);
+
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income',
+      entityId: id,
+      action: 'update',
+      before: record,
+      after: await IncomeDataModel.getIncomeById(id, organizationId)
+    });
+
+    res.json({
+      success: true,
+      message: 'Pago anulado exitosamente',
+      data: { id: parseInt(paymentId), balance }
+    });
+  } catch (error) {
+    console.error('Error voiding income payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al anular pago',
+      error: error.message
+    });
+  }
+}
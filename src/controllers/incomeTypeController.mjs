@@ -5,6 +5,14 @@ import * as IncomeTypeModel from '../models/incomeTypeModel.mjs';
 import * as IncomeCategoryModel from '../models/incomeCategoryModel.mjs';
 import * as IncomeStatusModel from '../models/incomeStatusModel.mjs';
 import { getVisibleFields } from '../services/incomeValidationService.mjs';
+import * as StatusTransitionModel from '../models/statusTransitionModel.mjs';
+import { recordAudit, getAuditContext } from '../services/auditService.mjs';
+import {
+  normalizeRequiredFields,
+  validateTransitionsInput,
+  parseRequiredFields,
+  STATUS_REQUIRED_FIELDS
+} from '../services/statusTransitionService.mjs';
 
 // ============================================
 // INCOME TYPES - Tipos de Ingresos
@@ -134,6 +142,13 @@ export async function createIncomeType(req, res) {
 
     const newId = await IncomeTypeModel.createIncomeType(incomeTypeData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_type',
+      entityId: newId,
+      action: 'create',
+      after: await IncomeTypeModel.getIncomeTypeById(newId, organizationId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Tipo de ingreso creado exitosamente',
@@ -193,6 +208,14 @@ export async function updateIncomeType(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_type',
+      entityId: id,
+      action: 'update',
+      before: existingType,
+      after: await IncomeTypeModel.getIncomeTypeById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Tipo de ingreso actualizado exitosamente'
@@ -225,6 +248,7 @@ export async function deleteIncomeType(req, res) {
       });
     }
 
+    const existingType = await IncomeTypeModel.getIncomeTypeById(id, organizationId);
     const affectedRows = await IncomeTypeModel.deleteIncomeType(id, organizationId);
 
     if (affectedRows === 0) {
@@ -234,6 +258,13 @@ export async function deleteIncomeType(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_type',
+      entityId: id,
+      action: 'delete',
+      before: existingType
+    });
+
     res.json({
       success: true,
       message: 'Tipo de ingreso eliminado exitosamente'
@@ -305,6 +336,13 @@ export async function createCategory(req, res) {
 
     const newId = await IncomeCategoryModel.createCategory(categoryData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_category',
+      entityId: newId,
+      action: 'create',
+      after: await IncomeCategoryModel.getCategoryById(newId, organizationId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Categoría creada exitosamente',
@@ -357,6 +395,14 @@ export async function updateCategory(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_category',
+      entityId: id,
+      action: 'update',
+      before: category,
+      after: await IncomeCategoryModel.getCategoryById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Categoría actualizada exitosamente'
@@ -380,6 +426,7 @@ export async function deleteCategory(req, res) {
     const { id } = req.params;
     const organizationId = req.user?.organization_id || req.query.organization_id;
 
+    const category = await IncomeCategoryModel.getCategoryById(id, organizationId);
     const affectedRows = await IncomeCategoryModel.deleteCategory(id, organizationId);
 
     if (affectedRows === 0) {
@@ -389,6 +436,13 @@ export async function deleteCategory(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_category',
+      entityId: id,
+      action: 'delete',
+      before: category
+    });
+
     res.json({
       success: true,
       message: 'Categoría eliminada exitosamente'
@@ -452,14 +506,32 @@ export async function createStatus(req, res) {
       });
     }
 
+    // Campos obligatorios al entrar al estado
+    const requiredFields = normalizeRequiredFields('income', req.body.required_fields);
+    if (requiredFields.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: requiredFields.errors
+      });
+    }
+
     const statusData = {
       ...req.body,
+      required_fields: requiredFields.fields,
       income_type_id: typeId,
       organization_id: organizationId
     };
 
     const newId = await IncomeStatusModel.createStatus(statusData);
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_status',
+      entityId: newId,
+      action: 'create',
+      after: await IncomeStatusModel.getStatusById(newId, organizationId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Estado creado exitosamente',
@@ -503,7 +575,19 @@ export async function updateStatus(req, res) {
       }
     }
 
-    const affectedRows = await IncomeStatusModel.updateStatus(id, organizationId, req.body);
+    const requiredFields = normalizeRequiredFields('income', req.body.required_fields);
+    if (requiredFields.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: requiredFields.errors
+      });
+    }
+
+    const affectedRows = await IncomeStatusModel.updateStatus(id, organizationId, {
+      ...req.body,
+      required_fields: requiredFields.fields
+    });
 
     if (affectedRows === 0) {
       return res.status(404).json({
@@ -512,6 +596,14 @@ export async function updateStatus(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_status',
+      entityId: id,
+      action: 'update',
+      before: status,
+      after: await IncomeStatusModel.getStatusById(id, organizationId)
+    });
+
     res.json({
       success: true,
       message: 'Estado actualizado exitosamente'
@@ -544,6 +636,7 @@ export async function deleteStatus(req, res) {
       });
     }
 
+    const status = await IncomeStatusModel.getStatusById(id, organizationId);
     const affectedRows = await IncomeStatusModel.deleteStatus(id, organizationId);
 
     if (affectedRows === 0) {
@@ -553,6 +646,13 @@ export async function deleteStatus(req, res) {
       });
     }
 
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_status',
+      entityId: id,
+      action: 'delete',
+      before: status
+    });
+
     res.json({
       success: true,
       message: 'Estado eliminado exitosamente'
@@ -566,3 +666,105 @@ export async function deleteStatus(req, res) {
     });
   }
 }
+
+// ============================================
+// STATUS TRANSITIONS - Transiciones permitidas por tipo
+// ============================================
+
+/**
+ * GET /api/income-types/:typeId/status-transitions
+ * Obtener el grafo de transiciones del tipo y los campos obligatorios de cada estado
+ */
+export async function getStatusTransitions(req, res) {
+  try {
+    const { typeId } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const [transitions, statuses] = await Promise.all([
+      StatusTransitionModel.getTransitionsByType('income', typeId, organizationId),
+      IncomeStatusModel.getStatusesByType(typeId, organizationId, true)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        // Sin transiciones definidas el tipo no restringe los cambios de estado
+        restricted: transitions.length > 0,
+        transitions,
+        statuses: statuses.map(status => ({
+          id: status.id,
+          name: status.name,
+          color: status.color,
+          is_final: status.is_final,
+          required_fields: parseRequiredFields(status.required_fields)
+        })),
+        available_required_fields: STATUS_REQUIRED_FIELDS.income
+      }
+    });
+  } catch (error) {
+    console.error('Error getting status transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener transiciones de estado',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/income-types/:typeId/status-transitions
+ * Reemplazar el grafo de transiciones del tipo
+ * Body: transitions [{ from_status_id (null = estado inicial), to_status_id }]; lista vacía = sin restricciones
+ */
+export async function updateStatusTransitions(req, res) {
+  try {
+    const { typeId } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const incomeType = await IncomeTypeModel.getIncomeTypeById(typeId, organizationId);
+    if (!incomeType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de ingreso no encontrado'
+      });
+    }
+
+    const { errors, transitions } = await validateTransitionsInput('income', typeId, organizationId, req.body.transitions);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const previous = await StatusTransitionModel.getTransitionsByType('income', typeId, organizationId);
+    await StatusTransitionModel.replaceTransitions('income', typeId, organizationId, transitions, req.user?.id);
+    const saved = await StatusTransitionModel.getTransitionsByType('income', typeId, organizationId);
+
+    // El grafo se audita como un cambio del tipo
+    const describe = (rows) => rows.map(row => `${row.from_status_name || '(inicio)'} → ${row.to_status_name}`);
+    await recordAudit(getAuditContext(req), {
+      entityType: 'income_type',
+      entityId: typeId,
+      action: 'update',
+      before: { name: incomeType.name, status_transitions: describe(previous) },
+      after: { name: incomeType.name, status_transitions: describe(saved) }
+    });
+
+    res.json({
+      success: true,
+      message: transitions.length > 0
+        ? `Se guardaron ${transitions.length} transiciones`
+        : 'Transiciones eliminadas: el tipo no restringe cambios de estado',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Error updating status transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al guardar transiciones de estado',
+      error: error.message
+    });
+  }
+}
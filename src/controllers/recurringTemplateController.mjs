@@ -0,0 +1,635 @@
+// src/controllers/recurringTemplateController.mjs
+// Plantillas recurrentes de egresos/ingresos: regla, vista previa y excepciones por ocurrencia
+
+import * as RecurringTemplateModel from '../models/recurringTemplateModel.mjs';
+import {
+  RECURRING_TARGETS,
+  validateRecurrenceRule,
+  validateTemplatePayload,
+  getNextOccurrenceDate,
+  isScheduledDate,
+  isValidDateString,
+  previewOccurrences,
+  generateOccurrence,
+  processTemplate,
+  runDueTemplates,
+  today
+} from '../services/recurringTemplateService.mjs';
+
+const RULE_FIELDS = [
+  'frequency',
+  'interval_count',
+  'day_of_month',
+  'day_of_week',
+  'payment_due_days',
+  'start_date',
+  'end_date',
+  'max_occurrences'
+];
+
+const EDITABLE_STATUSES = ['active', 'paused'];
+
+const MAX_PREVIEW_COUNT = 60;
+
+/**
+ * Validar nombre, regla y datos de la plantilla (los datos pasan por la validación del destino)
+ */
+async function validateTemplate(template) {
+  const errors = [];
+
+  if (!template.name || !String(template.name).trim()) {
+    errors.push({ field: 'name', message: 'El nombre de la plantilla es requerido' });
+  }
+
+  if (!template.template_data || typeof template.template_data !== 'object' || Array.isArray(template.template_data)) {
+    errors.push({ field: 'template_data', message: 'Los datos de la plantilla son requeridos' });
+  }
+
+  errors.push(...validateRecurrenceRule(template));
+
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings: [] };
+  }
+
+  const firstDate = getNextOccurrenceDate(template);
+  if (!firstDate) {
+    return {
+      valid: false,
+      errors: [{ field: 'start_date', message: 'La regla no genera ninguna ocurrencia' }],
+      warnings: []
+    };
+  }
+
+  const validation = await validateTemplatePayload(template, firstDate);
+  return { valid: validation.valid, errors: validation.errors, warnings: validation.warnings };
+}
+
+/**
+ * Obtener plantilla o responder 404
+ */
+async function findTemplate(req, res) {
+  const organizationId = req.user?.organization_id || req.query.organization_id;
+  const template = await RecurringTemplateModel.getTemplateById(req.params.id, organizationId);
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Plantilla recurrente no encontrada'
+    });
+    return null;
+  }
+
+  return template;
+}
+
+/**
+ * Validar que :date sea una fecha de la regla
+ */
+function validateOccurrenceDate(template, date, res) {
+  if (!isValidDateString(date) || !isScheduledDate(template, date)) {
+    res.status(400).json({
+      success: false,
+      message: 'La fecha no corresponde a una ocurrencia de la plantilla'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/recurring-templates
+ * Listar plantillas de la organización (filtros: target, status)
+ */
+export async function getAllTemplates(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { target, status } = req.query;
+
+    const templates = await RecurringTemplateModel.getAllTemplates(organizationId, { target, status });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching recurring templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener plantillas recurrentes',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/recurring-templates/:id
+ * Obtener una plantilla con sus próximas ocurrencias
+ */
+export async function getTemplateById(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const upcoming = await previewOccurrences(template, { count: 6 });
+
+    res.json({
+      success: true,
+      data: { ...template, upcoming_occurrences: upcoming }
+    });
+  } catch (error) {
+    console.error('Error fetching recurring template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener plantilla recurrente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/recurring-templates
+ * Crear una plantilla: target, name, template_data y regla de recurrencia
+ */
+export async function createTemplate(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+    const userId = req.user?.id;
+    const { target } = req.body;
+
+    if (!RECURRING_TARGETS[target]) {
+      return res.status(400).json({
+        success: false,
+        message: 'El destino debe ser: expense o income'
+      });
+    }
+
+    const template = {
+      organization_id: organizationId,
+      target,
+      name: req.body.name,
+      description: req.body.description,
+      template_data: req.body.template_data
+    };
+    for (const field of RULE_FIELDS) {
+      template[field] = req.body[field] ?? null;
+    }
+    template.frequency = template.frequency || 'monthly';
+    template.interval_count = template.interval_count || 1;
+
+    const validation = await validateTemplate(template);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+
+    const newId = await RecurringTemplateModel.createTemplate({
+      ...template,
+      next_occurrence_date: getNextOccurrenceDate(template),
+      created_by: userId
+    });
+
+    const created = await RecurringTemplateModel.getTemplateById(newId, organizationId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plantilla recurrente creada exitosamente',
+      data: created,
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error creating recurring template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear plantilla recurrente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/recurring-templates/:id
+ * Actualizar datos y regla; aplica a las ocurrencias aún no generadas
+ */
+export async function updateTemplate(req, res) {
+  try {
+    const existing = await findTemplate(req, res);
+    if (!existing) return;
+
+    if (existing.status === 'finished' && !RULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La plantilla está finalizada. Extienda la regla (end_date o max_occurrences) para reactivarla'
+      });
+    }
+
+    const merged = { ...existing };
+    for (const field of ['name', 'description', 'template_data', ...RULE_FIELDS]) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+
+    const validation = await validateTemplate(merged);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+
+    // La próxima fecha se recalcula a partir de la última ocurrencia ya procesada
+    const lastProcessed = await RecurringTemplateModel.getLastProcessedDate(existing.id);
+    const nextDate = getNextOccurrenceDate(merged, lastProcessed);
+
+    let status = existing.status;
+    if (!nextDate) status = 'finished';
+    else if (existing.status === 'finished') status = 'active';
+
+    await RecurringTemplateModel.updateTemplate(existing.id, existing.organization_id, {
+      ...merged,
+      next_occurrence_date: nextDate,
+      status,
+      updated_by: req.user?.id
+    });
+
+    const updated = await RecurringTemplateModel.getTemplateById(existing.id, existing.organization_id);
+
+    res.json({
+      success: true,
+      message: 'Plantilla recurrente actualizada exitosamente',
+      data: updated,
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error updating recurring template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar plantilla recurrente',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PATCH /api/recurring-templates/:id/status
+ * Pausar o reactivar la generación (body: status = active | paused)
+ */
+export async function updateTemplateStatus(req, res) {
+  try {
+    const existing = await findTemplate(req, res);
+    if (!existing) return;
+
+    const { status } = req.body;
+
+    if (!EDITABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estado inválido. Debe ser: active o paused'
+      });
+    }
+
+    if (existing.status === 'finished') {
+      return res.status(400).json({
+        success: false,
+        message: 'La plantilla está finalizada y no tiene ocurrencias pendientes'
+      });
+    }
+
+    await RecurringTemplateModel.updateTemplate(existing.id, existing.organization_id, {
+      status,
+      updated_by: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      message: status === 'paused' ? 'Plantilla pausada' : 'Plantilla reactivada'
+    });
+  } catch (error) {
+    console.error('Error updating recurring template status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar estado de la plantilla',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/recurring-templates/:id/occurrences
+ * Vista previa de ocurrencias con el registro que se generaría (query: from, count)
+ */
+export async function getOccurrences(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const from = req.query.from || today();
+    const count = Math.min(parseInt(req.query.count) || 12, MAX_PREVIEW_COUNT);
+
+    if (!isValidDateString(from)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El parámetro from debe tener formato YYYY-MM-DD'
+      });
+    }
+
+    const occurrences = await previewOccurrences(template, { from, count });
+
+    res.json({
+      success: true,
+      data: occurrences
+    });
+  } catch (error) {
+    console.error('Error previewing recurring occurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener ocurrencias',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/recurring-templates/:id/occurrences/:date
+ * Editar una ocurrencia puntual (body: campos a reemplazar solo en esa fecha)
+ */
+export async function updateOccurrence(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (!validateOccurrenceDate(template, date, res)) return;
+
+    const existing = await RecurringTemplateModel.getOccurrence(template.id, template.organization_id, date);
+    if (existing?.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia se está generando en este momento'
+      });
+    }
+
+    if (existing?.status === 'generated') {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia ya fue generada. Edite el registro directamente',
+        data: { record_id: existing.record_id }
+      });
+    }
+
+    const overrides = { ...(existing?.overrides || {}), ...req.body };
+    const validation = await validateTemplatePayload(template, date, overrides);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+
+    await RecurringTemplateModel.upsertOccurrence({
+      template_id: template.id,
+      organization_id: template.organization_id,
+      scheduled_date: date,
+      status: 'pending',
+      overrides,
+      user_id: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Ocurrencia actualizada',
+      data: { scheduled_date: date, overrides, data: validation.payload },
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error updating recurring occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar ocurrencia',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/recurring-templates/:id/occurrences/:date/skip
+ * Omitir una ocurrencia (no se generará)
+ */
+export async function skipOccurrence(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (!validateOccurrenceDate(template, date, res)) return;
+
+    const existing = await RecurringTemplateModel.getOccurrence(template.id, template.organization_id, date);
+    if (existing?.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia se está generando en este momento'
+      });
+    }
+
+    if (existing?.status === 'generated') {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia ya fue generada. Elimine o anule el registro directamente',
+        data: { record_id: existing.record_id }
+      });
+    }
+
+    await RecurringTemplateModel.upsertOccurrence({
+      template_id: template.id,
+      organization_id: template.organization_id,
+      scheduled_date: date,
+      status: 'skipped',
+      overrides: existing?.overrides || null,
+      user_id: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Ocurrencia omitida'
+    });
+  } catch (error) {
+    console.error('Error skipping recurring occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al omitir ocurrencia',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/recurring-templates/:id/occurrences/:date
+ * Quitar la omisión o edición de una ocurrencia (vuelve a la regla de la plantilla)
+ */
+export async function restoreOccurrence(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (!validateOccurrenceDate(template, date, res)) return;
+
+    const affectedRows = await RecurringTemplateModel.deleteOccurrence(template.id, template.organization_id, date);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'La ocurrencia no tiene cambios que restaurar o ya fue generada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ocurrencia restaurada'
+    });
+  } catch (error) {
+    console.error('Error restoring recurring occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restaurar ocurrencia',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/recurring-templates/:id/occurrences/:date/generate
+ * Generar ahora una ocurrencia (adelantar una futura o reintentar una fallida)
+ */
+export async function generateOccurrenceNow(req, res) {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (!validateOccurrenceDate(template, date, res)) return;
+
+    const existing = await RecurringTemplateModel.getOccurrence(template.id, template.organization_id, date);
+    if (existing?.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia está omitida. Restáurela antes de generarla'
+      });
+    }
+
+    const result = await generateOccurrence(template, date, { userId: req.user?.id });
+
+    if (result.in_progress) {
+      return res.status(409).json({
+        success: false,
+        message: 'La ocurrencia se está generando en este momento'
+      });
+    }
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: result.errors,
+        warnings: result.warnings
+      });
+    }
+
+    if (!result.already_generated) {
+      // Si era la próxima pendiente, la plantilla avanza; las futuras generadas se saltan al procesar
+      const advances = date === template.next_occurrence_date;
+      const nextDate = advances ? getNextOccurrenceDate(template, date) : template.next_occurrence_date;
+
+      await RecurringTemplateModel.updateTemplateProgress(template.id, {
+        next_occurrence_date: nextDate,
+        status: advances && !nextDate ? 'finished' : template.status,
+        generated: 1,
+        last_error: template.last_error
+      });
+    }
+
+    res.status(result.already_generated ? 200 : 201).json({
+      success: true,
+      message: result.already_generated ? 'La ocurrencia ya estaba generada' : 'Ocurrencia generada exitosamente',
+      data: { record_id: result.record_id, target: template.target },
+      warnings: result.warnings.length > 0 ? result.warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error generating recurring occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar ocurrencia',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/recurring-templates/run
+ * Procesar ahora las ocurrencias vencidas de la organización (o de una plantilla con body.template_id)
+ */
+export async function runTemplates(req, res) {
+  try {
+    // Siempre acotado a la organización del usuario (sin ella se procesarían todos los tenants)
+    const organizationId = req.user?.organization_id;
+    if (!organizationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere una organización'
+      });
+    }
+
+    const { template_id } = req.body;
+
+    // Transacciones disponibles en el plan del usuario (trackUsage)
+    const remaining = res.locals.usageInfo?.remaining;
+    const maxGenerations = typeof remaining === 'number' ? remaining : Infinity;
+
+    if (template_id) {
+      const template = await RecurringTemplateModel.getTemplateById(template_id, organizationId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plantilla recurrente no encontrada'
+        });
+      }
+
+      if (template.status !== 'active' || !template.next_occurrence_date || template.next_occurrence_date > today()) {
+        return res.json({
+          success: true,
+          message: 'La plantilla no tiene ocurrencias vencidas',
+          data: { template_id: template.id, generated: 0, skipped: 0, failed: 0 }
+        });
+      }
+
+      const result = await processTemplate(template, today(), { maxGenerations });
+      res.locals.generatedCount = result.generated;
+      return res.json({
+        success: true,
+        data: result
+      });
+    }
+
+    const summary = await runDueTemplates({ organizationId, maxGenerations });
+    res.locals.generatedCount = summary.generated;
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error running recurring templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al procesar plantillas recurrentes',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,428 @@
+// src/controllers/supplierController.mjs
+// Controlador para proveedores y su historial de egresos
+
+import * as SupplierModel from '../models/supplierModel.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import { validateRut, normalizeRut } from '../utils/rutUtils.mjs';
+
+/**
+ * Validar datos obligatorios de un proveedor
+ */
+function validateSupplierData(data, { checkTaxId = true } = {}) {
+  const errors = [];
+
+  if (checkTaxId) {
+    const rutCheck = validateRut(data.tax_id);
+    if (!rutCheck.valid) {
+      errors.push({ field: 'tax_id', message: rutCheck.message });
+    }
+  }
+
+  if (!data.legal_name || !String(data.legal_name).trim()) {
+    errors.push({ field: 'legal_name', message: 'La razón social es requerida' });
+  }
+
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push({ field: 'email', message: 'El email no es válido' });
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/suppliers
+ * Obtener proveedores (búsqueda por RUT o nombre)
+ */
+export async function getAllSuppliers(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const filters = {
+      organization_id: organizationId,
+      search: req.query.search,
+      tax_id: req.query.tax_id,
+      active: req.query.active,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [suppliers, total] = await Promise.all([
+      SupplierModel.getAllSuppliers(filters),
+      SupplierModel.countSuppliers(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting suppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener proveedores',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/suppliers/totals
+ * Ranking de proveedores por monto de egresos
+ */
+export async function getTotalsBySupplier(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { date_from, date_to } = req.query;
+
+    const rows = await SupplierModel.getTotalsBySupplier(organizationId, {
+      date_from,
+      date_to,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: rows.map(row => ({
+        supplier_id: row.supplier_id,
+        tax_id: row.tax_id,
+        legal_name: row.legal_name,
+        total_amount: parseFloat(row.total_amount) || 0,
+        count: parseInt(row.count) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting supplier totals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener totales por proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/suppliers/:id
+ * Obtener un proveedor por ID
+ */
+export async function getSupplierById(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const supplier = await SupplierModel.getSupplierById(id, organizationId);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Error getting supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/suppliers/:id/summary
+ * Totales del proveedor: comprometido, pagado, saldo pendiente y evolución mensual
+ */
+export async function getSupplierSummary(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const { date_from, date_to } = req.query;
+
+    const supplier = await SupplierModel.getSupplierById(id, organizationId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const [totals, monthly] = await Promise.all([
+      SupplierModel.getSupplierTotals(id, organizationId, { date_from, date_to }),
+      SupplierModel.getSupplierMonthlyTotals(id, organizationId, { date_from, date_to })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        supplier,
+        totals: {
+          count: parseInt(totals.count) || 0,
+          total_amount: parseFloat(totals.total_amount) || 0,
+          total_due: parseFloat(totals.total_due) || 0,
+          paid_amount: parseFloat(totals.paid_amount) || 0,
+          outstanding_amount: parseFloat(totals.outstanding_amount) || 0,
+          first_expense_date: totals.first_expense_date,
+          last_expense_date: totals.last_expense_date
+        },
+        monthly: monthly.map(row => ({
+          period_label: row.period_label,
+          total_amount: parseFloat(row.total_amount) || 0,
+          count: parseInt(row.count) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting supplier summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener resumen del proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/suppliers/:id/expenses
+ * Historial de egresos del proveedor (paginado)
+ */
+export async function getSupplierExpenses(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const supplier = await SupplierModel.getSupplierById(id, organizationId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const filters = {
+      organization_id: organizationId,
+      supplier_id: id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      payment_status: req.query.payment_status,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const [expenses, total] = await Promise.all([
+      ExpenseDataModel.getAllExpenses(filters),
+      ExpenseDataModel.countExpenses(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: expenses,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        hasMore: (filters.offset + filters.limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting supplier expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener egresos del proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/suppliers
+ * Crear un proveedor
+ */
+export async function createSupplier(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    if (!organizationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario debe pertenecer a una organización para crear proveedores'
+      });
+    }
+
+    const errors = validateSupplierData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const existing = await SupplierModel.getSupplierByTaxId(req.body.tax_id, organizationId);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un proveedor con ese RUT',
+        data: { id: existing.id }
+      });
+    }
+
+    const newId = await SupplierModel.createSupplier({
+      ...req.body,
+      tax_id: normalizeRut(req.body.tax_id),
+      legal_name: String(req.body.legal_name).trim(),
+      organization_id: organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor creado exitosamente',
+      data: { id: newId }
+    });
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PUT /api/suppliers/:id
+ * Actualizar un proveedor
+ */
+export async function updateSupplier(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const supplier = await SupplierModel.getSupplierById(id, organizationId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const supplierData = {
+      tax_id: supplier.tax_id,
+      legal_name: supplier.legal_name,
+      commercial_name: supplier.commercial_name,
+      address: supplier.address,
+      phone: supplier.phone,
+      email: supplier.email,
+      active: supplier.active,
+      ...req.body
+    };
+
+    // Registros antiguos pueden tener un RUT inválido: solo se exige al modificarlo
+    const errors = validateSupplierData(supplierData, { checkTaxId: req.body.tax_id !== undefined });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const duplicate = await SupplierModel.getSupplierByTaxId(supplierData.tax_id, organizationId, id);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe otro proveedor con ese RUT'
+      });
+    }
+
+    await SupplierModel.updateSupplier(id, organizationId, {
+      ...supplierData,
+      tax_id: req.body.tax_id !== undefined ? normalizeRut(supplierData.tax_id) : supplier.tax_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Proveedor actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/suppliers/:id
+ * Desactivar un proveedor (soft delete, conserva su historial)
+ */
+export async function deactivateSupplier(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+
+    const affectedRows = await SupplierModel.setSupplierActive(id, organizationId, false);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Proveedor desactivado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error deactivating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al desactivar proveedor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * PATCH /api/suppliers/:id/activate
+ * Reactivar un proveedor
+ */
+export async function activateSupplier(req, res) {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user?.organization_id || req.body.organization_id;
+
+    const affectedRows = await SupplierModel.setSupplierActive(id, organizationId, true);
+
+    if (affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Proveedor activado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error activating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al activar proveedor',
+      error: error.message
+    });
+  }
+}
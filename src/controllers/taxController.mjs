@@ -0,0 +1,166 @@
+// src/controllers/taxController.mjs
+// Controlador de IVA: tasas vigentes, desglose de documentos y resumen mensual para el F29
+
+import { generateTaxSummary, isValidPeriod } from '../services/taxSummaryService.mjs';
+import { normalizeCurrency } from '../utils/currencyUtils.mjs';
+import {
+  IVA_RATE,
+  TAX_TREATMENTS,
+  applyTaxBreakdown,
+  getHonorariosRetentionRate
+} from '../utils/taxUtils.mjs';
+
+function currentPeriod() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * GET /api/taxes/rates
+ * Tasa de IVA y de retención de honorarios vigentes a una fecha (query: date)
+ */
+export async function getTaxRates(req, res) {
+  try {
+    const date = req.query.date || new Date();
+
+    if (req.query.date && isNaN(new Date(req.query.date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fecha inválida (YYYY-MM-DD)'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        vat_rate: IVA_RATE,
+        fees_withholding_rate: getHonorariosRetentionRate(date),
+        tax_treatments: TAX_TREATMENTS
+      }
+    });
+  } catch (error) {
+    console.error('Error getting tax rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener tasas de impuestos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/taxes/breakdown
+ * Calcular neto / IVA / total / retención de un documento sin guardarlo
+ * Body: tax_treatment, amount, net_amount, tax_amount, total_amount, withholding_amount, currency, date
+ */
+export async function previewTaxBreakdown(req, res) {
+  try {
+    const { tax_treatment, amount, net_amount, tax_amount, total_amount, withholding_amount, date } = req.body;
+    const data = {
+      tax_treatment: tax_treatment || 'afecto',
+      amount,
+      net_amount,
+      tax_amount,
+      total_amount,
+      withholding_amount,
+      date,
+      currency: normalizeCurrency(req.body.currency) || 'CLP'
+    };
+
+    const { errors, warnings } = applyTaxBreakdown(data);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors,
+        warnings
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tax_treatment: data.tax_treatment,
+        currency: data.currency,
+        amount: data.amount ?? null,
+        net_amount: data.net_amount ?? null,
+        tax_amount: data.tax_amount ?? null,
+        total_amount: data.total_amount ?? null,
+        withholding_amount: data.withholding_amount ?? null
+      },
+      warnings: warnings.length > 0 ? warnings : undefined
+    });
+  } catch (error) {
+    console.error('Error previewing tax breakdown:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al calcular desglose de impuestos',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/taxes/summary
+ * Resumen mensual de IVA débito/crédito fiscal, retenciones y PPM (cifras para el F29)
+ * Query: period_from, period_to (YYYY-MM, por defecto el mes actual), opening_credit, ppm_rate, cost_center_id
+ */
+export async function getTaxSummary(req, res) {
+  try {
+    const organizationId = req.user?.organization_id || req.query.organization_id;
+    const periodTo = req.query.period_to || req.query.period_from || currentPeriod();
+    const periodFrom = req.query.period_from || periodTo;
+
+    if (!isValidPeriod(periodFrom) || !isValidPeriod(periodTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período inválido (YYYY-MM)'
+      });
+    }
+
+    const openingCredit = req.query.opening_credit !== undefined ? parseFloat(req.query.opening_credit) : 0;
+    const ppmRate = req.query.ppm_rate !== undefined ? parseFloat(req.query.ppm_rate) : 0;
+
+    if (isNaN(openingCredit) || openingCredit < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El remanente inicial debe ser un número mayor o igual a 0'
+      });
+    }
+
+    if (isNaN(ppmRate) || ppmRate < 0 || ppmRate > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'La tasa de PPM debe estar entre 0 y 100'
+      });
+    }
+
+    const result = await generateTaxSummary(organizationId, {
+      periodFrom,
+      periodTo,
+      openingCredit,
+      ppmRate,
+      costCenterId: req.query.cost_center_id || null
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.summary
+    });
+  } catch (error) {
+    console.error('Error getting tax summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar resumen de IVA',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,108 @@
+// src/middleware/attachmentUploadMiddleware.mjs
+import multer from 'multer';
+import path from 'path';
+
+const ALLOWED_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_FILES = 10;
+
+/**
+ * Configuración de multer para documentos adjuntos (PDF/JPG/PNG)
+ * El contenido se vuelve a validar por firma en attachmentService.
+ */
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+
+  limits: {
+    fileSize: 15 * 1024 * 1024, // 15MB máximo por archivo
+    files: MAX_FILES
+  },
+
+  fileFilter: (req, file, cb) => {
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    if (!ALLOWED_EXTENSIONS.includes(fileExtension) || !ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      console.warn('❌ Adjunto rechazado - Tipo no soportado:', file.mimetype, fileExtension);
+      return cb(new Error('Solo se permiten adjuntos PDF, JPG o PNG'), false);
+    }
+
+    cb(null, true);
+  }
+});
+
+/**
+ * Middleware para manejar errores de multer
+ */
+export const handleAttachmentUploadErrors = (error, req, res, next) => {
+  console.error('❌ Error en upload de adjuntos:', error);
+
+  if (error instanceof multer.MulterError) {
+    switch (error.code) {
+      case 'LIMIT_FILE_SIZE':
+        return res.status(413).json({
+          success: false,
+          message: 'Archivo demasiado grande. Máximo 15MB por archivo',
+          error_code: 'FILE_TOO_LARGE'
+        });
+
+      case 'LIMIT_FILE_COUNT':
+        return res.status(400).json({
+          success: false,
+          message: `Demasiados archivos. Máximo ${MAX_FILES} por carga`,
+          error_code: 'TOO_MANY_FILES'
+        });
+
+      case 'LIMIT_UNEXPECTED_FILE':
+        return res.status(400).json({
+          success: false,
+          message: 'Campo de archivo inesperado. Use "files"',
+          error_code: 'UNEXPECTED_FIELD'
+        });
+
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Error en carga de archivo',
+          error_code: 'UPLOAD_ERROR',
+          details: error.message
+        });
+    }
+  }
+
+  if (error.message.includes('adjuntos PDF')) {
+    return res.status(415).json({
+      success: false,
+      message: error.message,
+      error_code: 'INVALID_FILE_TYPE'
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Middleware para carga de adjuntos (uno o varios)
+ * Campo esperado: 'files'
+ */
+export const uploadAttachments = attachmentUpload.array('files', MAX_FILES);
+
+/**
+ * Middleware para validar que se recibió al menos un archivo
+ */
+export const validateAttachmentsPresence = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No se recibieron archivos. Envíe los documentos PDF, JPG o PNG en el campo "files"',
+      error_code: 'NO_FILE_RECEIVED'
+    });
+  }
+
+  next();
+};
+
+export default {
+  uploadAttachments,
+  handleAttachmentUploadErrors,
+  validateAttachmentsPresence
+};
@@ -1,37 +1,39 @@
 // src/middleware/costControlMiddleware.mjs
-// 🛡️ MIDDLEWARE DE CONTROL DE COSTOS - IMPLEMENTACIÓN COMPLETA
-
-const DAILY_COST_LIMITS = {
-  development: 5.0,   // $5 USD por día en desarrollo
-  production: 20.0    // $20 USD por día en producción
-};
-
-const HOURLY_ANALYSIS_LIMITS = {
-  development: 10,     // 10 análisis por hora en desarrollo
-  production: 30       // 30 análisis por hora en producción
-};
-
-// Almacenamiento en memoria (en producción considerar Redis)
-const costTracker = {
-  dailyCosts: new Map(),
-  hourlyAnalyses: new Map(),
-  userCosts: new Map() // Por usuario
-};
+// 🛡️ MIDDLEWARE DE CONTROL DE COSTOS - contadores persistentes (aiCostService) y límites por organización
+
+import {
+  buildCostContext,
+  getEffectiveCostLimits,
+  getCurrentUsage,
+  registerAnalysisRequest,
+  recordEstimatedCost,
+  recordAiUsage,
+  getMonthlySpendStatus,
+  cleanupExpiredCounters,
+  getCostEnvironment,
+  getDefaultCostLimits
+} from '../services/aiCostService.mjs';
+import { toUsageList } from '../utils/anthropicUsageUtils.mjs';
 
 /**
  * 🔥 Middleware principal de control de costos
+ * Deja en req.costContext la organización/usuario a imputar y, si hay archivo, req.estimatedCost.
  */
 export const costControlMiddleware = async (req, res, next) => {
   try {
     const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    const currentHour = `${today}-${now.getHours()}`;
-    const environment = process.env.NODE_ENV || 'development';
-    const userId = req.user?.id || 'anonymous';
+    const environment = getCostEnvironment();
+    const costContext = buildCostContext(req);
+    req.costContext = costContext;
+
+    const [limits, usage] = await Promise.all([
+      getEffectiveCostLimits(costContext.organizationId),
+      getCurrentUsage(costContext)
+    ]);
 
-    // 1. Verificar límite diario global
-    const dailyCost = costTracker.dailyCosts.get(today) || 0;
-    const dailyLimit = DAILY_COST_LIMITS[environment];
+    // 1. Verificar límite diario de la organización
+    const dailyCost = usage.daily_cost;
+    const dailyLimit = limits.daily_cost_limit_usd;
 
     if (dailyCost >= dailyLimit) {
       return res.status(429).json({
@@ -46,16 +48,33 @@ export const costControlMiddleware = async (req, res, next) => {
       });
     }
 
-    // 2. Verificar límite horario de análisis
-    const hourlyCount = costTracker.hourlyAnalyses.get(currentHour) || 0;
-    const hourlyLimit = HOURLY_ANALYSIS_LIMITS[environment];
+    // 2. Verificar tope mensual de la organización
+    const monthlyCost = usage.monthly_cost;
+    const monthlyLimit = limits.monthly_cost_limit_usd;
+
+    if (monthlyCost >= monthlyLimit) {
+      return res.status(429).json({
+        success: false,
+        message: `Tope mensual de gasto en IA alcanzado ($${monthlyLimit} USD). Un administrador puede aumentarlo.`,
+        error_code: 'MONTHLY_COST_LIMIT',
+        retry_after: getSecondsUntilNextMonth(),
+        current_cost: monthlyCost,
+        limit: monthlyLimit,
+        next_reset: getNextMonth(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 3. Verificar límite horario de análisis
+    const hourlyCount = usage.hourly_count;
+    const hourlyLimit = limits.hourly_analysis_limit;
 
     if (hourlyCount >= hourlyLimit) {
       return res.status(429).json({
         success: false,
         message: `Límite horario de análisis alcanzado (${hourlyLimit} por hora). Intente en la próxima hora.`,
         error_code: 'HOURLY_ANALYSIS_LIMIT',
-        retry_after: 3600 - (now.getMinutes() * 60 + now.getSeconds()),
+        retry_after: 3600 - (now.getUTCMinutes() * 60 + now.getUTCSeconds()),
         current_count: hourlyCount,
         limit: hourlyLimit,
         next_reset: getNextHour(),
@@ -63,10 +82,9 @@ export const costControlMiddleware = async (req, res, next) => {
       });
     }
 
-    // 3. Verificar límite por usuario (opcional)
-    const userDailyKey = `${userId}-${today}`;
-    const userDailyCost = costTracker.userCosts.get(userDailyKey) || 0;
-    const userDailyLimit = environment === 'development' ? 2.0 : 8.0;
+    // 4. Verificar límite por usuario
+    const userDailyCost = usage.user_daily_cost;
+    const userDailyLimit = limits.user_daily_cost_limit_usd;
 
     if (userDailyCost >= userDailyLimit) {
       return res.status(429).json({
@@ -80,7 +98,8 @@ export const costControlMiddleware = async (req, res, next) => {
       });
     }
 
-    // 4. Estimar costo del análisis actual
+    // 5. Estimar costo del análisis actual (solo para rechazar antes de llamar a la API;
+    //    el gasto que se registra es el real, según tokens)
     if (req.file) {
       const estimatedCost = estimateAnalysisCost(req.file.size);
       
@@ -88,7 +107,7 @@ export const costControlMiddleware = async (req, res, next) => {
       if (dailyCost + estimatedCost > dailyLimit) {
         return res.status(429).json({
           success: false,
-          message: `Análisis excedería límite diario global ($${(dailyCost + estimatedCost).toFixed(2)} > $${dailyLimit})`,
+          message: `Análisis excedería límite diario de la organización ($${(dailyCost + estimatedCost).toFixed(2)} > $${dailyLimit})`,
           error_code: 'WOULD_EXCEED_DAILY_LIMIT',
           current_cost: dailyCost,
           estimated_cost: estimatedCost,
@@ -98,6 +117,18 @@ export const costControlMiddleware = async (req, res, next) => {
         });
       }
 
+      if (monthlyCost + estimatedCost > monthlyLimit) {
+        return res.status(429).json({
+          success: false,
+          message: `Análisis excedería el tope mensual de la organización ($${(monthlyCost + estimatedCost).toFixed(2)} > $${monthlyLimit})`,
+          error_code: 'WOULD_EXCEED_MONTHLY_LIMIT',
+          current_cost: monthlyCost,
+          estimated_cost: estimatedCost,
+          limit: monthlyLimit,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       if (userDailyCost + estimatedCost > userDailyLimit) {
         return res.status(429).json({
           success: false,
@@ -112,16 +143,17 @@ export const costControlMiddleware = async (req, res, next) => {
 
       // Guardar estimación en request para usar después
       req.estimatedCost = estimatedCost;
-      req.userDailyKey = userDailyKey;
     }
 
-    // 5. Incrementar contador horario
-    costTracker.hourlyAnalyses.set(currentHour, hourlyCount + 1);
+    // 6. Incrementar contador horario
+    await registerAnalysisRequest(costContext);
 
-    // 6. Agregar headers informativos
+    // 7. Agregar headers informativos
     res.set({
       'X-Daily-Cost-Used': dailyCost.toFixed(2),
       'X-Daily-Cost-Limit': dailyLimit,
+      'X-Monthly-Cost-Used': monthlyCost.toFixed(2),
+      'X-Monthly-Cost-Limit': monthlyLimit,
       'X-User-Daily-Cost': userDailyCost.toFixed(2),
       'X-User-Daily-Limit': userDailyLimit,
       'X-Hourly-Count': hourlyCount + 1,
@@ -129,7 +161,7 @@ export const costControlMiddleware = async (req, res, next) => {
       'X-Environment': environment
     });
 
-    console.log(`🛡️ Control de costos: Diario $${dailyCost.toFixed(2)}/$${dailyLimit} | Usuario $${userDailyCost.toFixed(2)}/$${userDailyLimit} | Hora ${hourlyCount + 1}/${hourlyLimit}`);
+    console.log(`🛡️ Control de costos: Organización $${dailyCost.toFixed(2)}/$${dailyLimit} (mes $${monthlyCost.toFixed(2)}/$${monthlyLimit}) | Usuario $${userDailyCost.toFixed(2)}/$${userDailyLimit} | Hora ${hourlyCount + 1}/${hourlyLimit}`);
 
     next();
 
@@ -140,22 +172,45 @@ export const costControlMiddleware = async (req, res, next) => {
 };
 
 /**
- * 🔥 Middleware para registrar costos reales después del análisis
+ * 🔥 Registrar un costo en USD (estimado o fijo) a la organización y usuario del contexto
+ * Para llamadas a Claude con tokens conocidos usar recordAiUsage / registerRequestCost.
+ * @param {number} actualCostUsd - Costo en USD
+ * @param {Object} costContext - req.costContext
+ * @param {Object} details - Origen del gasto para el libro: feature, referenceType, referenceId, projectId
  */
-export const registerActualCost = (actualCostUsd, userDailyKey = null) => {
-  const today = new Date().toISOString().split('T')[0];
-  
-  // Registrar costo global
-  const currentCost = costTracker.dailyCosts.get(today) || 0;
-  costTracker.dailyCosts.set(today, currentCost + actualCostUsd);
-  
-  // Registrar costo por usuario si se proporciona la clave
-  if (userDailyKey) {
-    const userCurrentCost = costTracker.userCosts.get(userDailyKey) || 0;
-    costTracker.userCosts.set(userDailyKey, userCurrentCost + actualCostUsd);
+export const registerActualCost = async (actualCostUsd, costContext = null, details = {}) => {
+  if (!costContext) return;
+
+  try {
+    await recordEstimatedCost(costContext, actualCostUsd, details);
+    console.log(`💰 Costo registrado: $${actualCostUsd.toFixed(3)} USD (organización ${costContext.organizationId || '-'})`);
+  } catch (error) {
+    console.error('⚠️ Error registrando costo:', error.message);
+  }
+};
+
+/**
+ * 🔥 Registrar el gasto de una request tras la llamada a Claude
+ * Usa el uso real de tokens que el controlador deja en req.aiUsage; sin él, la estimación previa.
+ * El controlador puede indicar en req.aiUsageReference el registro generado ({ type, id, projectId }).
+ * @param {string} feature - Funcionalidad que generó el gasto (AI_FEATURES de aiCostService)
+ */
+export const registerRequestCost = async (req, feature) => {
+  if (!req.costContext) return;
+
+  const details = {
+    feature,
+    referenceType: req.aiUsageReference?.type,
+    referenceId: req.aiUsageReference?.id,
+    projectId: req.aiUsageReference?.projectId
+  };
+
+  const usage = toUsageList(req.aiUsage);
+  if (usage.length > 0) {
+    await recordAiUsage(req.costContext, usage, details);
+  } else if (req.estimatedCost) {
+    await registerActualCost(req.estimatedCost, req.costContext, details);
   }
-  
-  console.log(`💰 Costo registrado: $${actualCostUsd.toFixed(3)} USD (Total diario: $${(currentCost + actualCostUsd).toFixed(2)})`);
 };
 
 /**
@@ -173,150 +228,152 @@ const estimateAnalysisCost = (fileSizeBytes) => {
 };
 
 /**
- * Calcula segundos hasta medianoche
+ * Calcula segundos hasta medianoche (UTC, cuando cambian los contadores diarios)
  */
 const getSecondsUntilMidnight = () => {
   const now = new Date();
   const midnight = new Date(now);
-  midnight.setHours(24, 0, 0, 0);
+  midnight.setUTCHours(24, 0, 0, 0);
   return Math.floor((midnight - now) / 1000);
 };
 
 /**
- * Obtiene la próxima medianoche
+ * Obtiene la próxima medianoche (UTC)
  */
 const getNextMidnight = () => {
   const midnight = new Date();
-  midnight.setHours(24, 0, 0, 0);
+  midnight.setUTCHours(24, 0, 0, 0);
   return midnight.toISOString();
 };
 
+/**
+ * Calcula segundos hasta el próximo mes (UTC, cuando cambia el contador mensual)
+ */
+const getSecondsUntilNextMonth = () => {
+  const now = new Date();
+  return Math.floor((new Date(getNextMonth()) - now) / 1000);
+};
+
+/**
+ * Obtiene el inicio del próximo mes (UTC)
+ */
+const getNextMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+};
+
 /**
  * Obtiene la próxima hora
  */
 const getNextHour = () => {
   const nextHour = new Date();
-  nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+  nextHour.setUTCHours(nextHour.getUTCHours() + 1, 0, 0, 0);
   return nextHour.toISOString();
 };
 
 /**
- * 🔥 Función para limpiar datos antiguos (ejecutar diariamente)
+ * 🔥 Función para limpiar contadores vencidos (ejecutar periódicamente)
  */
-export const cleanupOldData = () => {
-  const today = new Date().toISOString().split('T')[0];
-
-  // Limpiar costos diarios de hace más de 7 días
-  for (const [date] of costTracker.dailyCosts) {
-    const daysDiff = Math.floor((new Date() - new Date(date)) / (1000 * 60 * 60 * 24));
-    if (daysDiff > 7) {
-      costTracker.dailyCosts.delete(date);
-    }
-  }
-
-  // Limpiar contadores horarios de hace más de 24 horas
-  for (const [hourKey] of costTracker.hourlyAnalyses) {
-    const [date, hour] = hourKey.split('-');
-    const hoursAgo = Math.floor((new Date() - new Date(`${date}T${hour}:00:00`)) / (1000 * 60 * 60));
-    if (hoursAgo > 24) {
-      costTracker.hourlyAnalyses.delete(hourKey);
-    }
-  }
-
-  // Limpiar costos de usuario de hace más de 30 días
-  for (const [userKey] of costTracker.userCosts) {
-    const [userId, date] = userKey.split('-');
-    const daysDiff = Math.floor((new Date() - new Date(date)) / (1000 * 60 * 60 * 24));
-    if (daysDiff > 30) {
-      costTracker.userCosts.delete(userKey);
-    }
+export const cleanupOldData = async () => {
+  try {
+    const removed = await cleanupExpiredCounters();
+    console.log(`🧹 Limpieza de datos de costos completada (${removed} contadores vencidos)`);
+  } catch (error) {
+    console.error('⚠️ Error limpiando datos de costos:', error.message);
   }
-
-  console.log('🧹 Limpieza de datos de costos completada');
 };
 
 /**
- * 🔥 Endpoint para monitoreo de costos
+ * 🔥 Endpoint para monitoreo de costos de la organización y del usuario
  */
-export const getCostStatus = (req, res) => {
-  const today = new Date().toISOString().split('T')[0];
-  const currentHour = `${today}-${new Date().getHours()}`;
-  const environment = process.env.NODE_ENV || 'development';
-  const userId = req.user?.id || 'anonymous';
-  const userDailyKey = `${userId}-${today}`;
-
-  const status = {
-    environment,
-    timestamp: new Date().toISOString(),
-    global_usage: {
-      daily: {
-        date: today,
-        cost_used: costTracker.dailyCosts.get(today) || 0,
-        cost_limit: DAILY_COST_LIMITS[environment],
-        percentage_used: ((costTracker.dailyCosts.get(today) || 0) / DAILY_COST_LIMITS[environment] * 100).toFixed(1),
-        remaining: Math.max(0, DAILY_COST_LIMITS[environment] - (costTracker.dailyCosts.get(today) || 0))
+export const getCostStatus = async (req, res) => {
+  try {
+    const environment = getCostEnvironment();
+    const costContext = buildCostContext(req);
+    const [limits, usage, monthly] = await Promise.all([
+      getEffectiveCostLimits(costContext.organizationId),
+      getCurrentUsage(costContext),
+      getMonthlySpendStatus(costContext.organizationId)
+    ]);
+    const now = new Date().toISOString();
+
+    const percentage = (used, limit) => (limit > 0 ? (used / limit * 100) : 100).toFixed(1);
+
+    const status = {
+      environment,
+      timestamp: now,
+      organization_usage: {
+        organization_id: costContext.organizationId,
+        daily: {
+          date: now.slice(0, 10),
+          cost_used: usage.daily_cost,
+          cost_limit: limits.daily_cost_limit_usd,
+          percentage_used: percentage(usage.daily_cost, limits.daily_cost_limit_usd),
+          remaining: Math.max(0, limits.daily_cost_limit_usd - usage.daily_cost)
+        },
+        hourly: {
+          hour: now.slice(0, 13),
+          analyses_count: usage.hourly_count,
+          analyses_limit: limits.hourly_analysis_limit,
+          percentage_used: percentage(usage.hourly_count, limits.hourly_analysis_limit),
+          remaining: Math.max(0, limits.hourly_analysis_limit - usage.hourly_count)
+        },
+        monthly
       },
-      hourly: {
-        hour: currentHour,
-        analyses_count: costTracker.hourlyAnalyses.get(currentHour) || 0,
-        analyses_limit: HOURLY_ANALYSIS_LIMITS[environment],
-        percentage_used: ((costTracker.hourlyAnalyses.get(currentHour) || 0) / HOURLY_ANALYSIS_LIMITS[environment] * 100).toFixed(1),
-        remaining: Math.max(0, HOURLY_ANALYSIS_LIMITS[environment] - (costTracker.hourlyAnalyses.get(currentHour) || 0))
-      }
-    },
-    user_usage: {
-      user_id: userId,
-      daily_cost: costTracker.userCosts.get(userDailyKey) || 0,
-      daily_limit: environment === 'development' ? 2.0 : 8.0,
-      percentage_used: ((costTracker.userCosts.get(userDailyKey) || 0) / (environment === 'development' ? 2.0 : 8.0) * 100).toFixed(1),
-      remaining: Math.max(0, (environment === 'development' ? 2.0 : 8.0) - (costTracker.userCosts.get(userDailyKey) || 0))
-    },
-    system_health: {
-      is_healthy: true,
-      tracked_days: costTracker.dailyCosts.size,
-      tracked_hours: costTracker.hourlyAnalyses.size,
-      tracked_users: costTracker.userCosts.size,
-      last_cleanup: new Date().toISOString()
-    },
-    limits_info: {
-      daily_cost_limits: DAILY_COST_LIMITS,
-      hourly_analysis_limits: HOURLY_ANALYSIS_LIMITS,
-      user_daily_limits: {
-        development: 2.0,
-        production: 8.0
+      user_usage: {
+        user_id: costContext.userId,
+        daily_cost: usage.user_daily_cost,
+        daily_limit: limits.user_daily_cost_limit_usd,
+        percentage_used: percentage(usage.user_daily_cost, limits.user_daily_cost_limit_usd),
+        remaining: Math.max(0, limits.user_daily_cost_limit_usd - usage.user_daily_cost)
+      },
+      limits_info: {
+        ...limits,
+        defaults: getDefaultCostLimits(),
+        store: process.env.COST_TRACKING_STORE || 'mysql'
       }
-    }
-  };
+    };
 
-  res.json({
-    success: true,
-    data: status,
-    timestamp: new Date().toISOString()
-  });
+    res.json({
+      success: true,
+      data: status,
+      timestamp: now
+    });
+  } catch (error) {
+    console.error('Error obteniendo estado de costos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener estado de costos',
+      error: error.message
+    });
+  }
 };
 
 /**
  * 🔥 Función auxiliar para obtener estadísticas de uso
+ * @param {Object} costContext - { organizationId, userId }
  */
-export const getUsageStats = (userId = null) => {
-  const today = new Date().toISOString().split('T')[0];
-  const currentHour = `${today}-${new Date().getHours()}`;
-  const environment = process.env.NODE_ENV || 'development';
+export const getUsageStats = async (costContext) => {
+  const [limits, usage] = await Promise.all([
+    getEffectiveCostLimits(costContext.organizationId),
+    getCurrentUsage(costContext)
+  ]);
 
   const stats = {
-    global: {
-      daily_cost: costTracker.dailyCosts.get(today) || 0,
-      daily_limit: DAILY_COST_LIMITS[environment],
-      hourly_count: costTracker.hourlyAnalyses.get(currentHour) || 0,
-      hourly_limit: HOURLY_ANALYSIS_LIMITS[environment]
+    organization: {
+      daily_cost: usage.daily_cost,
+      daily_limit: limits.daily_cost_limit_usd,
+      hourly_count: usage.hourly_count,
+      hourly_limit: limits.hourly_analysis_limit,
+      monthly_cost: usage.monthly_cost,
+      monthly_limit: limits.monthly_cost_limit_usd
     }
   };
 
-  if (userId) {
-    const userDailyKey = `${userId}-${today}`;
+  if (costContext.userId) {
     stats.user = {
-      daily_cost: costTracker.userCosts.get(userDailyKey) || 0,
-      daily_limit: environment === 'development' ? 2.0 : 8.0
+      daily_cost: usage.user_daily_cost,
+      daily_limit: limits.user_daily_cost_limit_usd
     };
   }
 
@@ -0,0 +1,99 @@
+// src/middleware/spreadsheetUploadMiddleware.mjs
+import multer from 'multer';
+import path from 'path';
+
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Configuración de multer para planillas (CSV/XLSX) de importación
+ */
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB máximo
+    files: 1
+  },
+
+  // Los navegadores reportan mimetypes distintos para CSV, se valida por extensión
+  fileFilter: (req, file, cb) => {
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    if (!ALLOWED_EXTENSIONS.includes(fileExtension)) {
+      console.warn('❌ Planilla rechazada - Extensión no soportada:', fileExtension);
+      return cb(new Error('Solo se permiten planillas con extensión .csv o .xlsx'), false);
+    }
+
+    cb(null, true);
+  }
+});
+
+/**
+ * Middleware para manejar errores de multer
+ */
+export const handleSpreadsheetUploadErrors = (error, req, res, next) => {
+  console.error('❌ Error en upload de planilla:', error);
+
+  if (error instanceof multer.MulterError) {
+    switch (error.code) {
+      case 'LIMIT_FILE_SIZE':
+        return res.status(413).json({
+          success: false,
+          message: 'Archivo demasiado grande. Máximo 10MB permitido',
+          error_code: 'FILE_TOO_LARGE'
+        });
+
+      case 'LIMIT_UNEXPECTED_FILE':
+        return res.status(400).json({
+          success: false,
+          message: 'Campo de archivo inesperado. Use "file"',
+          error_code: 'UNEXPECTED_FIELD'
+        });
+
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Error en carga de archivo',
+          error_code: 'UPLOAD_ERROR',
+          details: error.message
+        });
+    }
+  }
+
+  if (error.message.includes('.csv')) {
+    return res.status(415).json({
+      success: false,
+      message: error.message,
+      error_code: 'INVALID_FILE_TYPE'
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Middleware para importación de planillas
+ * Campo esperado: 'file'
+ */
+export const uploadSpreadsheet = spreadsheetUpload.single('file');
+
+/**
+ * Middleware para validar que se recibió una planilla
+ */
+export const validateSpreadsheetPresence = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No se recibió la planilla. Envíe el archivo CSV o XLSX en el campo "file"',
+      error_code: 'NO_FILE_RECEIVED'
+    });
+  }
+
+  next();
+};
+
+export default {
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence
+};
@@ -390,9 +390,14 @@ export const trackUsage = (service, metricName, options = {}) => {
       }
 
       // Incrementar métrica después de respuesta exitosa
+      // options.incrementBy puede ser una función (req, res) => cantidad, evaluada al terminar
       res.on('finish', async () => {
         if (res.statusCode < 400) {
-          const incrementBy = options.incrementBy || 1;
+          const incrementBy = typeof options.incrementBy === 'function'
+            ? options.incrementBy(req, res)
+            : options.incrementBy || 1;
+          if (!(incrementBy > 0)) return;
+
           try {
             await incrementMetric(userId, service, metricName, period, incrementBy);
           } catch (error) {
@@ -433,6 +438,99 @@ export const trackUsage = (service, metricName, options = {}) => {
   };
 };
 
+/**
+ * Cantidad disponible de una métrica para el usuario según su tier (fuera de una request,
+ * ej: generación programada)
+ * @returns {Promise<number>} Infinity si el tier es ilimitado o no hay usuario
+ */
+export async function getUsageAllowance(userId, service, metricName) {
+  const config = SERVICE_CONFIGS[service];
+  const metricConfig = config?.metrics[metricName];
+  if (!userId || !metricConfig) return Infinity;
+
+  await resetMetricsIfNeeded(userId, service);
+
+  const userTier = await getUserTier(userId, service);
+  const limit = config.tiers[userTier]?.[metricName];
+  if (limit === undefined || limit === -1) return Infinity;
+
+  const usage = await getUserUsage(userId, service, getPeriodKey(metricConfig.reset));
+  return Math.max(0, limit - (usage[metricName]?.value || 0));
+}
+
+/**
+ * Sumar uso de una métrica fuera de una request
+ */
+export async function recordUsage(userId, service, metricName, incrementBy = 1) {
+  const metricConfig = SERVICE_CONFIGS[service]?.metrics[metricName];
+  if (!userId || !metricConfig || !(incrementBy > 0)) return;
+
+  await incrementMetric(userId, service, metricName, getPeriodKey(metricConfig.reset), incrementBy);
+}
+
+/**
+ * Middleware que exige una feature del tier del usuario
+ *
+ * @param {string} service - 'budget-analyzer' o 'cash-flow'
+ * @param {string|function} feature - Nombre de la feature, o función (req) => feature
+ *                                    para features que dependen de la request (ej: formato)
+ */
+export const requireFeature = (service, feature) => {
+  return async (req, res, next) => {
+    try {
+      const config = SERVICE_CONFIGS[service];
+      if (!config) {
+        console.warn(`⚠️ Servicio no configurado: ${service}`);
+        return next();
+      }
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Autenticación requerida'
+        });
+      }
+
+      const featureName = typeof feature === 'function' ? feature(req) : feature;
+      if (!featureName) {
+        return next();
+      }
+
+      const userTier = await getUserTier(userId, service);
+      const features = config.tiers[userTier]?.features || [];
+
+      if (!features.includes('all') && !features.includes(featureName)) {
+        // Tier más bajo que incluye la feature, para sugerir upgrade
+        const requiredTier = Object.entries(config.tiers).find(([, tier]) =>
+          tier.features.includes(featureName) || tier.features.includes('all')
+        )?.[0];
+
+        return res.status(403).json({
+          success: false,
+          message: `La funcionalidad ${featureName} no está disponible en tu plan ${userTier}`,
+          error_code: 'FEATURE_NOT_AVAILABLE',
+          data: {
+            service,
+            feature: featureName,
+            tier: userTier,
+            required_tier: requiredTier || null,
+            upgrade_available: userTier !== 'enterprise'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      console.error('Error verificando feature del plan:', error);
+      // No bloquear la request en caso de error
+      next();
+    }
+  };
+};
+
 /**
  * Obtener clave de período según tipo de reset
  */
@@ -560,6 +658,7 @@ export const SERVICE_CONFIGS_EXPORT = SERVICE_CONFIGS;
 
 export default {
   trackUsage,
+  requireFeature,
   getUserUsageStats,
   SERVICE_CONFIGS: SERVICE_CONFIGS_EXPORT
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+// src/models/aiCostLimitModel.mjs
+// Modelo para los límites de costo de IA por organización (ai_cost_limits)
+
+import { pool } from '../config/database.mjs';
+
+export const COST_LIMIT_FIELDS = ['daily_cost_limit_usd', 'hourly_analysis_limit', 'user_daily_cost_limit_usd', 'monthly_cost_limit_usd'];
+
+/**
+ * Obtener los límites configurados de una organización
+ * @returns {Promise<Object|null>} Campos en NULL usan el valor por defecto
+ */
+export async function getCostLimits(organizationId) {
+  const [rows] = await pool.query(`
+    SELECT
+      organization_id,
+      daily_cost_limit_usd,
+      hourly_analysis_limit,
+      user_daily_cost_limit_usd,
+      monthly_cost_limit_usd,
+      updated_by,
+      updated_at
+    FROM ai_cost_limits
+    WHERE organization_id = ?
+  `, [organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Crear o actualizar los límites de una organización
+ * @param {Object} limits - daily_cost_limit_usd, hourly_analysis_limit, user_daily_cost_limit_usd,
+ *                          monthly_cost_limit_usd (null = por defecto)
+ */
+export async function upsertCostLimits(organizationId, limits, userId = null) {
+  await pool.query(`
+    INSERT INTO ai_cost_limits (
+      organization_id, daily_cost_limit_usd, hourly_analysis_limit, user_daily_cost_limit_usd,
+      monthly_cost_limit_usd, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      daily_cost_limit_usd = VALUES(daily_cost_limit_usd),
+      hourly_analysis_limit = VALUES(hourly_analysis_limit),
+      user_daily_cost_limit_usd = VALUES(user_daily_cost_limit_usd),
+      monthly_cost_limit_usd = VALUES(monthly_cost_limit_usd),
+      updated_by = VALUES(updated_by)
+  `, [
+    organizationId,
+    limits.daily_cost_limit_usd ?? null,
+    limits.hourly_analysis_limit ?? null,
+    limits.user_daily_cost_limit_usd ?? null,
+    limits.monthly_cost_limit_usd ?? null,
+    userId
+  ]);
+
+  return getCostLimits(organizationId);
+}
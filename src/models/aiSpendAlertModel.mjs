@@ -0,0 +1,65 @@
+// src/models/aiSpendAlertModel.mjs
+// Modelo para las alertas de tope mensual de gasto de IA (ai_spend_alerts)
+
+import { pool } from '../config/database.mjs';
+
+/**
+ * Registrar una alerta si aún no existe para la organización, mes y umbral
+ * @param {Object} alert - organization_id, period, threshold_percent, spend_usd, limit_usd
+ * @returns {Promise<number|null>} ID de la alerta creada, o null si ya se había disparado
+ */
+export async function createSpendAlert(alert) {
+  const [result] = await pool.query(`
+    INSERT IGNORE INTO ai_spend_alerts (
+      organization_id, period, threshold_percent, spend_usd, limit_usd
+    ) VALUES (?, ?, ?, ?, ?)
+  `, [
+    alert.organization_id,
+    alert.period,
+    alert.threshold_percent,
+    alert.spend_usd,
+    alert.limit_usd
+  ]);
+
+  return result.affectedRows === 1 ? result.insertId : null;
+}
+
+/**
+ * Guardar los correos notificados de una alerta
+ */
+export async function setNotifiedEmails(id, emails) {
+  await pool.query(
+    'UPDATE ai_spend_alerts SET notified_emails = ? WHERE id = ?',
+    [JSON.stringify(emails), id]
+  );
+}
+
+/**
+ * Alertas de la organización (más recientes primero)
+ * @param {Object} filters - period (YYYY-MM)
+ */
+export async function getSpendAlerts(organizationId, filters = {}) {
+  let where = 'WHERE organization_id = ?';
+  const params = [organizationId];
+
+  if (filters.period) {
+    where += ' AND period = ?';
+    params.push(filters.period);
+  }
+
+  const [rows] = await pool.query(`
+    SELECT
+      id,
+      period,
+      threshold_percent,
+      spend_usd,
+      limit_usd,
+      notified_emails,
+      created_at
+    FROM ai_spend_alerts
+    ${where}
+    ORDER BY period DESC, threshold_percent DESC
+  `, params);
+
+  return rows;
+}
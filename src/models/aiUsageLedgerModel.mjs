@@ -0,0 +1,205 @@
+// src/models/aiUsageLedgerModel.mjs
+// Modelo para el libro de gasto de IA por organización (ai_usage_ledger)
+
+import { pool } from '../config/database.mjs';
+
+// Agrupaciones permitidas en el reporte (clave -> expresión SQL)
+const REPORT_GROUPS = {
+  feature: 'l.feature',
+  model: 'l.model',
+  user: 'l.user_id',
+  project: 'l.project_id',
+  reference: "CONCAT(l.reference_type, ':', l.reference_id)",
+  day: "DATE_FORMAT(l.created_at, '%Y-%m-%d')",
+  month: "DATE_FORMAT(l.created_at, '%Y-%m')"
+};
+
+export const REPORT_GROUP_BY = Object.keys(REPORT_GROUPS);
+
+/**
+ * Registrar entradas del libro
+ * @param {Array} entries - organization_id, user_id, feature, reference_type, reference_id, project_id,
+ *                          model, input_tokens, output_tokens, cache_creation_input_tokens,
+ *                          cache_read_input_tokens, cost_usd, is_estimated
+ * @returns {Promise<number>} Entradas insertadas
+ */
+export async function createLedgerEntries(entries) {
+  if (entries.length === 0) return 0;
+
+  const [result] = await pool.query(`
+    INSERT INTO ai_usage_ledger (
+      organization_id, user_id, feature, reference_type, reference_id, project_id,
+      model, input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens,
+      cost_usd, is_estimated
+    ) VALUES ?
+  `, [entries.map(entry => [
+    entry.organization_id || null,
+    entry.user_id || null,
+    entry.feature,
+    entry.reference_type || null,
+    entry.reference_id !== undefined && entry.reference_id !== null ? String(entry.reference_id) : null,
+    entry.project_id !== undefined && entry.project_id !== null ? String(entry.project_id) : null,
+    entry.model || null,
+    entry.input_tokens || 0,
+    entry.output_tokens || 0,
+    entry.cache_creation_input_tokens || 0,
+    entry.cache_read_input_tokens || 0,
+    entry.cost_usd || 0,
+    Boolean(entry.is_estimated)
+  ])]);
+
+  return result.affectedRows;
+}
+
+function buildLedgerFilters(organizationId, filters) {
+  const { feature, model, user_id, project_id, reference_type, reference_id, date_from, date_to } = filters;
+
+  let where = 'WHERE l.organization_id = ?';
+  const params = [organizationId];
+
+  if (feature) {
+    where += ' AND l.feature = ?';
+    params.push(feature);
+  }
+
+  if (model) {
+    where += ' AND l.model = ?';
+    params.push(model);
+  }
+
+  if (user_id) {
+    where += ' AND l.user_id = ?';
+    params.push(user_id);
+  }
+
+  if (project_id) {
+    where += ' AND l.project_id = ?';
+    params.push(project_id);
+  }
+
+  if (reference_type) {
+    where += ' AND l.reference_type = ?';
+    params.push(reference_type);
+  }
+
+  if (reference_id) {
+    where += ' AND l.reference_id = ?';
+    params.push(reference_id);
+  }
+
+  if (date_from) {
+    where += ' AND l.created_at >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    where += ' AND l.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+    params.push(date_to);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Listar entradas del libro (más recientes primero)
+ * @param {Object} filters - feature, model, user_id, project_id, reference_type, reference_id,
+ *                           date_from, date_to, limit, offset
+ */
+export async function getLedgerEntries(organizationId, filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildLedgerFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT
+      l.id,
+      l.feature,
+      l.reference_type,
+      l.reference_id,
+      l.project_id,
+      l.model,
+      l.input_tokens,
+      l.output_tokens,
+      l.cache_creation_input_tokens,
+      l.cache_read_input_tokens,
+      l.cost_usd,
+      l.is_estimated,
+      l.user_id,
+      u.name as user_name,
+      l.created_at
+    FROM ai_usage_ledger l
+    LEFT JOIN users u ON l.user_id = u.id
+    ${where}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  return rows;
+}
+
+/**
+ * Contar entradas con los mismos filtros del listado
+ */
+export async function countLedgerEntries(organizationId, filters = {}) {
+  const { where, params } = buildLedgerFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as total
+    FROM ai_usage_ledger l
+    ${where}
+  `, params);
+
+  return rows[0].total;
+}
+
+/**
+ * Totales del libro con los filtros dados
+ */
+export async function getLedgerTotals(organizationId, filters = {}) {
+  const { where, params } = buildLedgerFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT
+      COUNT(*) as calls,
+      COALESCE(SUM(l.input_tokens), 0) as input_tokens,
+      COALESCE(SUM(l.output_tokens), 0) as output_tokens,
+      COALESCE(SUM(l.cost_usd), 0) as cost_usd,
+      COALESCE(SUM(CASE WHEN l.is_estimated THEN l.cost_usd ELSE 0 END), 0) as estimated_cost_usd
+    FROM ai_usage_ledger l
+    ${where}
+  `, params);
+
+  return rows[0];
+}
+
+/**
+ * Gasto agrupado (feature, model, user, project, reference, day, month), de mayor a menor
+ * @param {string} groupBy - Una de REPORT_GROUP_BY
+ */
+export async function getLedgerReport(organizationId, groupBy, filters = {}) {
+  const expression = REPORT_GROUPS[groupBy];
+  if (!expression) {
+    throw new Error(`Agrupación no soportada: ${groupBy}`);
+  }
+
+  const { where, params } = buildLedgerFilters(organizationId, filters);
+  const userName = groupBy === 'user' ? ', MAX(u.name) as user_name' : '';
+  const userJoin = groupBy === 'user' ? 'LEFT JOIN users u ON l.user_id = u.id' : '';
+  const order = groupBy === 'day' || groupBy === 'month' ? 'group_key ASC' : 'cost_usd DESC';
+
+  const [rows] = await pool.query(`
+    SELECT
+      ${expression} as group_key${userName},
+      COUNT(*) as calls,
+      SUM(l.input_tokens) as input_tokens,
+      SUM(l.output_tokens) as output_tokens,
+      SUM(l.cost_usd) as cost_usd,
+      SUM(CASE WHEN l.is_estimated THEN l.cost_usd ELSE 0 END) as estimated_cost_usd
+    FROM ai_usage_ledger l
+    ${userJoin}
+    ${where}
+    GROUP BY group_key
+    ORDER BY ${order}
+  `, params);
+
+  return rows;
+}
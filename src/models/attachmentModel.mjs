@@ -0,0 +1,112 @@
+// src/models/attachmentModel.mjs
+// Modelo para documentos adjuntos de ingresos y egresos
+
+import { pool } from '../config/database.mjs';
+
+const ATTACHMENT_COLUMNS = `
+  a.id,
+  a.organization_id,
+  a.target,
+  a.record_id,
+  a.original_name,
+  a.mime_type,
+  a.size_bytes,
+  a.checksum_sha256,
+  a.storage_backend,
+  a.storage_key,
+  a.thumbnail_key,
+  a.uploaded_by,
+  u.name as uploaded_by_name,
+  a.created_at
+`;
+
+/**
+ * Listar adjuntos de un registro
+ * @param {string} target - 'expense' | 'income'
+ * @param {number} recordId - ID en expenses_data/incomes_data
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getAttachmentsByRecord(target, recordId, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${ATTACHMENT_COLUMNS}
+    FROM attachments a
+    LEFT JOIN users u ON a.uploaded_by = u.id
+    WHERE a.target = ? AND a.record_id = ? AND a.organization_id = ?
+    ORDER BY a.created_at ASC, a.id ASC
+  `, [target, recordId, organizationId]);
+
+  return rows;
+}
+
+/**
+ * Obtener un adjunto de un registro
+ */
+export async function getAttachmentById(id, target, recordId, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${ATTACHMENT_COLUMNS}
+    FROM attachments a
+    LEFT JOIN users u ON a.uploaded_by = u.id
+    WHERE a.id = ? AND a.target = ? AND a.record_id = ? AND a.organization_id = ?
+  `, [id, target, recordId, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Registrar un adjunto ya guardado en el almacenamiento
+ * @param {Object} data - organization_id, target, record_id, original_name, mime_type, size_bytes,
+ *                        checksum_sha256, storage_backend, storage_key, thumbnail_key, uploaded_by
+ * @returns {Promise<number>} ID del adjunto
+ */
+export async function createAttachment(data) {
+  const [result] = await pool.query(`
+    INSERT INTO attachments (
+      organization_id, target, record_id, original_name, mime_type, size_bytes,
+      checksum_sha256, storage_backend, storage_key, thumbnail_key, uploaded_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    data.organization_id,
+    data.target,
+    data.record_id,
+    data.original_name,
+    data.mime_type,
+    data.size_bytes,
+    data.checksum_sha256,
+    data.storage_backend,
+    data.storage_key,
+    data.thumbnail_key || null,
+    data.uploaded_by || null
+  ]);
+
+  return result.insertId;
+}
+
+/**
+ * Eliminar un adjunto
+ * @returns {Promise<number>} Filas afectadas
+ */
+export async function deleteAttachment(id, organizationId) {
+  const [result] = await pool.query(
+    'DELETE FROM attachments WHERE id = ? AND organization_id = ?',
+    [id, organizationId]
+  );
+
+  return result.affectedRows;
+}
+
+/**
+ * Eliminar todos los adjuntos de un registro (al eliminarlo permanentemente)
+ * @returns {Promise<Array>} Adjuntos eliminados, para borrar sus archivos
+ */
+export async function deleteAttachmentsByRecord(target, recordId, organizationId) {
+  const attachments = await getAttachmentsByRecord(target, recordId, organizationId);
+
+  if (attachments.length > 0) {
+    await pool.query(
+      'DELETE FROM attachments WHERE id IN (?)',
+      [attachments.map(attachment => attachment.id)]
+    );
+  }
+
+  return attachments;
+}
@@ -0,0 +1,123 @@
+// src/models/auditLogModel.mjs
+// Modelo para el historial de auditoría (audit_log)
+
+import { pool } from '../config/database.mjs';
+
+/**
+ * Registrar una entrada de auditoría
+ * @param {Object} entry - organization_id, entity_type, entity_id, entity_label, action, changes,
+ *                         user_id, user_email, ip_address, user_agent
+ */
+export async function createAuditEntry(entry) {
+  const [result] = await pool.query(`
+    INSERT INTO audit_log (
+      organization_id, entity_type, entity_id, entity_label, action, changes,
+      user_id, user_email, ip_address, user_agent
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    entry.organization_id,
+    entry.entity_type,
+    entry.entity_id,
+    entry.entity_label || null,
+    entry.action,
+    entry.changes ? JSON.stringify(entry.changes) : null,
+    entry.user_id || null,
+    entry.user_email || null,
+    entry.ip_address || null,
+    entry.user_agent || null
+  ]);
+
+  return result.insertId;
+}
+
+function buildAuditFilters(organizationId, filters) {
+  const { entity_type, entity_id, action, user_id, field, date_from, date_to } = filters;
+  let where = 'WHERE a.organization_id = ?';
+  const params = [organizationId];
+
+  if (entity_type) {
+    where += ' AND a.entity_type = ?';
+    params.push(entity_type);
+  }
+
+  if (entity_id) {
+    where += ' AND a.entity_id = ?';
+    params.push(entity_id);
+  }
+
+  if (action) {
+    where += ' AND a.action = ?';
+    params.push(action);
+  }
+
+  if (user_id) {
+    where += ' AND a.user_id = ?';
+    params.push(user_id);
+  }
+
+  // Solo entradas que modificaron un campo específico (ej: amount, status_id)
+  if (field) {
+    where += ' AND JSON_CONTAINS_PATH(a.changes, \'one\', ?)';
+    params.push(`$.${field}`);
+  }
+
+  if (date_from) {
+    where += ' AND a.created_at >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    where += ' AND a.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+    params.push(date_to);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Listar entradas de auditoría (más recientes primero)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - entity_type, entity_id, action, user_id, field, date_from, date_to, limit, offset
+ */
+export async function getAuditEntries(organizationId, filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildAuditFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT
+      a.id,
+      a.entity_type,
+      a.entity_id,
+      a.entity_label,
+      a.action,
+      a.changes,
+      a.user_id,
+      COALESCE(u.name, a.user_email) as user_name,
+      a.user_email,
+      a.ip_address,
+      a.user_agent,
+      a.created_at
+    FROM audit_log a
+    LEFT JOIN users u ON a.user_id = u.id
+    ${where}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  return rows;
+}
+
+/**
+ * Contar entradas con los mismos filtros del listado
+ */
+export async function countAuditEntries(organizationId, filters = {}) {
+  const { where, params } = buildAuditFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as total
+    FROM audit_log a
+    ${where}
+  `, params);
+
+  return rows[0].total;
+}
@@ -0,0 +1,125 @@
+// src/models/budgetAnalysisJobModel.mjs
+// Modelo para los jobs de análisis de PDF en segundo plano (budget_analysis_jobs)
+
+import { pool } from '../config/database.mjs';
+
+export const FINAL_JOB_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Registrar un job en cola
+ * @param {Object} job - id, instance_id, organization_id, user_id, file_name, file_size, options, estimated_cost_usd
+ */
+export async function createJob(job) {
+  await pool.query(`
+    INSERT INTO budget_analysis_jobs (
+      id, instance_id, organization_id, user_id, file_name, file_size, options, estimated_cost_usd, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued')
+  `, [
+    job.id,
+    job.instance_id || null,
+    job.organization_id || null,
+    job.user_id || null,
+    job.file_name,
+    job.file_size || null,
+    job.options ? JSON.stringify(job.options) : null,
+    job.estimated_cost_usd ?? null
+  ]);
+
+  return job.id;
+}
+
+/**
+ * Obtener un job (sin filtro de organización: uso interno del worker)
+ */
+export async function getJobById(id) {
+  const [rows] = await pool.query(
+    'SELECT * FROM budget_analysis_jobs WHERE id = ?',
+    [id]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Obtener un job de la organización
+ */
+export async function getJobForOrganization(id, organizationId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM budget_analysis_jobs WHERE id = ? AND organization_id = ?',
+    [id, organizationId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Listar jobs de la organización (más recientes primero)
+ * @param {Object} filters - status, limit
+ */
+export async function getJobsByOrganization(organizationId, filters = {}) {
+  const { status, limit = 20 } = filters;
+  let sql = 'SELECT * FROM budget_analysis_jobs WHERE organization_id = ?';
+  const params = [organizationId];
+
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+
+  sql += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(parseInt(limit));
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Actualizar estado y avance de un job que no ha terminado
+ * Un job en estado final (ej: cancelado mientras se procesaba) no se modifica.
+ * @param {Object} fields - status, progress, stage_progress, analysis_id, error_message, started, finished
+ * @returns {Promise<number>} Filas afectadas
+ */
+export async function updateJob(id, fields) {
+  const sets = [];
+  const params = [];
+
+  for (const column of ['status', 'progress', 'analysis_id', 'error_message']) {
+    if (fields[column] !== undefined) {
+      sets.push(`${column} = ?`);
+      params.push(fields[column]);
+    }
+  }
+
+  if (fields.stage_progress !== undefined) {
+    sets.push('stage_progress = ?');
+    params.push(fields.stage_progress ? JSON.stringify(fields.stage_progress) : null);
+  }
+
+  if (fields.started) sets.push('started_at = NOW()');
+  if (fields.finished) sets.push('finished_at = NOW()');
+
+  if (sets.length === 0) return 0;
+
+  const [result] = await pool.query(`
+    UPDATE budget_analysis_jobs
+    SET ${sets.join(', ')}
+    WHERE id = ? AND status NOT IN (?)
+  `, [...params, id, FINAL_JOB_STATUSES]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Marcar como fallidos los jobs de una instancia que no terminaron (el proceso se reinició)
+ * Los jobs sin instancia (anteriores a instance_id) se consideran de cualquier instancia.
+ * @returns {Promise<number>} Jobs marcados
+ */
+export async function failUnfinishedJobs(errorMessage, instanceId) {
+  const [result] = await pool.query(`
+    UPDATE budget_analysis_jobs
+    SET status = 'failed', error_message = ?, finished_at = NOW()
+    WHERE status NOT IN (?) AND (instance_id = ? OR instance_id IS NULL)
+  `, [errorMessage, FINAL_JOB_STATUSES, instanceId]);
+
+  return result.affectedRows;
+}
@@ -0,0 +1,341 @@
+// src/models/budgetLineModel.mjs
+// Modelo para partidas de presupuesto por centro de costo (tipo, categoría y período)
+
+import { pool } from '../config/database.mjs';
+
+/**
+ * Obtener las partidas de presupuesto de un centro de costo
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - version, expense_type_id, category_id
+ */
+export async function getBudgetLines(costCenterId, organizationId, filters = {}) {
+  let sql = `
+    SELECT
+      bl.id,
+      bl.organization_id,
+      bl.cost_center_id,
+      bl.expense_type_id,
+      et.name as expense_type_name,
+      bl.category_id,
+      ec.name as category_name,
+      DATE_FORMAT(bl.period_start, '%Y-%m-%d') as period_start,
+      DATE_FORMAT(bl.period_end, '%Y-%m-%d') as period_end,
+      bl.version,
+      bl.amount,
+      bl.notes,
+      bl.created_by,
+      bl.updated_by,
+      bl.created_at,
+      bl.updated_at
+    FROM cost_center_budget_lines bl
+    LEFT JOIN expense_types et ON bl.expense_type_id = et.id
+    LEFT JOIN expense_categories ec ON bl.category_id = ec.id
+    WHERE bl.cost_center_id = ? AND bl.organization_id = ?
+  `;
+
+  const params = [costCenterId, organizationId];
+
+  if (filters.version) {
+    sql += ' AND bl.version = ?';
+    params.push(filters.version);
+  }
+
+  if (filters.expense_type_id) {
+    sql += ' AND bl.expense_type_id = ?';
+    params.push(filters.expense_type_id);
+  }
+
+  if (filters.category_id) {
+    sql += ' AND bl.category_id = ?';
+    params.push(filters.category_id);
+  }
+
+  sql += ' ORDER BY et.name ASC, ec.name ASC, bl.period_start ASC, bl.version ASC';
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Obtener una partida por ID
+ * @param {number} id - ID de la partida
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getBudgetLineById(id, costCenterId, organizationId) {
+  const sql = `
+    SELECT
+      bl.id,
+      bl.organization_id,
+      bl.cost_center_id,
+      bl.expense_type_id,
+      et.name as expense_type_name,
+      bl.category_id,
+      ec.name as category_name,
+      DATE_FORMAT(bl.period_start, '%Y-%m-%d') as period_start,
+      DATE_FORMAT(bl.period_end, '%Y-%m-%d') as period_end,
+      bl.version,
+      bl.amount,
+      bl.notes,
+      bl.created_by,
+      bl.updated_by,
+      bl.created_at,
+      bl.updated_at
+    FROM cost_center_budget_lines bl
+    LEFT JOIN expense_types et ON bl.expense_type_id = et.id
+    LEFT JOIN expense_categories ec ON bl.category_id = ec.id
+    WHERE bl.id = ? AND bl.cost_center_id = ? AND bl.organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [id, costCenterId, organizationId]);
+  return rows[0] || null;
+}
+
+/**
+ * Buscar una partida con la misma celda (tipo, categoría, período y versión)
+ * @param {Object} data - Datos de la partida
+ * @param {number} excludeId - ID a excluir (para updates)
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function findDuplicateBudgetLine(data, excludeId = null, connection = pool) {
+  const sql = `
+    SELECT id
+    FROM cost_center_budget_lines
+    WHERE cost_center_id = ?
+      AND organization_id = ?
+      AND expense_type_id = ?
+      AND category_id <=> ?
+      AND period_start <=> ?
+      AND period_end <=> ?
+      AND version = ?
+      ${excludeId ? 'AND id != ?' : ''}
+    LIMIT 1
+  `;
+
+  const params = [
+    data.cost_center_id,
+    data.organization_id,
+    data.expense_type_id,
+    data.category_id || null,
+    data.period_start || null,
+    data.period_end || null,
+    data.version || 'original'
+  ];
+  if (excludeId) params.push(excludeId);
+
+  const [rows] = await connection.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Crear una partida de presupuesto
+ * @param {Object} data - Datos de la partida
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function createBudgetLine(data, connection = pool) {
+  const sql = `
+    INSERT INTO cost_center_budget_lines (
+      organization_id,
+      cost_center_id,
+      expense_type_id,
+      category_id,
+      period_start,
+      period_end,
+      version,
+      amount,
+      notes,
+      created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const values = [
+    data.organization_id,
+    data.cost_center_id,
+    data.expense_type_id,
+    data.category_id || null,
+    data.period_start || null,
+    data.period_end || null,
+    data.version || 'original',
+    data.amount,
+    data.notes || null,
+    data.created_by || null
+  ];
+
+  const [result] = await connection.query(sql, values);
+  return result.insertId;
+}
+
+/**
+ * Actualizar una partida de presupuesto
+ * @param {number} id - ID de la partida
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} data - Datos a actualizar
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function updateBudgetLine(id, costCenterId, organizationId, data, connection = pool) {
+  const sql = `
+    UPDATE cost_center_budget_lines
+    SET
+      expense_type_id = ?,
+      category_id = ?,
+      period_start = ?,
+      period_end = ?,
+      version = ?,
+      amount = ?,
+      notes = ?,
+      updated_by = ?
+    WHERE id = ? AND cost_center_id = ? AND organization_id = ?
+  `;
+
+  const values = [
+    data.expense_type_id,
+    data.category_id || null,
+    data.period_start || null,
+    data.period_end || null,
+    data.version || 'original',
+    data.amount,
+    data.notes || null,
+    data.updated_by || null,
+    id,
+    costCenterId,
+    organizationId
+  ];
+
+  const [result] = await connection.query(sql, values);
+  return result.affectedRows;
+}
+
+/**
+ * Eliminar una partida de presupuesto
+ * @param {number} id - ID de la partida
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ */
+export async function deleteBudgetLine(id, costCenterId, organizationId) {
+  const sql = `
+    DELETE FROM cost_center_budget_lines
+    WHERE id = ? AND cost_center_id = ? AND organization_id = ?
+  `;
+
+  const [result] = await pool.query(sql, [id, costCenterId, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Reporte de varianza: presupuesto (original y revisado) vs. egresos reales por celda
+ * El real considera egresos no anulados del mismo tipo/categoría dentro del período de la partida.
+ * Una partida sin categoría solo cuenta los egresos que no caen en una partida de su categoría.
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getBudgetVariance(costCenterId, organizationId) {
+  const sql = `
+    SELECT
+      cells.expense_type_id,
+      et.name as expense_type_name,
+      cells.category_id,
+      ec.name as category_name,
+      DATE_FORMAT(cells.period_start, '%Y-%m-%d') as period_start,
+      DATE_FORMAT(cells.period_end, '%Y-%m-%d') as period_end,
+      cells.original_amount,
+      cells.revised_amount,
+      cells.revised_count,
+      (
+        SELECT COALESCE(SUM(e.amount_clp), 0)
+        FROM expenses_data e
+        WHERE e.organization_id = ? AND e.deleted_at IS NULL
+          AND e.cost_center_id = cells.cost_center_id
+          AND e.expense_type_id = cells.expense_type_id
+          AND (cells.category_id IS NULL OR e.category_id = cells.category_id)
+          AND (cells.period_start IS NULL OR e.date >= cells.period_start)
+          AND (cells.period_end IS NULL OR e.date <= cells.period_end)
+          AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')
+          AND (cells.category_id IS NOT NULL OR NOT EXISTS (
+            SELECT 1
+            FROM cost_center_budget_lines cl
+            WHERE cl.cost_center_id = cells.cost_center_id
+              AND cl.organization_id = e.organization_id
+              AND cl.expense_type_id = cells.expense_type_id
+              AND cl.category_id = e.category_id
+              AND (cl.period_start IS NULL OR e.date >= cl.period_start)
+              AND (cl.period_end IS NULL OR e.date <= cl.period_end)
+          ))
+      ) as actual_amount
+    FROM (
+      SELECT
+        bl.cost_center_id,
+        bl.expense_type_id,
+        bl.category_id,
+        bl.period_start,
+        bl.period_end,
+        SUM(CASE WHEN bl.version = 'original' THEN bl.amount ELSE 0 END) as original_amount,
+        SUM(CASE WHEN bl.version = 'revised' THEN bl.amount ELSE 0 END) as revised_amount,
+        SUM(CASE WHEN bl.version = 'revised' THEN 1 ELSE 0 END) as revised_count
+      FROM cost_center_budget_lines bl
+      WHERE bl.cost_center_id = ? AND bl.organization_id = ?
+      GROUP BY bl.cost_center_id, bl.expense_type_id, bl.category_id, bl.period_start, bl.period_end
+    ) cells
+    LEFT JOIN expense_types et ON cells.expense_type_id = et.id
+    LEFT JOIN expense_categories ec ON cells.category_id = ec.id
+    ORDER BY et.name ASC, ec.name ASC, cells.period_start ASC
+  `;
+
+  const [rows] = await pool.query(sql, [organizationId, costCenterId, organizationId]);
+
+  // Las celdas sin partida revisada devuelven revised_amount en NULL
+  return rows.map(({ revised_count, ...row }) => ({
+    ...row,
+    revised_amount: parseInt(revised_count) > 0 ? row.revised_amount : null
+  }));
+}
+
+/**
+ * Total de egresos reales (no anulados) de un centro de costo
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getCostCenterActualTotal(costCenterId, organizationId) {
+  const sql = `
+    SELECT COALESCE(SUM(e.amount_clp), 0) as total_amount
+    FROM expenses_data e
+    WHERE e.cost_center_id = ? AND e.organization_id = ? AND e.deleted_at IS NULL
+      AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')
+  `;
+
+  const [rows] = await pool.query(sql, [costCenterId, organizationId]);
+  return parseFloat(rows[0].total_amount) || 0;
+}
+
+/**
+ * Crear la versión revisada de las partidas originales que aún no tienen revisión
+ * @param {number} costCenterId - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - ID del usuario que revisa
+ */
+export async function createRevisedFromOriginal(costCenterId, organizationId, userId = null) {
+  const sql = `
+    INSERT INTO cost_center_budget_lines (
+      organization_id, cost_center_id, expense_type_id, category_id,
+      period_start, period_end, version, amount, notes, created_by
+    )
+    SELECT
+      o.organization_id, o.cost_center_id, o.expense_type_id, o.category_id,
+      o.period_start, o.period_end, 'revised', o.amount, o.notes, ?
+    FROM cost_center_budget_lines o
+    WHERE o.cost_center_id = ? AND o.organization_id = ? AND o.version = 'original'
+      AND NOT EXISTS (
+        SELECT 1 FROM cost_center_budget_lines r
+        WHERE r.cost_center_id = o.cost_center_id
+          AND r.expense_type_id = o.expense_type_id
+          AND r.category_id <=> o.category_id
+          AND r.period_start <=> o.period_start
+          AND r.period_end <=> o.period_end
+          AND r.version = 'revised'
+      )
+  `;
+
+  const [result] = await pool.query(sql, [userId, costCenterId, organizationId]);
+  return result.affectedRows;
+}
@@ -0,0 +1,321 @@
+// src/models/clientModel.mjs
+// Modelo para clientes (multi-tenant, RUT único por organización)
+
+import { pool } from '../config/database.mjs';
+import { cleanRut } from '../utils/rutUtils.mjs';
+
+// RUT sin puntos ni guión para comparar independiente del formato
+const NORMALIZED_TAX_ID = "UPPER(REPLACE(REPLACE(c.tax_id, '.', ''), '-', ''))";
+
+/**
+ * Construir cláusula WHERE común para listados de clientes
+ */
+function buildClientFilters(filters) {
+  const { organization_id, search, tax_id, client_type, active } = filters;
+
+  let where = 'WHERE c.organization_id = ?';
+  const params = [organization_id];
+
+  if (tax_id) {
+    where += ` AND ${NORMALIZED_TAX_ID} = ?`;
+    params.push(cleanRut(tax_id));
+  }
+
+  if (search) {
+    const compactSearch = cleanRut(search);
+    where += ` AND (c.legal_name LIKE ? OR c.commercial_name LIKE ? OR ${NORMALIZED_TAX_ID} LIKE ?)`;
+    params.push(`%${search}%`, `%${search}%`, `%${compactSearch || search}%`);
+  }
+
+  if (client_type) {
+    where += ' AND c.client_type = ?';
+    params.push(client_type);
+  }
+
+  if (active !== undefined && active !== null && active !== '') {
+    where += ' AND c.active = ?';
+    params.push(active === true || active === 'true' || active === '1' || active === 1 ? 1 : 0);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Obtener clientes con filtros y paginación
+ * @param {Object} filters - organization_id, search (RUT o nombre), tax_id, active, limit, offset
+ */
+export async function getAllClients(filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildClientFilters(filters);
+
+  const sql = `
+    SELECT
+      c.id,
+      c.organization_id,
+      c.tax_id,
+      c.legal_name,
+      c.commercial_name,
+      c.address,
+      c.phone,
+      c.email,
+      c.contact_person,
+      c.contact_phone,
+      c.contact_email,
+      c.client_type,
+      c.industry,
+      c.active,
+      c.created_at,
+      c.updated_at
+    FROM clients c
+    ${where}
+    ORDER BY c.legal_name ASC
+    LIMIT ? OFFSET ?
+  `;
+
+  const [rows] = await pool.query(sql, [...params, limit, offset]);
+  return rows;
+}
+
+/**
+ * Contar clientes con filtros
+ * @param {Object} filters - Mismos filtros que getAllClients
+ */
+export async function countClients(filters = {}) {
+  const { where, params } = buildClientFilters(filters);
+
+  const [rows] = await pool.query(`SELECT COUNT(*) as total FROM clients c ${where}`, params);
+  return rows[0].total;
+}
+
+/**
+ * Obtener un cliente por ID
+ * @param {number} id - ID del cliente
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getClientById(id, organizationId) {
+  const sql = `
+    SELECT *
+    FROM clients
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [id, organizationId]);
+  return rows[0] || null;
+}
+
+/**
+ * Buscar un cliente por RUT (independiente de puntos y guión)
+ * @param {string} taxId - RUT del cliente
+ * @param {string} organizationId - ID de la organización
+ * @param {number} excludeId - ID a excluir (para updates)
+ */
+export async function getClientByTaxId(taxId, organizationId, excludeId = null) {
+  const sql = `
+    SELECT *
+    FROM clients c
+    WHERE c.organization_id = ? AND ${NORMALIZED_TAX_ID} = ?
+      ${excludeId ? 'AND c.id != ?' : ''}
+    LIMIT 1
+  `;
+
+  const params = [organizationId, cleanRut(taxId)];
+  if (excludeId) params.push(excludeId);
+
+  const [rows] = await pool.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Crear un cliente
+ * @param {Object} clientData - Datos del cliente
+ */
+export async function createClient(clientData) {
+  const sql = `
+    INSERT INTO clients (
+      organization_id,
+      tax_id,
+      legal_name,
+      commercial_name,
+      address,
+      phone,
+      email,
+      contact_person,
+      contact_phone,
+      contact_email,
+      client_type,
+      industry,
+      active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const values = [
+    clientData.organization_id,
+    clientData.tax_id,
+    clientData.legal_name,
+    clientData.commercial_name || null,
+    clientData.address || null,
+    clientData.phone || null,
+    clientData.email || null,
+    clientData.contact_person || null,
+    clientData.contact_phone || null,
+    clientData.contact_email || null,
+    clientData.client_type || 'privado',
+    clientData.industry || null,
+    clientData.active !== false ? 1 : 0
+  ];
+
+  const [result] = await pool.query(sql, values);
+  return result.insertId;
+}
+
+/**
+ * Actualizar un cliente
+ * @param {number} id - ID del cliente
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} clientData - Datos a actualizar
+ */
+export async function updateClient(id, organizationId, clientData) {
+  const sql = `
+    UPDATE clients
+    SET
+      tax_id = ?,
+      legal_name = ?,
+      commercial_name = ?,
+      address = ?,
+      phone = ?,
+      email = ?,
+      contact_person = ?,
+      contact_phone = ?,
+      contact_email = ?,
+      client_type = ?,
+      industry = ?,
+      active = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const values = [
+    clientData.tax_id,
+    clientData.legal_name,
+    clientData.commercial_name || null,
+    clientData.address || null,
+    clientData.phone || null,
+    clientData.email || null,
+    clientData.contact_person || null,
+    clientData.contact_phone || null,
+    clientData.contact_email || null,
+    clientData.client_type || 'privado',
+    clientData.industry || null,
+    clientData.active !== false && clientData.active !== 0 ? 1 : 0,
+    id,
+    organizationId
+  ];
+
+  const [result] = await pool.query(sql, values);
+  return result.affectedRows;
+}
+
+/**
+ * Activar o desactivar un cliente (soft delete)
+ * @param {number} id - ID del cliente
+ * @param {string} organizationId - ID de la organización
+ * @param {boolean} active - Nuevo estado
+ */
+export async function setClientActive(id, organizationId, active) {
+  const sql = `
+    UPDATE clients
+    SET active = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [result] = await pool.query(sql, [active ? 1 : 0, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Condición de pertenencia de un ingreso al cliente: vinculado directamente
+ * o, si no tiene cliente, registrado en un centro de costo del cliente
+ * (el vínculo explícito prevalece: un ingreso pertenece a un solo cliente)
+ */
+const CLIENT_INCOME_CONDITION = 'COALESCE(i.client_id, cc.client_id) = ?';
+
+/**
+ * Estado de cuenta del cliente: todos sus ingresos con estado de pago y saldo
+ * @param {number} id - ID del cliente
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from, date_to, payment_status
+ */
+export async function getClientStatement(id, organizationId, filters = {}) {
+  const { date_from, date_to, payment_status } = filters;
+
+  let sql = `
+    SELECT
+      i.id,
+      i.name,
+      DATE_FORMAT(i.date, '%Y-%m-%d') as date,
+      i.invoice_number,
+      i.reference_number,
+      i.cost_center_id,
+      cc.code as cost_center_code,
+      cc.name as cost_center_name,
+      it.name as income_type_name,
+      i.amount,
+      i.currency,
+      i.exchange_rate,
+      COALESCE(i.total_amount_clp, 0) as total_due,
+      i.payment_status,
+      CASE
+        WHEN i.payment_status = 'pagado' THEN COALESCE(i.total_amount_clp, 0)
+        WHEN i.payment_status = 'anulado' THEN 0
+        ELSE COALESCE(i.paid_amount_clp, 0)
+      END as paid_amount,
+      CASE
+        WHEN i.payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(i.total_amount_clp, 0) - COALESCE(i.paid_amount_clp, 0), 0)
+      END as outstanding_amount,
+      DATE_FORMAT(i.payment_date, '%Y-%m-%d') as payment_date,
+      DATEDIFF(CURDATE(), i.date) as days_since_issue
+    FROM incomes_data i
+    LEFT JOIN cost_centers cc ON i.cost_center_id = cc.id
+    LEFT JOIN income_types it ON i.income_type_id = it.id
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL AND ${CLIENT_INCOME_CONDITION}
+  `;
+
+  const params = [organizationId, id];
+
+  if (date_from) {
+    sql += ' AND i.date >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ' AND i.date <= ?';
+    params.push(date_to);
+  }
+
+  if (payment_status) {
+    sql += ' AND i.payment_status = ?';
+    params.push(payment_status);
+  }
+
+  sql += ' ORDER BY i.date ASC, i.id ASC';
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Centros de costo asociados al cliente
+ * @param {number} id - ID del cliente
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getClientCostCenters(id, organizationId) {
+  const sql = `
+    SELECT id, code, name, status, total_budget
+    FROM cost_centers
+    WHERE client_id = ? AND organization_id = ?
+    ORDER BY code ASC
+  `;
+
+  const [rows] = await pool.query(sql, [id, organizationId]);
+  return rows;
+}
@@ -1,26 +1,109 @@
 // src/models/costCenterModel.mjs
 import { pool } from '../config/database.mjs';
 
+// Columnas expuestas por la API (fechas como YYYY-MM-DD)
+const COST_CENTER_COLUMNS = `
+  cc.id,
+  cc.organization_id,
+  cc.code,
+  cc.name,
+  cc.type,
+  cc.description,
+  cc.status,
+  cc.owner_id,
+  cc.client,
+  cc.client_id,
+  cl.legal_name as client_name,
+  cl.tax_id as client_tax_id,
+  DATE_FORMAT(cc.start_date, '%Y-%m-%d') as start_date,
+  DATE_FORMAT(cc.expected_end_date, '%Y-%m-%d') as expected_end_date,
+  DATE_FORMAT(cc.actual_end_date, '%Y-%m-%d') as actual_end_date,
+  cc.total_budget,
+  cc.currency_id,
+  cc.budget_period,
+  cc.location,
+  cc.location_lat,
+  cc.location_lon,
+  cc.address,
+  cc.department,
+  cc.manager_id,
+  mu.name as manager_name,
+  mu.email as manager_email,
+  cc.active,
+  cc.created_by,
+  cc.updated_by,
+  cc.created_at,
+  cc.updated_at
+`;
+
+const COST_CENTER_JOINS = `
+  LEFT JOIN clients cl ON cc.client_id = cl.id
+  LEFT JOIN users mu ON cc.manager_id = mu.id
+`;
+
+// Campos editables (mismo orden en INSERT y UPDATE)
+const EDITABLE_FIELDS = [
+  'code', 'name', 'type', 'description', 'status', 'owner_id', 'client', 'client_id',
+  'start_date', 'expected_end_date', 'actual_end_date', 'total_budget', 'currency_id',
+  'budget_period', 'location', 'location_lat', 'location_lon', 'address', 'department', 'manager_id'
+];
+
+const FIELD_DEFAULTS = {
+  type: 'proyecto',
+  status: 'borrador',
+  currency_id: 1
+};
+
+function getFieldValue(data, field) {
+  const value = data[field];
+  if (value === undefined || value === null || value === '') {
+    return FIELD_DEFAULTS[field] ?? null;
+  }
+  return value;
+}
+
 /**
  * Get all cost centers for an organization
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - status (uno o varios separados por coma), type, client_id,
+ *                           manager_id, budget_period, active, search (código o nombre)
  */
-export async function getAllCostCenters(organizationId) {
-  const sql = `
-    SELECT
-      id,
-      code,
-      name,
-      description,
-      active,
-      organization_id,
-      created_at,
-      updated_at
-    FROM cost_centers
-    WHERE organization_id = ?
-    ORDER BY code ASC
+export async function getAllCostCenters(organizationId, filters = {}) {
+  let sql = `
+    SELECT ${COST_CENTER_COLUMNS}
+    FROM cost_centers cc
+    ${COST_CENTER_JOINS}
+    WHERE cc.organization_id = ?
   `;
 
-  const [rows] = await pool.query(sql, [organizationId]);
+  const params = [organizationId];
+
+  if (filters.status) {
+    const statuses = String(filters.status).split(',').map(status => status.trim()).filter(Boolean);
+    sql += ` AND cc.status IN (${statuses.map(() => '?').join(', ')})`;
+    params.push(...statuses);
+  }
+
+  for (const field of ['type', 'client_id', 'manager_id', 'budget_period']) {
+    if (filters[field]) {
+      sql += ` AND cc.${field} = ?`;
+      params.push(filters[field]);
+    }
+  }
+
+  if (filters.active !== undefined && filters.active !== null && filters.active !== '') {
+    sql += ' AND cc.active = ?';
+    params.push(filters.active === true || filters.active === 'true' || filters.active === '1' || filters.active === 1 ? 1 : 0);
+  }
+
+  if (filters.search) {
+    sql += ' AND (cc.code LIKE ? OR cc.name LIKE ?)';
+    params.push(`%${filters.search}%`, `%${filters.search}%`);
+  }
+
+  sql += ' ORDER BY cc.code ASC';
+
+  const [rows] = await pool.query(sql, params);
   return rows;
 }
 
@@ -29,17 +112,10 @@ export async function getAllCostCenters(organizationId) {
  */
 export async function getCostCenterById(id, organizationId) {
   const sql = `
-    SELECT
-      id,
-      code,
-      name,
-      description,
-      active,
-      organization_id,
-      created_at,
-      updated_at
-    FROM cost_centers
-    WHERE id = ? AND organization_id = ?
+    SELECT ${COST_CENTER_COLUMNS}
+    FROM cost_centers cc
+    ${COST_CENTER_JOINS}
+    WHERE cc.id = ? AND cc.organization_id = ?
   `;
 
   const [rows] = await pool.query(sql, [id, organizationId]);
@@ -49,22 +125,18 @@ export async function getCostCenterById(id, organizationId) {
 /**
  * Create a new cost center
  */
-export async function createCostCenter(data) {
+export async function createCostCenter(data, connection = pool) {
   const sql = `
     INSERT INTO cost_centers (
-      code,
-      name,
-      description,
+      ${EDITABLE_FIELDS.join(',\n      ')},
       active,
       organization_id,
       created_by
-    ) VALUES (?, ?, ?, ?, ?, ?)
+    ) VALUES (${EDITABLE_FIELDS.map(() => '?').join(', ')}, ?, ?, ?)
   `;
 
-  const [result] = await pool.query(sql, [
-    data.code,
-    data.name,
-    data.description || null,
+  const [result] = await connection.query(sql, [
+    ...EDITABLE_FIELDS.map(field => getFieldValue(data, field)),
     data.active !== false ? 1 : 0,
     data.organization_id,
     data.created_by
@@ -75,24 +147,21 @@ export async function createCostCenter(data) {
 
 /**
  * Update cost center
+ * Recibe el registro completo (el controlador combina con los valores actuales)
  */
 export async function updateCostCenter(id, organizationId, data) {
   const sql = `
     UPDATE cost_centers
     SET
-      code = ?,
-      name = ?,
-      description = ?,
+      ${EDITABLE_FIELDS.map(field => `${field} = ?`).join(',\n      ')},
       active = ?,
       updated_by = ?
     WHERE id = ? AND organization_id = ?
   `;
 
   const [result] = await pool.query(sql, [
-    data.code,
-    data.name,
-    data.description || null,
-    data.active !== false ? 1 : 0,
+    ...EDITABLE_FIELDS.map(field => getFieldValue(data, field)),
+    data.active !== false && data.active !== 0 ? 1 : 0,
     data.updated_by,
     id,
     organizationId
@@ -101,6 +170,34 @@ export async function updateCostCenter(id, organizationId, data) {
   return result.affectedRows;
 }
 
+/**
+ * Update only the status of a cost center
+ * @param {number} id - ID del centro de costo
+ * @param {string} organizationId - ID de la organización
+ * @param {string} status - Nuevo estado
+ * @param {Object} options - actual_end_date, updated_by
+ */
+export async function updateCostCenterStatus(id, organizationId, status, options = {}) {
+  const sql = `
+    UPDATE cost_centers
+    SET
+      status = ?,
+      actual_end_date = COALESCE(?, actual_end_date),
+      updated_by = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [result] = await pool.query(sql, [
+    status,
+    options.actual_end_date || null,
+    options.updated_by || null,
+    id,
+    organizationId
+  ]);
+
+  return result.affectedRows;
+}
+
 /**
  * Delete cost center (soft delete by setting active = 0)
  */
@@ -114,3 +211,46 @@ export async function deleteCostCenter(id, organizationId) {
   const [result] = await pool.query(sql, [id, organizationId]);
   return result.affectedRows;
 }
+
+/**
+ * Get budget fields of a cost center (dates formatted as YYYY-MM-DD)
+ */
+export async function getCostCenterBudget(id, organizationId) {
+  const sql = `
+    SELECT
+      cc.id,
+      cc.code,
+      cc.name,
+      cc.status,
+      cc.total_budget,
+      cc.budget_period,
+      DATE_FORMAT(cc.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(cc.expected_end_date, '%Y-%m-%d') as expected_end_date,
+      DATE_FORMAT(cc.actual_end_date, '%Y-%m-%d') as actual_end_date,
+      (
+        SELECT DATE_FORMAT(MIN(e.date), '%Y-%m-%d')
+        FROM expenses_data e
+        WHERE e.cost_center_id = cc.id AND e.organization_id = cc.organization_id
+          AND e.deleted_at IS NULL
+      ) as first_expense_date
+    FROM cost_centers cc
+    WHERE cc.id = ? AND cc.organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [id, organizationId]);
+  return rows[0];
+}
+
+/**
+ * Set the total budget of a cost center
+ */
+export async function setCostCenterTotalBudget(id, organizationId, totalBudget, userId = null, connection = pool) {
+  const sql = `
+    UPDATE cost_centers
+    SET total_budget = ?, updated_by = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [result] = await connection.query(sql, [totalBudget, userId, id, organizationId]);
+  return result.affectedRows;
+}
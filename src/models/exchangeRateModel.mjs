@@ -0,0 +1,256 @@
+// src/models/exchangeRateModel.mjs
+import { pool } from '../config/database.mjs';
+
+const RATE_COLUMNS = `
+  r.id,
+  r.currency_code,
+  DATE_FORMAT(r.rate_date, '%Y-%m-%d') as rate_date,
+  r.value,
+  r.source,
+  r.created_by,
+  r.updated_by,
+  r.created_at,
+  r.updated_at
+`;
+
+// Tablas de registros con moneda y tipo de cambio
+const DATA_TABLES = {
+  expense: 'expenses_data',
+  income: 'incomes_data'
+};
+
+const STATUS_TABLES = {
+  expense: 'expense_statuses',
+  income: 'income_statuses'
+};
+
+function buildRateFilters(organizationId, filters) {
+  const { currency, date_from, date_to } = filters;
+  let where = 'WHERE r.organization_id = ?';
+  const params = [organizationId];
+
+  if (currency) {
+    where += ' AND r.currency_code = ?';
+    params.push(currency);
+  }
+
+  if (date_from) {
+    where += ' AND r.rate_date >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    where += ' AND r.rate_date <= ?';
+    params.push(date_to);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Listar tipos de cambio de la organización
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - currency, date_from, date_to, limit, offset
+ */
+export async function getExchangeRates(organizationId, filters = {}) {
+  const { limit = 100, offset = 0 } = filters;
+  const { where, params } = buildRateFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT ${RATE_COLUMNS}
+    FROM exchange_rates r
+    ${where}
+    ORDER BY r.rate_date DESC, r.currency_code ASC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  return rows;
+}
+
+/**
+ * Contar tipos de cambio con los mismos filtros del listado
+ */
+export async function countExchangeRates(organizationId, filters = {}) {
+  const { where, params } = buildRateFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as total
+    FROM exchange_rates r
+    ${where}
+  `, params);
+
+  return rows[0].total;
+}
+
+/**
+ * Obtener un tipo de cambio por ID
+ */
+export async function getExchangeRateById(id, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${RATE_COLUMNS}
+    FROM exchange_rates r
+    WHERE r.id = ? AND r.organization_id = ?
+  `, [id, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Tipo de cambio vigente a una fecha: el último registrado en o antes de esa fecha
+ * @param {string} organizationId - ID de la organización
+ * @param {string} currency - 'UF' | 'USD' | 'EUR'
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @param {number} maxAgeDays - Antigüedad máxima del tipo de cambio respecto de la fecha
+ */
+export async function getRateOnOrBefore(organizationId, currency, date, maxAgeDays) {
+  const [rows] = await pool.query(`
+    SELECT ${RATE_COLUMNS}
+    FROM exchange_rates r
+    WHERE r.organization_id = ? AND r.currency_code = ?
+      AND r.rate_date <= ? AND r.rate_date >= DATE_SUB(?, INTERVAL ? DAY)
+    ORDER BY r.rate_date DESC
+    LIMIT 1
+  `, [organizationId, currency, date, date, maxAgeDays]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Último tipo de cambio registrado por moneda
+ */
+export async function getLatestRates(organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${RATE_COLUMNS}
+    FROM exchange_rates r
+    INNER JOIN (
+      SELECT currency_code, MAX(rate_date) as rate_date
+      FROM exchange_rates
+      WHERE organization_id = ?
+      GROUP BY currency_code
+    ) latest ON latest.currency_code = r.currency_code AND latest.rate_date = r.rate_date
+    WHERE r.organization_id = ?
+    ORDER BY r.currency_code ASC
+  `, [organizationId, organizationId]);
+
+  return rows;
+}
+
+/**
+ * Crear o reemplazar el tipo de cambio de una moneda en una fecha
+ * @param {Object} data - organization_id, currency_code, rate_date, value, source, user_id
+ * @returns {Promise<boolean>} true si se creó, false si se actualizó
+ */
+export async function upsertExchangeRate(data) {
+  const [result] = await pool.query(`
+    INSERT INTO exchange_rates (
+      organization_id, currency_code, rate_date, value, source, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      value = VALUES(value),
+      source = VALUES(source),
+      updated_by = VALUES(updated_by)
+  `, [
+    data.organization_id,
+    data.currency_code,
+    data.rate_date,
+    data.value,
+    data.source || 'manual',
+    data.user_id || null,
+    data.user_id || null
+  ]);
+
+  // ON DUPLICATE KEY UPDATE: 1 = insertado, 2 = actualizado, 0 = sin cambios
+  return result.affectedRows === 1;
+}
+
+/**
+ * Eliminar un tipo de cambio
+ */
+export async function deleteExchangeRate(id, organizationId) {
+  const [result] = await pool.query(`
+    DELETE FROM exchange_rates
+    WHERE id = ? AND organization_id = ?
+  `, [id, organizationId]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Registros en moneda extranjera sin tipo de cambio (no suman en los totales en CLP)
+ * @param {string} organizationId - ID de la organización
+ * @param {string} target - 'expense' | 'income'
+ */
+export async function getMissingRateSummary(organizationId, target) {
+  const table = DATA_TABLES[target];
+
+  const [rows] = await pool.query(`
+    SELECT
+      d.currency,
+      COUNT(d.id) as count,
+      COALESCE(SUM(COALESCE(d.total_amount, d.amount, 0)), 0) as total_amount,
+      DATE_FORMAT(MIN(d.date), '%Y-%m-%d') as first_date,
+      DATE_FORMAT(MAX(d.date), '%Y-%m-%d') as last_date
+    FROM ${table} d
+    WHERE d.organization_id = ?
+      AND d.deleted_at IS NULL
+      AND d.currency IS NOT NULL AND d.currency != 'CLP'
+      AND d.exchange_rate IS NULL
+    GROUP BY d.currency
+    ORDER BY d.currency ASC
+  `, [organizationId]);
+
+  return rows;
+}
+
+/**
+ * Registros sin exchange_rate que se pueden completar con el tipo de cambio vigente a su fecha
+ * Excluye los registros en estado final (bloqueados) y los tipos de cambio con más de maxAgeDays.
+ * @param {string} organizationId - ID de la organización
+ * @param {string} target - 'expense' | 'income'
+ * @param {number} maxAgeDays - Antigüedad máxima del tipo de cambio respecto de la fecha del registro
+ * @returns {Promise<Array>} { id, exchange_rate }
+ */
+export async function getMissingRateCandidates(organizationId, target, maxAgeDays) {
+  const table = DATA_TABLES[target];
+  const statusTable = STATUS_TABLES[target];
+
+  const [rows] = await pool.query(`
+    SELECT d.id, (
+      SELECT r.value
+      FROM exchange_rates r
+      WHERE r.organization_id = d.organization_id
+        AND r.currency_code = d.currency
+        AND r.rate_date <= COALESCE(d.date, DATE(d.created_at))
+        AND r.rate_date >= DATE_SUB(COALESCE(d.date, DATE(d.created_at)), INTERVAL ? DAY)
+      ORDER BY r.rate_date DESC
+      LIMIT 1
+    ) as exchange_rate
+    FROM ${table} d
+    LEFT JOIN ${statusTable} s ON d.status_id = s.id
+    WHERE d.organization_id = ?
+      AND d.currency IN ('UF', 'USD', 'EUR')
+      AND d.exchange_rate IS NULL
+      AND d.deleted_at IS NULL
+      AND COALESCE(s.is_final, FALSE) = FALSE
+    HAVING exchange_rate IS NOT NULL
+    ORDER BY d.id ASC
+  `, [maxAgeDays, organizationId]);
+
+  return rows;
+}
+
+/**
+ * Asignar exchange_rate a un registro que aún no lo tiene
+ * @returns {Promise<number>} Registros actualizados (0 si ya tenía tipo de cambio)
+ */
+export async function setMissingExchangeRate(organizationId, target, id, exchangeRate) {
+  const table = DATA_TABLES[target];
+
+  const [result] = await pool.query(`
+    UPDATE ${table}
+    SET exchange_rate = ?
+    WHERE id = ? AND organization_id = ? AND exchange_rate IS NULL
+  `, [exchangeRate, id, organizationId]);
+
+  return result.affectedRows;
+}
@@ -0,0 +1,351 @@
+// src/models/expenseApprovalModel.mjs
+// Modelo para reglas de aprobación y solicitudes de aprobación de egresos
+
+import { pool } from '../config/database.mjs';
+
+const RULE_COLUMNS = `
+  r.id,
+  r.organization_id,
+  r.expense_type_id,
+  et.name as expense_type_name,
+  r.name,
+  r.threshold_amount,
+  r.required_role,
+  r.is_active,
+  r.created_by,
+  r.updated_by,
+  r.created_at,
+  r.updated_at
+`;
+
+const APPROVAL_COLUMNS = `
+  a.id,
+  a.expense_id,
+  a.rule_id,
+  a.required_role,
+  a.amount_clp,
+  a.status,
+  a.requested_by,
+  u_requested.email as requested_by_email,
+  a.requested_at,
+  a.decided_by,
+  u_decided.email as decided_by_email,
+  a.decided_at,
+  a.comment
+`;
+
+// ============================================
+// REGLAS
+// ============================================
+
+/**
+ * Obtener reglas de aprobación de la organización
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - expense_type_id, only_active
+ */
+export async function getApprovalRules(organizationId, filters = {}) {
+  const { expense_type_id, only_active } = filters;
+
+  let sql = `
+    SELECT ${RULE_COLUMNS}
+    FROM expense_approval_rules r
+    LEFT JOIN expense_types et ON r.expense_type_id = et.id
+    WHERE r.organization_id = ?
+  `;
+  const params = [organizationId];
+
+  if (expense_type_id) {
+    sql += ` AND (r.expense_type_id = ? OR r.expense_type_id IS NULL)`;
+    params.push(expense_type_id);
+  }
+
+  if (only_active) {
+    sql += ` AND r.is_active = TRUE`;
+  }
+
+  sql += ` ORDER BY r.threshold_amount ASC, r.id ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Obtener una regla por ID
+ */
+export async function getApprovalRuleById(id, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM expense_approval_rules r
+    LEFT JOIN expense_types et ON r.expense_type_id = et.id
+    WHERE r.id = ? AND r.organization_id = ?
+  `, [id, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Crear una regla de aprobación
+ * @param {Object} ruleData - organization_id, expense_type_id, name, threshold_amount, required_role, is_active, created_by
+ */
+export async function createApprovalRule(ruleData) {
+  const [result] = await pool.query(`
+    INSERT INTO expense_approval_rules (
+      organization_id, expense_type_id, name, threshold_amount, required_role, is_active, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    ruleData.organization_id,
+    ruleData.expense_type_id || null,
+    ruleData.name || null,
+    ruleData.threshold_amount,
+    ruleData.required_role,
+    ruleData.is_active !== undefined ? ruleData.is_active : true,
+    ruleData.created_by || null,
+    ruleData.created_by || null
+  ]);
+
+  return result.insertId;
+}
+
+/**
+ * Actualizar una regla de aprobación
+ */
+export async function updateApprovalRule(id, organizationId, ruleData) {
+  const [result] = await pool.query(`
+    UPDATE expense_approval_rules
+    SET
+      expense_type_id = ?,
+      name = ?,
+      threshold_amount = ?,
+      required_role = ?,
+      is_active = ?,
+      updated_by = ?
+    WHERE id = ? AND organization_id = ?
+  `, [
+    ruleData.expense_type_id || null,
+    ruleData.name || null,
+    ruleData.threshold_amount,
+    ruleData.required_role,
+    ruleData.is_active !== undefined ? ruleData.is_active : true,
+    ruleData.updated_by || null,
+    id,
+    organizationId
+  ]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Eliminar una regla (las solicitudes existentes conservan su nivel requerido)
+ */
+export async function deleteApprovalRule(id, organizationId) {
+  const [result] = await pool.query(`
+    DELETE FROM expense_approval_rules
+    WHERE id = ? AND organization_id = ?
+  `, [id, organizationId]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Regla más exigente que aplica a un egreso: admin antes que manager y, a igual rol, el umbral más alto
+ * @param {string} organizationId - ID de la organización
+ * @param {number} expenseTypeId - Tipo del egreso
+ * @param {number} amountClp - Total del egreso en CLP
+ */
+export async function getApplicableRule(organizationId, expenseTypeId, amountClp) {
+  const [rows] = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM expense_approval_rules r
+    LEFT JOIN expense_types et ON r.expense_type_id = et.id
+    WHERE r.organization_id = ?
+      AND r.is_active = TRUE
+      AND (r.expense_type_id IS NULL OR r.expense_type_id = ?)
+      AND r.threshold_amount < ?
+    ORDER BY FIELD(r.required_role, 'admin', 'manager'), r.threshold_amount DESC
+    LIMIT 1
+  `, [organizationId, expenseTypeId, amountClp]);
+
+  return rows[0] || null;
+}
+
+// ============================================
+// SOLICITUDES
+// ============================================
+
+/**
+ * Solicitud vigente de un egreso (la última no cancelada)
+ */
+export async function getCurrentApproval(expenseId, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${APPROVAL_COLUMNS}
+    FROM expense_approvals a
+    LEFT JOIN users u_requested ON a.requested_by = u_requested.id
+    LEFT JOIN users u_decided ON a.decided_by = u_decided.id
+    WHERE a.expense_id = ? AND a.organization_id = ? AND a.status <> 'cancelled'
+    ORDER BY a.id DESC
+    LIMIT 1
+  `, [expenseId, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Historial de solicitudes de un egreso
+ */
+export async function getApprovalsByExpense(expenseId, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${APPROVAL_COLUMNS}
+    FROM expense_approvals a
+    LEFT JOIN users u_requested ON a.requested_by = u_requested.id
+    LEFT JOIN users u_decided ON a.decided_by = u_decided.id
+    WHERE a.expense_id = ? AND a.organization_id = ?
+    ORDER BY a.id DESC
+  `, [expenseId, organizationId]);
+
+  return rows;
+}
+
+function buildApprovalFilters(organizationId, filters) {
+  const { status, required_roles, expense_type_id, cost_center_id } = filters;
+  let where = 'WHERE a.organization_id = ? AND e.deleted_at IS NULL';
+  const params = [organizationId];
+
+  if (status) {
+    where += ' AND a.status = ?';
+    params.push(status);
+  }
+
+  if (required_roles?.length) {
+    where += ` AND a.required_role IN (${required_roles.map(() => '?').join(', ')})`;
+    params.push(...required_roles);
+  }
+
+  if (expense_type_id) {
+    where += ' AND e.expense_type_id = ?';
+    params.push(expense_type_id);
+  }
+
+  if (cost_center_id) {
+    where += ' AND e.cost_center_id = ?';
+    params.push(cost_center_id);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Listar solicitudes con los datos del egreso (cola de aprobación)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - status, required_roles, expense_type_id, cost_center_id, limit, offset
+ */
+export async function getApprovals(organizationId, filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildApprovalFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT
+      ${APPROVAL_COLUMNS},
+      e.name as expense_name,
+      e.expense_type_id,
+      et.name as expense_type_name,
+      e.cost_center_id,
+      cc.name as cost_center_name,
+      e.supplier_id,
+      sp.legal_name as supplier_name,
+      DATE_FORMAT(e.date, '%Y-%m-%d') as expense_date,
+      e.total_amount,
+      e.currency,
+      e.created_by as expense_created_by
+    FROM expense_approvals a
+    INNER JOIN expenses_data e ON a.expense_id = e.id
+    LEFT JOIN expense_types et ON e.expense_type_id = et.id
+    LEFT JOIN cost_centers cc ON e.cost_center_id = cc.id
+    LEFT JOIN suppliers sp ON e.supplier_id = sp.id
+    LEFT JOIN users u_requested ON a.requested_by = u_requested.id
+    LEFT JOIN users u_decided ON a.decided_by = u_decided.id
+    ${where}
+    ORDER BY a.requested_at ASC, a.id ASC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  return rows;
+}
+
+/**
+ * Contar solicitudes con los mismos filtros del listado
+ */
+export async function countApprovals(organizationId, filters = {}) {
+  const { where, params } = buildApprovalFilters(organizationId, filters);
+
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as total
+    FROM expense_approvals a
+    INNER JOIN expenses_data e ON a.expense_id = e.id
+    ${where}
+  `, params);
+
+  return rows[0].total;
+}
+
+/**
+ * Crear una solicitud de aprobación pendiente
+ * @param {Object} data - organization_id, expense_id, rule_id, required_role, amount_clp, requested_by
+ */
+export async function createApprovalRequest(data) {
+  const [result] = await pool.query(`
+    INSERT INTO expense_approvals (
+      organization_id, expense_id, rule_id, required_role, amount_clp, status, requested_by
+    ) VALUES (?, ?, ?, ?, ?, 'pending', ?)
+  `, [
+    data.organization_id,
+    data.expense_id,
+    data.rule_id || null,
+    data.required_role,
+    data.amount_clp,
+    data.requested_by || null
+  ]);
+
+  return result.insertId;
+}
+
+/**
+ * Actualizar monto y regla de una solicitud pendiente (el egreso cambió sin subir de nivel)
+ */
+export async function updatePendingApproval(id, { rule_id, amount_clp }) {
+  const [result] = await pool.query(`
+    UPDATE expense_approvals
+    SET rule_id = ?, amount_clp = ?
+    WHERE id = ? AND status = 'pending'
+  `, [rule_id || null, amount_clp, id]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Registrar la decisión sobre una solicitud pendiente
+ * @param {Object} decision - status ('approved'|'rejected'), decided_by, comment
+ * @returns {Promise<number>} 0 si la solicitud ya no estaba pendiente
+ */
+export async function decideApproval(id, organizationId, decision) {
+  const [result] = await pool.query(`
+    UPDATE expense_approvals
+    SET status = ?, decided_by = ?, decided_at = NOW(), comment = ?
+    WHERE id = ? AND organization_id = ? AND status = 'pending'
+  `, [decision.status, decision.decided_by || null, decision.comment || null, id, organizationId]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Cancelar las solicitudes vigentes de un egreso (ya no aplica o fue reemplazada)
+ * @param {Array<string>} statuses - Estados a cancelar
+ */
+export async function cancelApprovals(expenseId, organizationId, statuses, comment = null) {
+  const [result] = await pool.query(`
+    UPDATE expense_approvals
+    SET status = 'cancelled', comment = COALESCE(?, comment)
+    WHERE expense_id = ? AND organization_id = ? AND status IN (?)
+  `, [comment, expenseId, organizationId, statuses]);
+
+  return result.affectedRows;
+}
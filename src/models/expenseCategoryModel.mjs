@@ -63,8 +63,9 @@ export async function getCategoryById(id, organizationId) {
 /**
  * Crear una nueva categoría
  * @param {Object} categoryData - Datos de la categoría
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
  */
-export async function createCategory(categoryData) {
+export async function createCategory(categoryData, connection = pool) {
   const sql = `
     INSERT INTO expense_categories (
       expense_type_id,
@@ -87,7 +88,7 @@ export async function createCategory(categoryData) {
     categoryData.created_by || null
   ];
 
-  const [result] = await pool.query(sql, values);
+  const [result] = await connection.query(sql, values);
   return result.insertId;
 }
 
@@ -174,6 +175,24 @@ export async function categoryNameExistsInType(expenseTypeId, name, excludeId =
   return rows.length > 0;
 }
 
+/**
+ * Buscar una categoría por nombre dentro de un tipo
+ * @param {number} expenseTypeId - ID del tipo de egreso
+ * @param {string} name - Nombre de la categoría
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getCategoryByName(expenseTypeId, name, organizationId, connection = pool) {
+  const sql = `
+    SELECT id, expense_type_id, organization_id, name, is_active
+    FROM expense_categories
+    WHERE expense_type_id = ? AND name = ? AND organization_id = ?
+    LIMIT 1
+  `;
+
+  const [rows] = await connection.query(sql, [expenseTypeId, name, organizationId]);
+  return rows[0] || null;
+}
+
 /**
  * Contar cuántos egresos usan esta categoría
  * @param {number} categoryId - ID de la categoría
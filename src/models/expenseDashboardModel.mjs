@@ -1,7 +1,8 @@
 // src/models/expenseDashboardModel.mjs
-// Modelo para consultas de dashboard de egresos
+// Modelo para consultas de dashboard de egresos (montos agregados en CLP: columnas *_clp)
 
 import { pool } from '../config/database.mjs';
+import { toClpSql } from '../utils/currencyUtils.mjs';
 
 /**
  * Obtener resumen completo del dashboard
@@ -12,12 +13,16 @@ export async function getDashboardSummary(organizationId, filters = {}) {
   let sql = `
     SELECT
       COUNT(e.id) as total_count,
-      COALESCE(SUM(e.amount), 0) as total_amount,
-      COALESCE(AVG(e.amount), 0) as avg_amount,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount,
+      COALESCE(AVG(e.amount_clp), 0) as avg_amount,
+      COALESCE(SUM(${toClpSql('e.net_amount', 'e')}), 0) as total_net,
+      COALESCE(SUM(${toClpSql('e.tax_amount', 'e')}), 0) as total_tax,
+      COALESCE(SUM(e.total_amount_clp), 0) as total_with_tax,
+      COALESCE(SUM(${toClpSql('e.withholding_amount', 'e')}), 0) as total_withholding,
       MIN(e.date) as first_date,
       MAX(e.date) as last_date
     FROM expenses_data e
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -38,7 +43,17 @@ export async function getDashboardSummary(organizationId, filters = {}) {
   }
 
   const [rows] = await pool.query(sql, params);
-  return rows[0] || { total_count: 0, total_amount: 0, avg_amount: 0, first_date: null, last_date: null };
+  return rows[0] || {
+    total_count: 0,
+    total_amount: 0,
+    avg_amount: 0,
+    total_net: 0,
+    total_tax: 0,
+    total_with_tax: 0,
+    total_withholding: 0,
+    first_date: null,
+    last_date: null
+  };
 }
 
 /**
@@ -59,15 +74,16 @@ export async function getDistributionByType(organizationId, filters = {}) {
       et.name as type_name,
       et.color as type_color,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount,
       ROUND(
-        COALESCE(SUM(e.amount), 0) * 100.0 /
-        NULLIF((SELECT SUM(amount) FROM expenses_data WHERE organization_id = ?${subqueryConditions}), 0),
+        COALESCE(SUM(e.amount_clp), 0) * 100.0 /
+        NULLIF((SELECT SUM(amount_clp) FROM expenses_data WHERE organization_id = ? AND deleted_at IS NULL${subqueryConditions}), 0),
         2
       ) as percentage
     FROM expense_types et
     LEFT JOIN expenses_data e ON et.id = e.expense_type_id
       AND e.organization_id = ?
+      AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -119,11 +135,11 @@ export async function getHierarchicalDistribution(organizationId, filters = {})
       ec.name as category_name,
       ec.color as category_color,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
     FROM expenses_data e
     JOIN expense_types et ON e.expense_type_id = et.id
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -164,10 +180,11 @@ export async function getDistributionByStatus(organizationId, filters = {}) {
       s.name as status_name,
       s.color as status_color,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
     FROM expense_statuses s
     LEFT JOIN expenses_data e ON s.id = e.status_id
       AND e.organization_id = ?
+      AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -202,9 +219,10 @@ export async function getDistributionByStatus(organizationId, filters = {}) {
 
 /**
  * Flujo de caja agrupado por período
+ * filters.group_by_cost_center agrega cost_center_id y agrupa también por centro de costo
  */
 export async function getCashFlowByPeriod(organizationId, period, filters = {}) {
-  const { date_from: dateFrom, date_to: dateTo, cost_center_id } = filters;
+  const { date_from: dateFrom, date_to: dateTo, cost_center_id, exclude_voided, group_by_cost_center } = filters;
 
   const periodFormats = {
     week: '%Y-%u',
@@ -218,13 +236,19 @@ export async function getCashFlowByPeriod(organizationId, period, filters = {})
 
   let sql = `
     SELECT
+      ${group_by_cost_center ? 'e.cost_center_id,' : ''}
       ${isQuarter ? periodFormat : `DATE_FORMAT(e.date, '${periodFormat}')`} as period_label,
       MIN(e.date) as period_start,
       MAX(e.date) as period_end,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount,
+      COALESCE(SUM(CASE
+        WHEN e.payment_status = 'pagado' THEN e.amount_clp
+        WHEN e.payment_status = 'parcial' THEN LEAST(e.paid_amount_clp, e.amount_clp)
+        ELSE 0
+      END), 0) as paid_amount
     FROM expenses_data e
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -244,7 +268,94 @@ export async function getCashFlowByPeriod(organizationId, period, filters = {})
     params.push(cost_center_id);
   }
 
-  sql += `
+  if (exclude_voided) {
+    sql += ` AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')`;
+  }
+
+  sql += group_by_cost_center
+    ? `
+    GROUP BY e.cost_center_id, period_label
+    ORDER BY e.cost_center_id ASC, period_label ASC
+  `
+    : `
+    GROUP BY period_label
+    ORDER BY period_label ASC
+  `;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Flujo de caja real agrupado por fecha de pago.
+ * Usa los pagos vigentes de expense_payments; los registros marcados como pagados
+ * sin pagos registrados se consideran pagados en su payment_date (o date).
+ * filters.group_by_cost_center agrega cost_center_id y agrupa también por centro de costo
+ */
+export async function getPaymentFlowByPeriod(organizationId, period, filters = {}) {
+  const { date_from: dateFrom, date_to: dateTo, cost_center_id, group_by_cost_center } = filters;
+
+  const periodFormats = {
+    week: '%Y-%u',
+    month: '%Y-%m',
+    quarter: 'CONCAT(YEAR(flows.flow_date), "-Q", QUARTER(flows.flow_date))',
+    year: '%Y'
+  };
+
+  const periodFormat = periodFormats[period] || periodFormats.month;
+  const isQuarter = period === 'quarter';
+
+  let sql = `
+    SELECT
+      ${group_by_cost_center ? 'flows.cost_center_id,' : ''}
+      ${isQuarter ? periodFormat : `DATE_FORMAT(flows.flow_date, '${periodFormat}')`} as period_label,
+      MIN(flows.flow_date) as period_start,
+      MAX(flows.flow_date) as period_end,
+      COUNT(*) as count,
+      COALESCE(SUM(flows.flow_amount), 0) as total_amount
+    FROM (
+      SELECT p.payment_date as flow_date, ${toClpSql('p.amount', 'e')} as flow_amount, e.cost_center_id
+      FROM expense_payments p
+      INNER JOIN expenses_data e ON p.expense_id = e.id AND e.deleted_at IS NULL
+      WHERE p.organization_id = ? AND p.status = 'active'
+
+      UNION ALL
+
+      SELECT COALESCE(e.payment_date, e.date) as flow_date, COALESCE(e.total_amount_clp, 0) as flow_amount, e.cost_center_id
+      FROM expenses_data e
+      WHERE e.organization_id = ? AND e.deleted_at IS NULL
+        AND e.payment_status = 'pagado'
+        AND NOT EXISTS (
+          SELECT 1 FROM expense_payments p2
+          WHERE p2.expense_id = e.id AND p2.status = 'active'
+        )
+    ) flows
+    WHERE flows.flow_date IS NOT NULL
+  `;
+
+  const params = [organizationId, organizationId];
+
+  if (dateFrom) {
+    sql += ` AND flows.flow_date >= ?`;
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    sql += ` AND flows.flow_date <= ?`;
+    params.push(dateTo);
+  }
+
+  if (cost_center_id) {
+    sql += ` AND flows.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += group_by_cost_center
+    ? `
+    GROUP BY flows.cost_center_id, period_label
+    ORDER BY flows.cost_center_id ASC, period_label ASC
+  `
+    : `
     GROUP BY period_label
     ORDER BY period_label ASC
   `;
@@ -261,9 +372,9 @@ export async function getPeriodComparison(organizationId, currentDateFrom, curre
     SELECT
       'current' as period_type,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
     FROM expenses_data e
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
       AND e.date BETWEEN ? AND ?
 
     UNION ALL
@@ -271,9 +382,9 @@ export async function getPeriodComparison(organizationId, currentDateFrom, curre
     SELECT
       'previous' as period_type,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
     FROM expenses_data e
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
       AND e.date BETWEEN ? AND ?
   `;
 
@@ -300,10 +411,11 @@ export async function getTopExpenseTypes(organizationId, filters = {}, limit = 5
       et.name as type_name,
       et.color as type_color,
       COUNT(e.id) as count,
-      COALESCE(SUM(e.amount), 0) as total_amount
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
     FROM expense_types et
     LEFT JOIN expenses_data e ON et.id = e.expense_type_id
       AND e.organization_id = ?
+      AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -348,6 +460,8 @@ export async function getRecentExpenses(organizationId, filters = {}, limit = 10
       e.id,
       e.name,
       e.amount,
+      e.currency,
+      e.amount_clp,
       e.date,
       et.name as expense_type_name,
       et.color as type_color,
@@ -356,7 +470,7 @@ export async function getRecentExpenses(organizationId, filters = {}, limit = 10
     FROM expenses_data e
     LEFT JOIN expense_types et ON e.expense_type_id = et.id
     LEFT JOIN expense_statuses s ON e.status_id = s.id
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -412,12 +526,12 @@ export async function getCategoryByPeriod(organizationId, period = 'month', filt
       et.id as type_id,
       et.name as type_name,
       ${isQuarter ? periodFormat : `DATE_FORMAT(e.date, '${periodFormat}')`} as period_label,
-      COALESCE(SUM(e.amount), 0) as total_amount,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount,
       COUNT(e.id) as count
     FROM expenses_data e
     LEFT JOIN expense_categories ec ON e.category_id = ec.id
     LEFT JOIN expense_types et ON e.expense_type_id = et.id
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -445,3 +559,165 @@ export async function getCategoryByPeriod(organizationId, period = 'month', filt
   const [rows] = await pool.query(sql, params);
   return rows;
 }
+
+// Agrupaciones disponibles para el reporte de antigüedad
+const AGING_GROUPINGS = {
+  supplier: {
+    select: 'sp.id as group_id, sp.tax_id as group_code, sp.legal_name as group_name',
+    join: 'LEFT JOIN suppliers sp ON e.supplier_id = sp.id',
+    groupBy: 'sp.id, sp.tax_id, sp.legal_name'
+  },
+  cost_center: {
+    select: 'cc.id as group_id, cc.code as group_code, cc.name as group_name',
+    join: 'LEFT JOIN cost_centers cc ON e.cost_center_id = cc.id',
+    groupBy: 'cc.id, cc.code, cc.name'
+  },
+  expense_type: {
+    select: 'et.id as group_id, et.name as group_name, et.color as group_color',
+    join: 'LEFT JOIN expense_types et ON e.expense_type_id = et.id',
+    groupBy: 'et.id, et.name, et.color'
+  }
+};
+
+/**
+ * Antigüedad de saldos por pagar: saldo pendiente de documentos pendientes/parciales en tramos de días (0-30, 31-60, 61-90, 90+)
+ * La antigüedad se cuenta desde la fecha del documento hasta as_of
+ * @param {string} organizationId - ID de la organización
+ * @param {string|null} groupBy - null (total), 'supplier', 'cost_center' o 'expense_type'
+ * @param {Object} filters - as_of, cost_center_id, expense_type_id
+ */
+export async function getAgingBuckets(organizationId, groupBy = null, filters = {}) {
+  const { as_of: asOf, cost_center_id, expense_type_id } = filters;
+  const grouping = groupBy ? AGING_GROUPINGS[groupBy] : null;
+  const ageExpr = `DATEDIFF(?, COALESCE(e.date, DATE(e.created_at)))`;
+  // Saldo pendiente en CLP: total del documento menos pagos registrados
+  const outstandingExpr = `GREATEST(COALESCE(e.total_amount_clp, 0) - COALESCE(e.paid_amount_clp, 0), 0)`;
+
+  let sql = `
+    SELECT
+      ${grouping ? `${grouping.select},` : ''}
+      COUNT(e.id) as count,
+      COALESCE(SUM(${outstandingExpr}), 0) as total_amount,
+      COALESCE(SUM(CASE WHEN ${ageExpr} <= 30 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_0_30,
+      COALESCE(SUM(CASE WHEN ${ageExpr} BETWEEN 31 AND 60 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_31_60,
+      COALESCE(SUM(CASE WHEN ${ageExpr} BETWEEN 61 AND 90 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_61_90,
+      COALESCE(SUM(CASE WHEN ${ageExpr} > 90 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_90_plus,
+      MAX(${ageExpr}) as max_days
+    FROM expenses_data e
+    ${grouping ? grouping.join : ''}
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
+      AND e.payment_status IN ('pendiente', 'parcial')
+      AND COALESCE(e.date, DATE(e.created_at)) <= ?
+  `;
+
+  // Un parámetro as_of por cada ageExpr (5) más el filtro de fecha
+  const params = [asOf, asOf, asOf, asOf, asOf, organizationId, asOf];
+
+  if (cost_center_id) {
+    sql += ` AND e.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  if (expense_type_id) {
+    sql += ` AND e.expense_type_id = ?`;
+    params.push(expense_type_id);
+  }
+
+  if (grouping) {
+    sql += `
+    GROUP BY ${grouping.groupBy}
+    ORDER BY total_amount DESC
+    `;
+  }
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Egresos por pagar con su fecha esperada de pago (payment_date) y saldo pendiente
+ * Base de la proyección de flujo de caja; payment_date puede venir NULL (sin fecha comprometida)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - cost_center_id
+ */
+export async function getPendingPayables(organizationId, filters = {}) {
+  const { cost_center_id } = filters;
+
+  let sql = `
+    SELECT
+      e.id,
+      e.name,
+      e.expense_type_id as type_id,
+      e.category_id,
+      e.supplier_id as party_id,
+      e.cost_center_id,
+      e.date,
+      e.payment_date as expected_date,
+      e.payment_status,
+      GREATEST(COALESCE(e.total_amount_clp, 0) - COALESCE(e.paid_amount_clp, 0), 0) as outstanding_amount
+    FROM expenses_data e
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
+      AND e.payment_status IN ('pendiente', 'parcial')
+  `;
+
+  const params = [organizationId];
+
+  if (cost_center_id) {
+    sql += ` AND e.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += ` HAVING outstanding_amount > 0 ORDER BY e.payment_date ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Candidatos a egresos recurrentes: mismo tipo, categoría, proveedor y nombre
+ * registrados a lo más una vez por mes en al menos minMonths meses distintos desde date_from
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from (requerido), cost_center_id, min_months
+ */
+export async function getRecurringCandidates(organizationId, filters = {}) {
+  const { date_from: dateFrom, cost_center_id, min_months: minMonths = 3 } = filters;
+  const amountExpr = `e.total_amount_clp`;
+
+  let sql = `
+    SELECT
+      e.expense_type_id as type_id,
+      e.category_id,
+      e.supplier_id as party_id,
+      LOWER(TRIM(e.name)) as name_key,
+      MAX(e.name) as name,
+      MAX(s.name) as party_name,
+      COUNT(e.id) as occurrences,
+      COUNT(DISTINCT DATE_FORMAT(e.date, '%Y-%m')) as months,
+      AVG(${amountExpr}) as avg_amount,
+      STDDEV_POP(${amountExpr}) as stddev_amount,
+      ROUND(AVG(DAY(e.date))) as day_of_month,
+      MAX(e.date) as last_date
+    FROM expenses_data e
+    LEFT JOIN suppliers s ON e.supplier_id = s.id
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
+      AND e.date >= ?
+      AND (e.payment_status IS NULL OR e.payment_status != 'anulado')
+  `;
+
+  const params = [organizationId, dateFrom];
+
+  if (cost_center_id) {
+    sql += ` AND e.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += `
+    GROUP BY e.expense_type_id, e.category_id, e.supplier_id, name_key
+    HAVING months >= ? AND occurrences = months
+    ORDER BY avg_amount DESC
+  `;
+  params.push(minMonths);
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
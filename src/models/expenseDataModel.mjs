@@ -5,7 +5,7 @@ import { pool } from '../config/database.mjs';
 
 /**
  * Obtener todos los egresos de un tipo con paginación y filtros
- * @param {Object} filters - Filtros de búsqueda
+ * @param {Object} filters - Filtros de búsqueda (trashed: listar la papelera)
  */
 export async function getAllExpenses(filters = {}) {
   const {
@@ -14,10 +14,12 @@ export async function getAllExpenses(filters = {}) {
     status_id,
     category_id,
     cost_center_id,
+    supplier_id,
     date_from,
     date_to,
     payment_status,
     search,
+    trashed = false,
     limit = 50,
     offset = 0
   } = filters;
@@ -25,23 +27,33 @@ export async function getAllExpenses(filters = {}) {
   let sql = `
     SELECT
       e.*,
+      CASE
+        WHEN e.payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(e.total_amount, e.amount, 0) - COALESCE(e.paid_amount, 0), 0)
+      END as outstanding_amount,
       et.name as expense_type_name,
       s.name as status_name,
       s.color as status_color,
       c.name as category_name,
       cc.name as cost_center_name,
+      sp.legal_name as supplier_name,
+      sp.tax_id as supplier_tax_id,
       u.email as created_by_email
     FROM expenses_data e
     LEFT JOIN expense_types et ON e.expense_type_id = et.id
     LEFT JOIN expense_statuses s ON e.status_id = s.id
     LEFT JOIN expense_categories c ON e.category_id = c.id
     LEFT JOIN cost_centers cc ON e.cost_center_id = cc.id
+    LEFT JOIN suppliers sp ON e.supplier_id = sp.id
     LEFT JOIN users u ON e.created_by = u.id
     WHERE e.organization_id = ?
   `;
 
   const params = [organization_id];
 
+  // Papelera: solo eliminados; en otro caso se excluyen
+  sql += trashed ? ` AND e.deleted_at IS NOT NULL` : ` AND e.deleted_at IS NULL`;
+
   if (expense_type_id) {
     sql += ` AND e.expense_type_id = ?`;
     params.push(expense_type_id);
@@ -62,6 +74,11 @@ export async function getAllExpenses(filters = {}) {
     params.push(cost_center_id);
   }
 
+  if (supplier_id) {
+    sql += ` AND e.supplier_id = ?`;
+    params.push(supplier_id);
+  }
+
   if (date_from) {
     sql += ` AND e.date >= ?`;
     params.push(date_from);
@@ -101,10 +118,12 @@ export async function countExpenses(filters = {}) {
     status_id,
     category_id,
     cost_center_id,
+    supplier_id,
     date_from,
     date_to,
     payment_status,
-    search
+    search,
+    trashed = false
   } = filters;
 
   let sql = `
@@ -115,6 +134,9 @@ export async function countExpenses(filters = {}) {
 
   const params = [organization_id];
 
+  // Papelera: solo eliminados; en otro caso se excluyen
+  sql += trashed ? ` AND e.deleted_at IS NOT NULL` : ` AND e.deleted_at IS NULL`;
+
   if (expense_type_id) {
     sql += ` AND e.expense_type_id = ?`;
     params.push(expense_type_id);
@@ -135,6 +157,11 @@ export async function countExpenses(filters = {}) {
     params.push(cost_center_id);
   }
 
+  if (supplier_id) {
+    sql += ` AND e.supplier_id = ?`;
+    params.push(supplier_id);
+  }
+
   if (date_from) {
     sql += ` AND e.date >= ?`;
     params.push(date_from);
@@ -164,16 +191,23 @@ export async function countExpenses(filters = {}) {
  * Obtener un egreso por ID
  * @param {number} id - ID del egreso
  * @param {string} organizationId - ID de la organización
+ * @param {Object} options - includeDeleted: incluir egresos en la papelera
  */
-export async function getExpenseById(id, organizationId) {
+export async function getExpenseById(id, organizationId, { includeDeleted = false } = {}) {
   const sql = `
     SELECT
       e.*,
+      CASE
+        WHEN e.payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(e.total_amount, e.amount, 0) - COALESCE(e.paid_amount, 0), 0)
+      END as outstanding_amount,
       et.name as expense_type_name,
       s.name as status_name,
       s.color as status_color,
       c.name as category_name,
       cc.name as cost_center_name,
+      sp.legal_name as supplier_name,
+      sp.tax_id as supplier_tax_id,
       u_created.email as created_by_email,
       u_updated.email as updated_by_email
     FROM expenses_data e
@@ -181,15 +215,44 @@ export async function getExpenseById(id, organizationId) {
     LEFT JOIN expense_statuses s ON e.status_id = s.id
     LEFT JOIN expense_categories c ON e.category_id = c.id
     LEFT JOIN cost_centers cc ON e.cost_center_id = cc.id
+    LEFT JOIN suppliers sp ON e.supplier_id = sp.id
     LEFT JOIN users u_created ON e.created_by = u_created.id
     LEFT JOIN users u_updated ON e.updated_by = u_updated.id
     WHERE e.id = ? AND e.organization_id = ?
+      ${includeDeleted ? '' : `AND e.deleted_at IS NULL`}
   `;
 
   const [rows] = await pool.query(sql, [id, organizationId]);
   return rows[0] || null;
 }
 
+/**
+ * Buscar egresos vigentes con el mismo número de factura (detección de duplicados)
+ * @param {string} organizationId - ID de la organización
+ * @param {string} invoiceNumber - Número de factura / folio
+ * @param {number} supplierId - Proveedor (opcional; sin él se compara solo el folio)
+ */
+export async function findExpensesByInvoiceNumber(organizationId, invoiceNumber, supplierId = null) {
+  let sql = `
+    SELECT e.id, e.name, e.date, e.total_amount, e.currency, e.supplier_id
+    FROM expenses_data e
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
+      AND e.invoice_number = ?
+  `;
+
+  const params = [organizationId, invoiceNumber];
+
+  if (supplierId) {
+    sql += ` AND e.supplier_id = ?`;
+    params.push(supplierId);
+  }
+
+  sql += ` ORDER BY e.date DESC LIMIT 5`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
 /**
  * Crear un nuevo egreso
  * @param {Object} expenseData - Datos del egreso
@@ -205,6 +268,7 @@ export async function createExpense(expenseData) {
       date,
       status_id,
       cost_center_id,
+      supplier_id,
       amount,
       category_id,
       payment_date,
@@ -212,13 +276,16 @@ export async function createExpense(expenseData) {
       tax_amount,
       net_amount,
       total_amount,
+      tax_treatment,
+      withholding_amount,
       payment_method,
       payment_status,
       currency,
       exchange_rate,
       invoice_number,
+      recurring_template_id,
       created_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   const values = [
@@ -230,18 +297,22 @@ export async function createExpense(expenseData) {
     expenseData.date || null,
     expenseData.status_id || null,
     expenseData.cost_center_id || null,
+    expenseData.supplier_id || null,
     expenseData.amount || null,
     expenseData.category_id || null,
     expenseData.payment_date || null,
     expenseData.reference_number || null,
-    expenseData.tax_amount || null,
-    expenseData.net_amount || null,
-    expenseData.total_amount || null,
+    expenseData.tax_amount ?? null,
+    expenseData.net_amount ?? null,
+    expenseData.total_amount ?? null,
+    expenseData.tax_treatment || null,
+    expenseData.withholding_amount ?? null,
     expenseData.payment_method || null,
     expenseData.payment_status || null,
     expenseData.currency || 'CLP',
     expenseData.exchange_rate || null,
     expenseData.invoice_number || null,
+    expenseData.recurring_template_id || null,
     expenseData.created_by || null
   ];
 
@@ -265,17 +336,23 @@ export async function updateExpense(id, organizationId, expenseData) {
       date = ?,
       status_id = ?,
       cost_center_id = ?,
+      supplier_id = ?,
       amount = ?,
       category_id = ?,
       payment_date = ?,
       reference_number = ?,
+      tax_amount = ?,
+      net_amount = ?,
+      total_amount = ?,
+      tax_treatment = ?,
+      withholding_amount = ?,
       payment_method = ?,
       payment_status = ?,
       currency = ?,
       exchange_rate = ?,
       invoice_number = ?,
       updated_by = ?
-    WHERE id = ? AND organization_id = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
   `;
 
   const values = [
@@ -285,13 +362,16 @@ export async function updateExpense(id, organizationId, expenseData) {
     expenseData.date || null,
     expenseData.status_id || null,
     expenseData.cost_center_id || null,
+    expenseData.supplier_id || null,
     expenseData.amount || null,
     expenseData.category_id || null,
     expenseData.payment_date || null,
     expenseData.reference_number || null,
-    expenseData.tax_amount || null,
-    expenseData.net_amount || null,
-    expenseData.total_amount || null,
+    expenseData.tax_amount ?? null,
+    expenseData.net_amount ?? null,
+    expenseData.total_amount ?? null,
+    expenseData.tax_treatment || null,
+    expenseData.withholding_amount ?? null,
     expenseData.payment_method || null,
     expenseData.payment_status || null,
     expenseData.currency || 'CLP',
@@ -307,20 +387,90 @@ export async function updateExpense(id, organizationId, expenseData) {
 }
 
 /**
- * Eliminar un egreso permanentemente
+ * Enviar un egreso a la papelera (soft delete)
  * @param {number} id - ID del egreso
  * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que elimina
  */
-export async function deleteExpense(id, organizationId) {
+export async function deleteExpense(id, organizationId, userId = null) {
+  const sql = `
+    UPDATE expenses_data
+    SET deleted_at = NOW(), deleted_by = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
+  `;
+
+  const [result] = await pool.query(sql, [userId, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Restaurar un egreso desde la papelera
+ * @param {number} id - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que restaura
+ */
+export async function restoreExpense(id, organizationId, userId = null) {
+  const sql = `
+    UPDATE expenses_data
+    SET deleted_at = NULL, deleted_by = NULL, updated_by = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NOT NULL
+  `;
+
+  const [result] = await pool.query(sql, [userId, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Eliminar permanentemente un egreso que está en la papelera
+ * @param {number} id - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ */
+export async function purgeExpense(id, organizationId) {
   const sql = `
     DELETE FROM expenses_data
-    WHERE id = ? AND organization_id = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NOT NULL
   `;
 
   const [result] = await pool.query(sql, [id, organizationId]);
   return result.affectedRows;
 }
 
+/**
+ * Eliminar permanentemente los egresos que llevan más de N días en la papelera (todas las organizaciones)
+ * @param {number} retentionDays - Días de retención
+ * @returns {Promise<Array>} Registros eliminados (fila completa, para auditoría)
+ */
+export async function purgeExpiredExpenses(retentionDays) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Bloqueadas hasta el commit: una restauración simultánea no puede sacarlas de la papelera a medias
+    const [rows] = await connection.query(`
+      SELECT *
+      FROM expenses_data
+      WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      FOR UPDATE
+    `, [retentionDays]);
+
+    if (rows.length > 0) {
+      await connection.query(`
+        DELETE FROM expenses_data
+        WHERE id IN (?) AND deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      `, [rows.map(row => row.id), retentionDays]);
+    }
+
+    await connection.commit();
+    return rows;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 /**
  * Obtener estadísticas de egresos por tipo
  * @param {string} organizationId - ID de la organización
@@ -334,13 +484,13 @@ export async function getExpenseStats(organizationId, expenseTypeId = null, date
       e.expense_type_id,
       et.name as expense_type_name,
       COUNT(e.id) as total_count,
-      SUM(e.amount) as total_amount,
-      AVG(e.amount) as avg_amount,
+      SUM(e.amount_clp) as total_amount,
+      AVG(e.amount_clp) as avg_amount,
       MIN(e.date) as first_date,
       MAX(e.date) as last_date
     FROM expenses_data e
     LEFT JOIN expense_types et ON e.expense_type_id = et.id
-    WHERE e.organization_id = ?
+    WHERE e.organization_id = ? AND e.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -379,9 +529,9 @@ export async function getExpensesByStatus(organizationId, expenseTypeId) {
       s.color as status_color,
       s.is_final,
       COUNT(e.id) as count,
-      SUM(e.amount) as total_amount
+      SUM(e.amount_clp) as total_amount
     FROM expense_statuses s
-    LEFT JOIN expenses_data e ON s.id = e.status_id AND e.organization_id = ?
+    LEFT JOIN expenses_data e ON s.id = e.status_id AND e.organization_id = ? AND e.deleted_at IS NULL
     WHERE s.expense_type_id = ? AND s.organization_id = ? AND s.is_active = TRUE
     GROUP BY s.id, s.name, s.color, s.is_final
     ORDER BY s.name
@@ -0,0 +1,200 @@
+// src/models/expensePaymentModel.mjs
+// Modelo para pagos de egresos (pagos parciales, totales y anulaciones)
+
+import { pool } from '../config/database.mjs';
+
+/**
+ * Obtener los pagos de un egreso
+ * @param {number} expenseId - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ * @param {boolean} includeVoided - Si es true, incluye pagos anulados
+ */
+export async function getPaymentsByExpense(expenseId, organizationId, includeVoided = true) {
+  const sql = `
+    SELECT
+      p.id,
+      p.expense_id,
+      p.organization_id,
+      p.amount,
+      DATE_FORMAT(p.payment_date, '%Y-%m-%d') as payment_date,
+      p.payment_method,
+      p.reference_number,
+      p.notes,
+      p.status,
+      p.voided_at,
+      p.voided_by,
+      p.void_reason,
+      p.created_by,
+      u.email as created_by_email,
+      p.created_at
+    FROM expense_payments p
+    LEFT JOIN users u ON p.created_by = u.id
+    WHERE p.expense_id = ? AND p.organization_id = ?
+      ${includeVoided ? '' : "AND p.status = 'active'"}
+    ORDER BY p.payment_date ASC, p.id ASC
+  `;
+
+  const [rows] = await pool.query(sql, [expenseId, organizationId]);
+  return rows;
+}
+
+/**
+ * Obtener un pago por ID
+ * @param {number} paymentId - ID del pago
+ * @param {number} expenseId - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getPaymentById(paymentId, expenseId, organizationId) {
+  const sql = `
+    SELECT *
+    FROM expense_payments
+    WHERE id = ? AND expense_id = ? AND organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [paymentId, expenseId, organizationId]);
+  return rows[0] || null;
+}
+
+/**
+ * Bloquear el egreso (SELECT ... FOR UPDATE) y obtener su saldo pendiente dentro de una transacción
+ * @param {number} expenseId - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} connection - Conexión de la transacción
+ */
+export async function lockExpenseBalance(expenseId, organizationId, connection) {
+  const [rows] = await connection.query(`
+    SELECT
+      id,
+      payment_status,
+      CASE
+        WHEN payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(total_amount, amount, 0) - COALESCE(paid_amount, 0), 0)
+      END as outstanding_amount
+    FROM expenses_data
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
+    FOR UPDATE
+  `, [expenseId, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Registrar un pago
+ * @param {Object} paymentData - Datos del pago
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function createPayment(paymentData, connection = pool) {
+  const sql = `
+    INSERT INTO expense_payments (
+      expense_id,
+      organization_id,
+      amount,
+      payment_date,
+      payment_method,
+      reference_number,
+      notes,
+      created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const values = [
+    paymentData.expense_id,
+    paymentData.organization_id,
+    paymentData.amount,
+    paymentData.payment_date,
+    paymentData.payment_method || null,
+    paymentData.reference_number || null,
+    paymentData.notes || null,
+    paymentData.created_by || null
+  ];
+
+  const [result] = await connection.query(sql, values);
+  return result.insertId;
+}
+
+/**
+ * Anular un pago (no se elimina para mantener el historial)
+ * @param {number} paymentId - ID del pago
+ * @param {number} expenseId - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que anula
+ * @param {string} reason - Motivo de la anulación
+ */
+export async function voidPayment(paymentId, expenseId, organizationId, userId = null, reason = null) {
+  const sql = `
+    UPDATE expense_payments
+    SET status = 'voided', voided_at = NOW(), voided_by = ?, void_reason = ?
+    WHERE id = ? AND expense_id = ? AND organization_id = ? AND status = 'active'
+  `;
+
+  const [result] = await pool.query(sql, [userId, reason, paymentId, expenseId, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Recalcular paid_amount y payment_status de un egreso a partir de sus pagos vigentes.
+ * Un egreso anulado conserva su estado de pago.
+ * payment_date (fecha esperada de pago) no se modifica; la fecha del último pago queda en last_payment_date.
+ * @param {number} expenseId - ID del egreso
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function recalculatePaymentStatus(expenseId, organizationId, connection = pool) {
+  const [records] = await connection.query(`
+    SELECT id, amount, total_amount, payment_status
+    FROM expenses_data
+    WHERE id = ? AND organization_id = ?
+  `, [expenseId, organizationId]);
+
+  const record = records[0];
+  if (!record) return null;
+
+  const [[totals]] = await connection.query(`
+    SELECT
+      COALESCE(SUM(amount), 0) as paid_amount,
+      DATE_FORMAT(MAX(payment_date), '%Y-%m-%d') as last_payment_date,
+      (
+        SELECT payment_method FROM expense_payments
+        WHERE expense_id = ? AND status = 'active'
+        ORDER BY payment_date DESC, id DESC
+        LIMIT 1
+      ) as last_payment_method
+    FROM expense_payments
+    WHERE expense_id = ? AND status = 'active'
+  `, [expenseId, expenseId]);
+
+  const totalDue = parseFloat(record.total_amount ?? record.amount) || 0;
+  const paidAmount = parseFloat(totals.paid_amount) || 0;
+
+  let paymentStatus = record.payment_status;
+  if (paymentStatus !== 'anulado') {
+    if (paidAmount <= 0) {
+      paymentStatus = 'pendiente';
+    } else if (paidAmount >= totalDue - 0.005) {
+      paymentStatus = 'pagado';
+    } else {
+      paymentStatus = 'parcial';
+    }
+  }
+
+  await connection.query(`
+    UPDATE expenses_data
+    SET paid_amount = ?, payment_status = ?, last_payment_date = ?, payment_method = COALESCE(?, payment_method)
+    WHERE id = ? AND organization_id = ?
+  `, [
+    paidAmount,
+    paymentStatus,
+    totals.last_payment_date,
+    totals.last_payment_method,
+    expenseId,
+    organizationId
+  ]);
+
+  return {
+    total_due: totalDue,
+    paid_amount: paidAmount,
+    outstanding_amount: paymentStatus === 'anulado' ? 0 : Math.max(0, totalDue - paidAmount),
+    payment_status: paymentStatus,
+    last_payment_date: totals.last_payment_date
+  };
+}
@@ -19,6 +19,7 @@ export async function getStatusesByType(expenseTypeId, organizationId, onlyActiv
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_by,
       updated_by,
@@ -49,6 +50,7 @@ export async function getStatusById(id, organizationId) {
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_by,
       updated_by,
@@ -75,9 +77,10 @@ export async function createStatus(statusData) {
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   const values = [
@@ -87,6 +90,7 @@ export async function createStatus(statusData) {
     statusData.description || null,
     statusData.color || '#6B7280',
     statusData.is_final ?? false,
+    statusData.required_fields ? JSON.stringify(statusData.required_fields) : null,
     statusData.is_active ?? true,
     statusData.created_by || null
   ];
@@ -109,6 +113,7 @@ export async function updateStatus(id, organizationId, statusData) {
       description = ?,
       color = ?,
       is_final = ?,
+      required_fields = ?,
       is_active = ?,
       updated_by = ?
     WHERE id = ? AND organization_id = ?
@@ -119,6 +124,7 @@ export async function updateStatus(id, organizationId, statusData) {
     statusData.description || null,
     statusData.color || '#6B7280',
     statusData.is_final ?? false,
+    statusData.required_fields ? JSON.stringify(statusData.required_fields) : null,
     statusData.is_active ?? true,
     statusData.updated_by || null,
     id,
@@ -210,6 +216,7 @@ export async function getFinalStatusesByType(expenseTypeId, organizationId) {
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_by,
       updated_by,
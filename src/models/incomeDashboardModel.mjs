@@ -1,7 +1,8 @@
 // src/models/incomeDashboardModel.mjs
-// Modelo para consultas de dashboard de ingresos
+// Modelo para consultas de dashboard de ingresos (montos agregados en CLP: columnas *_clp)
 
 import { pool } from '../config/database.mjs';
+import { toClpSql } from '../utils/currencyUtils.mjs';
 
 /**
  * Obtener resumen completo del dashboard
@@ -12,12 +13,16 @@ export async function getDashboardSummary(organizationId, filters = {}) {
   let sql = `
     SELECT
       COUNT(i.id) as total_count,
-      COALESCE(SUM(i.amount), 0) as total_amount,
-      COALESCE(AVG(i.amount), 0) as avg_amount,
+      COALESCE(SUM(i.amount_clp), 0) as total_amount,
+      COALESCE(AVG(i.amount_clp), 0) as avg_amount,
+      COALESCE(SUM(${toClpSql('i.net_amount', 'i')}), 0) as total_net,
+      COALESCE(SUM(${toClpSql('i.tax_amount', 'i')}), 0) as total_tax,
+      COALESCE(SUM(i.total_amount_clp), 0) as total_with_tax,
+      COALESCE(SUM(${toClpSql('i.withholding_amount', 'i')}), 0) as total_withholding,
       MIN(i.date) as first_date,
       MAX(i.date) as last_date
     FROM incomes_data i
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -38,7 +43,17 @@ export async function getDashboardSummary(organizationId, filters = {}) {
   }
 
   const [rows] = await pool.query(sql, params);
-  return rows[0] || { total_count: 0, total_amount: 0, avg_amount: 0, first_date: null, last_date: null };
+  return rows[0] || {
+    total_count: 0,
+    total_amount: 0,
+    avg_amount: 0,
+    total_net: 0,
+    total_tax: 0,
+    total_with_tax: 0,
+    total_withholding: 0,
+    first_date: null,
+    last_date: null
+  };
 }
 
 /**
@@ -59,15 +74,16 @@ export async function getDistributionByType(organizationId, filters = {}) {
       it.name as type_name,
       it.color as type_color,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount,
+      COALESCE(SUM(i.amount_clp), 0) as total_amount,
       ROUND(
-        COALESCE(SUM(i.amount), 0) * 100.0 /
-        NULLIF((SELECT SUM(amount) FROM incomes_data WHERE organization_id = ?${subqueryConditions}), 0),
+        COALESCE(SUM(i.amount_clp), 0) * 100.0 /
+        NULLIF((SELECT SUM(amount_clp) FROM incomes_data WHERE organization_id = ? AND deleted_at IS NULL${subqueryConditions}), 0),
         2
       ) as percentage
     FROM income_types it
     LEFT JOIN incomes_data i ON it.id = i.income_type_id
       AND i.organization_id = ?
+      AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -119,11 +135,11 @@ export async function getHierarchicalDistribution(organizationId, filters = {})
       ic.name as category_name,
       ic.color as category_color,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount
     FROM incomes_data i
     JOIN income_types it ON i.income_type_id = it.id
     LEFT JOIN income_categories ic ON i.category_id = ic.id
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -164,10 +180,11 @@ export async function getDistributionByStatus(organizationId, filters = {}) {
       s.name as status_name,
       s.color as status_color,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount
     FROM income_statuses s
     LEFT JOIN incomes_data i ON s.id = i.status_id
       AND i.organization_id = ?
+      AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -202,9 +219,10 @@ export async function getDistributionByStatus(organizationId, filters = {}) {
 
 /**
  * Flujo de caja agrupado por período
+ * filters.group_by_cost_center agrega cost_center_id y agrupa también por centro de costo
  */
 export async function getCashFlowByPeriod(organizationId, period, filters = {}) {
-  const { date_from: dateFrom, date_to: dateTo, cost_center_id } = filters;
+  const { date_from: dateFrom, date_to: dateTo, cost_center_id, exclude_voided, group_by_cost_center } = filters;
 
   const periodFormats = {
     week: '%Y-%u',
@@ -218,13 +236,19 @@ export async function getCashFlowByPeriod(organizationId, period, filters = {})
 
   let sql = `
     SELECT
+      ${group_by_cost_center ? 'i.cost_center_id,' : ''}
       ${isQuarter ? periodFormat : `DATE_FORMAT(i.date, '${periodFormat}')`} as period_label,
       MIN(i.date) as period_start,
       MAX(i.date) as period_end,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount,
+      COALESCE(SUM(CASE
+        WHEN i.payment_status = 'pagado' THEN i.amount_clp
+        WHEN i.payment_status = 'parcial' THEN LEAST(i.paid_amount_clp, i.amount_clp)
+        ELSE 0
+      END), 0) as paid_amount
     FROM incomes_data i
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -244,7 +268,94 @@ export async function getCashFlowByPeriod(organizationId, period, filters = {})
     params.push(cost_center_id);
   }
 
-  sql += `
+  if (exclude_voided) {
+    sql += ` AND (i.payment_status IS NULL OR i.payment_status <> 'anulado')`;
+  }
+
+  sql += group_by_cost_center
+    ? `
+    GROUP BY i.cost_center_id, period_label
+    ORDER BY i.cost_center_id ASC, period_label ASC
+  `
+    : `
+    GROUP BY period_label
+    ORDER BY period_label ASC
+  `;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Flujo de caja real agrupado por fecha de pago.
+ * Usa los pagos vigentes de income_payments; los registros marcados como pagados
+ * sin pagos registrados se consideran pagados en su payment_date (o date).
+ * filters.group_by_cost_center agrega cost_center_id y agrupa también por centro de costo
+ */
+export async function getPaymentFlowByPeriod(organizationId, period, filters = {}) {
+  const { date_from: dateFrom, date_to: dateTo, cost_center_id, group_by_cost_center } = filters;
+
+  const periodFormats = {
+    week: '%Y-%u',
+    month: '%Y-%m',
+    quarter: 'CONCAT(YEAR(flows.flow_date), "-Q", QUARTER(flows.flow_date))',
+    year: '%Y'
+  };
+
+  const periodFormat = periodFormats[period] || periodFormats.month;
+  const isQuarter = period === 'quarter';
+
+  let sql = `
+    SELECT
+      ${group_by_cost_center ? 'flows.cost_center_id,' : ''}
+      ${isQuarter ? periodFormat : `DATE_FORMAT(flows.flow_date, '${periodFormat}')`} as period_label,
+      MIN(flows.flow_date) as period_start,
+      MAX(flows.flow_date) as period_end,
+      COUNT(*) as count,
+      COALESCE(SUM(flows.flow_amount), 0) as total_amount
+    FROM (
+      SELECT p.payment_date as flow_date, ${toClpSql('p.amount', 'i')} as flow_amount, i.cost_center_id
+      FROM income_payments p
+      INNER JOIN incomes_data i ON p.income_id = i.id AND i.deleted_at IS NULL
+      WHERE p.organization_id = ? AND p.status = 'active'
+
+      UNION ALL
+
+      SELECT COALESCE(i.payment_date, i.date) as flow_date, COALESCE(i.total_amount_clp, 0) as flow_amount, i.cost_center_id
+      FROM incomes_data i
+      WHERE i.organization_id = ? AND i.deleted_at IS NULL
+        AND i.payment_status = 'pagado'
+        AND NOT EXISTS (
+          SELECT 1 FROM income_payments p2
+          WHERE p2.income_id = i.id AND p2.status = 'active'
+        )
+    ) flows
+    WHERE flows.flow_date IS NOT NULL
+  `;
+
+  const params = [organizationId, organizationId];
+
+  if (dateFrom) {
+    sql += ` AND flows.flow_date >= ?`;
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    sql += ` AND flows.flow_date <= ?`;
+    params.push(dateTo);
+  }
+
+  if (cost_center_id) {
+    sql += ` AND flows.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += group_by_cost_center
+    ? `
+    GROUP BY flows.cost_center_id, period_label
+    ORDER BY flows.cost_center_id ASC, period_label ASC
+  `
+    : `
     GROUP BY period_label
     ORDER BY period_label ASC
   `;
@@ -261,9 +372,9 @@ export async function getPeriodComparison(organizationId, currentDateFrom, curre
     SELECT
       'current' as period_type,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount
     FROM incomes_data i
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
       AND i.date BETWEEN ? AND ?
 
     UNION ALL
@@ -271,9 +382,9 @@ export async function getPeriodComparison(organizationId, currentDateFrom, curre
     SELECT
       'previous' as period_type,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount
     FROM incomes_data i
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
       AND i.date BETWEEN ? AND ?
   `;
 
@@ -300,10 +411,11 @@ export async function getTopIncomeTypes(organizationId, filters = {}, limit = 5)
       it.name as type_name,
       it.color as type_color,
       COUNT(i.id) as count,
-      COALESCE(SUM(i.amount), 0) as total_amount
+      COALESCE(SUM(i.amount_clp), 0) as total_amount
     FROM income_types it
     LEFT JOIN incomes_data i ON it.id = i.income_type_id
       AND i.organization_id = ?
+      AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -348,6 +460,8 @@ export async function getRecentIncomes(organizationId, filters = {}, limit = 10)
       i.id,
       i.name,
       i.amount,
+      i.currency,
+      i.amount_clp,
       i.date,
       it.name as income_type_name,
       it.color as type_color,
@@ -356,7 +470,7 @@ export async function getRecentIncomes(organizationId, filters = {}, limit = 10)
     FROM incomes_data i
     LEFT JOIN income_types it ON i.income_type_id = it.id
     LEFT JOIN income_statuses s ON i.status_id = s.id
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -412,12 +526,12 @@ export async function getCategoryByPeriod(organizationId, period = 'month', filt
       it.id as type_id,
       it.name as type_name,
       ${isQuarter ? periodFormat : `DATE_FORMAT(i.date, '${periodFormat}')`} as period_label,
-      COALESCE(SUM(i.amount), 0) as total_amount,
+      COALESCE(SUM(i.amount_clp), 0) as total_amount,
       COUNT(i.id) as count
     FROM incomes_data i
     LEFT JOIN income_categories ic ON i.category_id = ic.id
     LEFT JOIN income_types it ON i.income_type_id = it.id
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -445,3 +559,160 @@ export async function getCategoryByPeriod(organizationId, period = 'month', filt
   const [rows] = await pool.query(sql, params);
   return rows;
 }
+
+// Agrupaciones disponibles para el reporte de antigüedad
+const AGING_GROUPINGS = {
+  cost_center: {
+    select: 'cc.id as group_id, cc.code as group_code, cc.name as group_name',
+    join: 'LEFT JOIN cost_centers cc ON i.cost_center_id = cc.id',
+    groupBy: 'cc.id, cc.code, cc.name'
+  },
+  income_type: {
+    select: 'it.id as group_id, it.name as group_name, it.color as group_color',
+    join: 'LEFT JOIN income_types it ON i.income_type_id = it.id',
+    groupBy: 'it.id, it.name, it.color'
+  }
+};
+
+/**
+ * Antigüedad de saldos por cobrar: saldo pendiente de documentos pendientes/parciales en tramos de días (0-30, 31-60, 61-90, 90+)
+ * La antigüedad se cuenta desde la fecha del documento hasta as_of
+ * @param {string} organizationId - ID de la organización
+ * @param {string|null} groupBy - null (total), 'cost_center' o 'income_type'
+ * @param {Object} filters - as_of, cost_center_id, income_type_id
+ */
+export async function getAgingBuckets(organizationId, groupBy = null, filters = {}) {
+  const { as_of: asOf, cost_center_id, income_type_id } = filters;
+  const grouping = groupBy ? AGING_GROUPINGS[groupBy] : null;
+  const ageExpr = `DATEDIFF(?, COALESCE(i.date, DATE(i.created_at)))`;
+  // Saldo pendiente en CLP: total del documento menos pagos registrados
+  const outstandingExpr = `GREATEST(COALESCE(i.total_amount_clp, 0) - COALESCE(i.paid_amount_clp, 0), 0)`;
+
+  let sql = `
+    SELECT
+      ${grouping ? `${grouping.select},` : ''}
+      COUNT(i.id) as count,
+      COALESCE(SUM(${outstandingExpr}), 0) as total_amount,
+      COALESCE(SUM(CASE WHEN ${ageExpr} <= 30 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_0_30,
+      COALESCE(SUM(CASE WHEN ${ageExpr} BETWEEN 31 AND 60 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_31_60,
+      COALESCE(SUM(CASE WHEN ${ageExpr} BETWEEN 61 AND 90 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_61_90,
+      COALESCE(SUM(CASE WHEN ${ageExpr} > 90 THEN ${outstandingExpr} ELSE 0 END), 0) as bucket_90_plus,
+      MAX(${ageExpr}) as max_days
+    FROM incomes_data i
+    ${grouping ? grouping.join : ''}
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
+      AND i.payment_status IN ('pendiente', 'parcial')
+      AND COALESCE(i.date, DATE(i.created_at)) <= ?
+  `;
+
+  // Un parámetro as_of por cada ageExpr (5) más el filtro de fecha
+  const params = [asOf, asOf, asOf, asOf, asOf, organizationId, asOf];
+
+  if (cost_center_id) {
+    sql += ` AND i.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  if (income_type_id) {
+    sql += ` AND i.income_type_id = ?`;
+    params.push(income_type_id);
+  }
+
+  if (grouping) {
+    sql += `
+    GROUP BY ${grouping.groupBy}
+    ORDER BY total_amount DESC
+    `;
+  }
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Ingresos por cobrar con su fecha esperada de pago (payment_date) y saldo pendiente
+ * Base de la proyección de flujo de caja; payment_date puede venir NULL (sin fecha comprometida)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - cost_center_id
+ */
+export async function getPendingReceivables(organizationId, filters = {}) {
+  const { cost_center_id } = filters;
+
+  let sql = `
+    SELECT
+      i.id,
+      i.name,
+      i.income_type_id as type_id,
+      i.category_id,
+      i.client_id as party_id,
+      i.cost_center_id,
+      i.date,
+      i.payment_date as expected_date,
+      i.payment_status,
+      GREATEST(COALESCE(i.total_amount_clp, 0) - COALESCE(i.paid_amount_clp, 0), 0) as outstanding_amount
+    FROM incomes_data i
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
+      AND i.payment_status IN ('pendiente', 'parcial')
+  `;
+
+  const params = [organizationId];
+
+  if (cost_center_id) {
+    sql += ` AND i.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += ` HAVING outstanding_amount > 0 ORDER BY i.payment_date ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Candidatos a ingresos recurrentes: mismo tipo, categoría, cliente y nombre
+ * registrados a lo más una vez por mes en al menos minMonths meses distintos desde date_from
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from (requerido), cost_center_id, min_months
+ */
+export async function getRecurringCandidates(organizationId, filters = {}) {
+  const { date_from: dateFrom, cost_center_id, min_months: minMonths = 3 } = filters;
+  const amountExpr = `i.total_amount_clp`;
+
+  let sql = `
+    SELECT
+      i.income_type_id as type_id,
+      i.category_id,
+      i.client_id as party_id,
+      LOWER(TRIM(i.name)) as name_key,
+      MAX(i.name) as name,
+      MAX(cl.name) as party_name,
+      COUNT(i.id) as occurrences,
+      COUNT(DISTINCT DATE_FORMAT(i.date, '%Y-%m')) as months,
+      AVG(${amountExpr}) as avg_amount,
+      STDDEV_POP(${amountExpr}) as stddev_amount,
+      ROUND(AVG(DAY(i.date))) as day_of_month,
+      MAX(i.date) as last_date
+    FROM incomes_data i
+    LEFT JOIN clients cl ON i.client_id = cl.id
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
+      AND i.date >= ?
+      AND (i.payment_status IS NULL OR i.payment_status != 'anulado')
+  `;
+
+  const params = [organizationId, dateFrom];
+
+  if (cost_center_id) {
+    sql += ` AND i.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += `
+    GROUP BY i.income_type_id, i.category_id, i.client_id, name_key
+    HAVING months >= ? AND occurrences = months
+    ORDER BY avg_amount DESC
+  `;
+  params.push(minMonths);
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
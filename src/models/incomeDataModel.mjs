@@ -5,7 +5,7 @@ import { pool } from '../config/database.mjs';
 
 /**
  * Obtener todos los ingresos de un tipo con paginación y filtros
- * @param {Object} filters - Filtros de búsqueda
+ * @param {Object} filters - Filtros de búsqueda (trashed: listar la papelera)
  */
 export async function getAllIncomes(filters = {}) {
   const {
@@ -14,10 +14,12 @@ export async function getAllIncomes(filters = {}) {
     status_id,
     category_id,
     cost_center_id,
+    client_id,
     date_from,
     date_to,
     payment_status,
     search,
+    trashed = false,
     limit = 50,
     offset = 0
   } = filters;
@@ -25,23 +27,33 @@ export async function getAllIncomes(filters = {}) {
   let sql = `
     SELECT
       i.*,
+      CASE
+        WHEN i.payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(i.total_amount, i.amount, 0) - COALESCE(i.paid_amount, 0), 0)
+      END as outstanding_amount,
       it.name as income_type_name,
       s.name as status_name,
       s.color as status_color,
       c.name as category_name,
       cc.name as cost_center_name,
+      cl.legal_name as client_name,
+      cl.tax_id as client_tax_id,
       u.email as created_by_email
     FROM incomes_data i
     LEFT JOIN income_types it ON i.income_type_id = it.id
     LEFT JOIN income_statuses s ON i.status_id = s.id
     LEFT JOIN income_categories c ON i.category_id = c.id
     LEFT JOIN cost_centers cc ON i.cost_center_id = cc.id
+    LEFT JOIN clients cl ON i.client_id = cl.id
     LEFT JOIN users u ON i.created_by = u.id
     WHERE i.organization_id = ?
   `;
 
   const params = [organization_id];
 
+  // Papelera: solo eliminados; en otro caso se excluyen
+  sql += trashed ? ` AND i.deleted_at IS NOT NULL` : ` AND i.deleted_at IS NULL`;
+
   if (income_type_id) {
     sql += ` AND i.income_type_id = ?`;
     params.push(income_type_id);
@@ -62,6 +74,11 @@ export async function getAllIncomes(filters = {}) {
     params.push(cost_center_id);
   }
 
+  if (client_id) {
+    sql += ` AND i.client_id = ?`;
+    params.push(client_id);
+  }
+
   if (date_from) {
     sql += ` AND i.date >= ?`;
     params.push(date_from);
@@ -101,10 +118,12 @@ export async function countIncomes(filters = {}) {
     status_id,
     category_id,
     cost_center_id,
+    client_id,
     date_from,
     date_to,
     payment_status,
-    search
+    search,
+    trashed = false
   } = filters;
 
   let sql = `
@@ -115,6 +134,9 @@ export async function countIncomes(filters = {}) {
 
   const params = [organization_id];
 
+  // Papelera: solo eliminados; en otro caso se excluyen
+  sql += trashed ? ` AND i.deleted_at IS NOT NULL` : ` AND i.deleted_at IS NULL`;
+
   if (income_type_id) {
     sql += ` AND i.income_type_id = ?`;
     params.push(income_type_id);
@@ -135,6 +157,11 @@ export async function countIncomes(filters = {}) {
     params.push(cost_center_id);
   }
 
+  if (client_id) {
+    sql += ` AND i.client_id = ?`;
+    params.push(client_id);
+  }
+
   if (date_from) {
     sql += ` AND i.date >= ?`;
     params.push(date_from);
@@ -164,16 +191,23 @@ export async function countIncomes(filters = {}) {
  * Obtener un ingreso por ID
  * @param {number} id - ID del ingreso
  * @param {string} organizationId - ID de la organización
+ * @param {Object} options - includeDeleted: incluir ingresos en la papelera
  */
-export async function getIncomeById(id, organizationId) {
+export async function getIncomeById(id, organizationId, { includeDeleted = false } = {}) {
   const sql = `
     SELECT
       i.*,
+      CASE
+        WHEN i.payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(i.total_amount, i.amount, 0) - COALESCE(i.paid_amount, 0), 0)
+      END as outstanding_amount,
       it.name as income_type_name,
       s.name as status_name,
       s.color as status_color,
       c.name as category_name,
       cc.name as cost_center_name,
+      cl.legal_name as client_name,
+      cl.tax_id as client_tax_id,
       u_created.email as created_by_email,
       u_updated.email as updated_by_email
     FROM incomes_data i
@@ -181,9 +215,11 @@ export async function getIncomeById(id, organizationId) {
     LEFT JOIN income_statuses s ON i.status_id = s.id
     LEFT JOIN income_categories c ON i.category_id = c.id
     LEFT JOIN cost_centers cc ON i.cost_center_id = cc.id
+    LEFT JOIN clients cl ON i.client_id = cl.id
     LEFT JOIN users u_created ON i.created_by = u_created.id
     LEFT JOIN users u_updated ON i.updated_by = u_updated.id
     WHERE i.id = ? AND i.organization_id = ?
+      ${includeDeleted ? '' : `AND i.deleted_at IS NULL`}
   `;
 
   const [rows] = await pool.query(sql, [id, organizationId]);
@@ -205,6 +241,7 @@ export async function createIncome(incomeData) {
       date,
       status_id,
       cost_center_id,
+      client_id,
       amount,
       category_id,
       payment_date,
@@ -212,13 +249,16 @@ export async function createIncome(incomeData) {
       tax_amount,
       net_amount,
       total_amount,
+      tax_treatment,
+      withholding_amount,
       payment_method,
       payment_status,
       currency,
       exchange_rate,
       invoice_number,
+      recurring_template_id,
       created_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   const values = [
@@ -230,18 +270,22 @@ export async function createIncome(incomeData) {
     incomeData.date || null,
     incomeData.status_id || null,
     incomeData.cost_center_id || null,
+    incomeData.client_id || null,
     incomeData.amount || null,
     incomeData.category_id || null,
     incomeData.payment_date || null,
     incomeData.reference_number || null,
-    incomeData.tax_amount || null,
-    incomeData.net_amount || null,
-    incomeData.total_amount || null,
+    incomeData.tax_amount ?? null,
+    incomeData.net_amount ?? null,
+    incomeData.total_amount ?? null,
+    incomeData.tax_treatment || null,
+    incomeData.withholding_amount ?? null,
     incomeData.payment_method || null,
     incomeData.payment_status || null,
     incomeData.currency || 'CLP',
     incomeData.exchange_rate || null,
     incomeData.invoice_number || null,
+    incomeData.recurring_template_id || null,
     incomeData.created_by || null
   ];
 
@@ -265,17 +309,23 @@ export async function updateIncome(id, organizationId, incomeData) {
       date = ?,
       status_id = ?,
       cost_center_id = ?,
+      client_id = ?,
       amount = ?,
       category_id = ?,
       payment_date = ?,
-      reference_number = ? = ? = ? = ?,
+      reference_number = ?,
+      tax_amount = ?,
+      net_amount = ?,
+      total_amount = ?,
+      tax_treatment = ?,
+      withholding_amount = ?,
       payment_method = ?,
       payment_status = ?,
       currency = ?,
       exchange_rate = ?,
       invoice_number = ?,
       updated_by = ?
-    WHERE id = ? AND organization_id = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
   `;
 
   const values = [
@@ -285,13 +335,16 @@ export async function updateIncome(id, organizationId, incomeData) {
     incomeData.date || null,
     incomeData.status_id || null,
     incomeData.cost_center_id || null,
+    incomeData.client_id || null,
     incomeData.amount || null,
     incomeData.category_id || null,
     incomeData.payment_date || null,
     incomeData.reference_number || null,
-    incomeData.tax_amount || null,
-    incomeData.net_amount || null,
-    incomeData.total_amount || null,
+    incomeData.tax_amount ?? null,
+    incomeData.net_amount ?? null,
+    incomeData.total_amount ?? null,
+    incomeData.tax_treatment || null,
+    incomeData.withholding_amount ?? null,
     incomeData.payment_method || null,
     incomeData.payment_status || null,
     incomeData.currency || 'CLP',
@@ -307,20 +360,90 @@ export async function updateIncome(id, organizationId, incomeData) {
 }
 
 /**
- * Eliminar un ingreso permanentemente
+ * Enviar un ingreso a la papelera (soft delete)
+ * @param {number} id - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que elimina
+ */
+export async function deleteIncome(id, organizationId, userId = null) {
+  const sql = `
+    UPDATE incomes_data
+    SET deleted_at = NOW(), deleted_by = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
+  `;
+
+  const [result] = await pool.query(sql, [userId, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Restaurar un ingreso desde la papelera
+ * @param {number} id - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que restaura
+ */
+export async function restoreIncome(id, organizationId, userId = null) {
+  const sql = `
+    UPDATE incomes_data
+    SET deleted_at = NULL, deleted_by = NULL, updated_by = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NOT NULL
+  `;
+
+  const [result] = await pool.query(sql, [userId, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Eliminar permanentemente un ingreso que está en la papelera
  * @param {number} id - ID del ingreso
  * @param {string} organizationId - ID de la organización
  */
-export async function deleteIncome(id, organizationId) {
+export async function purgeIncome(id, organizationId) {
   const sql = `
     DELETE FROM incomes_data
-    WHERE id = ? AND organization_id = ?
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NOT NULL
   `;
 
   const [result] = await pool.query(sql, [id, organizationId]);
   return result.affectedRows;
 }
 
+/**
+ * Eliminar permanentemente los ingresos que llevan más de N días en la papelera (todas las organizaciones)
+ * @param {number} retentionDays - Días de retención
+ * @returns {Promise<Array>} Registros eliminados (fila completa, para auditoría)
+ */
+export async function purgeExpiredIncomes(retentionDays) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Bloqueadas hasta el commit: una restauración simultánea no puede sacarlas de la papelera a medias
+    const [rows] = await connection.query(`
+      SELECT *
+      FROM incomes_data
+      WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      FOR UPDATE
+    `, [retentionDays]);
+
+    if (rows.length > 0) {
+      await connection.query(`
+        DELETE FROM incomes_data
+        WHERE id IN (?) AND deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      `, [rows.map(row => row.id), retentionDays]);
+    }
+
+    await connection.commit();
+    return rows;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 /**
  * Obtener estadísticas de ingresos por tipo
  * @param {string} organizationId - ID de la organización
@@ -334,14 +457,14 @@ export async function getIncomeStats(organizationId, incomeTypeId = null, dateFr
       i.income_type_id,
       it.name as income_type_name,
       COUNT(i.id) as total_count,
-      SUM(i.amount) as total_amount,
-      SUM(i.total_amount) as total_with_tax,
-      AVG(i.amount) as avg_amount,
+      SUM(i.amount_clp) as total_amount,
+      SUM(i.total_amount_clp) as total_with_tax,
+      AVG(i.amount_clp) as avg_amount,
       MIN(i.date) as first_date,
       MAX(i.date) as last_date
     FROM incomes_data i
     LEFT JOIN income_types it ON i.income_type_id = it.id
-    WHERE i.organization_id = ?
+    WHERE i.organization_id = ? AND i.deleted_at IS NULL
   `;
 
   const params = [organizationId];
@@ -380,9 +503,9 @@ export async function getIncomesByStatus(organizationId, incomeTypeId) {
       s.color as status_color,
       s.is_final,
       COUNT(i.id) as count,
-      SUM(i.amount) as total_amount
+      SUM(i.amount_clp) as total_amount
     FROM income_statuses s
-    LEFT JOIN incomes_data i ON s.id = i.status_id AND i.organization_id = ?
+    LEFT JOIN incomes_data i ON s.id = i.status_id AND i.organization_id = ? AND i.deleted_at IS NULL
     WHERE s.income_type_id = ? AND s.organization_id = ? AND s.is_active = TRUE
     GROUP BY s.id, s.name, s.color, s.is_final
     ORDER BY s.name
@@ -0,0 +1,200 @@
+// src/models/incomePaymentModel.mjs
+// Modelo para pagos de ingresos (pagos parciales, totales y anulaciones)
+
+import { pool } from '../config/database.mjs';
+
+/**
+ * Obtener los pagos de un ingreso
+ * @param {number} incomeId - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {boolean} includeVoided - Si es true, incluye pagos anulados
+ */
+export async function getPaymentsByIncome(incomeId, organizationId, includeVoided = true) {
+  const sql = `
+    SELECT
+      p.id,
+      p.income_id,
+      p.organization_id,
+      p.amount,
+      DATE_FORMAT(p.payment_date, '%Y-%m-%d') as payment_date,
+      p.payment_method,
+      p.reference_number,
+      p.notes,
+      p.status,
+      p.voided_at,
+      p.voided_by,
+      p.void_reason,
+      p.created_by,
+      u.email as created_by_email,
+      p.created_at
+    FROM income_payments p
+    LEFT JOIN users u ON p.created_by = u.id
+    WHERE p.income_id = ? AND p.organization_id = ?
+      ${includeVoided ? '' : "AND p.status = 'active'"}
+    ORDER BY p.payment_date ASC, p.id ASC
+  `;
+
+  const [rows] = await pool.query(sql, [incomeId, organizationId]);
+  return rows;
+}
+
+/**
+ * Obtener un pago por ID
+ * @param {number} paymentId - ID del pago
+ * @param {number} incomeId - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getPaymentById(paymentId, incomeId, organizationId) {
+  const sql = `
+    SELECT *
+    FROM income_payments
+    WHERE id = ? AND income_id = ? AND organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [paymentId, incomeId, organizationId]);
+  return rows[0] || null;
+}
+
+/**
+ * Bloquear el ingreso (SELECT ... FOR UPDATE) y obtener su saldo pendiente dentro de una transacción
+ * @param {number} incomeId - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} connection - Conexión de la transacción
+ */
+export async function lockIncomeBalance(incomeId, organizationId, connection) {
+  const [rows] = await connection.query(`
+    SELECT
+      id,
+      payment_status,
+      CASE
+        WHEN payment_status IN ('pagado', 'anulado') THEN 0
+        ELSE GREATEST(COALESCE(total_amount, amount, 0) - COALESCE(paid_amount, 0), 0)
+      END as outstanding_amount
+    FROM incomes_data
+    WHERE id = ? AND organization_id = ? AND deleted_at IS NULL
+    FOR UPDATE
+  `, [incomeId, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Registrar un pago
+ * @param {Object} paymentData - Datos del pago
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function createPayment(paymentData, connection = pool) {
+  const sql = `
+    INSERT INTO income_payments (
+      income_id,
+      organization_id,
+      amount,
+      payment_date,
+      payment_method,
+      reference_number,
+      notes,
+      created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const values = [
+    paymentData.income_id,
+    paymentData.organization_id,
+    paymentData.amount,
+    paymentData.payment_date,
+    paymentData.payment_method || null,
+    paymentData.reference_number || null,
+    paymentData.notes || null,
+    paymentData.created_by || null
+  ];
+
+  const [result] = await connection.query(sql, values);
+  return result.insertId;
+}
+
+/**
+ * Anular un pago (no se elimina para mantener el historial)
+ * @param {number} paymentId - ID del pago
+ * @param {number} incomeId - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {number} userId - Usuario que anula
+ * @param {string} reason - Motivo de la anulación
+ */
+export async function voidPayment(paymentId, incomeId, organizationId, userId = null, reason = null) {
+  const sql = `
+    UPDATE income_payments
+    SET status = 'voided', voided_at = NOW(), voided_by = ?, void_reason = ?
+    WHERE id = ? AND income_id = ? AND organization_id = ? AND status = 'active'
+  `;
+
+  const [result] = await pool.query(sql, [userId, reason, paymentId, incomeId, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Recalcular paid_amount y payment_status de un ingreso a partir de sus pagos vigentes.
+ * Un ingreso anulado conserva su estado de pago.
+ * payment_date (fecha esperada de pago) no se modifica; la fecha del último pago queda en last_payment_date.
+ * @param {number} incomeId - ID del ingreso
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} connection - Conexión de una transacción (por defecto el pool)
+ */
+export async function recalculatePaymentStatus(incomeId, organizationId, connection = pool) {
+  const [records] = await connection.query(`
+    SELECT id, amount, total_amount, payment_status
+    FROM incomes_data
+    WHERE id = ? AND organization_id = ?
+  `, [incomeId, organizationId]);
+
+  const record = records[0];
+  if (!record) return null;
+
+  const [[totals]] = await connection.query(`
+    SELECT
+      COALESCE(SUM(amount), 0) as paid_amount,
+      DATE_FORMAT(MAX(payment_date), '%Y-%m-%d') as last_payment_date,
+      (
+        SELECT payment_method FROM income_payments
+        WHERE income_id = ? AND status = 'active'
+        ORDER BY payment_date DESC, id DESC
+        LIMIT 1
+      ) as last_payment_method
+    FROM income_payments
+    WHERE income_id = ? AND status = 'active'
+  `, [incomeId, incomeId]);
+
+  const totalDue = parseFloat(record.total_amount ?? record.amount) || 0;
+  const paidAmount = parseFloat(totals.paid_amount) || 0;
+
+  let paymentStatus = record.payment_status;
+  if (paymentStatus !== 'anulado') {
+    if (paidAmount <= 0) {
+      paymentStatus = 'pendiente';
+    } else if (paidAmount >= totalDue - 0.005) {
+      paymentStatus = 'pagado';
+    } else {
+      paymentStatus = 'parcial';
+    }
+  }
+
+  await connection.query(`
+    UPDATE incomes_data
+    SET paid_amount = ?, payment_status = ?, last_payment_date = ?, payment_method = COALESCE(?, payment_method)
+    WHERE id = ? AND organization_id = ?
+  `, [
+    paidAmount,
+    paymentStatus,
+    totals.last_payment_date,
+    totals.last_payment_method,
+    incomeId,
+    organizationId
+  ]);
+
+  return {
+    total_due: totalDue,
+    paid_amount: paidAmount,
+    outstanding_amount: paymentStatus === 'anulado' ? 0 : Math.max(0, totalDue - paidAmount),
+    payment_status: paymentStatus,
+    last_payment_date: totals.last_payment_date
+  };
+}
@@ -19,6 +19,7 @@ export async function getStatusesByType(incomeTypeId, organizationId, onlyActive
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_at,
       updated_at
@@ -47,6 +48,7 @@ export async function getStatusById(id, organizationId) {
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_at,
       updated_at
@@ -71,8 +73,9 @@ export async function createStatus(statusData) {
       description,
       color,
       is_final,
+      required_fields,
       is_active
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   const values = [
@@ -82,6 +85,7 @@ export async function createStatus(statusData) {
     statusData.description || null,
     statusData.color || '#6B7280',
     statusData.is_final ?? false,
+    statusData.required_fields ? JSON.stringify(statusData.required_fields) : null,
     statusData.is_active ?? true
   ];
 
@@ -103,6 +107,7 @@ export async function updateStatus(id, organizationId, statusData) {
       description = ?,
       color = ?,
       is_final = ?,
+      required_fields = ?,
       is_active = ?
     WHERE id = ? AND organization_id = ?
   `;
@@ -112,6 +117,7 @@ export async function updateStatus(id, organizationId, statusData) {
     statusData.description || null,
     statusData.color || '#6B7280',
     statusData.is_final ?? false,
+    statusData.required_fields ? JSON.stringify(statusData.required_fields) : null,
     statusData.is_active ?? true,
     id,
     organizationId
@@ -202,6 +208,7 @@ export async function getFinalStatusesByType(incomeTypeId, organizationId) {
       description,
       color,
       is_final,
+      required_fields,
       is_active,
       created_at,
       updated_at
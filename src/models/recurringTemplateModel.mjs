@@ -0,0 +1,335 @@
+// src/models/recurringTemplateModel.mjs
+import { pool } from '../config/database.mjs';
+
+// Columnas expuestas por la API (fechas como YYYY-MM-DD)
+const TEMPLATE_COLUMNS = `
+  rt.id,
+  rt.organization_id,
+  rt.target,
+  rt.name,
+  rt.description,
+  rt.template_data,
+  rt.frequency,
+  rt.interval_count,
+  rt.day_of_month,
+  rt.day_of_week,
+  rt.payment_due_days,
+  DATE_FORMAT(rt.start_date, '%Y-%m-%d') as start_date,
+  DATE_FORMAT(rt.end_date, '%Y-%m-%d') as end_date,
+  rt.max_occurrences,
+  rt.status,
+  DATE_FORMAT(rt.next_occurrence_date, '%Y-%m-%d') as next_occurrence_date,
+  rt.generated_count,
+  rt.last_generated_at,
+  rt.last_error,
+  rt.created_by,
+  rt.updated_by,
+  rt.created_at,
+  rt.updated_at
+`;
+
+const OCCURRENCE_COLUMNS = `
+  ro.id,
+  ro.template_id,
+  DATE_FORMAT(ro.scheduled_date, '%Y-%m-%d') as scheduled_date,
+  ro.status,
+  ro.overrides,
+  ro.record_id,
+  ro.error_message,
+  ro.updated_by,
+  ro.updated_at
+`;
+
+// Campos de la regla editables por la API
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'template_data',
+  'frequency',
+  'interval_count',
+  'day_of_month',
+  'day_of_week',
+  'payment_due_days',
+  'start_date',
+  'end_date',
+  'max_occurrences',
+  'next_occurrence_date'
+];
+
+function toDbValue(field, value) {
+  if (value === undefined) return null;
+  if (field === 'template_data' && value !== null) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Obtener plantillas recurrentes de una organización
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - target ('expense'|'income'), status
+ */
+export async function getAllTemplates(organizationId, filters = {}) {
+  const { target, status } = filters;
+
+  let sql = `
+    SELECT ${TEMPLATE_COLUMNS}
+    FROM recurring_templates rt
+    WHERE rt.organization_id = ?
+  `;
+  const params = [organizationId];
+
+  if (target) {
+    sql += ` AND rt.target = ?`;
+    params.push(target);
+  }
+
+  if (status) {
+    sql += ` AND rt.status = ?`;
+    params.push(status);
+  }
+
+  sql += ` ORDER BY rt.status ASC, rt.next_occurrence_date ASC, rt.name ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Obtener una plantilla por ID
+ */
+export async function getTemplateById(id, organizationId) {
+  const [rows] = await pool.query(`
+    SELECT ${TEMPLATE_COLUMNS}
+    FROM recurring_templates rt
+    WHERE rt.id = ? AND rt.organization_id = ?
+  `, [id, organizationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Plantillas activas con ocurrencias vencidas a la fecha (todas las organizaciones)
+ * @param {string} asOf - Fecha de corte YYYY-MM-DD
+ * @param {string|null} organizationId - Limitar a una organización
+ */
+export async function getDueTemplates(asOf, organizationId = null) {
+  let sql = `
+    SELECT ${TEMPLATE_COLUMNS}
+    FROM recurring_templates rt
+    WHERE rt.status = 'active'
+      AND rt.next_occurrence_date IS NOT NULL
+      AND rt.next_occurrence_date <= ?
+  `;
+  const params = [asOf];
+
+  if (organizationId) {
+    sql += ` AND rt.organization_id = ?`;
+    params.push(organizationId);
+  }
+
+  sql += ` ORDER BY rt.next_occurrence_date ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Crear una plantilla recurrente
+ */
+export async function createTemplate(data) {
+  const [result] = await pool.query(`
+    INSERT INTO recurring_templates (
+      organization_id, target, ${EDITABLE_FIELDS.join(', ')}, status, created_by
+    ) VALUES (?, ?, ${EDITABLE_FIELDS.map(() => '?').join(', ')}, ?, ?)
+  `, [
+    data.organization_id,
+    data.target,
+    ...EDITABLE_FIELDS.map(field => toDbValue(field, data[field])),
+    data.status || 'active',
+    data.created_by || null
+  ]);
+
+  return result.insertId;
+}
+
+/**
+ * Actualizar la regla y datos de una plantilla (solo campos presentes)
+ */
+export async function updateTemplate(id, organizationId, data) {
+  const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+  const assignments = fields.map(field => `${field} = ?`);
+  const params = fields.map(field => toDbValue(field, data[field]));
+
+  if (data.status !== undefined) {
+    assignments.push('status = ?');
+    params.push(data.status);
+  }
+
+  assignments.push('updated_by = ?');
+  params.push(data.updated_by || null);
+
+  const [result] = await pool.query(`
+    UPDATE recurring_templates
+    SET ${assignments.join(', ')}
+    WHERE id = ? AND organization_id = ?
+  `, [...params, id, organizationId]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Registrar el avance de la generación programada
+ * @param {number} id - ID de la plantilla
+ * @param {Object} progress - next_occurrence_date, status, generated (cantidad nueva), last_error
+ */
+export async function updateTemplateProgress(id, progress) {
+  const { next_occurrence_date, status, generated = 0, last_error = null } = progress;
+
+  const [result] = await pool.query(`
+    UPDATE recurring_templates
+    SET next_occurrence_date = ?,
+        status = ?,
+        generated_count = generated_count + ?,
+        last_generated_at = IF(? > 0, NOW(), last_generated_at),
+        last_error = ?
+    WHERE id = ?
+  `, [next_occurrence_date, status, generated, generated, last_error, id]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Ocurrencias registradas de una plantilla (generadas, omitidas, editadas o fallidas)
+ * @param {number} templateId - ID de la plantilla
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from, date_to
+ */
+export async function getOccurrences(templateId, organizationId, filters = {}) {
+  const { date_from, date_to } = filters;
+
+  let sql = `
+    SELECT ${OCCURRENCE_COLUMNS}
+    FROM recurring_occurrences ro
+    WHERE ro.template_id = ? AND ro.organization_id = ?
+  `;
+  const params = [templateId, organizationId];
+
+  if (date_from) {
+    sql += ` AND ro.scheduled_date >= ?`;
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ` AND ro.scheduled_date <= ?`;
+    params.push(date_to);
+  }
+
+  sql += ` ORDER BY ro.scheduled_date ASC`;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Obtener una ocurrencia por fecha programada
+ */
+export async function getOccurrence(templateId, organizationId, scheduledDate) {
+  const [rows] = await pool.query(`
+    SELECT ${OCCURRENCE_COLUMNS}
+    FROM recurring_occurrences ro
+    WHERE ro.template_id = ? AND ro.organization_id = ? AND ro.scheduled_date = ?
+  `, [templateId, organizationId, scheduledDate]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Fecha de la última ocurrencia ya procesada (generada, omitida o fallida)
+ */
+export async function getLastProcessedDate(templateId) {
+  const [rows] = await pool.query(`
+    SELECT DATE_FORMAT(MAX(scheduled_date), '%Y-%m-%d') as last_date
+    FROM recurring_occurrences
+    WHERE template_id = ? AND status IN ('generated', 'skipped', 'failed')
+  `, [templateId]);
+
+  return rows[0]?.last_date || null;
+}
+
+/**
+ * Crear o actualizar la ocurrencia de una fecha
+ * @param {Object} data - template_id, organization_id, scheduled_date, status, overrides, record_id, error_message, user_id
+ */
+export async function upsertOccurrence(data) {
+  const overrides = data.overrides === undefined || data.overrides === null
+    ? null
+    : JSON.stringify(data.overrides);
+
+  const [result] = await pool.query(`
+    INSERT INTO recurring_occurrences (
+      template_id, organization_id, scheduled_date, status, overrides, record_id, error_message, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      status = VALUES(status),
+      overrides = VALUES(overrides),
+      record_id = VALUES(record_id),
+      error_message = VALUES(error_message),
+      updated_by = VALUES(updated_by)
+  `, [
+    data.template_id,
+    data.organization_id,
+    data.scheduled_date,
+    data.status,
+    overrides,
+    data.record_id || null,
+    data.error_message || null,
+    data.user_id || null,
+    data.user_id || null
+  ]);
+
+  return result.affectedRows;
+}
+
+// Una ocurrencia en 'generating' por más de este tiempo se considera abandonada (proceso caído)
+const STALE_CLAIM_MINUTES = 15;
+
+/**
+ * Reservar una ocurrencia para generarla (evita duplicados entre el scheduler, /run,
+ * la generación manual y otras instancias)
+ * Inserta la fila contra uk_template_date o toma una existente que no esté generada ni en proceso.
+ * @returns {Promise<boolean>} true si esta llamada obtuvo la reserva
+ */
+export async function claimOccurrence(templateId, organizationId, scheduledDate, userId = null) {
+  const [inserted] = await pool.query(`
+    INSERT IGNORE INTO recurring_occurrences (
+      template_id, organization_id, scheduled_date, status, created_by, updated_by
+    ) VALUES (?, ?, ?, 'generating', ?, ?)
+  `, [templateId, organizationId, scheduledDate, userId, userId]);
+
+  if (inserted.affectedRows === 1) return true;
+
+  const [updated] = await pool.query(`
+    UPDATE recurring_occurrences
+    SET status = 'generating', error_message = NULL, updated_by = ?
+    WHERE template_id = ? AND organization_id = ? AND scheduled_date = ?
+      AND (
+        status IN ('pending', 'failed', 'skipped')
+        OR (status = 'generating' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+      )
+  `, [userId, templateId, organizationId, scheduledDate, STALE_CLAIM_MINUTES]);
+
+  return updated.affectedRows === 1;
+}
+
+/**
+ * Eliminar la excepción de una ocurrencia (vuelve a la regla de la plantilla)
+ * Las ocurrencias ya generadas (o en generación) no se eliminan
+ */
+export async function deleteOccurrence(templateId, organizationId, scheduledDate) {
+  const [result] = await pool.query(`
+    DELETE FROM recurring_occurrences
+    WHERE template_id = ? AND organization_id = ? AND scheduled_date = ?
+      AND status NOT IN ('generated', 'generating')
+  `, [templateId, organizationId, scheduledDate]);
+
+  return result.affectedRows;
+}
@@ -0,0 +1,85 @@
+// src/models/statusTransitionModel.mjs
+// Modelo para transiciones de estado permitidas por tipo (egresos e ingresos)
+
+import { pool } from '../config/database.mjs';
+
+// Tablas por lado: transiciones, estados y columna del tipo
+const TRANSITION_TARGETS = {
+  expense: {
+    table: 'expense_status_transitions',
+    statusTable: 'expense_statuses',
+    typeColumn: 'expense_type_id'
+  },
+  income: {
+    table: 'income_status_transitions',
+    statusTable: 'income_statuses',
+    typeColumn: 'income_type_id'
+  }
+};
+
+/**
+ * Obtener las transiciones definidas para un tipo
+ * @param {string} target - 'expense' | 'income'
+ * @param {number} typeId - ID del tipo
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getTransitionsByType(target, typeId, organizationId) {
+  const { table, statusTable, typeColumn } = TRANSITION_TARGETS[target];
+
+  const [rows] = await pool.query(`
+    SELECT
+      t.id,
+      t.from_status_id,
+      s_from.name as from_status_name,
+      t.to_status_id,
+      s_to.name as to_status_name,
+      s_to.is_final as to_is_final
+    FROM ${table} t
+    LEFT JOIN ${statusTable} s_from ON t.from_status_id = s_from.id
+    INNER JOIN ${statusTable} s_to ON t.to_status_id = s_to.id
+    WHERE t.${typeColumn} = ? AND t.organization_id = ?
+    ORDER BY t.from_status_id IS NOT NULL, s_from.name ASC, s_to.name ASC
+  `, [typeId, organizationId]);
+
+  return rows;
+}
+
+/**
+ * Reemplazar todas las transiciones de un tipo (lista vacía = sin restricciones)
+ * @param {string} target - 'expense' | 'income'
+ * @param {Array<{from_status_id: number|null, to_status_id: number}>} transitions
+ */
+export async function replaceTransitions(target, typeId, organizationId, transitions, userId = null) {
+  const { table, typeColumn } = TRANSITION_TARGETS[target];
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.query(
+      `DELETE FROM ${table} WHERE ${typeColumn} = ? AND organization_id = ?`,
+      [typeId, organizationId]
+    );
+
+    if (transitions.length > 0) {
+      await connection.query(`
+        INSERT INTO ${table} (organization_id, ${typeColumn}, from_status_id, to_status_id, created_by)
+        VALUES ?
+      `, [transitions.map(transition => [
+        organizationId,
+        typeId,
+        transition.from_status_id,
+        transition.to_status_id,
+        userId
+      ])]);
+    }
+
+    await connection.commit();
+    return transitions.length;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
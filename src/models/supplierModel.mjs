@@ -0,0 +1,335 @@
+// src/models/supplierModel.mjs
+// Modelo para proveedores (multi-tenant, RUT único por organización)
+
+import { pool } from '../config/database.mjs';
+import { cleanRut } from '../utils/rutUtils.mjs';
+
+// RUT sin puntos ni guión para comparar independiente del formato
+const NORMALIZED_TAX_ID = "UPPER(REPLACE(REPLACE(s.tax_id, '.', ''), '-', ''))";
+
+/**
+ * Construir cláusula WHERE común para listados de proveedores
+ */
+function buildSupplierFilters(filters) {
+  const { organization_id, search, tax_id, active } = filters;
+
+  let where = 'WHERE s.organization_id = ?';
+  const params = [organization_id];
+
+  if (tax_id) {
+    where += ` AND ${NORMALIZED_TAX_ID} = ?`;
+    params.push(cleanRut(tax_id));
+  }
+
+  if (search) {
+    const compactSearch = cleanRut(search);
+    where += ` AND (s.legal_name LIKE ? OR s.commercial_name LIKE ? OR ${NORMALIZED_TAX_ID} LIKE ?)`;
+    params.push(`%${search}%`, `%${search}%`, `%${compactSearch || search}%`);
+  }
+
+  if (active !== undefined && active !== null && active !== '') {
+    where += ' AND s.active = ?';
+    params.push(active === true || active === 'true' || active === '1' || active === 1 ? 1 : 0);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Obtener proveedores con filtros y paginación
+ * @param {Object} filters - organization_id, search (RUT o nombre), tax_id, active, limit, offset
+ */
+export async function getAllSuppliers(filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildSupplierFilters(filters);
+
+  const sql = `
+    SELECT
+      s.id,
+      s.organization_id,
+      s.tax_id,
+      s.legal_name,
+      s.commercial_name,
+      s.address,
+      s.phone,
+      s.email,
+      s.active,
+      s.created_at,
+      s.updated_at
+    FROM suppliers s
+    ${where}
+    ORDER BY s.legal_name ASC
+    LIMIT ? OFFSET ?
+  `;
+
+  const [rows] = await pool.query(sql, [...params, limit, offset]);
+  return rows;
+}
+
+/**
+ * Contar proveedores con filtros
+ * @param {Object} filters - Mismos filtros que getAllSuppliers
+ */
+export async function countSuppliers(filters = {}) {
+  const { where, params } = buildSupplierFilters(filters);
+
+  const [rows] = await pool.query(`SELECT COUNT(*) as total FROM suppliers s ${where}`, params);
+  return rows[0].total;
+}
+
+/**
+ * Obtener un proveedor por ID
+ * @param {number} id - ID del proveedor
+ * @param {string} organizationId - ID de la organización
+ */
+export async function getSupplierById(id, organizationId) {
+  const sql = `
+    SELECT *
+    FROM suppliers
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [rows] = await pool.query(sql, [id, organizationId]);
+  return rows[0] || null;
+}
+
+/**
+ * Buscar un proveedor por RUT (independiente de puntos y guión)
+ * @param {string} taxId - RUT del proveedor
+ * @param {string} organizationId - ID de la organización
+ * @param {number} excludeId - ID a excluir (para updates)
+ */
+export async function getSupplierByTaxId(taxId, organizationId, excludeId = null) {
+  const sql = `
+    SELECT *
+    FROM suppliers s
+    WHERE s.organization_id = ? AND ${NORMALIZED_TAX_ID} = ?
+      ${excludeId ? 'AND s.id != ?' : ''}
+    LIMIT 1
+  `;
+
+  const params = [organizationId, cleanRut(taxId)];
+  if (excludeId) params.push(excludeId);
+
+  const [rows] = await pool.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Crear un proveedor
+ * @param {Object} supplierData - Datos del proveedor
+ */
+export async function createSupplier(supplierData) {
+  const sql = `
+    INSERT INTO suppliers (
+      organization_id,
+      tax_id,
+      legal_name,
+      commercial_name,
+      address,
+      phone,
+      email,
+      active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const values = [
+    supplierData.organization_id,
+    supplierData.tax_id,
+    supplierData.legal_name,
+    supplierData.commercial_name || null,
+    supplierData.address || null,
+    supplierData.phone || null,
+    supplierData.email || null,
+    supplierData.active !== false ? 1 : 0
+  ];
+
+  const [result] = await pool.query(sql, values);
+  return result.insertId;
+}
+
+/**
+ * Actualizar un proveedor
+ * @param {number} id - ID del proveedor
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} supplierData - Datos a actualizar
+ */
+export async function updateSupplier(id, organizationId, supplierData) {
+  const sql = `
+    UPDATE suppliers
+    SET
+      tax_id = ?,
+      legal_name = ?,
+      commercial_name = ?,
+      address = ?,
+      phone = ?,
+      email = ?,
+      active = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const values = [
+    supplierData.tax_id,
+    supplierData.legal_name,
+    supplierData.commercial_name || null,
+    supplierData.address || null,
+    supplierData.phone || null,
+    supplierData.email || null,
+    supplierData.active !== false && supplierData.active !== 0 ? 1 : 0,
+    id,
+    organizationId
+  ];
+
+  const [result] = await pool.query(sql, values);
+  return result.affectedRows;
+}
+
+/**
+ * Activar o desactivar un proveedor (soft delete)
+ * @param {number} id - ID del proveedor
+ * @param {string} organizationId - ID de la organización
+ * @param {boolean} active - Nuevo estado
+ */
+export async function setSupplierActive(id, organizationId, active) {
+  const sql = `
+    UPDATE suppliers
+    SET active = ?
+    WHERE id = ? AND organization_id = ?
+  `;
+
+  const [result] = await pool.query(sql, [active ? 1 : 0, id, organizationId]);
+  return result.affectedRows;
+}
+
+/**
+ * Totales de egresos de un proveedor (excluye anulados)
+ * @param {number} id - ID del proveedor
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from, date_to
+ */
+export async function getSupplierTotals(id, organizationId, filters = {}) {
+  const { date_from, date_to } = filters;
+
+  let sql = `
+    SELECT
+      COUNT(e.id) as count,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount,
+      COALESCE(SUM(e.total_amount_clp), 0) as total_due,
+      COALESCE(SUM(CASE
+        WHEN e.payment_status = 'pagado' THEN e.total_amount_clp
+        ELSE e.paid_amount_clp
+      END), 0) as paid_amount,
+      COALESCE(SUM(CASE
+        WHEN e.payment_status IN ('pendiente', 'parcial')
+          THEN GREATEST(COALESCE(e.total_amount_clp, 0) - COALESCE(e.paid_amount_clp, 0), 0)
+        ELSE 0
+      END), 0) as outstanding_amount,
+      MIN(e.date) as first_expense_date,
+      MAX(e.date) as last_expense_date
+    FROM expenses_data e
+    WHERE e.supplier_id = ? AND e.organization_id = ? AND e.deleted_at IS NULL
+      AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')
+  `;
+
+  const params = [id, organizationId];
+
+  if (date_from) {
+    sql += ' AND e.date >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ' AND e.date <= ?';
+    params.push(date_to);
+  }
+
+  const [rows] = await pool.query(sql, params);
+  return rows[0];
+}
+
+/**
+ * Totales mensuales de egresos de un proveedor
+ * @param {number} id - ID del proveedor
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from, date_to
+ */
+export async function getSupplierMonthlyTotals(id, organizationId, filters = {}) {
+  const { date_from, date_to } = filters;
+
+  let sql = `
+    SELECT
+      DATE_FORMAT(e.date, '%Y-%m') as period_label,
+      COUNT(e.id) as count,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
+    FROM expenses_data e
+    WHERE e.supplier_id = ? AND e.organization_id = ? AND e.deleted_at IS NULL
+      AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')
+  `;
+
+  const params = [id, organizationId];
+
+  if (date_from) {
+    sql += ' AND e.date >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ' AND e.date <= ?';
+    params.push(date_to);
+  }
+
+  sql += `
+    GROUP BY period_label
+    ORDER BY period_label ASC
+  `;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Totales por proveedor para toda la organización
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} filters - date_from, date_to, limit
+ */
+export async function getTotalsBySupplier(organizationId, filters = {}) {
+  const { date_from, date_to, limit = 20 } = filters;
+
+  let sql = `
+    SELECT
+      s.id as supplier_id,
+      s.tax_id,
+      s.legal_name,
+      COUNT(e.id) as count,
+      COALESCE(SUM(e.amount_clp), 0) as total_amount
+    FROM suppliers s
+    INNER JOIN expenses_data e ON e.supplier_id = s.id
+      AND e.organization_id = s.organization_id
+      AND e.deleted_at IS NULL
+      AND (e.payment_status IS NULL OR e.payment_status <> 'anulado')
+  `;
+
+  const params = [];
+
+  if (date_from) {
+    sql += ' AND e.date >= ?';
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ' AND e.date <= ?';
+    params.push(date_to);
+  }
+
+  sql += `
+    WHERE s.organization_id = ?
+    GROUP BY s.id, s.tax_id, s.legal_name
+    ORDER BY total_amount DESC
+    LIMIT ?
+  `;
+
+  params.push(organizationId, limit);
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
@@ -0,0 +1,71 @@
+// src/models/taxModel.mjs
+// Totales tributarios mensuales (IVA débito/crédito, exentos y retenciones) en CLP
+
+import { pool } from '../config/database.mjs';
+import { toClpSql } from '../utils/currencyUtils.mjs';
+
+// Tablas de documentos por lado: ventas (ingresos) y compras (egresos)
+const TAX_TARGETS = {
+  income: 'incomes_data',
+  expense: 'expenses_data'
+};
+
+/**
+ * Totales por mes según tratamiento IVA (por fecha del documento, sin anulados)
+ * Los registros sin tratamiento pero con IVA informado se cuentan como afectos.
+ * @param {string} organizationId - ID de la organización
+ * @param {string} target - 'income' | 'expense'
+ * @param {Object} filters - date_from, date_to (YYYY-MM-DD), cost_center_id
+ */
+export async function getMonthlyTaxTotals(organizationId, target, filters = {}) {
+  const { date_from, date_to, cost_center_id } = filters;
+  const table = TAX_TARGETS[target];
+
+  const isTaxable = `(d.tax_treatment = 'afecto' OR (d.tax_treatment IS NULL AND COALESCE(d.tax_amount, 0) > 0))`;
+  const netExpr = toClpSql('COALESCE(d.net_amount, d.total_amount - d.tax_amount, 0)', 'd');
+  const baseExpr = toClpSql('COALESCE(d.net_amount, d.total_amount, d.amount, 0)', 'd');
+
+  let sql = `
+    SELECT
+      DATE_FORMAT(d.date, '%Y-%m') as period,
+      COUNT(d.id) as count,
+      COALESCE(SUM(CASE WHEN ${isTaxable} THEN 1 ELSE 0 END), 0) as taxable_count,
+      COALESCE(SUM(CASE WHEN ${isTaxable} THEN ${netExpr} ELSE 0 END), 0) as taxable_net,
+      COALESCE(SUM(CASE WHEN ${isTaxable} THEN ${toClpSql('COALESCE(d.tax_amount, 0)', 'd')} ELSE 0 END), 0) as vat_amount,
+      COALESCE(SUM(CASE WHEN d.tax_treatment = 'exento' THEN ${baseExpr} ELSE 0 END), 0) as exempt_amount,
+      COALESCE(SUM(CASE WHEN d.tax_treatment = 'honorarios' THEN ${baseExpr} ELSE 0 END), 0) as fees_gross,
+      COALESCE(SUM(CASE WHEN d.tax_treatment = 'honorarios' THEN ${toClpSql('COALESCE(d.withholding_amount, 0)', 'd')} ELSE 0 END), 0) as fees_withholding,
+      COALESCE(SUM(CASE WHEN d.tax_treatment IS NULL AND COALESCE(d.tax_amount, 0) = 0 THEN 1 ELSE 0 END), 0) as unclassified_count,
+      COALESCE(SUM(CASE WHEN d.currency IS NOT NULL AND d.currency <> 'CLP' AND d.exchange_rate IS NULL THEN 1 ELSE 0 END), 0) as missing_rate_count
+    FROM ${table} d
+    WHERE d.organization_id = ?
+      AND d.deleted_at IS NULL
+      AND d.date IS NOT NULL
+      AND (d.payment_status IS NULL OR d.payment_status <> 'anulado')
+  `;
+
+  const params = [organizationId];
+
+  if (date_from) {
+    sql += ` AND d.date >= ?`;
+    params.push(date_from);
+  }
+
+  if (date_to) {
+    sql += ` AND d.date <= ?`;
+    params.push(date_to);
+  }
+
+  if (cost_center_id) {
+    sql += ` AND d.cost_center_id = ?`;
+    params.push(cost_center_id);
+  }
+
+  sql += `
+    GROUP BY period
+    ORDER BY period ASC
+  `;
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
@@ -0,0 +1,18 @@
+// src/routes/auditRoutes.mjs
+import express from 'express';
+import { authorizeAdminOrManager } from '../middleware/clerkAuth.mjs';
+import * as auditController from '../controllers/auditController.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+// The audit trail is restricted to admins and managers
+router.use(authorizeAdminOrManager);
+
+// GET /api/audit - Organization-wide change history with filters
+router.get('/', auditController.getAuditLog);
+
+// GET /api/audit/:entityType/:entityId - Change history of a single record
+router.get('/:entityType/:entityId', auditController.getRecordAuditLog);
+
+export default router;
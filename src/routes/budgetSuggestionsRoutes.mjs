@@ -1,8 +1,10 @@
 // src/routes/budgetSuggestionsRoutes.mjs - VERSIÓN LIMPIA Y CORREGIDA
 import express from 'express';
 import { body } from 'express-validator';
-import { clerkAuth as authenticate } from '../middleware/clerkAuth.mjs';
+import { clerkAuth as authenticate, authorize } from '../middleware/clerkAuth.mjs';
 import budgetController from '../controllers/budgetSuggestionsController.mjs';
+import * as BudgetAnalysisJobController from '../controllers/budgetAnalysisJobController.mjs';
+import * as AiCostController from '../controllers/aiCostController.mjs';
 import { 
   uploadPdfForAnalysis, 
   handlePdfUploadErrors, 
@@ -13,7 +15,7 @@ import {
 import { 
   costControlMiddleware, 
   getCostStatus, 
-  registerActualCost
+  registerRequestCost
 } from '../middleware/costControlMiddleware.mjs';
 
 // 🔥 NUEVO: Importar funciones de validación
@@ -91,6 +93,34 @@ router.get('/api/budget-analysis/health', async (req, res) => {
  */
 router.get('/api/budget-analysis/cost-status', authenticate, getCostStatus);
 
+/**
+ * @route   GET /api/budget-analysis/cost-limits
+ * @desc    Límites de costo de IA vigentes para la organización
+ * @access  Privado
+ */
+router.get('/api/budget-analysis/cost-limits', authenticate, AiCostController.getCostLimits);
+
+/**
+ * @route   PUT /api/budget-analysis/cost-limits
+ * @desc    Configurar límites de costo de IA de la organización (null = valor por defecto)
+ * @access  Privado (Admin)
+ */
+router.put('/api/budget-analysis/cost-limits', authenticate, authorize('admin'), AiCostController.updateCostLimits);
+
+/**
+ * @route   GET /api/budget-analysis/ai-usage
+ * @desc    Libro de gasto de IA de la organización (una entrada por llamada a Claude)
+ * @access  Privado (Admin)
+ */
+router.get('/api/budget-analysis/ai-usage', authenticate, authorize('admin'), AiCostController.getAiUsageLedger);
+
+/**
+ * @route   GET /api/budget-analysis/ai-usage/report
+ * @desc    Gasto de IA agrupado por funcionalidad, modelo, usuario, proyecto o período
+ * @access  Privado (Admin)
+ */
+router.get('/api/budget-analysis/ai-usage/report', authenticate, authorize('admin'), AiCostController.getAiUsageReport);
+
 /**
  * @route   POST /api/budget-analysis/validate-project
  * @desc    Valida datos de proyecto antes de análisis
@@ -187,9 +217,8 @@ router.post(
     try {
       await budgetController.generateQuickAnalysis(req, res, next);
       
-      if (req.estimatedCost) {
-        registerActualCost(req.estimatedCost, req.userDailyKey);
-      }
+      // Registrar costo real (tokens informados por la API)
+      await registerRequestCost(req, 'quick_analysis');
     } catch (error) {
       next(error);
     }
@@ -214,10 +243,8 @@ router.post(
     try {
       await budgetController.generateAnalysis(req, res, next);
       
-      // Registrar costo estimado
-      if (req.estimatedCost) {
-        registerActualCost(req.estimatedCost, req.userDailyKey);
-      }
+      // Registrar costo real (tokens informados por la API)
+      await registerRequestCost(req, 'project_analysis');
     } catch (error) {
       next(error);
     }
@@ -299,16 +326,16 @@ router.post(
 /**
  * 🔥 RUTA PRINCIPAL OPTIMIZADA: Análisis de PDF con control de costos
  * @route   POST /api/budget-analysis/pdf
- * @desc    Analiza un archivo PDF de presupuesto con optimizaciones anti-desperdicio
+ * @desc    Encola el análisis de un PDF de presupuesto (202 con el job); avance en /api/budget-analysis/jobs/:jobId
  * @access  Privado
  */
 router.post(
   '/api/budget-analysis/pdf',
   authenticate,
-  costControlMiddleware,
   uploadPdfForAnalysis,
   handlePdfUploadErrors,
   validatePdfPresence,
+  costControlMiddleware,
   [
     body('analysisDepth').optional().isIn(['basic', 'standard', 'detailed']).withMessage('Profundidad de análisis inválida'),
     body('projectType').optional().isIn(['residential', 'commercial', 'industrial', 'infrastructure', 'renovation']).withMessage('Tipo de proyecto inválido'),
@@ -365,20 +392,8 @@ router.post(
       req.costEstimate = costEstimate;
       req.maxAllowedCost = MAX_COST_USD;
 
-      // Ejecutar análisis
+      // Encolar análisis: el costo real se registra cuando el job termina
       await budgetController.analyzePdfBudget(req, res, next);
-      
-      // Registrar costo real
-      const processingTime = Date.now() - startTime;
-      const actualCost = req.costEstimate?.estimated_cost_usd || costEstimate.estimated_cost_usd;
-      
-      registerActualCost(actualCost, req.userDailyKey);
-      
-      console.log('✅ Análisis PDF completado:', {
-        tiempo: `${processingTime}ms`,
-        costo: `$${actualCost.toFixed(3)} USD`,
-        archivo: req.file.originalname
-      });
 
     } catch (error) {
       console.error('❌ Error en análisis PDF optimizado:', error);
@@ -414,6 +429,50 @@ router.post(
   }
 );
 
+/**
+ * @route   GET /api/budget-analysis/jobs
+ * @desc    Lista los análisis de PDF en segundo plano de la organización
+ * @access  Privado
+ */
+router.get(
+  '/api/budget-analysis/jobs',
+  authenticate,
+  BudgetAnalysisJobController.getJobs
+);
+
+/**
+ * @route   GET /api/budget-analysis/jobs/:jobId
+ * @desc    Estado, etapa y avance de un análisis de PDF (polling)
+ * @access  Privado
+ */
+router.get(
+  '/api/budget-analysis/jobs/:jobId',
+  authenticate,
+  BudgetAnalysisJobController.getJobById
+);
+
+/**
+ * @route   GET /api/budget-analysis/jobs/:jobId/events
+ * @desc    Avance de un análisis de PDF vía Server-Sent Events
+ * @access  Privado
+ */
+router.get(
+  '/api/budget-analysis/jobs/:jobId/events',
+  authenticate,
+  BudgetAnalysisJobController.streamJobEvents
+);
+
+/**
+ * @route   POST /api/budget-analysis/jobs/:jobId/cancel
+ * @desc    Cancela un análisis de PDF en cola o en proceso
+ * @access  Privado
+ */
+router.post(
+  '/api/budget-analysis/jobs/:jobId/cancel',
+  authenticate,
+  BudgetAnalysisJobController.cancelJob
+);
+
 /**
  * @route   GET /api/budget-analysis/pdf/:analysisId
  * @desc    Obtiene resultado de análisis PDF por ID
@@ -439,16 +498,7 @@ router.post(
     body('analysisIds.*').isString().withMessage('IDs de análisis deben ser strings'),
     body('comparisonType').optional().isIn(['materials', 'labor', 'providers', 'total_cost']).withMessage('Tipo de comparación inválido')
   ],
-  async (req, res, next) => {
-    try {
-      await budgetController.comparePdfAnalyses(req, res, next);
-      
-      // Registrar costo de comparación
-      registerActualCost(0.05, req.userDailyKey);
-    } catch (error) {
-      next(error);
-    }
-  }
+  budgetController.comparePdfAnalyses
 );
 
 /**
@@ -476,16 +526,7 @@ router.post(
     body('analysisIds.*').isString().withMessage('IDs de análisis deben ser strings'),
     body('comparisonType').optional().isIn(['materials', 'labor', 'providers', 'total_cost']).withMessage('Tipo de comparación inválido')
   ],
-  async (req, res, next) => {
-    try {
-      await budgetController.compareProjectAnalyses(req, res, next);
-      
-      // Registrar costo de comparación
-      registerActualCost(0.08, req.userDailyKey);
-    } catch (error) {
-      next(error);
-    }
-  }
+  budgetController.compareProjectAnalyses
 );
 
 /**
@@ -0,0 +1,22 @@
+// src/routes/cashFlowRoutes.mjs
+import express from 'express';
+import * as cashFlowController from '../controllers/cashFlowController.mjs';
+import { trackUsage } from '../middleware/usageMetricsMiddleware.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+
+// GET /api/cash-flow/net - Income minus expenses by period with cumulative balance
+router.get('/net', cashFlowController.getNetCashFlow);
+
+// GET /api/cash-flow/profitability - Income, expense and gross margin per cost center
+router.get('/profitability', cashFlowController.getCostCenterProfitability);
+
+// GET /api/cash-flow/forecast - Projected cash position from pending, recurring and trend flows
+router.get('/forecast',
+  trackUsage('cash-flow', 'advanced_projections'),
+  cashFlowController.getCashFlowForecast
+);
+
+export default router;
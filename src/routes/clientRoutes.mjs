@@ -0,0 +1,33 @@
+// src/routes/clientRoutes.mjs
+import express from 'express';
+import * as clientController from '../controllers/clientController.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+
+// GET /api/clients - List clients (search by RUT or name)
+router.get('/', clientController.getAllClients);
+
+// GET /api/clients/:id - Get client by ID
+router.get('/:id', clientController.getClientById);
+
+// GET /api/clients/:id/statement - Client statement (incomes, payment status, outstanding balance)
+router.get('/:id/statement', clientController.getClientStatement);
+
+// GET /api/clients/:id/incomes - Incomes linked directly to the client
+router.get('/:id/incomes', clientController.getClientIncomes);
+
+// POST /api/clients - Create client
+router.post('/', clientController.createClient);
+
+// PUT /api/clients/:id - Update client
+router.put('/:id', clientController.updateClient);
+
+// PATCH /api/clients/:id/activate - Reactivate client
+router.patch('/:id/activate', clientController.activateClient);
+
+// DELETE /api/clients/:id - Deactivate client (soft delete)
+router.delete('/:id', clientController.deactivateClient);
+
+export default router;
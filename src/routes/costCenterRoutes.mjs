@@ -1,24 +1,59 @@
 // src/routes/costCenterRoutes.mjs
 import express from 'express';
 import * as costCenterController from '../controllers/costCenterController.mjs';
+import * as budgetLineController from '../controllers/budgetLineController.mjs';
 
 const router = express.Router();
 
 // Authentication is handled globally by clerkAuth in app.mjs
 
-// GET /api/cost-centers - Get all cost centers
+// GET /api/cost-centers - Get all cost centers (filters: status, type, client_id, manager_id, budget_period, active, search)
 router.get('/', costCenterController.getAllCostCenters);
 
+// GET /api/cost-centers/:id/budget-vs-actual - Budget vs actual by period with burn-rate projection
+router.get('/:id/budget-vs-actual', costCenterController.getBudgetVsActual);
+
 // GET /api/cost-centers/:id - Get cost center by ID
 router.get('/:id', costCenterController.getCostCenterById);
 
 // POST /api/cost-centers - Create new cost center
 router.post('/', costCenterController.createCostCenter);
 
+// POST /api/cost-centers/from-analysis/:analysisId - Create or attach a cost center budget from a saved budget analysis
+router.post('/from-analysis/:analysisId', budgetLineController.createBudgetFromAnalysis);
+
 // PUT /api/cost-centers/:id - Update cost center
 router.put('/:id', costCenterController.updateCostCenter);
 
+// PATCH /api/cost-centers/:id/status - Change status (validated transitions)
+router.patch('/:id/status', costCenterController.updateCostCenterStatus);
+
 // DELETE /api/cost-centers/:id - Delete cost center
 router.delete('/:id', costCenterController.deleteCostCenter);
 
+// ==========================================
+// BUDGET LINES - Presupuesto por partida
+// ==========================================
+
+// GET /api/cost-centers/:id/budget-lines/variance - Budget vs actual per line
+router.get('/:id/budget-lines/variance', budgetLineController.getBudgetVariance);
+
+// POST /api/cost-centers/:id/budget-lines/revise - Copy original lines into a revised version
+router.post('/:id/budget-lines/revise', budgetLineController.reviseBudgetLines);
+
+// GET /api/cost-centers/:id/budget-lines - List budget lines
+router.get('/:id/budget-lines', budgetLineController.getBudgetLines);
+
+// GET /api/cost-centers/:id/budget-lines/:lineId - Get budget line
+router.get('/:id/budget-lines/:lineId', budgetLineController.getBudgetLineById);
+
+// POST /api/cost-centers/:id/budget-lines - Create budget line
+router.post('/:id/budget-lines', budgetLineController.createBudgetLine);
+
+// PUT /api/cost-centers/:id/budget-lines/:lineId - Update budget line
+router.put('/:id/budget-lines/:lineId', budgetLineController.updateBudgetLine);
+
+// DELETE /api/cost-centers/:id/budget-lines/:lineId - Delete budget line
+router.delete('/:id/budget-lines/:lineId', budgetLineController.deleteBudgetLine);
+
 export default router;
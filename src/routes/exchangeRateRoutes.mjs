@@ -0,0 +1,52 @@
+// src/routes/exchangeRateRoutes.mjs
+import express from 'express';
+import * as exchangeRateController from '../controllers/exchangeRateController.mjs';
+import { requireFeature } from '../middleware/usageMetricsMiddleware.mjs';
+import {
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence
+} from '../middleware/spreadsheetUploadMiddleware.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+// Reading rates is always allowed; maintaining them requires the multi_currency feature
+
+// GET /api/exchange-rates - List rates (filters: currency, date_from, date_to)
+router.get('/', exchangeRateController.getExchangeRates);
+
+// GET /api/exchange-rates/latest - Latest rate per currency and records without rate
+router.get('/latest', exchangeRateController.getLatestRates);
+
+// GET /api/exchange-rates/convert - Convert an amount to CLP
+router.get('/convert', exchangeRateController.convertAmount);
+
+// POST /api/exchange-rates - Create or replace a rate
+router.post('/',
+  requireFeature('cash-flow', 'multi_currency'),
+  exchangeRateController.upsertExchangeRate
+);
+
+// POST /api/exchange-rates/import - Import rates from CSV/XLSX
+router.post('/import',
+  requireFeature('cash-flow', 'multi_currency'),
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence,
+  exchangeRateController.importRates
+);
+
+// POST /api/exchange-rates/backfill - Fill missing exchange_rate on existing records
+router.post('/backfill',
+  requireFeature('cash-flow', 'multi_currency'),
+  exchangeRateController.backfillExchangeRates
+);
+
+// DELETE /api/exchange-rates/:id - Delete a rate
+router.delete('/:id',
+  requireFeature('cash-flow', 'multi_currency'),
+  exchangeRateController.deleteExchangeRate
+);
+
+export default router;
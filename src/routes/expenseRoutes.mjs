@@ -2,10 +2,31 @@
 // Rutas unificadas para sistema dinámico de egresos
 
 import express from 'express';
-import { trackUsage } from '../middleware/usageMetricsMiddleware.mjs'; // ✅ AGREGAR
+import { trackUsage, requireFeature } from '../middleware/usageMetricsMiddleware.mjs'; // ✅ AGREGAR
+import {
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence
+} from '../middleware/spreadsheetUploadMiddleware.mjs';
+import {
+  uploadAttachments,
+  handleAttachmentUploadErrors,
+  validateAttachmentsPresence
+} from '../middleware/attachmentUploadMiddleware.mjs';
+import {
+  uploadPdfForAnalysis,
+  handlePdfUploadErrors,
+  validatePdfPresence
+} from '../middleware/pdfUploadMiddleware.mjs';
+import { costControlMiddleware, registerRequestCost } from '../middleware/costControlMiddleware.mjs';
+import { EXPORT_FORMAT_FEATURES } from '../services/exportService.mjs';
+import { authorize, authorizeAdminOrManager } from '../middleware/clerkAuth.mjs';
 import * as ExpenseTypeController from '../controllers/expenseTypeController.mjs';
 import * as ExpenseDataController from '../controllers/expenseDataController.mjs';
 import * as ExpenseDashboardController from '../controllers/expenseDashboardController.mjs';
+import * as ExpensePaymentController from '../controllers/expensePaymentController.mjs';
+import * as AttachmentController from '../controllers/attachmentController.mjs';
+import * as ExpenseApprovalController from '../controllers/expenseApprovalController.mjs';
 
 const router = express.Router();
 
@@ -33,6 +54,10 @@ router.post('/expense-types/:typeId/statuses', ExpenseTypeController.createStatu
 router.put('/expense-statuses/:id', ExpenseTypeController.updateStatus);
 router.delete('/expense-statuses/:id', ExpenseTypeController.deleteStatus);
 
+// Transiciones de estado por tipo (solo admin las configura)
+router.get('/expense-types/:typeId/status-transitions', ExpenseTypeController.getStatusTransitions);
+router.put('/expense-types/:typeId/status-transitions', authorize('admin'), ExpenseTypeController.updateStatusTransitions);
+
 // ============================================
 // EXPENSES DATA - Datos de egresos (✅ TRACKEAR AQUÍ)
 // ============================================
@@ -40,8 +65,48 @@ router.delete('/expense-statuses/:id', ExpenseTypeController.deleteStatus);
 // GET: No trackear (solo lectura)
 router.get('/expenses', ExpenseDataController.getAllExpenses);
 router.get('/expenses/stats', ExpenseDataController.getExpenseStats);
+// ✅ EXPORT: TRACKEAR como reporte, formato habilitado según el plan (debe ir ANTES de /expenses/:id)
+router.get(
+  '/expenses/export',
+  requireFeature('cash-flow', (req) => EXPORT_FORMAT_FEATURES[(req.query.format || 'csv').toLowerCase()]),
+  trackUsage('cash-flow', 'export_reports'),
+  ExpenseDataController.exportExpenses
+);
+// Colas de aprobación (deben ir ANTES de /expenses/:id)
+router.get('/expenses/approvals/pending', authorizeAdminOrManager, ExpenseApprovalController.getPendingApprovals);
+router.get('/expenses/approvals', ExpenseApprovalController.getApprovals);
+// Papelera (debe ir ANTES de /expenses/:id)
+router.get('/expenses/trash', ExpenseDataController.getTrashedExpenses);
 router.get('/expenses/:id', ExpenseDataController.getExpenseById);
 
+// Importación desde planilla: la previsualización no crea registros (NO TRACKEAR),
+// las filas válidas se confirman luego vía POST /expenses/bulk
+router.post(
+  '/expenses/import/preview',
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence,
+  ExpenseDataController.previewExpenseImport
+);
+
+// Extracción de factura/boleta/recibo en PDF con IA: devuelve un borrador (NO TRACKEAR),
+// que se confirma luego vía POST /expenses. Sujeta al control de costos de IA.
+router.post(
+  '/expenses/import/invoice',
+  uploadPdfForAnalysis,
+  handlePdfUploadErrors,
+  validatePdfPresence,
+  costControlMiddleware,
+  async (req, res, next) => {
+    try {
+      await ExpenseDataController.extractExpenseFromInvoice(req, res, next);
+      await registerRequestCost(req, 'invoice_extraction');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ✅ POST BULK: TRACKEAR múltiples transacciones (debe ir ANTES de /expenses para evitar conflicto)
 router.post(
   '/expenses/bulk',
@@ -72,12 +137,51 @@ router.put(
   ExpenseDataController.updateExpense
 );
 
-// DELETE: NO trackear (eliminar no cuenta como nueva transacción)
+// DELETE: NO trackear (envía a la papelera, no cuenta como nueva transacción)
 router.delete('/expenses/:id', ExpenseDataController.deleteExpense);
 
+// Papelera: restaurar y eliminar permanentemente (solo admin, NO trackear)
+router.post('/expenses/:id/restore', authorize('admin'), ExpenseDataController.restoreExpense);
+router.delete('/expenses/:id/purge', authorize('admin'), ExpenseDataController.purgeExpense);
+
 // Estadísticas: NO trackear (solo lectura)
 router.get('/expense-types/:typeId/expenses-by-status', ExpenseDataController.getExpensesByStatus);
 
+// ============================================
+// PAYMENTS - Pagos parciales (NO TRACKEAR - el estado de pago se deriva)
+// ============================================
+router.get('/expenses/:id/payments', ExpensePaymentController.getPayments);
+router.post('/expenses/:id/payments', ExpensePaymentController.addPayment);
+router.post('/expenses/:id/payments/:paymentId/void', ExpensePaymentController.voidPayment);
+
+// ============================================
+// ATTACHMENTS - Documentos de respaldo (NO TRACKEAR)
+// ============================================
+router.get('/expenses/:id/attachments', AttachmentController.getAttachments('expense'));
+router.post(
+  '/expenses/:id/attachments',
+  uploadAttachments,
+  handleAttachmentUploadErrors,
+  validateAttachmentsPresence,
+  AttachmentController.uploadAttachments('expense')
+);
+router.get('/expenses/:id/attachments/:attachmentId/download', AttachmentController.downloadAttachment('expense'));
+router.get('/expenses/:id/attachments/:attachmentId/thumbnail', AttachmentController.getAttachmentThumbnail('expense'));
+router.delete('/expenses/:id/attachments/:attachmentId', AttachmentController.deleteAttachment('expense'));
+
+// ============================================
+// APPROVALS - Aprobación por umbral de monto (NO TRACKEAR)
+// ============================================
+router.get('/expenses/:id/approvals', ExpenseApprovalController.getExpenseApprovals);
+router.post('/expenses/:id/approve', authorizeAdminOrManager, ExpenseApprovalController.approveExpense);
+router.post('/expenses/:id/reject', authorizeAdminOrManager, ExpenseApprovalController.rejectExpense);
+
+// Reglas: cualquiera puede consultarlas, solo admin las configura
+router.get('/expense-approval-rules', ExpenseApprovalController.getApprovalRules);
+router.post('/expense-approval-rules', authorize('admin'), ExpenseApprovalController.createApprovalRule);
+router.put('/expense-approval-rules/:id', authorize('admin'), ExpenseApprovalController.updateApprovalRule);
+router.delete('/expense-approval-rules/:id', authorize('admin'), ExpenseApprovalController.deleteApprovalRule);
+
 // ============================================
 // DASHBOARD - NO TRACKEAR (solo lectura)
 // ============================================
@@ -87,5 +191,6 @@ router.get('/expenses/dashboard/by-category', ExpenseDashboardController.getExpe
 router.get('/expenses/dashboard/cash-flow', ExpenseDashboardController.getExpenseCashFlow);
 router.get('/expenses/dashboard/trends', ExpenseDashboardController.getExpenseTrends);
 router.get('/expenses/dashboard/category-by-period', ExpenseDashboardController.getExpensesCategoryByPeriod);
+router.get('/expenses/dashboard/aging', ExpenseDashboardController.getExpenseAging);
 
 export default router;
\ No newline at end of file
@@ -1,9 +1,23 @@
 // src/routes/incomeRoutes.mjs
 import express from 'express';
-import { trackUsage } from '../middleware/usageMetricsMiddleware.mjs'; // ✅ SOLO AGREGAR ESTO
+import { trackUsage, requireFeature } from '../middleware/usageMetricsMiddleware.mjs'; // ✅ SOLO AGREGAR ESTO
+import {
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence
+} from '../middleware/spreadsheetUploadMiddleware.mjs';
+import {
+  uploadAttachments,
+  handleAttachmentUploadErrors,
+  validateAttachmentsPresence
+} from '../middleware/attachmentUploadMiddleware.mjs';
+import { EXPORT_FORMAT_FEATURES } from '../services/exportService.mjs';
+import { authorize } from '../middleware/clerkAuth.mjs';
 import * as IncomeTypeController from '../controllers/incomeTypeController.mjs';
 import * as IncomeDataController from '../controllers/incomeDataController.mjs';
 import * as IncomeDashboardController from '../controllers/incomeDashboardController.mjs';
+import * as IncomePaymentController from '../controllers/incomePaymentController.mjs';
+import * as AttachmentController from '../controllers/attachmentController.mjs';
 
 const router = express.Router();
 
@@ -29,6 +43,10 @@ router.post('/income-types/:typeId/statuses', IncomeTypeController.createStatus)
 router.put('/income-statuses/:id', IncomeTypeController.updateStatus);
 router.delete('/income-statuses/:id', IncomeTypeController.deleteStatus);
 
+// Transiciones de estado por tipo (solo admin las configura)
+router.get('/income-types/:typeId/status-transitions', IncomeTypeController.getStatusTransitions);
+router.put('/income-types/:typeId/status-transitions', authorize('admin'), IncomeTypeController.updateStatusTransitions);
+
 // ============================================
 // INCOMES DATA - Datos de ingresos (✅ TRACKEAR AQUÍ)
 // ============================================
@@ -36,6 +54,15 @@ router.delete('/income-statuses/:id', IncomeTypeController.deleteStatus);
 // GET: No trackear (solo lectura)
 router.get('/incomes', IncomeDataController.getAllIncomes);
 router.get('/incomes/stats', IncomeDataController.getIncomeStats);
+// ✅ EXPORT: TRACKEAR como reporte, formato habilitado según el plan (debe ir ANTES de /incomes/:id)
+router.get(
+  '/incomes/export',
+  requireFeature('cash-flow', (req) => EXPORT_FORMAT_FEATURES[(req.query.format || 'csv').toLowerCase()]),
+  trackUsage('cash-flow', 'export_reports'),
+  IncomeDataController.exportIncomes
+);
+// Papelera (debe ir ANTES de /incomes/:id)
+router.get('/incomes/trash', IncomeDataController.getTrashedIncomes);
 router.get('/incomes/:id', IncomeDataController.getIncomeById);
 
 // ✅ POST: TRACKEAR como transacción
@@ -45,6 +72,16 @@ router.post(
   IncomeDataController.createIncome
 );
 
+// Importación desde planilla: la previsualización no crea registros (NO TRACKEAR),
+// las filas válidas se confirman luego vía POST /incomes/bulk
+router.post(
+  '/incomes/import/preview',
+  uploadSpreadsheet,
+  handleSpreadsheetUploadErrors,
+  validateSpreadsheetPresence,
+  IncomeDataController.previewIncomeImport
+);
+
 // ✅ POST BULK: TRACKEAR múltiples transacciones
 router.post(
   '/incomes/bulk',
@@ -68,12 +105,38 @@ router.put(
   IncomeDataController.updateIncome
 );
 
-// DELETE: NO trackear (eliminar no cuenta como nueva transacción)
+// DELETE: NO trackear (envía a la papelera, no cuenta como nueva transacción)
 router.delete('/incomes/:id', IncomeDataController.deleteIncome);
 
+// Papelera: restaurar y eliminar permanentemente (solo admin, NO trackear)
+router.post('/incomes/:id/restore', authorize('admin'), IncomeDataController.restoreIncome);
+router.delete('/incomes/:id/purge', authorize('admin'), IncomeDataController.purgeIncome);
+
 // Estadísticas: NO trackear (solo lectura)
 router.get('/income-types/:typeId/incomes-by-status', IncomeDataController.getIncomesByStatus);
 
+// ============================================
+// PAYMENTS - Pagos parciales (NO TRACKEAR - el estado de pago se deriva)
+// ============================================
+router.get('/incomes/:id/payments', IncomePaymentController.getPayments);
+router.post('/incomes/:id/payments', IncomePaymentController.addPayment);
+router.post('/incomes/:id/payments/:paymentId/void', IncomePaymentController.voidPayment);
+
+// ============================================
+// ATTACHMENTS - Documentos de respaldo (NO TRACKEAR)
+// ============================================
+router.get('/incomes/:id/attachments', AttachmentController.getAttachments('income'));
+router.post(
+  '/incomes/:id/attachments',
+  uploadAttachments,
+  handleAttachmentUploadErrors,
+  validateAttachmentsPresence,
+  AttachmentController.uploadAttachments('income')
+);
+router.get('/incomes/:id/attachments/:attachmentId/download', AttachmentController.downloadAttachment('income'));
+router.get('/incomes/:id/attachments/:attachmentId/thumbnail', AttachmentController.getAttachmentThumbnail('income'));
+router.delete('/incomes/:id/attachments/:attachmentId', AttachmentController.deleteAttachment('income'));
+
 // ============================================
 // DASHBOARD - NO TRACKEAR (solo lectura)
 // ============================================
@@ -83,5 +146,6 @@ router.get('/incomes/dashboard/by-category', IncomeDashboardController.getIncome
 router.get('/incomes/dashboard/cash-flow', IncomeDashboardController.getIncomeCashFlow);
 router.get('/incomes/dashboard/trends', IncomeDashboardController.getIncomeTrends);
 router.get('/incomes/dashboard/category-by-period', IncomeDashboardController.getIncomesCategoryByPeriod);
+router.get('/incomes/dashboard/aging', IncomeDashboardController.getIncomeAging);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// src/routes/recurringTemplateRoutes.mjs
+import express from 'express';
+import * as recurringTemplateController from '../controllers/recurringTemplateController.mjs';
+import { trackUsage } from '../middleware/usageMetricsMiddleware.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+
+// GET /api/recurring-templates - List templates (filters: target, status)
+router.get('/', recurringTemplateController.getAllTemplates);
+
+// POST /api/recurring-templates/run - Generate due occurrences now (counts each generated record)
+router.post('/run',
+  trackUsage('cash-flow', 'transactions', { incrementBy: (req, res) => res.locals.generatedCount || 0 }),
+  recurringTemplateController.runTemplates
+);
+
+// GET /api/recurring-templates/:id - Template with upcoming occurrences
+router.get('/:id', recurringTemplateController.getTemplateById);
+
+// POST /api/recurring-templates - Create template
+router.post('/', recurringTemplateController.createTemplate);
+
+// PUT /api/recurring-templates/:id - Update template data and recurrence rule
+router.put('/:id', recurringTemplateController.updateTemplate);
+
+// PATCH /api/recurring-templates/:id/status - Pause or resume generation
+router.patch('/:id/status', recurringTemplateController.updateTemplateStatus);
+
+// GET /api/recurring-templates/:id/occurrences - Preview occurrences
+router.get('/:id/occurrences', recurringTemplateController.getOccurrences);
+
+// PUT /api/recurring-templates/:id/occurrences/:date - Edit a single occurrence
+router.put('/:id/occurrences/:date', recurringTemplateController.updateOccurrence);
+
+// DELETE /api/recurring-templates/:id/occurrences/:date - Undo skip/edit of an occurrence
+router.delete('/:id/occurrences/:date', recurringTemplateController.restoreOccurrence);
+
+// POST /api/recurring-templates/:id/occurrences/:date/skip - Skip an occurrence
+router.post('/:id/occurrences/:date/skip', recurringTemplateController.skipOccurrence);
+
+// POST /api/recurring-templates/:id/occurrences/:date/generate - Generate an occurrence now
+router.post('/:id/occurrences/:date/generate',
+  trackUsage('cash-flow', 'transactions'),
+  recurringTemplateController.generateOccurrenceNow
+);
+
+export default router;
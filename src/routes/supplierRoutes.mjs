@@ -0,0 +1,36 @@
+// src/routes/supplierRoutes.mjs
+import express from 'express';
+import * as supplierController from '../controllers/supplierController.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+
+// GET /api/suppliers - List suppliers (search by RUT or name)
+router.get('/', supplierController.getAllSuppliers);
+
+// GET /api/suppliers/totals - Expense totals ranked by supplier
+router.get('/totals', supplierController.getTotalsBySupplier);
+
+// GET /api/suppliers/:id - Get supplier by ID
+router.get('/:id', supplierController.getSupplierById);
+
+// GET /api/suppliers/:id/summary - Supplier totals and monthly evolution
+router.get('/:id/summary', supplierController.getSupplierSummary);
+
+// GET /api/suppliers/:id/expenses - Supplier expense history
+router.get('/:id/expenses', supplierController.getSupplierExpenses);
+
+// POST /api/suppliers - Create supplier
+router.post('/', supplierController.createSupplier);
+
+// PUT /api/suppliers/:id - Update supplier
+router.put('/:id', supplierController.updateSupplier);
+
+// PATCH /api/suppliers/:id/activate - Reactivate supplier
+router.patch('/:id/activate', supplierController.activateSupplier);
+
+// DELETE /api/suppliers/:id - Deactivate supplier (soft delete)
+router.delete('/:id', supplierController.deactivateSupplier);
+
+export default router;
@@ -0,0 +1,18 @@
+// src/routes/taxRoutes.mjs
+import express from 'express';
+import * as taxController from '../controllers/taxController.mjs';
+
+const router = express.Router();
+
+// Authentication is handled globally by clerkAuth in app.mjs
+
+// GET /api/taxes/rates - VAT rate and fee withholding rate for a date
+router.get('/rates', taxController.getTaxRates);
+
+// POST /api/taxes/breakdown - Derive net/VAT/total/withholding without saving
+router.post('/breakdown', taxController.previewTaxBreakdown);
+
+// GET /api/taxes/summary - Monthly VAT debit/credit summary for the F29 filing
+router.get('/summary', taxController.getTaxSummary);
+
+export default router;
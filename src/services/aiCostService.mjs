@@ -0,0 +1,335 @@
+// src/services/aiCostService.mjs
+// Control de costos de la API de Claude: límites por organización y gasto real según tokens consumidos
+// Los contadores viven en costTrackingStoreService (persistentes y compartidos entre instancias);
+// cada llamada queda además en el libro ai_usage_ledger para reportes y refacturación.
+
+import * as AiCostLimitModel from '../models/aiCostLimitModel.mjs';
+import * as AiUsageLedgerModel from '../models/aiUsageLedgerModel.mjs';
+import * as AiSpendAlertModel from '../models/aiSpendAlertModel.mjs';
+import * as MemberModel from '../models/memberModel.mjs';
+import { getCostStore } from './costTrackingStoreService.mjs';
+import { sendAiSpendAlertEmail } from './emailService.mjs';
+import { calculateUsageCost, summarizeUsage, toUsageList } from '../utils/anthropicUsageUtils.mjs';
+
+// Funcionalidades que generan gasto de IA (columna feature del libro)
+export const AI_FEATURES = [
+  'quick_analysis',
+  'project_analysis',
+  'pdf_analysis',
+  'pdf_comparison',
+  'project_comparison',
+  'invoice_extraction'
+];
+
+// Umbrales de alerta del tope mensual (% del tope)
+export const MONTHLY_ALERT_THRESHOLDS = [80, 100];
+
+// Límites por defecto según entorno (cada organización puede reemplazarlos en ai_cost_limits)
+const DEFAULT_COST_LIMITS = {
+  development: {
+    daily_cost_limit_usd: 5.0,       // $5 USD por día
+    hourly_analysis_limit: 10,       // 10 análisis por hora
+    user_daily_cost_limit_usd: 2.0,  // $2 USD por usuario al día
+    monthly_cost_limit_usd: 50.0     // $50 USD por mes
+  },
+  production: {
+    daily_cost_limit_usd: 20.0,
+    hourly_analysis_limit: 30,
+    user_daily_cost_limit_usd: 8.0,
+    monthly_cost_limit_usd: 300.0
+  }
+};
+
+// Máximos de la plataforma: ninguna organización puede configurar límites por encima
+// (variables de entorno para ajustarlos sin desplegar)
+const MAX_COST_LIMIT_ENV = {
+  daily_cost_limit_usd: 'AI_MAX_DAILY_COST_LIMIT_USD',
+  hourly_analysis_limit: 'AI_MAX_HOURLY_ANALYSIS_LIMIT',
+  user_daily_cost_limit_usd: 'AI_MAX_USER_DAILY_COST_LIMIT_USD',
+  monthly_cost_limit_usd: 'AI_MAX_MONTHLY_COST_LIMIT_USD'
+};
+const DEFAULT_MAX_COST_LIMITS = {
+  daily_cost_limit_usd: 100.0,
+  hourly_analysis_limit: 100,
+  user_daily_cost_limit_usd: 40.0,
+  monthly_cost_limit_usd: 1500.0
+};
+
+// Retención de cada contador (más que su período, para consultar días anteriores)
+const DAILY_COUNTER_TTL_SECONDS = 8 * 24 * 60 * 60;
+const HOURLY_COUNTER_TTL_SECONDS = 2 * 24 * 60 * 60;
+const USER_COUNTER_TTL_SECONDS = 31 * 24 * 60 * 60;
+const MONTHLY_COUNTER_TTL_SECONDS = 62 * 24 * 60 * 60;
+
+export function getCostEnvironment() {
+  return process.env.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+/**
+ * Límites por defecto del entorno actual
+ */
+export function getDefaultCostLimits() {
+  return { ...DEFAULT_COST_LIMITS[getCostEnvironment()] };
+}
+
+/**
+ * Máximos de la plataforma para los límites configurables por organización
+ */
+export function getMaxCostLimits() {
+  const maximums = {};
+  for (const [field, envName] of Object.entries(MAX_COST_LIMIT_ENV)) {
+    const value = parseFloat(process.env[envName]);
+    maximums[field] = value >= 0 ? value : DEFAULT_MAX_COST_LIMITS[field];
+  }
+  return maximums;
+}
+
+/**
+ * Contexto de costos de una request: organización y usuario a los que se imputa el gasto
+ */
+export function buildCostContext(req) {
+  return {
+    organizationId: req.user?.organization_id || null,
+    userId: req.user?.id || null
+  };
+}
+
+/**
+ * Límites vigentes de una organización (configurados o por defecto, nunca sobre el máximo de la plataforma)
+ * @returns {Promise<Object>} daily_cost_limit_usd, hourly_analysis_limit, user_daily_cost_limit_usd,
+ *                            monthly_cost_limit_usd, is_custom
+ */
+export async function getEffectiveCostLimits(organizationId) {
+  const defaults = getDefaultCostLimits();
+  const configured = organizationId ? await AiCostLimitModel.getCostLimits(organizationId) : null;
+
+  const maximums = getMaxCostLimits();
+
+  const limits = { ...defaults, is_custom: false };
+  for (const field of AiCostLimitModel.COST_LIMIT_FIELDS) {
+    if (configured?.[field] !== null && configured?.[field] !== undefined) {
+      limits[field] = Math.min(parseFloat(configured[field]), maximums[field]);
+      limits.is_custom = true;
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Períodos (UTC) y claves de contadores de un contexto
+ */
+export function getCounterKeys({ organizationId, userId }, now = new Date()) {
+  const iso = now.toISOString();
+  const day = iso.slice(0, 10);
+  const hour = iso.slice(0, 13);
+  const month = iso.slice(0, 7);
+  const organization = organizationId || 'none';
+
+  return {
+    day,
+    hour,
+    month,
+    orgDaily: `cost:org:${organization}:${day}`,
+    orgMonthly: `cost:org:${organization}:${month}`,
+    orgHourly: `analyses:org:${organization}:${hour}`,
+    userDaily: `cost:user:${userId || 'anonymous'}:${day}`
+  };
+}
+
+/**
+ * Consumo actual de un contexto
+ * @returns {Promise<{ daily_cost: number, hourly_count: number, user_daily_cost: number, monthly_cost: number }>}
+ */
+export async function getCurrentUsage(context) {
+  const keys = getCounterKeys(context);
+  const values = await getCostStore().getValues([keys.orgDaily, keys.orgHourly, keys.userDaily, keys.orgMonthly]);
+
+  return {
+    daily_cost: values[keys.orgDaily] || 0,
+    hourly_count: values[keys.orgHourly] || 0,
+    user_daily_cost: values[keys.userDaily] || 0,
+    monthly_cost: values[keys.orgMonthly] || 0
+  };
+}
+
+/**
+ * Contar una solicitud de análisis en el límite horario de la organización
+ */
+export async function registerAnalysisRequest(context) {
+  const keys = getCounterKeys(context);
+  await getCostStore().increment(keys.orgHourly, 1, HOURLY_COUNTER_TTL_SECONDS);
+}
+
+/**
+ * Sumar un costo en USD a la organización (día y mes) y al usuario
+ * Revisa después las alertas del tope mensual.
+ */
+export async function registerCost(context, costUsd) {
+  if (!(costUsd > 0)) return;
+
+  const keys = getCounterKeys(context);
+  const store = getCostStore();
+
+  await store.increment(keys.orgDaily, costUsd, DAILY_COUNTER_TTL_SECONDS);
+  await store.increment(keys.orgMonthly, costUsd, MONTHLY_COUNTER_TTL_SECONDS);
+  await store.increment(keys.userDaily, costUsd, USER_COUNTER_TTL_SECONDS);
+
+  await checkMonthlySpendAlerts(context);
+}
+
+/**
+ * Fila del libro a partir del contexto y el origen del gasto
+ */
+function buildLedgerEntry(context, details, fields) {
+  return {
+    organization_id: context?.organizationId,
+    user_id: context?.userId,
+    feature: details.feature || 'unknown',
+    reference_type: details.referenceType,
+    reference_id: details.referenceId,
+    project_id: details.projectId,
+    ...fields
+  };
+}
+
+/**
+ * Registrar el gasto real de una o varias llamadas a Claude a partir de los tokens informados por la API
+ * Cada llamada queda en el libro de la organización. Los errores se registran en consola sin interrumpir la operación.
+ * @param {Object} context - buildCostContext(req) o { organizationId, userId }
+ * @param {Object|Array} usage - Entradas de extractUsage (anthropicUsageUtils)
+ * @param {Object} details - Origen: feature (AI_FEATURES), referenceType, referenceId, projectId
+ * @returns {Promise<Object>} { calls, input_tokens, output_tokens, cost_usd }
+ */
+export async function recordAiUsage(context, usage, details = {}) {
+  const entries = toUsageList(usage);
+  const summary = summarizeUsage(entries);
+
+  try {
+    await AiUsageLedgerModel.createLedgerEntries(entries.map(entry => buildLedgerEntry(context, details, {
+      model: entry.model,
+      input_tokens: entry.input_tokens,
+      output_tokens: entry.output_tokens,
+      cache_creation_input_tokens: entry.cache_creation_input_tokens,
+      cache_read_input_tokens: entry.cache_read_input_tokens,
+      cost_usd: calculateUsageCost([entry])
+    })));
+  } catch (error) {
+    console.error('⚠️ Error registrando uso de IA en el libro:', error.message);
+  }
+
+  try {
+    await registerCost(context, summary.cost_usd);
+    console.log(`💰 Uso de IA registrado (${details.feature || 'unknown'}): ${summary.input_tokens} tokens entrada, ${summary.output_tokens} salida = $${summary.cost_usd.toFixed(4)} USD (${summary.calls} llamadas)`);
+  } catch (error) {
+    console.error('⚠️ Error registrando uso de IA:', error.message);
+  }
+
+  return summary;
+}
+
+/**
+ * Registrar un cargo sin tokens informados (estimación previa o tarifa fija)
+ * Queda en el libro marcado como estimado.
+ * @param {Object} details - Origen: feature (AI_FEATURES), referenceType, referenceId, projectId
+ */
+export async function recordEstimatedCost(context, costUsd, details = {}) {
+  if (!(costUsd > 0)) return;
+
+  await AiUsageLedgerModel.createLedgerEntries([
+    buildLedgerEntry(context, details, { cost_usd: costUsd, is_estimated: true })
+  ]);
+  await registerCost(context, costUsd);
+}
+
+/**
+ * Disparar las alertas del tope mensual (80% y 100%) que la organización haya cruzado este mes
+ * Cada alerta se registra una sola vez por mes y se notifica por correo a los administradores.
+ */
+export async function checkMonthlySpendAlerts(context) {
+  if (!context?.organizationId) return [];
+
+  try {
+    const [limits, usage] = await Promise.all([
+      getEffectiveCostLimits(context.organizationId),
+      getCurrentUsage(context)
+    ]);
+    const limit = limits.monthly_cost_limit_usd;
+    if (!(limit > 0)) return [];
+
+    const period = getCounterKeys(context).month;
+    const percent = usage.monthly_cost / limit * 100;
+    const triggered = [];
+
+    for (const threshold of MONTHLY_ALERT_THRESHOLDS) {
+      if (percent < threshold) continue;
+
+      const alert = {
+        organization_id: context.organizationId,
+        period,
+        threshold_percent: threshold,
+        spend_usd: usage.monthly_cost,
+        limit_usd: limit
+      };
+      const alertId = await AiSpendAlertModel.createSpendAlert(alert);
+      if (!alertId) continue;
+
+      console.warn(`🚨 Gasto de IA de la organización ${context.organizationId} al ${threshold}% del tope mensual ($${usage.monthly_cost.toFixed(2)}/$${limit})`);
+      await notifySpendAlert(alertId, alert);
+      triggered.push(alert);
+    }
+
+    return triggered;
+  } catch (error) {
+    console.error('⚠️ Error revisando alertas de gasto de IA:', error.message);
+    return [];
+  }
+}
+
+async function notifySpendAlert(alertId, alert) {
+  if (!process.env.RESEND_API_KEY) return;
+
+  try {
+    const members = await MemberModel.getMembers(alert.organization_id);
+    const emails = members.filter(member => member.role === 'admin' && member.email).map(member => member.email);
+    if (emails.length === 0) return;
+
+    await sendAiSpendAlertEmail(emails, alert);
+    await AiSpendAlertModel.setNotifiedEmails(alertId, emails);
+  } catch (error) {
+    console.error('⚠️ Error notificando alerta de gasto de IA:', error.message);
+  }
+}
+
+/**
+ * Estado del tope mensual de una organización
+ * @returns {Promise<Object>} period, cost_used, cost_limit, percentage_used, remaining, alerts
+ */
+export async function getMonthlySpendStatus(organizationId) {
+  const context = { organizationId, userId: null };
+  const period = getCounterKeys(context).month;
+
+  const [limits, usage, alerts] = await Promise.all([
+    getEffectiveCostLimits(organizationId),
+    getCurrentUsage(context),
+    AiSpendAlertModel.getSpendAlerts(organizationId, { period })
+  ]);
+  const limit = limits.monthly_cost_limit_usd;
+
+  return {
+    period,
+    cost_used: usage.monthly_cost,
+    cost_limit: limit,
+    percentage_used: limit > 0 ? parseFloat((usage.monthly_cost / limit * 100).toFixed(1)) : 100,
+    remaining: Math.max(0, limit - usage.monthly_cost),
+    alerts
+  };
+}
+
+/**
+ * Eliminar contadores vencidos del almacenamiento
+ * @returns {Promise<number>} Contadores eliminados
+ */
+export async function cleanupExpiredCounters() {
+  return getCostStore().cleanup();
+}
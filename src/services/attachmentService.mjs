@@ -0,0 +1,273 @@
+// src/services/attachmentService.mjs
+// Documentos adjuntos de ingresos y egresos (facturas, comprobantes de transferencia, fotos)
+
+import crypto from 'crypto';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import * as AttachmentModel from '../models/attachmentModel.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import { getStorage, getDefaultStorageBackend } from './attachmentStorageService.mjs';
+
+let sharp;
+
+// sharp es opcional: sin él los adjuntos se guardan sin miniatura
+try {
+  const sharpModule = await import('sharp');
+  sharp = sharpModule.default;
+} catch (error) {
+  console.warn('⚠️ sharp no disponible, adjuntos sin miniatura:', error.message);
+  sharp = null;
+}
+
+const THUMBNAIL_SIZE = 320;
+
+// Registros que admiten adjuntos: solo se accede a registros vigentes de la organización
+const ATTACHMENT_TARGETS = {
+  expense: { getRecord: ExpenseDataModel.getExpenseById, label: 'Egreso' },
+  income: { getRecord: IncomeDataModel.getIncomeById, label: 'Ingreso' }
+};
+
+// Tipos permitidos con su extensión y firma (magic bytes) del contenido
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  'image/jpeg': { extension: '.jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+};
+
+export const ALLOWED_ATTACHMENT_MIME_TYPES = Object.keys(ALLOWED_FILE_TYPES);
+
+/**
+ * Tipo real del archivo según su contenido (el mimetype del navegador no es confiable)
+ * @returns {string|null} mimetype permitido o null
+ */
+export function detectAttachmentMimeType(buffer) {
+  for (const [mimeType, { signature }] of Object.entries(ALLOWED_FILE_TYPES)) {
+    if (buffer.length >= signature.length && signature.every((byte, index) => buffer[index] === byte)) {
+      return mimeType;
+    }
+  }
+  return null;
+}
+
+function isImage(mimeType) {
+  return mimeType.startsWith('image/');
+}
+
+/**
+ * Miniatura JPEG de una imagen (null si no es imagen o sharp no está disponible)
+ */
+async function generateThumbnail(buffer, mimeType) {
+  if (!sharp || !isImage(mimeType)) return null;
+
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    console.warn('⚠️ No se pudo generar la miniatura:', error.message);
+    return null;
+  }
+}
+
+function buildStorageKey(organizationId, target, recordId, extension) {
+  const organizationDir = String(organizationId).replace(/[^A-Za-z0-9_-]/g, '_');
+  return `${organizationDir}/${target}/${recordId}/${uuidv4()}${extension}`;
+}
+
+/**
+ * Datos públicos de un adjunto (sin ubicación interna del almacenamiento)
+ */
+export function serializeAttachment(attachment) {
+  const { storage_key, thumbnail_key, organization_id, ...rest } = attachment;
+  return {
+    ...rest,
+    size_bytes: parseInt(attachment.size_bytes),
+    has_thumbnail: !!thumbnail_key
+  };
+}
+
+/**
+ * Registro dueño de los adjuntos, verificado contra la organización
+ * @returns {Promise<{ record } | { error, status }>}
+ */
+export async function findAttachmentRecord(target, recordId, organizationId) {
+  const config = ATTACHMENT_TARGETS[target];
+  if (!config) {
+    return { error: `Tipo de registro no soporta adjuntos: ${target}`, status: 400 };
+  }
+
+  const record = await config.getRecord(recordId, organizationId);
+  if (!record) {
+    return { error: `${config.label} no encontrado`, status: 404 };
+  }
+
+  return { record };
+}
+
+/**
+ * Adjuntar archivos a un registro
+ * Se valida el contenido de todos los archivos antes de guardar cualquiera.
+ * @param {Object} params
+ * @param {string} params.target - 'expense' | 'income'
+ * @param {number} params.recordId - ID del registro
+ * @param {string} params.organizationId - ID de la organización
+ * @param {Array} params.files - Archivos de multer (memoryStorage)
+ * @param {number} params.userId - Usuario que sube los archivos
+ * @returns {Promise<{ record, attachments } | { error, status, errors? }>}
+ */
+export async function uploadAttachments({ target, recordId, organizationId, files, userId = null }) {
+  const found = await findAttachmentRecord(target, recordId, organizationId);
+  if (found.error) return found;
+
+  const errors = [];
+  const detectedTypes = files.map((file, index) => {
+    const mimeType = detectAttachmentMimeType(file.buffer);
+    if (!mimeType) {
+      errors.push({ file: file.originalname, index, message: 'El contenido no corresponde a un PDF, JPG o PNG' });
+    }
+    return mimeType;
+  });
+
+  if (errors.length > 0) {
+    return { error: 'Archivos no soportados', status: 415, errors };
+  }
+
+  const storageBackend = getDefaultStorageBackend();
+  const storage = getStorage(storageBackend);
+  const attachmentIds = [];
+
+  for (const [index, file] of files.entries()) {
+    const mimeType = detectedTypes[index];
+    const storageKey = buildStorageKey(organizationId, target, recordId, ALLOWED_FILE_TYPES[mimeType].extension);
+    const thumbnail = await generateThumbnail(file.buffer, mimeType);
+    const thumbnailKey = thumbnail ? storageKey.replace(/\.[a-z]+$/, '.thumb.jpg') : null;
+
+    await storage.save(storageKey, file.buffer, mimeType);
+    if (thumbnail) {
+      await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+    }
+
+    try {
+      const id = await AttachmentModel.createAttachment({
+        organization_id: organizationId,
+        target,
+        record_id: recordId,
+        original_name: path.basename(file.originalname).slice(0, 255),
+        mime_type: mimeType,
+        size_bytes: file.buffer.length,
+        checksum_sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage_backend: storageBackend,
+        storage_key: storageKey,
+        thumbnail_key: thumbnailKey,
+        uploaded_by: userId
+      });
+      attachmentIds.push(id);
+    } catch (error) {
+      // Sin fila en la base de datos el archivo quedaría huérfano
+      await storage.remove(storageKey);
+      if (thumbnailKey) await storage.remove(thumbnailKey);
+      throw error;
+    }
+  }
+
+  const attachments = await AttachmentModel.getAttachmentsByRecord(target, recordId, organizationId);
+
+  return {
+    record: found.record,
+    attachments: attachments.filter(attachment => attachmentIds.includes(attachment.id))
+  };
+}
+
+/**
+ * Listar adjuntos de un registro
+ * @returns {Promise<{ attachments } | { error, status }>}
+ */
+export async function listAttachments(target, recordId, organizationId) {
+  const found = await findAttachmentRecord(target, recordId, organizationId);
+  if (found.error) return found;
+
+  const attachments = await AttachmentModel.getAttachmentsByRecord(target, recordId, organizationId);
+  return { attachments };
+}
+
+/**
+ * Contenido de un adjunto o de su miniatura para descarga
+ * @param {Object} options - { thumbnail: boolean }
+ * @returns {Promise<{ attachment, stream, mimeType, fileName } | { error, status }>}
+ */
+export async function getAttachmentContent(target, recordId, attachmentId, organizationId, { thumbnail = false } = {}) {
+  const found = await findAttachmentRecord(target, recordId, organizationId);
+  if (found.error) return found;
+
+  const attachment = await AttachmentModel.getAttachmentById(attachmentId, target, recordId, organizationId);
+  if (!attachment) {
+    return { error: 'Adjunto no encontrado', status: 404 };
+  }
+
+  if (thumbnail && !attachment.thumbnail_key) {
+    return { error: 'El adjunto no tiene miniatura', status: 404 };
+  }
+
+  const key = thumbnail ? attachment.thumbnail_key : attachment.storage_key;
+  const storage = getStorage(attachment.storage_backend);
+
+  if (!(await storage.exists(key))) {
+    return { error: 'Archivo del adjunto no disponible en el almacenamiento', status: 410 };
+  }
+
+  return {
+    attachment,
+    stream: storage.createReadStream(key),
+    mimeType: thumbnail ? 'image/jpeg' : attachment.mime_type,
+    fileName: attachment.original_name
+  };
+}
+
+async function removeStoredFiles(attachment) {
+  const storage = getStorage(attachment.storage_backend);
+  await storage.remove(attachment.storage_key);
+  if (attachment.thumbnail_key) {
+    await storage.remove(attachment.thumbnail_key);
+  }
+}
+
+/**
+ * Eliminar un adjunto y sus archivos
+ * @returns {Promise<{ record, attachment } | { error, status }>}
+ */
+export async function deleteAttachment(target, recordId, attachmentId, organizationId) {
+  const found = await findAttachmentRecord(target, recordId, organizationId);
+  if (found.error) return found;
+
+  const attachment = await AttachmentModel.getAttachmentById(attachmentId, target, recordId, organizationId);
+  if (!attachment) {
+    return { error: 'Adjunto no encontrado', status: 404 };
+  }
+
+  await AttachmentModel.deleteAttachment(attachment.id, organizationId);
+  await removeStoredFiles(attachment);
+
+  return { record: found.record, attachment };
+}
+
+/**
+ * Eliminar los adjuntos de un registro eliminado permanentemente
+ * Los errores del almacenamiento se registran sin interrumpir la purga.
+ * @returns {Promise<number>} Adjuntos eliminados
+ */
+export async function deleteRecordAttachments(target, recordId, organizationId) {
+  const attachments = await AttachmentModel.deleteAttachmentsByRecord(target, recordId, organizationId);
+
+  for (const attachment of attachments) {
+    try {
+      await removeStoredFiles(attachment);
+    } catch (error) {
+      console.error(`⚠️ Error eliminando archivo del adjunto ${attachment.id}:`, error.message);
+    }
+  }
+
+  return attachments.length;
+}
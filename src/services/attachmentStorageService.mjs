@@ -0,0 +1,95 @@
+// src/services/attachmentStorageService.mjs
+// Almacenamiento de documentos adjuntos con backends intercambiables (por defecto sistema de archivos local)
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_BACKEND = 'local';
+const DEFAULT_LOCAL_PATH = 'storage/attachments';
+
+/**
+ * Backend local: archivos bajo ATTACHMENTS_STORAGE_PATH (por defecto ./storage/attachments)
+ */
+function createLocalStorage() {
+  const baseDir = path.resolve(process.env.ATTACHMENTS_STORAGE_PATH || DEFAULT_LOCAL_PATH);
+
+  // Las claves son relativas y no pueden salir del directorio base
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+    },
+
+    async exists(key) {
+      try {
+        await fsPromises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fsPromises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+// Fábricas de backends disponibles; se instancian al primer uso
+const backendFactories = {
+  local: createLocalStorage
+};
+
+const backends = {};
+
+/**
+ * Registrar un backend adicional (ej: S3)
+ * El backend debe implementar save(key, buffer, mimeType), exists(key), createReadStream(key) y remove(key).
+ * @param {string} name - Nombre usado en ATTACHMENTS_STORAGE y en attachments.storage_backend
+ * @param {Function} factory - Función que retorna el backend
+ */
+export function registerStorageBackend(name, factory) {
+  backendFactories[name] = factory;
+  delete backends[name];
+}
+
+/**
+ * Nombre del backend para nuevos adjuntos (ATTACHMENTS_STORAGE, por defecto 'local')
+ */
+export function getDefaultStorageBackend() {
+  return process.env.ATTACHMENTS_STORAGE || DEFAULT_BACKEND;
+}
+
+/**
+ * Obtener un backend por nombre
+ * Los adjuntos existentes se leen con el backend en que se guardaron, aunque cambie el por defecto.
+ */
+export function getStorage(name = getDefaultStorageBackend()) {
+  if (!backends[name]) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      throw new Error(`Backend de almacenamiento no soportado: ${name}`);
+    }
+    backends[name] = factory();
+  }
+
+  return backends[name];
+}
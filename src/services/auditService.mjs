@@ -0,0 +1,130 @@
+// src/services/auditService.mjs
+// Auditoría de cambios: diferencias campo a campo (antes/después) con usuario, organización e IP
+
+import * as AuditLogModel from '../models/auditLogModel.mjs';
+
+export const AUDIT_ENTITY_TYPES = [
+  'expense',
+  'expense_type',
+  'expense_category',
+  'expense_status',
+  'income',
+  'income_type',
+  'income_category',
+  'income_status',
+  'cost_center'
+];
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Columnas que cambian en cada escritura o se derivan de otras: no aportan al historial
+const IGNORED_FIELDS = new Set([
+  'created_at',
+  'updated_at',
+  'updated_by',
+  'updated_by_email',
+  'outstanding_amount'
+]);
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Normalizar un valor para compararlo y guardarlo en JSON
+ * (DATE de mysql2 -> YYYY-MM-DD, DECIMAL '100.00' -> 100, JSON -> objeto)
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    const isDateOnly = value.getHours() === 0 && value.getMinutes() === 0 &&
+      value.getSeconds() === 0 && value.getMilliseconds() === 0;
+    return isDateOnly
+      ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+      : value.toISOString();
+  }
+  if (typeof value === 'string' && NUMERIC_PATTERN.test(value)) return parseFloat(value);
+  return value;
+}
+
+function isSameValue(a, b) {
+  if (a === null || b === null) return a === b;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  // 1/0 de BOOLEAN contra true/false, o ids numéricos contra strings
+  return String(a) === String(b) || Number(a) === Number(b);
+}
+
+/**
+ * Diferencias campo a campo entre dos versiones de un registro
+ * @param {Object|null} before - Registro antes del cambio (null al crear)
+ * @param {Object|null} after - Registro después del cambio (null al eliminar)
+ * @returns {Object} { campo: { before, after } }
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const previous = normalizeValue(before?.[field]);
+    const current = normalizeValue(after?.[field]);
+
+    if (!isSameValue(previous, current)) {
+      changes[field] = { before: previous, after: current };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Contexto de auditoría de una request (usuario, organización, IP y agente)
+ */
+export function getAuditContext(req) {
+  return {
+    organization_id: req.user?.organization_id || req.body?.organization_id || req.query?.organization_id,
+    user_id: req.user?.id || null,
+    user_email: req.user?.email || null,
+    // req.ip respeta 'trust proxy' (app.mjs): no se confía en un X-Forwarded-For enviado por el cliente
+    ip_address: req.ip || req.socket?.remoteAddress || null,
+    user_agent: req.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null
+  };
+}
+
+/**
+ * Registrar un cambio en audit_log
+ * Los errores se registran en consola sin interrumpir la operación auditada.
+ * @param {Object} context - getAuditContext(req) o contexto de un proceso (ej: generación recurrente)
+ * @param {Object} entry
+ * @param {string} entry.entityType - Uno de AUDIT_ENTITY_TYPES
+ * @param {number} entry.entityId - ID del registro
+ * @param {string} entry.action - 'create' | 'update' | 'delete' | 'restore' | 'purge'
+ * @param {Object|null} entry.before - Registro antes del cambio
+ * @param {Object|null} entry.after - Registro después del cambio
+ */
+export async function recordAudit(context, { entityType, entityId, action, before = null, after = null }) {
+  try {
+    const changes = diffRecords(before, after);
+
+    // Una actualización sin cambios efectivos no deja rastro
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    const label = after?.name || after?.code || before?.name || before?.code || null;
+
+    return await AuditLogModel.createAuditEntry({
+      ...context,
+      entity_type: entityType,
+      entity_id: entityId,
+      entity_label: label ? String(label).slice(0, 255) : null,
+      action,
+      changes
+    });
+  } catch (error) {
+    console.error(`⚠️ Error registrando auditoría (${entityType} ${entityId}):`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,351 @@
+// src/services/budgetAnalysisJobService.mjs
+// Cola de análisis de PDF en segundo plano: extracción, análisis por chunks con Claude y consolidación
+// El estado de cada job vive en budget_analysis_jobs; el PDF se mantiene en memoria solo hasta procesarlo.
+// La cola es de cada instancia: cada job registra la instancia que lo procesa (instance_id). Con varias
+// instancias, BUDGET_ANALYSIS_INSTANCE_ID (por defecto el hostname) debe ser único y estable entre reinicios.
+// Cancelaciones hechas en otra instancia se detectan en la base de datos en la siguiente actualización del job.
+
+import os from 'os';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import * as BudgetAnalysisJobModel from '../models/budgetAnalysisJobModel.mjs';
+import { PdfExtractionService } from './pdfExtractionService.mjs';
+import { generateDetailedPdfAnalysis } from './claudeService.mjs';
+import { savePdfAnalysisToDatabase, incrementUserUsage } from '../utils/budgetAnalysisUtils.mjs';
+import { recordAiUsage, recordEstimatedCost } from './aiCostService.mjs';
+import { toUsageList } from '../utils/anthropicUsageUtils.mjs';
+
+export const JOB_STATUSES = ['queued', 'extracting', 'analyzing', 'consolidating', 'done', 'failed', 'cancelled'];
+
+const FINAL_STATUSES = new Set(BudgetAnalysisJobModel.FINAL_JOB_STATUSES);
+
+// Avance total al entrar a cada etapa; el análisis de chunks avanza de 20 a 85
+const STAGE_PROGRESS = {
+  queued: 0,
+  extracting: 5,
+  analyzing: 20,
+  consolidating: 90,
+  done: 100
+};
+const ANALYZING_PROGRESS_SPAN = 65;
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MAX_QUEUED = 5;
+
+// Instancia dueña de los jobs encolados aquí
+export const INSTANCE_ID = process.env.BUDGET_ANALYSIS_INSTANCE_ID || os.hostname();
+
+const pendingJobs = [];
+const jobPayloads = new Map();
+const runningJobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Jobs procesados en paralelo (BUDGET_ANALYSIS_CONCURRENCY, por defecto 1)
+ */
+function getConcurrency() {
+  const concurrency = parseInt(process.env.BUDGET_ANALYSIS_CONCURRENCY);
+  return concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Jobs en espera por instancia (BUDGET_ANALYSIS_MAX_QUEUED, por defecto 5)
+ * Cada job en espera mantiene su PDF en memoria.
+ */
+function getMaxQueued() {
+  const maxQueued = parseInt(process.env.BUDGET_ANALYSIS_MAX_QUEUED);
+  return maxQueued > 0 ? maxQueued : DEFAULT_MAX_QUEUED;
+}
+
+/**
+ * Datos públicos de un job
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    stage_progress: job.stage_progress || null,
+    file_name: job.file_name,
+    file_size: job.file_size,
+    options: job.options || null,
+    estimated_cost_usd: job.estimated_cost_usd !== null ? parseFloat(job.estimated_cost_usd) : null,
+    analysis_id: job.analysis_id,
+    result_url: job.analysis_id ? `/api/budget-analysis/pdf/${job.analysis_id}` : null,
+    error_message: job.error_message,
+    is_final: FINAL_STATUSES.has(job.status),
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
+/**
+ * Actualizar el job y notificar a los suscriptores (SSE)
+ * Si el job ya está en estado final (ej: cancelado desde otra instancia) se aborta su procesamiento.
+ */
+async function updateJob(id, fields) {
+  const affectedRows = await BudgetAnalysisJobModel.updateJob(id, fields);
+  if (affectedRows === 0) {
+    runningJobs.get(id)?.abort();
+    return;
+  }
+
+  const job = await BudgetAnalysisJobModel.getJobById(id);
+  jobEvents.emit(id, serializeJob(job));
+}
+
+/**
+ * Suscribirse a los cambios de un job
+ * @returns {Function} Cancelar la suscripción
+ */
+export function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+/**
+ * Encolar un análisis de PDF
+ * @param {Object} params
+ * @param {Object} params.file - Archivo de multer (memoryStorage)
+ * @param {Object} params.options - analysisDepth, projectType, projectLocation, includeProviders, includeMarketData
+ * @param {Object} params.user - req.user
+ * @param {string} params.clerkUserId - ID de Clerk del usuario
+ * @param {Object} params.costEstimate - estimateApiCosts(...)
+ * @param {Object} params.costContext - Organización y usuario a los que se imputa el gasto (req.costContext)
+ * @returns {Promise<Object>} Job serializado
+ * @throws {Error} statusCode 503 si la cola de esta instancia está llena
+ */
+export async function enqueueBudgetAnalysisJob({ file, options, user, clerkUserId = null, costEstimate = null, costContext = null }) {
+  if (pendingJobs.length >= getMaxQueued()) {
+    const error = new Error(`Cola de análisis llena (${pendingJobs.length} en espera). Intente en unos minutos.`);
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const id = `job_${uuidv4()}`;
+
+  await BudgetAnalysisJobModel.createJob({
+    id,
+    instance_id: INSTANCE_ID,
+    organization_id: user?.organization_id,
+    user_id: user?.id,
+    file_name: file.originalname,
+    file_size: file.size,
+    options,
+    estimated_cost_usd: costEstimate?.estimated_cost_usd ?? null
+  });
+
+  jobPayloads.set(id, {
+    buffer: file.buffer,
+    fileName: file.originalname,
+    fileSize: file.size,
+    options,
+    userId: user?.id,
+    organizationId: user?.organization_id,
+    clerkUserId,
+    estimatedCost: costEstimate?.estimated_cost_usd || 0,
+    costContext: costContext || { organizationId: user?.organization_id || null, userId: user?.id || null }
+  });
+  pendingJobs.push(id);
+
+  console.log(`📥 Análisis PDF encolado: ${id} (${file.originalname}, ${pendingJobs.length} en cola)`);
+  processQueue();
+
+  return serializeJob(await BudgetAnalysisJobModel.getJobById(id));
+}
+
+function processQueue() {
+  while (runningJobs.size < getConcurrency() && pendingJobs.length > 0) {
+    const id = pendingJobs.shift();
+    const controller = new AbortController();
+    runningJobs.set(id, controller);
+
+    runJob(id, controller.signal).finally(() => {
+      runningJobs.delete(id);
+      jobPayloads.delete(id);
+      processQueue();
+    });
+  }
+}
+
+/**
+ * Ejecutar un job: extracción -> análisis por chunks -> consolidación -> guardado en budget_analyses
+ */
+async function runJob(id, signal) {
+  const payload = jobPayloads.get(id);
+  const startTime = Date.now();
+  // Tokens ya consumidos (extracción y cada chunk al responder): se cobran aunque el job se cancele o falle
+  const spentUsage = [];
+  let usageRecorded = false;
+
+  try {
+    await updateJob(id, { status: 'extracting', progress: STAGE_PROGRESS.extracting, started: true });
+    signal.throwIfAborted();
+
+    const contentResult = await PdfExtractionService.extractContent(payload.buffer, payload.fileName);
+    if (!contentResult || !contentResult.content) {
+      throw new Error('No se pudo extraer contenido del PDF');
+    }
+    spentUsage.push(...toUsageList(contentResult.usage));
+    signal.throwIfAborted();
+
+    await updateJob(id, { status: 'analyzing', progress: STAGE_PROGRESS.analyzing, stage_progress: null });
+
+    const analysisResult = await generateDetailedPdfAnalysis(contentResult.content, payload.options, {
+      signal,
+      onUsage: (usage) => spentUsage.push(...toUsageList(usage)),
+      onProgress: async ({ stage, completed, total }) => {
+        if (stage === 'analyzing') {
+          await updateJob(id, {
+            progress: STAGE_PROGRESS.analyzing + Math.round(ANALYZING_PROGRESS_SPAN * (total ? completed / total : 1)),
+            stage_progress: { completed, total }
+          });
+        } else {
+          await updateJob(id, { status: 'consolidating', progress: STAGE_PROGRESS.consolidating, stage_progress: null });
+        }
+      }
+    });
+    signal.throwIfAborted();
+
+    const processingTime = Date.now() - startTime;
+    analysisResult.extraction_metadata = {
+      extraction_method: contentResult.extraction_method || 'pdf_extraction_service',
+      confidence: contentResult.confidence || 85,
+      source: contentResult.source || 'pdf_parser',
+      content_length: contentResult.content.length,
+      processing_time_ms: contentResult.processing_time_ms || 0,
+      pdf_type: contentResult.pdf_type || 'standard',
+      items_extracted: contentResult.items_extracted || 0
+    };
+    analysisResult.metadata = {
+      ...analysisResult.metadata,
+      job_id: id,
+      file_size: payload.fileSize,
+      text_length: contentResult.content.length,
+      processing_time_ms: processingTime
+    };
+
+    // Cancelación hecha desde otra instancia durante la consolidación
+    const current = await BudgetAnalysisJobModel.getJobById(id);
+    if (FINAL_STATUSES.has(current?.status)) {
+      runningJobs.get(id)?.abort();
+    }
+    signal.throwIfAborted();
+
+    const analysisId = `pdf_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    // Gasto real según tokens de la extracción y del análisis; sin uso informado, la estimación previa
+    const costDetails = { feature: 'pdf_analysis', referenceType: 'budget_analysis', referenceId: analysisId };
+    usageRecorded = true;
+    if (spentUsage.length > 0) {
+      analysisResult.metadata.ai_usage = await recordAiUsage(payload.costContext, spentUsage, costDetails);
+      analysisResult.metadata.api_cost = analysisResult.metadata.ai_usage.cost_usd;
+    } else {
+      await recordEstimatedCost(payload.costContext, payload.estimatedCost, costDetails)
+        .catch(costError => console.error(`⚠️ Error registrando costo del job ${id}:`, costError.message));
+    }
+    await savePdfAnalysisToDatabase(
+      analysisId,
+      analysisResult,
+      payload.userId,
+      payload.fileName,
+      payload.clerkUserId,
+      payload.organizationId
+    );
+
+    if (payload.userId) {
+      await incrementUserUsage(payload.userId, 'pdf_analysis');
+    }
+
+    await updateJob(id, {
+      status: 'done',
+      progress: STAGE_PROGRESS.done,
+      stage_progress: null,
+      analysis_id: analysisId,
+      finished: true
+    });
+
+    console.log(`✅ Análisis PDF ${id} completado en ${processingTime}ms (${analysisId})`);
+  } catch (error) {
+    if (!usageRecorded && spentUsage.length > 0) {
+      await recordAiUsage(payload.costContext, spentUsage, {
+        feature: 'pdf_analysis',
+        referenceType: 'budget_analysis_job',
+        referenceId: id
+      });
+    }
+
+    if (signal.aborted) {
+      console.log(`🛑 Análisis PDF ${id} cancelado`);
+      return;
+    }
+
+    console.error(`❌ Error en análisis PDF ${id}:`, error.message);
+    await updateJob(id, { status: 'failed', error_message: error.message, finished: true })
+      .catch(updateError => console.error(`⚠️ Error marcando job ${id} como fallido:`, updateError.message));
+  }
+}
+
+/**
+ * Obtener un job de la organización
+ * @returns {Promise<Object|null>} Job serializado
+ */
+export async function getJob(id, organizationId) {
+  const job = await BudgetAnalysisJobModel.getJobForOrganization(id, organizationId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Listar jobs recientes de la organización
+ */
+export async function listJobs(organizationId, filters = {}) {
+  const jobs = await BudgetAnalysisJobModel.getJobsByOrganization(organizationId, filters);
+  return jobs.map(serializeJob);
+}
+
+/**
+ * Cancelar un job en cola o en proceso
+ * Las consultas pendientes a Claude se abortan; el resultado parcial se descarta.
+ * @returns {Promise<{ job } | { error, status }>}
+ */
+export async function cancelJob(id, organizationId) {
+  const job = await BudgetAnalysisJobModel.getJobForOrganization(id, organizationId);
+  if (!job) {
+    return { error: 'Análisis no encontrado', status: 404 };
+  }
+
+  if (FINAL_STATUSES.has(job.status)) {
+    return { error: `El análisis ya terminó (${job.status})`, status: 409 };
+  }
+
+  const queuedIndex = pendingJobs.indexOf(id);
+  if (queuedIndex !== -1) {
+    pendingJobs.splice(queuedIndex, 1);
+    jobPayloads.delete(id);
+  }
+
+  await updateJob(id, { status: 'cancelled', stage_progress: null, finished: true });
+  runningJobs.get(id)?.abort();
+
+  return { job: serializeJob(await BudgetAnalysisJobModel.getJobById(id)) };
+}
+
+/**
+ * Marcar como fallidos los jobs de esta instancia interrumpidos por un reinicio (el PDF en memoria se perdió)
+ * Los jobs de otras instancias no se tocan.
+ */
+export async function recoverInterruptedJobs() {
+  try {
+    const failed = await BudgetAnalysisJobModel.failUnfinishedJobs(
+      'Análisis interrumpido por reinicio del servidor. Vuelva a enviar el archivo.',
+      INSTANCE_ID
+    );
+    if (failed > 0) {
+      console.log(`⚠️ ${failed} análisis de PDF interrumpidos marcados como fallidos`);
+    }
+  } catch (error) {
+    console.error('❌ Error recuperando análisis de PDF interrumpidos:', error.message);
+  }
+}
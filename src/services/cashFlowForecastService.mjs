@@ -0,0 +1,450 @@
+// src/services/cashFlowForecastService.mjs
+// Proyección de flujo de caja: pendientes por cobrar/pagar + recurrentes detectados + tendencia histórica
+
+import * as expenseDashboardModel from '../models/expenseDashboardModel.mjs';
+import * as incomeDashboardModel from '../models/incomeDashboardModel.mjs';
+
+export const FORECAST_PERIODS = {
+  week: { defaultHorizon: 12, maxHorizon: 52, periodsPerQuarter: 13 },
+  month: { defaultHorizon: 6, maxHorizon: 24, periodsPerQuarter: 3 }
+};
+
+// Meses de historia para detectar recurrentes y variación máxima de monto aceptada
+const RECURRING_LOOKBACK_MONTHS = 12;
+const RECURRING_MIN_MONTHS = 3;
+const RECURRING_MAX_VARIATION = 0.2;
+
+// Ventana (días) de getPeriodComparison para la tasa de crecimiento, acotada para no disparar la proyección
+const TREND_WINDOW_DAYS = 90;
+const MAX_GROWTH_RATE = 50;
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Fecha a YYYY-MM-DD (mysql2 devuelve DATE como Date local)
+ */
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Etiqueta de semana igual a DATE_FORMAT(date, '%Y-%u') de MySQL
+ * (semana parte el lunes; la semana 1 es la primera con 4+ días en el año)
+ */
+function weekLabel(date) {
+  const jan1 = new Date(date.getFullYear(), 0, 1);
+  const jan1Weekday = (jan1.getDay() + 6) % 7;
+  const dayOfYear = Math.round((date - jan1) / 86400000);
+  const week = Math.floor((dayOfYear + jan1Weekday) / 7) + (jan1Weekday <= 3 ? 1 : 0);
+  return `${date.getFullYear()}-${pad(week)}`;
+}
+
+function periodStartOf(date, period) {
+  if (period === 'week') {
+    return addDays(date, -((date.getDay() + 6) % 7));
+  }
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function nextPeriodStart(start, period) {
+  if (period === 'week') return addDays(start, 7);
+  return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+}
+
+function periodLabel(start, period) {
+  return period === 'week' ? weekLabel(start) : `${start.getFullYear()}-${pad(start.getMonth() + 1)}`;
+}
+
+/**
+ * Construir los períodos a proyectar partiendo por el que contiene asOf
+ */
+function buildForecastPeriods(asOf, period, horizon) {
+  const periods = [];
+  let start = periodStartOf(asOf, period);
+
+  for (let index = 0; index < horizon; index++) {
+    const next = nextPeriodStart(start, period);
+    periods.push({
+      period_label: periodLabel(start, period),
+      start,
+      end: addDays(next, -1),
+      inflows: { pending: 0, recurring: 0, trend: 0 },
+      outflows: { pending: 0, recurring: 0, trend: 0 }
+    });
+    start = next;
+  }
+
+  return periods;
+}
+
+function findPeriodIndex(periods, date) {
+  return periods.findIndex(entry => date >= entry.start && date <= entry.end);
+}
+
+function recurrenceKey(item) {
+  const nameKey = item.name_key ?? String(item.name || '').trim().toLowerCase();
+  return [item.type_id, item.category_id ?? '', item.party_id ?? '', nameKey].join('|');
+}
+
+/**
+ * Ubicar los documentos pendientes en los períodos según su payment_date
+ * Los vencidos (fecha esperada anterior a asOf) se asumen en el primer período
+ */
+function allocatePending(rows, periods, asOf, flowKey) {
+  const summary = {
+    scheduled_amount: 0,
+    scheduled_count: 0,
+    overdue_amount: 0,
+    overdue_count: 0,
+    undated_amount: 0,
+    undated_count: 0,
+    beyond_horizon_amount: 0,
+    beyond_horizon_count: 0
+  };
+  // Meses ya cubiertos por un pendiente, para no duplicar el recurrente
+  const coveredMonths = new Set();
+
+  for (const row of rows) {
+    const amount = parseFloat(row.outstanding_amount) || 0;
+    const expectedDate = toDate(row.expected_date);
+
+    if (!expectedDate) {
+      summary.undated_amount += amount;
+      summary.undated_count += 1;
+      continue;
+    }
+
+    coveredMonths.add(`${recurrenceKey(row)}|${expectedDate.getFullYear()}-${expectedDate.getMonth()}`);
+
+    if (expectedDate < asOf) {
+      periods[0][flowKey].pending += amount;
+      summary.overdue_amount += amount;
+      summary.overdue_count += 1;
+      continue;
+    }
+
+    const index = findPeriodIndex(periods, expectedDate);
+    if (index === -1) {
+      summary.beyond_horizon_amount += amount;
+      summary.beyond_horizon_count += 1;
+      continue;
+    }
+
+    periods[index][flowKey].pending += amount;
+    summary.scheduled_amount += amount;
+    summary.scheduled_count += 1;
+  }
+
+  for (const key of Object.keys(summary)) {
+    if (key.endsWith('_amount')) summary[key] = roundAmount(summary[key]);
+  }
+
+  return { summary, coveredMonths };
+}
+
+/**
+ * Filtrar candidatos con monto estable y vigentes (última ocurrencia el mes actual o el anterior)
+ * y proyectar una ocurrencia mensual por cada mes del horizonte que no esté ya registrado
+ */
+function allocateRecurring(candidates, periods, asOf, flowKey, coveredMonths) {
+  const horizonEnd = periods[periods.length - 1].end;
+  const currentMonthIndex = asOf.getFullYear() * 12 + asOf.getMonth();
+  const items = [];
+
+  for (const candidate of candidates) {
+    const averageAmount = parseFloat(candidate.avg_amount) || 0;
+    const stddev = parseFloat(candidate.stddev_amount) || 0;
+    const lastDate = toDate(candidate.last_date);
+
+    if (averageAmount <= 0 || !lastDate) continue;
+
+    const variation = stddev / averageAmount;
+    if (variation > RECURRING_MAX_VARIATION) continue;
+
+    const lastMonthIndex = lastDate.getFullYear() * 12 + lastDate.getMonth();
+    if (currentMonthIndex - lastMonthIndex > 1) continue;
+
+    const key = recurrenceKey(candidate);
+    const dayOfMonth = parseInt(candidate.day_of_month) || lastDate.getDate();
+    const projected = [];
+
+    for (let monthIndex = lastMonthIndex + 1; ; monthIndex++) {
+      const year = Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      let date = new Date(year, month, Math.min(dayOfMonth, daysInMonth(year, month)));
+      if (date > horizonEnd) break;
+
+      if (coveredMonths.has(`${key}|${year}-${month}`)) continue;
+
+      // Ocurrencia del mes en curso aún no registrada: se espera desde hoy
+      if (date < asOf) date = asOf;
+
+      const index = findPeriodIndex(periods, date);
+      if (index === -1) continue;
+
+      periods[index][flowKey].recurring += averageAmount;
+      projected.push(formatDate(date));
+    }
+
+    if (projected.length === 0) continue;
+
+    items.push({
+      name: candidate.name,
+      type_id: candidate.type_id,
+      category_id: candidate.category_id,
+      party_id: candidate.party_id,
+      party_name: candidate.party_name || null,
+      average_amount: roundAmount(averageAmount),
+      variation_percent: roundAmount(variation * 100),
+      months_observed: parseInt(candidate.months) || 0,
+      last_date: formatDate(lastDate),
+      projected_dates: projected
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Tasa de crecimiento como en /dashboard/trends: últimos 90 días contra los 90 anteriores
+ */
+async function getGrowthRate(model, organizationId, asOf) {
+  const currentFrom = addDays(asOf, -TREND_WINDOW_DAYS);
+  const previousTo = addDays(currentFrom, -1);
+  const previousFrom = addDays(previousTo, -TREND_WINDOW_DAYS);
+
+  const comparison = await model.getPeriodComparison(
+    organizationId,
+    formatDate(currentFrom),
+    formatDate(asOf),
+    formatDate(previousFrom),
+    formatDate(previousTo)
+  );
+
+  const currentAmount = parseFloat(comparison.current.total_amount) || 0;
+  const previousAmount = parseFloat(comparison.previous.total_amount) || 0;
+
+  if (previousAmount <= 0) return 0;
+
+  const growthRate = ((currentAmount - previousAmount) / previousAmount) * 100;
+  return Math.max(-MAX_GROWTH_RATE, Math.min(MAX_GROWTH_RATE, growthRate));
+}
+
+function sumFlowRows(rows) {
+  return rows.reduce((sum, row) => sum + (parseFloat(row.total_amount) || 0), 0);
+}
+
+/**
+ * La tendencia completa lo no identificado: el promedio histórico ajustado por crecimiento,
+ * descontando lo ya proyectado por pendientes y recurrentes del período
+ * El primer período se prorratea por los días que quedan desde asOf
+ */
+function allocateTrend(periods, asOf, flowKey, baseline, growthRate, periodsPerQuarter) {
+  const perPeriodRate = Math.pow(1 + growthRate / 100, 1 / periodsPerQuarter) - 1;
+
+  periods.forEach((entry, index) => {
+    let expected = baseline * Math.pow(1 + perPeriodRate, index + 1);
+
+    if (index === 0) {
+      const totalDays = Math.round((entry.end - entry.start) / 86400000) + 1;
+      const remainingDays = Math.round((entry.end - asOf) / 86400000) + 1;
+      expected *= remainingDays / totalDays;
+    }
+
+    const known = entry[flowKey].pending + entry[flowKey].recurring;
+    entry[flowKey].trend = Math.max(expected - known, 0);
+  });
+}
+
+function roundFlows(flows) {
+  const total = flows.pending + flows.recurring + flows.trend;
+  return {
+    pending: roundAmount(flows.pending),
+    recurring: roundAmount(flows.recurring),
+    trend: roundAmount(flows.trend),
+    total: roundAmount(total)
+  };
+}
+
+/**
+ * Proyectar la posición de caja de los próximos períodos
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} options
+ * @param {string} options.period - 'week' | 'month'
+ * @param {number} options.horizon - Cantidad de períodos a proyectar
+ * @param {number} options.historyPeriods - Períodos cerrados usados para el promedio histórico
+ * @param {number|null} options.openingBalance - Saldo inicial; si es null se usa el neto histórico de pagos
+ * @param {boolean} options.includeTrend - Completar con la tendencia histórica
+ * @param {number|null} options.costCenterId - Limitar a un centro de costo
+ * @param {Date} options.asOf - Fecha de corte (hoy)
+ */
+export async function generateCashFlowForecast(organizationId, options) {
+  const {
+    period,
+    horizon,
+    historyPeriods,
+    openingBalance = null,
+    includeTrend = true,
+    costCenterId = null,
+    asOf: asOfInput = new Date()
+  } = options;
+
+  const asOf = toDate(asOfInput);
+  const config = FORECAST_PERIODS[period];
+  const periods = buildForecastPeriods(asOf, period, horizon);
+  const filters = costCenterId ? { cost_center_id: costCenterId } : {};
+
+  // Ventana histórica: los historyPeriods períodos cerrados previos al actual
+  let historyFrom = periods[0].start;
+  for (let index = 0; index < historyPeriods; index++) {
+    historyFrom = period === 'week'
+      ? addDays(historyFrom, -7)
+      : new Date(historyFrom.getFullYear(), historyFrom.getMonth() - 1, 1);
+  }
+  const historyTo = addDays(periods[0].start, -1);
+  const historyFilters = { ...filters, date_from: formatDate(historyFrom), date_to: formatDate(historyTo) };
+
+  const recurringFrom = new Date(asOf.getFullYear(), asOf.getMonth() - RECURRING_LOOKBACK_MONTHS, 1);
+  const recurringFilters = { ...filters, date_from: formatDate(recurringFrom), min_months: RECURRING_MIN_MONTHS };
+
+  const [
+    pendingIncomes,
+    pendingExpenses,
+    recurringIncomeCandidates,
+    recurringExpenseCandidates,
+    incomeHistory,
+    expenseHistory
+  ] = await Promise.all([
+    incomeDashboardModel.getPendingReceivables(organizationId, filters),
+    expenseDashboardModel.getPendingPayables(organizationId, filters),
+    incomeDashboardModel.getRecurringCandidates(organizationId, recurringFilters),
+    expenseDashboardModel.getRecurringCandidates(organizationId, recurringFilters),
+    incomeDashboardModel.getPaymentFlowByPeriod(organizationId, 'year', historyFilters),
+    expenseDashboardModel.getPaymentFlowByPeriod(organizationId, 'year', historyFilters)
+  ]);
+
+  const incomePending = allocatePending(pendingIncomes, periods, asOf, 'inflows');
+  const expensePending = allocatePending(pendingExpenses, periods, asOf, 'outflows');
+
+  const recurringIncomes = allocateRecurring(recurringIncomeCandidates, periods, asOf, 'inflows', incomePending.coveredMonths);
+  const recurringExpenses = allocateRecurring(recurringExpenseCandidates, periods, asOf, 'outflows', expensePending.coveredMonths);
+
+  const baseline = {
+    income: historyPeriods > 0 ? sumFlowRows(incomeHistory) / historyPeriods : 0,
+    expense: historyPeriods > 0 ? sumFlowRows(expenseHistory) / historyPeriods : 0
+  };
+  const growthRate = { income: 0, expense: 0 };
+
+  if (includeTrend) {
+    // La tasa de /trends no distingue centro de costo: solo se aplica a la organización completa
+    if (!costCenterId) {
+      [growthRate.income, growthRate.expense] = await Promise.all([
+        getGrowthRate(incomeDashboardModel, organizationId, asOf),
+        getGrowthRate(expenseDashboardModel, organizationId, asOf)
+      ]);
+    }
+
+    allocateTrend(periods, asOf, 'inflows', baseline.income, growthRate.income, config.periodsPerQuarter);
+    allocateTrend(periods, asOf, 'outflows', baseline.expense, growthRate.expense, config.periodsPerQuarter);
+  }
+
+  // Saldo inicial: el informado o el neto de todos los pagos registrados hasta asOf
+  let opening = openingBalance;
+  let openingSource = 'provided';
+
+  if (opening === null) {
+    const balanceFilters = { ...filters, date_to: formatDate(asOf) };
+    const [incomeFlows, expenseFlows] = await Promise.all([
+      incomeDashboardModel.getPaymentFlowByPeriod(organizationId, 'year', balanceFilters),
+      expenseDashboardModel.getPaymentFlowByPeriod(organizationId, 'year', balanceFilters)
+    ]);
+    opening = sumFlowRows(incomeFlows) - sumFlowRows(expenseFlows);
+    openingSource = 'historical_net';
+  }
+
+  let balance = opening;
+  const series = periods.map(entry => {
+    const inflows = roundFlows(entry.inflows);
+    const outflows = roundFlows(entry.outflows);
+    const net = inflows.total - outflows.total;
+    balance += net;
+
+    return {
+      period_label: entry.period_label,
+      period_start: formatDate(entry.start),
+      period_end: formatDate(entry.end),
+      inflows,
+      outflows,
+      net: roundAmount(net),
+      projected_balance: roundAmount(balance)
+    };
+  });
+
+  const totalInflows = series.reduce((sum, entry) => sum + entry.inflows.total, 0);
+  const totalOutflows = series.reduce((sum, entry) => sum + entry.outflows.total, 0);
+  const lowest = series.reduce(
+    (min, entry) => (min === null || entry.projected_balance < min.projected_balance ? entry : min),
+    null
+  );
+
+  return {
+    period,
+    horizon,
+    as_of: formatDate(asOf),
+    cost_center_id: costCenterId,
+    opening_balance: roundAmount(opening),
+    opening_balance_source: openingSource,
+    assumptions: {
+      include_trend: includeTrend,
+      history_periods: historyPeriods,
+      history_from: historyFilters.date_from,
+      history_to: historyFilters.date_to,
+      baseline_income: roundAmount(baseline.income),
+      baseline_expense: roundAmount(baseline.expense),
+      income_growth_rate: roundAmount(growthRate.income),
+      expense_growth_rate: roundAmount(growthRate.expense),
+      recurring_lookback_months: RECURRING_LOOKBACK_MONTHS,
+      recurring_min_months: RECURRING_MIN_MONTHS,
+      recurring_max_variation_percent: RECURRING_MAX_VARIATION * 100
+    },
+    periods: series,
+    pending: {
+      income: incomePending.summary,
+      expense: expensePending.summary
+    },
+    recurring: {
+      income: recurringIncomes,
+      expense: recurringExpenses
+    },
+    totals: {
+      inflows: roundAmount(totalInflows),
+      outflows: roundAmount(totalOutflows),
+      net: roundAmount(totalInflows - totalOutflows),
+      ending_balance: roundAmount(balance),
+      lowest_balance: lowest ? lowest.projected_balance : roundAmount(opening),
+      lowest_balance_period: lowest ? lowest.period_label : null,
+      negative_balance_periods: series.filter(entry => entry.projected_balance < 0).length
+    }
+  };
+}
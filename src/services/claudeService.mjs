@@ -12,6 +12,8 @@ import {
   generateOptimizedFinalAnalysis,
   estimateApiCosts
 } from './pdfAnalysisOptimizer.mjs';
+import { annotateRut } from '../utils/rutUtils.mjs';
+import { extractUsage, summarizeUsage } from '../utils/anthropicUsageUtils.mjs';
 
 // Verificar que la API key esté configurada
 if (!config.anthropic.apiKey) {
@@ -84,6 +86,7 @@ export const generateBudgetSuggestions = async (projectData, options = {}) => {
       project_id: projectData.id || null,
       confidence_score: calculateConfidenceScore(projectData),
       api_cost_estimate: estimateApiCost(response.usage || {}),
+      usage: [extractUsage(response, config.anthropic.model)].filter(Boolean),
       processing_time_ms: Date.now() - Date.now(),
       success: true
     };
@@ -148,13 +151,15 @@ FORMATO OBLIGATORIO DE RESPUESTA:
 
 /**
  * 🔥 FUNCIÓN PRINCIPAL 2: Genera análisis detallado de PDF usando múltiples consultas a Claude
- * @param {Array} chunks - Chunks de texto del PDF
+ * @param {string} extractedText - Texto extraído del PDF
  * @param {Object} config - Configuración del análisis
- * @param {Object} analysisConfig - Configuración específica del análisis
- * @param {string} analysisId - ID único del análisis
+ * @param {Object} hooks - Seguimiento opcional (jobs de análisis en segundo plano)
+ * @param {Function} hooks.onProgress - Recibe { stage: 'analyzing'|'consolidating', completed, total }
+ * @param {Function} hooks.onUsage - Recibe el uso de tokens de cada chunk apenas responde Claude
+ * @param {AbortSignal} hooks.signal - Cancela las consultas pendientes a Claude
  * @returns {Promise<Object>} - Análisis consolidado
  */
-export const generateDetailedPdfAnalysis = async (extractedText, config = {}) => {
+export const generateDetailedPdfAnalysis = async (extractedText, config = {}, { onProgress, onUsage, signal } = {}) => {
   const analysisId = `pdf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
   try {
@@ -170,7 +175,7 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
 
     if (validation.confidence < 40) {
       console.log('⚠️ Confianza baja en el PDF, procesamiento limitado');
-      return generateLowConfidenceAnalysis(analysisId, extractedText, validation);
+      return generateLowConfidenceAnalysis(analysisId, extractedText, validation, onUsage);
     }
 
     console.log(`✅ PDF validado - Confianza: ${validation.confidence}%`);
@@ -189,20 +194,28 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
     
     console.log(`📝 Procesando ${chunksToProcess.length} chunks de ${relevantChunks.length} disponibles`);
 
+    let completedChunks = 0;
+    await onProgress?.({ stage: 'analyzing', completed: 0, total: chunksToProcess.length });
+
     // 🔥 PASO 3: Análisis paralelo limitado de chunks
     const chunkPromises = chunksToProcess.map(async (chunk, index) => {
       try {
+        signal?.throwIfAborted();
         console.log(`🔍 Analizando chunk ${index + 1}/${chunksToProcess.length}`);
         
         const prompt = generateOptimizedPrompt(chunk, index + 1, chunksToProcess.length);
+        const chunkModel = config.anthropic?.model || 'claude-3-haiku-20240307';
         
         const response = await anthropic.messages.create({
-          model: config.anthropic?.model || 'claude-3-haiku-20240307',
+          model: chunkModel,
           max_tokens: 2000, // 👈 REDUCIDO para evitar tokens excesivos
           temperature: 0.1, // 👈 MÁS DETERMINISTA
           system: OPTIMIZED_PDF_SYSTEM_PROMPT,
           messages: [{ role: "user", content: prompt }]
-        });
+        }, { signal });
+
+        const usage = extractUsage(response, chunkModel);
+        onUsage?.(usage);
 
         const parseResult = robustJsonParser(response.content[0].text, index + 1);
         
@@ -211,7 +224,7 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
           success: parseResult.success,
           data: parseResult.data,
           error: parseResult.error,
-          tokensUsed: response.usage?.total_tokens || 0
+          usage
         };
 
       } catch (error) {
@@ -222,6 +235,11 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
           data: null,
           error: error.message
         };
+      } finally {
+        completedChunks++;
+        if (!signal?.aborted) {
+          await onProgress?.({ stage: 'analyzing', completed: completedChunks, total: chunksToProcess.length });
+        }
       }
     });
 
@@ -231,8 +249,13 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
       .filter(result => result.status === 'fulfilled')
       .map(result => result.value);
 
-    const totalTokensUsed = chunkResults.reduce((sum, result) => sum + (result.tokensUsed || 0), 0);
-    console.log(`💰 Tokens consumidos: ${totalTokensUsed}`);
+    const chunkUsage = chunkResults.map(result => result.usage).filter(Boolean);
+    const usageSummary = summarizeUsage(chunkUsage);
+    const totalTokensUsed = usageSummary.input_tokens + usageSummary.output_tokens;
+    console.log(`💰 Tokens consumidos: ${totalTokensUsed} ($${usageSummary.cost_usd.toFixed(4)} USD)`);
+
+    signal?.throwIfAborted();
+    await onProgress?.({ stage: 'consolidating' });
 
     // 🔥 PASO 4: Consolidación inteligente
     const consolidatedData = intelligentConsolidator(chunkResults);
@@ -247,6 +270,7 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
       chunks_successful: consolidatedData.successful_chunks,
       validation_confidence: validation.confidence,
       total_tokens_used: totalTokensUsed,
+      usage: chunkUsage,
       cost_optimization: {
         chunks_skipped: relevantChunks.length - chunksToProcess.length,
         estimated_tokens_saved: (relevantChunks.length - chunksToProcess.length) * 2000
@@ -257,6 +281,9 @@ export const generateDetailedPdfAnalysis = async (extractedText, config = {}) =>
     return finalAnalysis;
 
   } catch (error) {
+    // Una cancelación no es un análisis fallido: se propaga al job
+    if (signal?.aborted) throw error;
+
     console.error('❌ Error en generateDetailedPdfAnalysis optimizado:', error);
     
     return generateErrorAnalysisResponse(analysisId, error.message);
@@ -409,7 +436,7 @@ const generateErrorAnalysisResponse = (analysisId, errorMessage) => {
 /**
  * Genera análisis básico para PDFs con confianza baja
  */
-const generateLowConfidenceAnalysis = async (analysisId, text, validation) => {
+const generateLowConfidenceAnalysis = async (analysisId, text, validation, onUsage) => {
   try {
     // Análisis muy básico con 1 sola llamada a la API
     const basicPrompt = `Analiza este texto de presupuesto chileno y extrae solo la información MÁS EVIDENTE:
@@ -429,6 +456,7 @@ Responde SOLO con JSON:
       temperature: 0,
       messages: [{ role: "user", content: basicPrompt }]
     });
+    onUsage?.(extractUsage(response, 'claude-3-haiku-20240307'));
 
     const basicResult = JSON.parse(response.content[0].text);
 
@@ -473,7 +501,8 @@ Responde SOLO con JSON:
         model_used: 'claude-3-haiku-20240307',
         processing_time: new Date().toISOString(),
         success: true,
-        confidence_level: 'low'
+        confidence_level: 'low',
+        usage: [extractUsage(response, 'claude-3-haiku-20240307')].filter(Boolean)
       }
     };
 
@@ -784,7 +813,7 @@ function consolidateChunkData(chunkAnalysis, consolidatedData) {
   }
   
   if (chunkAnalysis.proveedores_mencionados) {
-    consolidatedData.providers.push(...chunkAnalysis.proveedores_mencionados);
+    consolidatedData.providers.push(...chunkAnalysis.proveedores_mencionados.map(provider => annotateRut(provider)));
   }
 }
 
@@ -0,0 +1,124 @@
+// src/services/costTrackingStoreService.mjs
+// Contadores persistentes del control de costos de IA, compartidos entre instancias
+// Backend por COST_TRACKING_STORE: 'mysql' (por defecto, tabla ai_cost_counters) o 'redis' (REDIS_URL)
+
+import { pool } from '../config/database.mjs';
+
+const DEFAULT_STORE = 'mysql';
+
+/**
+ * Backend MySQL: un registro por contador con expiración para la limpieza
+ */
+function createMysqlStore() {
+  return {
+    async increment(key, amount, ttlSeconds) {
+      await pool.query(`
+        INSERT INTO ai_cost_counters (counter_key, value, expires_at)
+        VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+        ON DUPLICATE KEY UPDATE value = value + VALUES(value)
+      `, [key, amount, ttlSeconds]);
+    },
+
+    async getValues(keys) {
+      if (keys.length === 0) return {};
+
+      const [rows] = await pool.query(
+        'SELECT counter_key, value FROM ai_cost_counters WHERE counter_key IN (?) AND expires_at > NOW()',
+        [keys]
+      );
+
+      return Object.fromEntries(rows.map(row => [row.counter_key, parseFloat(row.value)]));
+    },
+
+    async cleanup() {
+      const [result] = await pool.query('DELETE FROM ai_cost_counters WHERE expires_at <= NOW()');
+      return result.affectedRows;
+    }
+  };
+}
+
+/**
+ * Backend Redis (opcional): requiere el paquete 'redis' y REDIS_URL
+ * Las claves expiran solas, no necesita limpieza.
+ */
+function createRedisStore() {
+  let clientPromise = null;
+
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = (async () => {
+        const { createClient } = await import('redis');
+        const client = createClient({ url: process.env.REDIS_URL });
+        client.on('error', (error) => console.error('❌ Error en Redis (control de costos):', error.message));
+        await client.connect();
+        console.log('✅ Control de costos conectado a Redis');
+        return client;
+      })().catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+    }
+    return clientPromise;
+  };
+
+  const prefix = process.env.COST_TRACKING_REDIS_PREFIX || 'ai-cost:';
+
+  return {
+    async increment(key, amount, ttlSeconds) {
+      const client = await getClient();
+      await client.multi()
+        .incrByFloat(prefix + key, amount)
+        .expire(prefix + key, ttlSeconds)
+        .exec();
+    },
+
+    async getValues(keys) {
+      if (keys.length === 0) return {};
+
+      const client = await getClient();
+      const values = await client.mGet(keys.map(key => prefix + key));
+
+      return Object.fromEntries(
+        keys.map((key, index) => [key, values[index] !== null ? parseFloat(values[index]) : null])
+          .filter(([, value]) => value !== null)
+      );
+    },
+
+    async cleanup() {
+      return 0;
+    }
+  };
+}
+
+// Fábricas de backends disponibles; se instancian al primer uso
+const storeFactories = {
+  mysql: createMysqlStore,
+  redis: createRedisStore
+};
+
+let store = null;
+
+/**
+ * Registrar un backend adicional
+ * El backend debe implementar increment(key, amount, ttlSeconds), getValues(keys) y cleanup().
+ */
+export function registerCostStore(name, factory) {
+  storeFactories[name] = factory;
+  store = null;
+}
+
+/**
+ * Backend configurado (COST_TRACKING_STORE, por defecto 'mysql')
+ */
+export function getCostStore() {
+  if (!store) {
+    const name = process.env.COST_TRACKING_STORE || DEFAULT_STORE;
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Backend de control de costos no soportado: ${name}`);
+    }
+    store = factory();
+  }
+
+  return store;
+}
@@ -218,6 +218,74 @@ SAER TI - Sistema de Administración Empresarial
   }
 }
 
+/**
+ * Enviar alerta de tope mensual de gasto de IA a los administradores de la organización
+ * @param {Array<string>} emails - Destinatarios
+ * @param {Object} alert - period (YYYY-MM), threshold_percent, spend_usd, limit_usd
+ */
+export async function sendAiSpendAlertEmail(emails, alert) {
+  const reached = alert.threshold_percent >= 100;
+  const title = reached
+    ? `Tope mensual de IA alcanzado (${alert.period})`
+    : `Gasto de IA al ${alert.threshold_percent}% del tope mensual (${alert.period})`;
+  const spend = Number(alert.spend_usd).toFixed(2);
+  const limit = Number(alert.limit_usd).toFixed(2);
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1 style="color: #1F2937; font-size: 22px;">${reached ? '🛑' : '⚠️'} ${title}</h1>
+  <div style="background-color: ${reached ? '#FEE2E2' : '#FEF3C7'}; border-left: 4px solid ${reached ? '#DC2626' : '#F59E0B'}; padding: 15px; border-radius: 4px;">
+    <p style="margin: 0;">Gasto del mes: <strong>$${spend} USD</strong> de un tope de <strong>$${limit} USD</strong>.</p>
+  </div>
+  <p>${reached
+    ? 'Los análisis con IA quedan bloqueados hasta el próximo mes o hasta que se aumente el tope.'
+    : 'Al llegar al 100% los análisis con IA se bloquearán hasta el próximo mes.'}</p>
+  <p><a href="${FRONTEND_URL}" style="color: #3B82F6;">Ingresar a SAER TI</a></p>
+  <p style="color: #6B7280; font-size: 14px;">SAER TI - Sistema de Administración Empresarial</p>
+</body>
+</html>
+  `;
+
+  const textContent = `${title}
+
+Gasto del mes: $${spend} USD de un tope de $${limit} USD.
+${reached
+    ? 'Los análisis con IA quedan bloqueados hasta el próximo mes o hasta que se aumente el tope.'
+    : 'Al llegar al 100% los análisis con IA se bloquearán hasta el próximo mes.'}
+
+Ingresar a SAER TI: ${FRONTEND_URL}
+  `;
+
+  const { data, error } = await resend.emails.send({
+    from: FROM_EMAIL,
+    to: emails,
+    subject: title,
+    html: htmlContent,
+    text: textContent,
+    tags: [
+      { name: 'type', value: 'ai-spend-alert' },
+      { name: 'threshold', value: String(alert.threshold_percent) }
+    ]
+  });
+
+  if (error) {
+    throw new Error(`Error al enviar email: ${error.message}`);
+  }
+
+  console.log(`✅ Alerta de gasto de IA enviada a ${emails.length} administradores (ID: ${data.id})`);
+
+  return {
+    success: true,
+    emailId: data.id
+  };
+}
+
 /**
  * Validar configuración de Resend
  */
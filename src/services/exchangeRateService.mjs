@@ -0,0 +1,327 @@
+// src/services/exchangeRateService.mjs
+// Tipos de cambio (UF/USD/EUR → CLP): asignación automática, conversión e importación desde planilla
+
+import * as ExchangeRateModel from '../models/exchangeRateModel.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import { recordAudit } from './auditService.mjs';
+import { parseSpreadsheet, parseDateValue, parseAmountValue } from './spreadsheetImportService.mjs';
+import {
+  BASE_CURRENCY,
+  RATE_CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency
+} from '../utils/currencyUtils.mjs';
+
+const MAX_IMPORT_ROWS = 5000;
+const DEFAULT_MAX_RATE_AGE_DAYS = 7;
+
+const RECORD_GETTERS = {
+  expense: ExpenseDataModel.getExpenseById,
+  income: IncomeDataModel.getIncomeById
+};
+
+// Encabezados reconocidos en la importación (formato largo: fecha, moneda, valor)
+const IMPORT_HEADERS = {
+  rate_date: ['fecha', 'date', 'rate_date', 'dia'],
+  currency_code: ['moneda', 'currency', 'currency_code', 'divisa', 'indicador'],
+  value: ['valor', 'value', 'tipo de cambio', 'tasa', 'rate']
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDate(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Antigüedad máxima (días) de un tipo de cambio para aplicarlo a una fecha
+ * (EXCHANGE_RATE_MAX_AGE_DAYS, por defecto 7: cubre fines de semana y feriados)
+ */
+export function getMaxRateAgeDays() {
+  const days = parseInt(process.env.EXCHANGE_RATE_MAX_AGE_DAYS);
+  return days >= 0 ? days : DEFAULT_MAX_RATE_AGE_DAYS;
+}
+
+/**
+ * Asignar moneda normalizada y tipo de cambio a los datos de un egreso/ingreso antes de guardarlo
+ * - CLP: exchange_rate se deja en NULL
+ * - exchange_rate explícito: se respeta (debe ser positivo)
+ * - sin exchange_rate: se toma el vigente a la fecha del documento desde exchange_rates
+ * Modifica `data` (currency, exchange_rate) y devuelve errores/advertencias con el formato de los servicios de validación
+ * @param {Object} data - Datos del registro (req.body o fila de carga masiva)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} options - existing: registro actual (en actualizaciones)
+ * @returns {Promise<{ errors: Array, warnings: Array }>}
+ */
+export async function applyExchangeRate(data, organizationId, { existing = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const currencyProvided = data.currency !== undefined && data.currency !== null && data.currency !== '';
+  const rateProvided = data.exchange_rate !== undefined && data.exchange_rate !== null && data.exchange_rate !== '';
+
+  let currency = normalizeCurrency(existing?.currency) || BASE_CURRENCY;
+  if (currencyProvided) {
+    currency = normalizeCurrency(data.currency);
+    if (!currency) {
+      errors.push({ field: 'currency', message: `Moneda no soportada. Debe ser: ${SUPPORTED_CURRENCIES.join(', ')}` });
+      return { errors, warnings };
+    }
+  }
+  // Los modelos reescriben currency/exchange_rate completos: se fijan siempre
+  data.currency = currency;
+
+  if (currency === BASE_CURRENCY) {
+    data.exchange_rate = null;
+    return { errors, warnings };
+  }
+
+  if (rateProvided) {
+    const rate = parseFloat(data.exchange_rate);
+    if (isNaN(rate) || rate <= 0) {
+      errors.push({ field: 'exchange_rate', message: 'El tipo de cambio debe ser un número mayor a 0' });
+    } else {
+      data.exchange_rate = rate;
+    }
+    return { errors, warnings };
+  }
+
+  // En actualizaciones se recalcula solo si cambia la moneda o la fecha, o si faltaba
+  const dateChanged = data.date !== undefined && existing && formatDate(existing.date) !== String(data.date).slice(0, 10);
+  const currencyChanged = existing && currencyProvided && existing.currency !== currency;
+  const rateRequired = !existing || dateChanged || currencyChanged;
+  if (!rateRequired && existing.exchange_rate) {
+    data.exchange_rate = parseFloat(existing.exchange_rate);
+    return { errors, warnings };
+  }
+
+  const date = data.date || (existing?.date ? formatDate(existing.date) : formatDate(new Date()));
+  const maxAgeDays = getMaxRateAgeDays();
+  const rate = await ExchangeRateModel.getRateOnOrBefore(organizationId, currency, String(date).slice(0, 10), maxAgeDays);
+
+  if (!rate) {
+    const message = `No hay tipo de cambio ${currency} registrado al ${String(date).slice(0, 10)} (ni en los ${maxAgeDays} días anteriores). Ingréselo en /api/exchange-rates o envíe exchange_rate`;
+    // Registros antiguos sin tipo de cambio: se pueden seguir editando, pero no suman en CLP
+    if (rateRequired) errors.push({ field: 'exchange_rate', message });
+    else warnings.push({ field: 'exchange_rate', message });
+    return { errors, warnings };
+  }
+
+  data.exchange_rate = parseFloat(rate.value);
+
+  if (rate.rate_date !== String(date).slice(0, 10)) {
+    warnings.push({
+      field: 'exchange_rate',
+      message: `Se usó el tipo de cambio ${currency} del ${rate.rate_date} (no hay valor para el ${String(date).slice(0, 10)})`
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Convertir un monto a CLP con el tipo de cambio vigente a la fecha
+ * @param {string} organizationId - ID de la organización
+ * @param {number} amount - Monto en la moneda indicada
+ * @param {string} currency - Código de moneda
+ * @param {string} date - Fecha YYYY-MM-DD (por defecto hoy)
+ * @returns {Promise<Object|null>} { amount_clp, rate, rate_date } o null si no hay tipo de cambio
+ */
+export async function convertToClp(organizationId, amount, currency, date = formatDate(new Date())) {
+  const code = normalizeCurrency(currency);
+  if (!code) return null;
+
+  if (code === BASE_CURRENCY) {
+    return { amount_clp: roundAmount(amount), rate: 1, rate_date: date };
+  }
+
+  const rate = await ExchangeRateModel.getRateOnOrBefore(organizationId, code, date, getMaxRateAgeDays());
+  if (!rate) return null;
+
+  const value = parseFloat(rate.value);
+  return { amount_clp: roundAmount(amount * value), rate: value, rate_date: rate.rate_date };
+}
+
+/**
+ * Valor de la UF vigente a una fecha (null si no está registrado)
+ */
+export async function getUfValue(organizationId, date = formatDate(new Date())) {
+  const rate = await ExchangeRateModel.getRateOnOrBefore(organizationId, 'UF', date, getMaxRateAgeDays());
+  return rate ? { value: parseFloat(rate.value), rate_date: rate.rate_date } : null;
+}
+
+/**
+ * Completar exchange_rate faltante con el tipo de cambio vigente a la fecha de cada registro
+ * Los registros en estado final no se modifican; cada registro actualizado queda en audit_log.
+ * @param {string} organizationId - ID de la organización
+ * @param {string} target - 'expense' | 'income'
+ * @param {Object} auditContext - getAuditContext(req)
+ * @returns {Promise<number>} Registros actualizados
+ */
+export async function fillMissingExchangeRates(organizationId, target, auditContext) {
+  const getRecord = RECORD_GETTERS[target];
+  const candidates = await ExchangeRateModel.getMissingRateCandidates(organizationId, target, getMaxRateAgeDays());
+  let updated = 0;
+
+  for (const candidate of candidates) {
+    const before = await getRecord(candidate.id, organizationId);
+    const affected = await ExchangeRateModel.setMissingExchangeRate(organizationId, target, candidate.id, candidate.exchange_rate);
+    if (affected === 0) continue;
+
+    updated++;
+    await recordAudit(auditContext, {
+      entityType: target,
+      entityId: candidate.id,
+      action: 'update',
+      before,
+      after: await getRecord(candidate.id, organizationId)
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Validar un tipo de cambio ingresado manualmente o desde planilla
+ * @returns {{ errors: Array, rate: Object|null }}
+ */
+export function validateExchangeRateInput({ currency_code, rate_date, value }) {
+  const errors = [];
+  const currency = normalizeCurrency(currency_code);
+
+  if (!currency || !RATE_CURRENCIES.includes(currency)) {
+    errors.push({ field: 'currency_code', message: `La moneda debe ser: ${RATE_CURRENCIES.join(', ')}` });
+  }
+
+  const date = rate_date ? parseDateValue(rate_date) : null;
+  if (!date) {
+    errors.push({ field: 'rate_date', message: 'La fecha es requerida (YYYY-MM-DD o DD-MM-YYYY)' });
+  }
+
+  const amount = typeof value === 'number' ? value : parseAmountValue(value ?? '');
+  if (amount === null || amount === undefined || isNaN(amount) || amount <= 0) {
+    errors.push({ field: 'value', message: 'El valor debe ser un número mayor a 0' });
+  }
+
+  return {
+    errors,
+    rate: errors.length === 0 ? { currency_code: currency, rate_date: date, value: amount } : null
+  };
+}
+
+/**
+ * Convertir las filas de la planilla a tipos de cambio
+ * Formato largo: columnas fecha, moneda, valor
+ * Formato ancho: columna fecha y una columna por moneda (UF, USD, EUR; "Dólar" y "Euro" también se aceptan)
+ */
+function extractRates(headers, rows) {
+  const normalized = headers.map(normalizeHeader);
+  const findColumn = (aliases) => normalized.findIndex(header => aliases.includes(header));
+
+  const dateColumn = findColumn(IMPORT_HEADERS.rate_date);
+  if (dateColumn === -1) {
+    return { error: 'La planilla debe tener una columna "fecha"' };
+  }
+
+  const currencyColumn = findColumn(IMPORT_HEADERS.currency_code);
+  const valueColumn = findColumn(IMPORT_HEADERS.value);
+  const entries = [];
+
+  if (currencyColumn !== -1 && valueColumn !== -1) {
+    rows.forEach((cells, index) => {
+      entries.push({
+        row: index + 2,
+        input: { rate_date: cells[dateColumn], currency_code: cells[currencyColumn], value: cells[valueColumn] }
+      });
+    });
+    return { entries };
+  }
+
+  const wideAliases = { UF: ['uf'], USD: ['usd', 'dolar', 'dolar observado', 'us$'], EUR: ['eur', 'euro'] };
+  const currencyColumns = Object.entries(wideAliases)
+    .map(([code, aliases]) => ({ code, index: findColumn(aliases) }))
+    .filter(column => column.index !== -1);
+
+  if (currencyColumns.length === 0) {
+    return { error: 'No se encontraron columnas de moneda (moneda + valor, o UF/USD/EUR)' };
+  }
+
+  rows.forEach((cells, index) => {
+    for (const column of currencyColumns) {
+      const value = cells[column.index];
+      if (value === null || value === undefined || String(value).trim() === '') continue;
+      entries.push({
+        row: index + 2,
+        input: { rate_date: cells[dateColumn], currency_code: column.code, value }
+      });
+    }
+  });
+
+  return { entries };
+}
+
+/**
+ * Importar tipos de cambio desde CSV/XLSX (reemplaza los valores existentes de la misma fecha)
+ * @param {Object} params
+ * @param {Object} params.file - Archivo recibido por multer
+ * @param {string} params.organizationId - ID de la organización
+ * @param {number} params.userId - ID del usuario
+ * @param {boolean} params.dryRun - Solo validar, sin guardar
+ */
+export async function importExchangeRates({ file, organizationId, userId, dryRun = false }) {
+  const { headers, rows } = await parseSpreadsheet(file, { maxRows: MAX_IMPORT_ROWS });
+
+  if (headers.length === 0) {
+    return { error: 'La planilla está vacía' };
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `La planilla supera el máximo de ${MAX_IMPORT_ROWS} filas` };
+  }
+
+  const extracted = extractRates(headers, rows);
+  if (extracted.error) return { error: extracted.error };
+
+  const summary = { total: extracted.entries.length, created: 0, updated: 0, errors: [] };
+
+  for (const entry of extracted.entries) {
+    const { errors, rate } = validateExchangeRateInput(entry.input);
+
+    if (errors.length > 0) {
+      summary.errors.push({ row: entry.row, errors });
+      continue;
+    }
+
+    if (dryRun) continue;
+
+    const created = await ExchangeRateModel.upsertExchangeRate({
+      ...rate,
+      organization_id: organizationId,
+      source: 'import',
+      user_id: userId
+    });
+
+    if (created) summary.created++;
+    else summary.updated++;
+  }
+
+  return { summary };
+}
@@ -0,0 +1,239 @@
+// src/services/expenseApprovalService.mjs
+// Aprobación de egresos por umbral de monto: reglas, solicitudes y bloqueo de estados finales
+
+import * as ExpenseApprovalModel from '../models/expenseApprovalModel.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import { getStatusById } from '../models/expenseStatusModel.mjs';
+import { getExpenseTypeById } from '../models/expenseTypeModel.mjs';
+
+// Roles que pueden exigirse en una regla (de menor a mayor)
+export const APPROVAL_ROLES = ['manager', 'admin'];
+
+export const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const ROLE_LEVELS = { user: 0, manager: 1, admin: 2 };
+
+const ROLE_LABELS = { manager: 'un manager', admin: 'un administrador' };
+
+// Diferencia máxima (CLP) para considerar que el monto aprobado cubre el actual
+const AMOUNT_TOLERANCE = 1;
+
+function formatClp(value) {
+  return `$${Math.round(value).toLocaleString('es-CL')}`;
+}
+
+/**
+ * Indica si un rol alcanza el nivel requerido (admin cubre lo que exige manager)
+ */
+export function hasApprovalRole(userRole, requiredRole) {
+  return (ROLE_LEVELS[userRole] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+}
+
+/**
+ * Roles de solicitud que puede resolver un usuario
+ */
+export function getApprovableRoles(userRole) {
+  return APPROVAL_ROLES.filter(role => hasApprovalRole(userRole, role));
+}
+
+/**
+ * Total del egreso en CLP (mismo criterio que la columna generada total_amount_clp)
+ * @returns {number|null} null si está en moneda extranjera sin tipo de cambio
+ */
+export function computeAmountClp(data) {
+  const amount = parseFloat(data.total_amount ?? data.amount) || 0;
+  if (!data.currency || data.currency === 'CLP') return amount;
+
+  const rate = parseFloat(data.exchange_rate);
+  return rate > 0 ? amount * rate : null;
+}
+
+function isCovered(approval, rule, amountClp) {
+  return Boolean(approval) &&
+    approval.status === 'approved' &&
+    hasApprovalRole(approval.required_role, rule.required_role) &&
+    parseFloat(approval.amount_clp) + AMOUNT_TOLERANCE >= amountClp;
+}
+
+/**
+ * Validar los datos de una regla de aprobación
+ * @returns {{ errors: Array, rule: Object }}
+ */
+export async function validateRuleInput(body, organizationId) {
+  const errors = [];
+  const threshold = parseFloat(body.threshold_amount);
+
+  if (isNaN(threshold) || threshold < 0) {
+    errors.push({ field: 'threshold_amount', message: 'El umbral debe ser un monto en CLP mayor o igual a 0' });
+  }
+
+  if (!APPROVAL_ROLES.includes(body.required_role)) {
+    errors.push({ field: 'required_role', message: `El rol requerido debe ser: ${APPROVAL_ROLES.join(', ')}` });
+  }
+
+  if (body.expense_type_id) {
+    const expenseType = await getExpenseTypeById(body.expense_type_id, organizationId);
+    if (!expenseType) {
+      errors.push({ field: 'expense_type_id', message: 'Tipo de egreso no encontrado' });
+    }
+  }
+
+  return {
+    errors,
+    rule: {
+      expense_type_id: body.expense_type_id || null,
+      name: body.name || null,
+      threshold_amount: threshold,
+      required_role: body.required_role,
+      is_active: body.is_active !== undefined ? Boolean(body.is_active) : true
+    }
+  };
+}
+
+/**
+ * Verificar que un egreso pueda quedar en el estado indicado
+ * Pasar a un estado is_final exige una aprobación vigente del nivel requerido por el monto.
+ * @param {Object} expenseData - Datos a guardar (moneda y tipo de cambio ya aplicados)
+ * @param {Object} options - existing: egreso actual (en updates)
+ * @returns {Promise<{ errors: Array, warnings: Array }>}
+ */
+export async function checkFinalStatusApproval(expenseData, expenseTypeId, organizationId, { existing = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!expenseData.status_id) return { errors, warnings };
+
+  const status = await getStatusById(expenseData.status_id, organizationId);
+  if (!status?.is_final) return { errors, warnings };
+
+  const amountClp = computeAmountClp(expenseData);
+
+  if (amountClp === null) {
+    const rules = await ExpenseApprovalModel.getApprovalRules(organizationId, { expense_type_id: expenseTypeId, only_active: true });
+    if (rules.length > 0) {
+      errors.push({
+        field: 'status_id',
+        message: `Se requiere el tipo de cambio para verificar la aprobación antes de pasar a "${status.name}"`
+      });
+    }
+    return { errors, warnings };
+  }
+
+  const rule = await ExpenseApprovalModel.getApplicableRule(organizationId, expenseTypeId, amountClp);
+  if (!rule) return { errors, warnings };
+
+  const approval = existing ? await ExpenseApprovalModel.getCurrentApproval(existing.id, organizationId) : null;
+  if (isCovered(approval, rule, amountClp)) return { errors, warnings };
+
+  let message = `El egreso supera ${formatClp(rule.threshold_amount)} y requiere aprobación de ${ROLE_LABELS[rule.required_role]} para pasar a "${status.name}"`;
+  if (approval?.status === 'pending') {
+    message += ' (aprobación pendiente)';
+  } else if (approval?.status === 'rejected') {
+    message += ' (aprobación rechazada)';
+  } else if (approval?.status === 'approved') {
+    message += ' (la aprobación vigente no cubre el monto actual)';
+  }
+
+  errors.push({ field: 'status_id', message });
+
+  return { errors, warnings };
+}
+
+/**
+ * Sincronizar la solicitud de aprobación de un egreso con su monto actual (después de crear/actualizar)
+ * - Sin regla aplicable: se cancela la solicitud pendiente
+ * - Aprobación vigente que cubre el monto: no cambia
+ * - Pendiente del mismo nivel: se actualiza el monto
+ * - En otro caso (nuevo, rechazado, monto o nivel mayor): nueva solicitud pendiente
+ * @returns {Promise<Object|null>} Solicitud vigente
+ */
+export async function syncExpenseApproval(expenseId, organizationId, userId = null) {
+  const expense = await ExpenseDataModel.getExpenseById(expenseId, organizationId);
+  if (!expense) return null;
+
+  const amountClp = expense.total_amount_clp !== null && expense.total_amount_clp !== undefined
+    ? parseFloat(expense.total_amount_clp)
+    : computeAmountClp(expense);
+
+  const current = await ExpenseApprovalModel.getCurrentApproval(expenseId, organizationId);
+
+  // Sin tipo de cambio no se puede evaluar el umbral: se mantiene lo que haya
+  if (amountClp === null || isNaN(amountClp)) return current;
+
+  const rule = await ExpenseApprovalModel.getApplicableRule(organizationId, expense.expense_type_id, amountClp);
+
+  if (!rule) {
+    if (current?.status === 'pending') {
+      await ExpenseApprovalModel.cancelApprovals(expenseId, organizationId, ['pending'], 'El monto ya no requiere aprobación');
+      return null;
+    }
+    return current;
+  }
+
+  if (isCovered(current, rule, amountClp)) return current;
+
+  if (current?.status === 'pending') {
+    if (current.required_role === rule.required_role) {
+      await ExpenseApprovalModel.updatePendingApproval(current.id, { rule_id: rule.id, amount_clp: amountClp });
+      return ExpenseApprovalModel.getCurrentApproval(expenseId, organizationId);
+    }
+    await ExpenseApprovalModel.cancelApprovals(expenseId, organizationId, ['pending'], 'Reemplazada por una solicitud de otro nivel');
+  }
+
+  await ExpenseApprovalModel.createApprovalRequest({
+    organization_id: organizationId,
+    expense_id: expenseId,
+    rule_id: rule.id,
+    required_role: rule.required_role,
+    amount_clp: amountClp,
+    requested_by: userId
+  });
+
+  return ExpenseApprovalModel.getCurrentApproval(expenseId, organizationId);
+}
+
+/**
+ * Aprobar o rechazar la solicitud pendiente de un egreso
+ * @param {Object} options
+ * @param {string} options.decision - 'approved' | 'rejected'
+ * @param {Object} options.user - Usuario que decide (req.user)
+ * @param {string} options.comment - Comentario (obligatorio al rechazar)
+ * @returns {Promise<{ approval?: Object, error?: string, status?: number }>}
+ */
+export async function decideExpenseApproval(expenseId, organizationId, { decision, user, comment }) {
+  const trimmedComment = comment ? String(comment).trim() : '';
+
+  if (decision === 'rejected' && !trimmedComment) {
+    return { error: 'El comentario es requerido para rechazar', status: 400 };
+  }
+
+  const expense = await ExpenseDataModel.getExpenseById(expenseId, organizationId);
+  if (!expense) {
+    return { error: 'Egreso no encontrado', status: 404 };
+  }
+
+  const approval = await ExpenseApprovalModel.getCurrentApproval(expenseId, organizationId);
+  if (!approval || approval.status !== 'pending') {
+    return { error: 'El egreso no tiene una aprobación pendiente', status: 409 };
+  }
+
+  if (!hasApprovalRole(user?.role, approval.required_role)) {
+    return { error: `Esta solicitud requiere aprobación de ${ROLE_LABELS[approval.required_role]}`, status: 403 };
+  }
+
+  if (decision === 'approved' && expense.created_by && String(expense.created_by) === String(user.id)) {
+    return { error: 'No puedes aprobar un egreso creado por ti', status: 403 };
+  }
+
+  const affectedRows = await ExpenseApprovalModel.decideApproval(approval.id, organizationId, {
+    status: decision,
+    decided_by: user.id,
+    comment: trimmedComment || null
+  });
+
+  if (affectedRows === 0) {
+    return { error: 'La solicitud ya fue resuelta', status: 409 };
+  }
+
+  return { approval: await ExpenseApprovalModel.getCurrentApproval(expenseId, organizationId) };
+}
@@ -2,11 +2,17 @@
 // Servicio de validación dinámica basada en configuración de expense_type
 
 import { getExpenseTypeById } from '../models/expenseTypeModel.mjs';
+import { getSupplierById } from '../models/supplierModel.mjs';
+import { validateRut } from '../utils/rutUtils.mjs';
+import { getCostCenterById } from '../models/costCenterModel.mjs';
+import { checkFinalStatusApproval } from './expenseApprovalService.mjs';
+import { checkStatusTransition } from './statusTransitionService.mjs';
 
 /**
  * Validar datos de egreso según configuración del tipo
+ * @param {Object} options - existing: egreso actual (en updates)
  */
-export async function validateExpenseData(expenseData, expenseTypeId, organizationId) {
+export async function validateExpenseData(expenseData, expenseTypeId, organizationId, options = {}) {
   const errors = [];
   const warnings = [];
 
@@ -76,6 +82,57 @@ export async function validateExpenseData(expenseData, expenseTypeId, organizati
     errors.push({ field: 'invoice_number', message: 'El número de factura es requerido' });
   }
 
+  // Centro de costo: no se registran egresos nuevos en centros cancelados
+  if (expenseData.cost_center_id) {
+    const costCenter = await getCostCenterById(expenseData.cost_center_id, organizationId);
+    if (!costCenter) {
+      errors.push({ field: 'cost_center_id', message: 'Centro de costo no encontrado' });
+    } else if (costCenter.status === 'cancelado') {
+      const alreadyInCenter = options.existing &&
+        String(options.existing.cost_center_id) === String(expenseData.cost_center_id);
+      // Un egreso que ya estaba en el centro puede corregirse, pero no se agregan nuevos
+      (alreadyInCenter ? warnings : errors).push({
+        field: 'cost_center_id',
+        message: `El centro de costo ${costCenter.code} está cancelado`
+      });
+    } else if (['suspendido', 'completado'].includes(costCenter.status)) {
+      warnings.push({ field: 'cost_center_id', message: `El centro de costo ${costCenter.code} está ${costCenter.status}` });
+    }
+  }
+
+  // Proveedor (opcional): debe pertenecer a la organización
+  if (expenseData.supplier_id) {
+    const supplier = await getSupplierById(expenseData.supplier_id, organizationId);
+    if (!supplier) {
+      errors.push({ field: 'supplier_id', message: 'Proveedor no encontrado' });
+    } else {
+      if (!supplier.active) {
+        warnings.push({ field: 'supplier_id', message: 'El proveedor está desactivado' });
+      }
+      if (!validateRut(supplier.tax_id).valid) {
+        warnings.push({ field: 'supplier_id', message: `El proveedor tiene un RUT inválido (${supplier.tax_id})` });
+      }
+    }
+  }
+
+  // RUT informado directamente (ej: datos extraídos de un documento)
+  if (expenseData.supplier_tax_id) {
+    const rutCheck = validateRut(expenseData.supplier_tax_id);
+    if (!rutCheck.valid) {
+      errors.push({ field: 'supplier_tax_id', message: rutCheck.message });
+    }
+  }
+
+  // Estado: transición permitida por el tipo y campos obligatorios del estado
+  const transitionCheck = await checkStatusTransition('expense', expenseData, expenseTypeId, organizationId, options);
+  errors.push(...transitionCheck.errors);
+  warnings.push(...transitionCheck.warnings);
+
+  // Estados finales: exigen la aprobación requerida por el monto
+  const approvalCheck = await checkFinalStatusApproval(expenseData, expenseTypeId, organizationId, options);
+  errors.push(...approvalCheck.errors);
+  warnings.push(...approvalCheck.warnings);
+
   return {
     valid: errors.length === 0,
     errors,
@@ -100,7 +157,8 @@ export async function getVisibleFields(expenseTypeId, organizationId) {
       { name: 'notes', required: false, type: 'textarea' },
       { name: 'date', required: expenseType.required_date, type: 'date' },
       { name: 'status_id', required: expenseType.required_status, type: 'select' },
-      { name: 'cost_center_id', required: expenseType.required_cost_center, type: 'select' }
+      { name: 'cost_center_id', required: expenseType.required_cost_center, type: 'select' },
+      { name: 'supplier_id', required: false, type: 'select' }
     ],
     optional: []
   };
@@ -0,0 +1,307 @@
+// src/services/exportService.mjs
+// Exportación de egresos/ingresos a CSV, XLSX y PDF (streaming por lotes)
+
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+// Feature del tier requerida por formato (usageMetricsMiddleware)
+export const EXPORT_FORMAT_FEATURES = {
+  csv: 'basic_reports',
+  xlsx: 'excel_export',
+  pdf: 'pdf_export'
+};
+
+const BATCH_SIZE = 500;
+const MAX_EXPORT_ROWS = 50000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const COMMON_LEADING_COLUMNS = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'date', header: 'Fecha', type: 'date', width: 12 },
+  { key: 'name', header: 'Nombre', width: 30 }
+];
+
+const COMMON_TRAILING_COLUMNS = [
+  { key: 'category_name', header: 'Categoría', width: 20 },
+  { key: 'status_name', header: 'Estado', width: 15 },
+  { key: 'cost_center_name', header: 'Centro de costo', width: 25 },
+  { key: 'invoice_number', header: 'N° factura', width: 14 },
+  { key: 'reference_number', header: 'Referencia', width: 14 },
+  { key: 'amount', header: 'Monto', type: 'amount', width: 14 },
+  { key: 'tax_amount', header: 'IVA', type: 'amount', width: 12 },
+  { key: 'net_amount', header: 'Neto', type: 'amount', width: 14 },
+  { key: 'total_amount', header: 'Total', type: 'amount', width: 14 },
+  { key: 'payment_status', header: 'Estado de pago', width: 14 },
+  { key: 'paid_amount', header: 'Pagado', type: 'amount', width: 14 },
+  { key: 'outstanding_amount', header: 'Saldo', type: 'amount', width: 14 },
+  { key: 'payment_date', header: 'Fecha de pago', type: 'date', width: 12 },
+  { key: 'payment_method', header: 'Método de pago', width: 14 },
+  { key: 'currency', header: 'Moneda', width: 8 }
+];
+
+/**
+ * Definición de columnas por tipo de exportación
+ */
+const EXPORT_TARGETS = {
+  expense: {
+    title: 'Reporte de Egresos',
+    filePrefix: 'egresos',
+    columns: [
+      ...COMMON_LEADING_COLUMNS,
+      { key: 'expense_type_name', header: 'Tipo', width: 20 },
+      { key: 'supplier_name', header: 'Proveedor', width: 25 },
+      { key: 'supplier_tax_id', header: 'RUT proveedor', width: 14 },
+      ...COMMON_TRAILING_COLUMNS
+    ]
+  },
+  income: {
+    title: 'Reporte de Ingresos',
+    filePrefix: 'ingresos',
+    columns: [
+      ...COMMON_LEADING_COLUMNS,
+      { key: 'income_type_name', header: 'Tipo', width: 20 },
+      { key: 'client_name', header: 'Cliente', width: 25 },
+      { key: 'client_tax_id', header: 'RUT cliente', width: 14 },
+      ...COMMON_TRAILING_COLUMNS
+    ]
+  }
+};
+
+// Columnas del reporte PDF (apaisado, solo lo esencial)
+const PDF_COLUMN_KEYS = {
+  expense: ['date', 'name', 'supplier_name', 'cost_center_name', 'payment_status', 'total_amount', 'outstanding_amount'],
+  income: ['date', 'name', 'client_name', 'cost_center_name', 'payment_status', 'total_amount', 'outstanding_amount']
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Fecha a YYYY-MM-DD (mysql2 devuelve DATE como Date local)
+ */
+function formatDate(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Monto en formato chileno para el PDF ("$ 1.234.567")
+ */
+function formatCurrency(value) {
+  const number = toNumber(value);
+  if (number === null) return '';
+  return `$ ${Math.round(number).toLocaleString('es-CL')}`;
+}
+
+/**
+ * Valor de una celda según el tipo de columna
+ */
+function getCellValue(row, column) {
+  const value = column.key === 'total_amount'
+    ? (row.total_amount ?? row.amount)
+    : row[column.key];
+
+  if (column.type === 'date') return formatDate(value);
+  if (column.type === 'amount') return toNumber(value);
+  return value ?? '';
+}
+
+/**
+ * Escapar un valor para CSV (separador punto y coma, compatible con Excel en español)
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[";\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Recorrer los registros en lotes usando la función de listado del modelo
+ * @param {Function} fetchPage - (filters) => Promise<rows>
+ * @param {Object} filters - Filtros de getAllExpenses/getAllIncomes (sin limit/offset)
+ */
+async function* fetchInBatches(fetchPage, filters) {
+  let offset = 0;
+
+  while (offset < MAX_EXPORT_ROWS) {
+    const rows = await fetchPage({ ...filters, limit: BATCH_SIZE, offset });
+    if (rows.length === 0) return;
+
+    yield rows;
+
+    if (rows.length < BATCH_SIZE) return;
+    offset += BATCH_SIZE;
+  }
+}
+
+async function writeCsv(res, columns, batches) {
+  // BOM para que Excel detecte UTF-8
+  res.write('\uFEFF');
+  res.write(columns.map(column => escapeCsvValue(column.header)).join(';') + '\r\n');
+
+  for await (const rows of batches) {
+    const lines = rows.map(row =>
+      columns.map(column => escapeCsvValue(getCellValue(row, column))).join(';')
+    );
+    res.write(lines.join('\r\n') + '\r\n');
+  }
+
+  res.end();
+}
+
+async function writeXlsx(res, target, columns, batches) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(target.title);
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width,
+    style: column.type === 'amount' ? { numFmt: '#,##0' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const rows of batches) {
+    for (const row of rows) {
+      const values = {};
+      for (const column of columns) {
+        values[column.key] = getCellValue(row, column);
+      }
+      sheet.addRow(values).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+async function writePdf(res, targetKey, target, columns, batches, meta) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(res);
+
+  const pdfColumns = PDF_COLUMN_KEYS[targetKey].map(key => columns.find(column => column.key === key));
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const weights = pdfColumns.map(column => column.width);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const widths = weights.map(weight => (weight / totalWeight) * tableWidth);
+  const rowHeight = 16;
+
+  const totals = { count: 0, total_amount: 0, outstanding_amount: 0 };
+
+  const drawHeader = () => {
+    let x = doc.page.margins.left;
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(8);
+    pdfColumns.forEach((column, index) => {
+      doc.text(column.header, x + 2, y + 4, {
+        width: widths[index] - 4,
+        align: column.type === 'amount' ? 'right' : 'left'
+      });
+      x += widths[index];
+    });
+    doc.moveTo(doc.page.margins.left, y + rowHeight)
+      .lineTo(doc.page.margins.left + tableWidth, y + rowHeight)
+      .stroke();
+    doc.y = y + rowHeight;
+    doc.font('Helvetica').fontSize(8);
+  };
+
+  // Encabezado del reporte
+  doc.font('Helvetica-Bold').fontSize(16).text(target.title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  doc.text(`Generado: ${formatDate(meta.generatedAt)}`);
+  if (meta.filters.date_from || meta.filters.date_to) {
+    doc.text(`Período: ${meta.filters.date_from || 'inicio'} a ${meta.filters.date_to || 'hoy'}`);
+  }
+  doc.fillColor('#000000').moveDown();
+
+  drawHeader();
+
+  for await (const rows of batches) {
+    for (const row of rows) {
+      if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        drawHeader();
+      }
+
+      let x = doc.page.margins.left;
+      const y = doc.y;
+      pdfColumns.forEach((column, index) => {
+        const value = getCellValue(row, column);
+        doc.text(column.type === 'amount' ? formatCurrency(value) : String(value), x + 2, y + 4, {
+          width: widths[index] - 4,
+          height: rowHeight,
+          ellipsis: true,
+          lineBreak: false,
+          align: column.type === 'amount' ? 'right' : 'left'
+        });
+        x += widths[index];
+      });
+      doc.y = y + rowHeight;
+
+      // Anulados se listan pero no suman
+      if (row.payment_status !== 'anulado') {
+        totals.count += 1;
+        totals.total_amount += toNumber(row.total_amount ?? row.amount) || 0;
+        totals.outstanding_amount += toNumber(row.outstanding_amount) || 0;
+      }
+    }
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text(`Registros: ${totals.count}`, doc.page.margins.left);
+  doc.text(`Total: ${formatCurrency(totals.total_amount)}`);
+  doc.text(`Saldo pendiente: ${formatCurrency(totals.outstanding_amount)}`);
+
+  doc.end();
+}
+
+/**
+ * Generar y enviar una exportación en streaming
+ * @param {Object} res - Response de Express
+ * @param {Object} params
+ * @param {string} params.target - 'expense' | 'income'
+ * @param {string} params.format - 'csv' | 'xlsx' | 'pdf'
+ * @param {Function} params.fetchPage - Listado paginado del modelo (getAllExpenses/getAllIncomes)
+ * @param {Object} params.filters - Filtros del listado
+ */
+export async function streamExport(res, { target, format, fetchPage, filters }) {
+  const config = EXPORT_TARGETS[target];
+  const generatedAt = new Date();
+  const fileName = `${config.filePrefix}_${formatDate(generatedAt)}.${format}`;
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  const batches = fetchInBatches(fetchPage, filters);
+
+  if (format === 'csv') {
+    await writeCsv(res, config.columns, batches);
+  } else if (format === 'xlsx') {
+    await writeXlsx(res, config, config.columns, batches);
+  } else {
+    await writePdf(res, target, config, config.columns, batches, { generatedAt, filters });
+  }
+}
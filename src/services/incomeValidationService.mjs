@@ -2,11 +2,16 @@
 // Servicio de validación dinámica basada en configuración de income_type
 
 import { getIncomeTypeById } from '../models/incomeTypeModel.mjs';
+import { getClientById } from '../models/clientModel.mjs';
+import { validateRut } from '../utils/rutUtils.mjs';
+import { getCostCenterById } from '../models/costCenterModel.mjs';
+import { checkStatusTransition } from './statusTransitionService.mjs';
 
 /**
  * Validar datos de ingreso según configuración del tipo
+ * @param {Object} options - existing: ingreso actual (en updates)
  */
-export async function validateIncomeData(incomeData, incomeTypeId, organizationId) {
+export async function validateIncomeData(incomeData, incomeTypeId, organizationId, options = {}) {
   const errors = [];
   const warnings = [];
 
@@ -76,6 +81,44 @@ export async function validateIncomeData(incomeData, incomeTypeId, organizationI
     errors.push({ field: 'invoice_number', message: 'El número de factura es requerido' });
   }
 
+  // Centro de costo: debe existir; se advierte si no está vigente
+  if (incomeData.cost_center_id) {
+    const costCenter = await getCostCenterById(incomeData.cost_center_id, organizationId);
+    if (!costCenter) {
+      errors.push({ field: 'cost_center_id', message: 'Centro de costo no encontrado' });
+    } else if (['suspendido', 'completado', 'cancelado'].includes(costCenter.status)) {
+      warnings.push({ field: 'cost_center_id', message: `El centro de costo ${costCenter.code} está ${costCenter.status}` });
+    }
+  }
+
+  // Cliente (opcional): debe pertenecer a la organización
+  if (incomeData.client_id) {
+    const client = await getClientById(incomeData.client_id, organizationId);
+    if (!client) {
+      errors.push({ field: 'client_id', message: 'Cliente no encontrado' });
+    } else {
+      if (!client.active) {
+        warnings.push({ field: 'client_id', message: 'El cliente está desactivado' });
+      }
+      if (!validateRut(client.tax_id).valid) {
+        warnings.push({ field: 'client_id', message: `El cliente tiene un RUT inválido (${client.tax_id})` });
+      }
+    }
+  }
+
+  // RUT informado directamente (ej: datos extraídos de un documento)
+  if (incomeData.client_tax_id) {
+    const rutCheck = validateRut(incomeData.client_tax_id);
+    if (!rutCheck.valid) {
+      errors.push({ field: 'client_tax_id', message: rutCheck.message });
+    }
+  }
+
+  // Estado: transición permitida por el tipo y campos obligatorios del estado
+  const transitionCheck = await checkStatusTransition('income', incomeData, incomeTypeId, organizationId, options);
+  errors.push(...transitionCheck.errors);
+  warnings.push(...transitionCheck.warnings);
+
   return {
     valid: errors.length === 0,
     errors,
@@ -100,7 +143,8 @@ export async function getVisibleFields(incomeTypeId, organizationId) {
       { name: 'notes', required: false, type: 'textarea' },
       { name: 'date', required: incomeType.required_date, type: 'date' },
       { name: 'status_id', required: incomeType.required_status, type: 'select' },
-      { name: 'cost_center_id', required: incomeType.required_cost_center, type: 'select' }
+      { name: 'cost_center_id', required: incomeType.required_cost_center, type: 'select' },
+      { name: 'client_id', required: false, type: 'select' }
     ],
     optional: []
   };
@@ -0,0 +1,334 @@
+// src/services/invoiceExtractionService.mjs
+// Extracción de facturas, boletas y recibos en PDF: normalización de los datos del documento
+// y borrador de egreso (proveedor, folio, neto/IVA/total) para confirmar antes de guardar
+
+import { PdfExtractionService } from './pdfExtractionService.mjs';
+import { parseDateValue, parseAmountValue } from './spreadsheetImportService.mjs';
+import { applyExchangeRate } from './exchangeRateService.mjs';
+import { validateExpenseData } from './expenseValidationService.mjs';
+import { getSupplierByTaxId, getAllSuppliers } from '../models/supplierModel.mjs';
+import { findExpensesByInvoiceNumber } from '../models/expenseDataModel.mjs';
+import { applyTaxBreakdown } from '../utils/taxUtils.mjs';
+import { validateRut } from '../utils/rutUtils.mjs';
+import { normalizeCurrency } from '../utils/currencyUtils.mjs';
+
+export const INVOICE_DOCUMENT_TYPES = [
+  'factura',
+  'factura_exenta',
+  'boleta',
+  'boleta_honorarios',
+  'recibo',
+  'nota_credito',
+  'otro'
+];
+
+const DOCUMENT_LABELS = {
+  factura: 'Factura',
+  factura_exenta: 'Factura exenta',
+  boleta: 'Boleta',
+  boleta_honorarios: 'Boleta de honorarios',
+  recibo: 'Recibo',
+  nota_credito: 'Nota de crédito',
+  otro: 'Documento'
+};
+
+const PAYMENT_METHODS = ['transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro'];
+
+// Diferencia máxima (CLP) entre la suma de ítems y el neto del documento
+const LINE_ITEMS_TOLERANCE = 1;
+
+// Máximo de ítems que se listan en la descripción del borrador
+const MAX_DESCRIPTION_ITEMS = 10;
+
+function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function cleanString(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text && text.toLowerCase() !== 'null' ? text : null;
+}
+
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = parseAmountValue(value);
+  return amount === undefined || amount === null ? null : amount;
+}
+
+function toDate(value) {
+  const text = cleanString(value);
+  return text ? parseDateValue(text) : null;
+}
+
+/**
+ * Normalizar la respuesta de Claude Vision (montos, fechas, RUT, moneda y tipo de documento)
+ * @param {Object} raw - JSON extraído del documento
+ * @returns {Object} Documento normalizado
+ */
+export function normalizeExtractedInvoice(raw = {}) {
+  const issuer = raw.issuer || {};
+  const rutCheck = cleanString(issuer.rut) ? validateRut(issuer.rut) : null;
+  const documentType = INVOICE_DOCUMENT_TYPES.includes(raw.document_type) ? raw.document_type : 'otro';
+  const paymentMethod = cleanString(raw.payment_method)?.toLowerCase();
+
+  return {
+    document_type: documentType,
+    folio: cleanString(raw.folio),
+    issue_date: toDate(raw.issue_date),
+    due_date: toDate(raw.due_date),
+    currency: normalizeCurrency(raw.currency) || 'CLP',
+    issuer: {
+      rut: rutCheck?.valid ? rutCheck.normalized : cleanString(issuer.rut),
+      rut_valido: rutCheck ? rutCheck.valid : false,
+      legal_name: cleanString(issuer.legal_name),
+      commercial_name: cleanString(issuer.commercial_name),
+      address: cleanString(issuer.address),
+      email: cleanString(issuer.email),
+      phone: cleanString(issuer.phone)
+    },
+    receiver: {
+      rut: cleanString(raw.receiver?.rut),
+      legal_name: cleanString(raw.receiver?.legal_name)
+    },
+    net_amount: toAmount(raw.net_amount),
+    exempt_amount: toAmount(raw.exempt_amount),
+    tax_amount: toAmount(raw.tax_amount),
+    withholding_amount: toAmount(raw.withholding_amount),
+    total_amount: toAmount(raw.total_amount),
+    payment_method: PAYMENT_METHODS.includes(paymentMethod) ? paymentMethod : null,
+    line_items: (Array.isArray(raw.line_items) ? raw.line_items : [])
+      .map(item => ({
+        description: cleanString(item?.description),
+        quantity: toAmount(item?.quantity),
+        unit_price: toAmount(item?.unit_price),
+        total: toAmount(item?.total)
+      }))
+      .filter(item => item.description || item.total !== null),
+    confidence_score: toAmount(raw.confidence_score)
+  };
+}
+
+/**
+ * Tratamiento tributario según tipo de documento y montos informados
+ */
+function resolveTaxTreatment(invoice) {
+  if (invoice.document_type === 'boleta_honorarios') return 'honorarios';
+  if (invoice.document_type === 'factura_exenta') return 'exento';
+  if (invoice.tax_amount > 0) return 'afecto';
+  if (invoice.exempt_amount > 0 || ['recibo', 'otro'].includes(invoice.document_type)) return 'exento';
+  return 'afecto';
+}
+
+/**
+ * Buscar el proveedor emisor: primero por RUT, luego por razón social o nombre de fantasía exacto
+ * @returns {Promise<{ method: string|null, supplier: Object|null }>}
+ */
+async function matchSupplier(issuer, organizationId) {
+  if (issuer.rut && issuer.rut_valido) {
+    const supplier = await getSupplierByTaxId(issuer.rut, organizationId);
+    if (supplier) return { method: 'rut', supplier };
+  }
+
+  const name = issuer.legal_name || issuer.commercial_name;
+  if (name) {
+    const key = normalizeText(name);
+    const candidates = await getAllSuppliers({ organization_id: organizationId, search: name, limit: 10 });
+    const supplier = candidates.find(item =>
+      normalizeText(item.legal_name) === key || normalizeText(item.commercial_name) === key
+    );
+    if (supplier) return { method: 'name', supplier };
+  }
+
+  return { method: null, supplier: null };
+}
+
+function describeLineItems(items) {
+  const lines = items.slice(0, MAX_DESCRIPTION_ITEMS).map(item => {
+    const quantity = item.quantity !== null && item.quantity !== 1 ? `${item.quantity} x ` : '';
+    return `${quantity}${item.description || 'Ítem'}${item.total !== null ? ` (${item.total})` : ''}`;
+  });
+
+  if (items.length > MAX_DESCRIPTION_ITEMS) {
+    lines.push(`... y ${items.length - MAX_DESCRIPTION_ITEMS} ítems más`);
+  }
+
+  return lines.join('\n') || null;
+}
+
+/**
+ * Armar el borrador de egreso a partir del documento normalizado
+ * Aplica el mismo tipo de cambio, desglose tributario y validación que POST /api/expenses,
+ * sin guardar nada: el usuario confirma el borrador enviándolo a ese endpoint.
+ * @param {Object} invoice - normalizeExtractedInvoice(...)
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} options
+ * @param {Object} options.defaults - expense_type_id, cost_center_id, category_id, status_id
+ * @param {string} options.fileName - Nombre del archivo (queda en las notas)
+ */
+export async function buildExpenseDraft(invoice, organizationId, { defaults = {}, fileName = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const label = DOCUMENT_LABELS[invoice.document_type];
+  const treatment = resolveTaxTreatment(invoice);
+
+  const { method, supplier } = await matchSupplier(invoice.issuer, organizationId);
+  const supplierName = supplier?.legal_name || invoice.issuer.legal_name;
+  const title = [label, invoice.folio].filter(Boolean).join(' ');
+
+  const draft = {
+    expense_type_id: defaults.expense_type_id || null,
+    cost_center_id: defaults.cost_center_id || null,
+    category_id: defaults.category_id || null,
+    status_id: defaults.status_id || null,
+    supplier_id: supplier?.id || null,
+    name: supplierName ? `${title} - ${supplierName}` : title,
+    description: describeLineItems(invoice.line_items),
+    notes: fileName ? `Extraído de ${fileName}` : null,
+    date: invoice.issue_date,
+    payment_date: invoice.due_date,
+    invoice_number: invoice.folio,
+    currency: invoice.currency,
+    tax_treatment: treatment,
+    payment_method: invoice.payment_method
+  };
+
+  if (treatment === 'honorarios') {
+    // Boleta de honorarios: neto = bruto, total = líquido a pagar
+    draft.net_amount = invoice.net_amount ?? (invoice.total_amount !== null && invoice.withholding_amount !== null
+      ? invoice.total_amount + invoice.withholding_amount
+      : null);
+    draft.withholding_amount = invoice.withholding_amount;
+    draft.total_amount = invoice.total_amount;
+  } else if (treatment === 'exento') {
+    draft.net_amount = invoice.exempt_amount ?? invoice.net_amount ?? invoice.total_amount;
+    draft.total_amount = invoice.total_amount ?? draft.net_amount;
+  } else {
+    draft.net_amount = invoice.net_amount;
+    draft.tax_amount = invoice.tax_amount;
+    draft.total_amount = invoice.total_amount;
+
+    // Factura con montos afectos y exentos: el desglose solo admite neto + IVA
+    if (invoice.exempt_amount > 0 && invoice.net_amount !== null && invoice.tax_amount !== null) {
+      draft.total_amount = invoice.net_amount + invoice.tax_amount;
+      warnings.push({
+        field: 'total_amount',
+        message: `El documento incluye un monto exento de ${invoice.exempt_amount} que no forma parte del desglose neto + IVA`
+      });
+    }
+  }
+
+  if (invoice.document_type === 'nota_credito') {
+    warnings.push({ field: 'invoice_number', message: 'El documento es una nota de crédito: revise si corresponde registrarla como egreso' });
+  }
+
+  if (!invoice.issuer.rut) {
+    warnings.push({ field: 'supplier_id', message: 'No se encontró el RUT del emisor en el documento' });
+  } else if (!invoice.issuer.rut_valido) {
+    warnings.push({ field: 'supplier_id', message: `El RUT del emisor (${invoice.issuer.rut}) no es válido` });
+  }
+
+  if (!supplier && invoice.issuer.rut) {
+    warnings.push({ field: 'supplier_id', message: `Proveedor no registrado: ${invoice.issuer.legal_name || invoice.issuer.rut}` });
+  }
+
+  // Cuadratura de ítems contra el neto (o bruto en honorarios)
+  const itemsTotal = invoice.line_items.reduce((sum, item) => sum + (item.total || 0), 0);
+  const documentBase = (invoice.net_amount || 0) + (treatment === 'afecto' ? (invoice.exempt_amount || 0) : 0);
+  if (invoice.line_items.length > 0 && documentBase > 0 && Math.abs(itemsTotal - documentBase) > LINE_ITEMS_TOLERANCE) {
+    warnings.push({ field: 'net_amount', message: `La suma de los ítems (${itemsTotal}) no coincide con el neto del documento (${documentBase})` });
+  }
+
+  // Mismo tipo de cambio y desglose que al guardar
+  const currencyCheck = await applyExchangeRate(draft, organizationId);
+  const taxCheck = applyTaxBreakdown(draft);
+  errors.push(...currencyCheck.errors, ...taxCheck.errors);
+  warnings.push(...currencyCheck.warnings, ...taxCheck.warnings);
+
+  if (draft.expense_type_id) {
+    const validation = await validateExpenseData(draft, draft.expense_type_id, organizationId);
+    errors.push(...validation.errors.filter(error => !errors.some(existing => existing.field === error.field)));
+    warnings.push(...validation.warnings);
+  } else {
+    errors.push({ field: 'expense_type_id', message: 'Seleccione el tipo de egreso antes de guardar' });
+  }
+
+  // Documento ya registrado (mismo folio y proveedor)
+  const duplicates = draft.invoice_number
+    ? await findExpensesByInvoiceNumber(organizationId, draft.invoice_number, draft.supplier_id)
+    : [];
+  if (duplicates.length > 0) {
+    warnings.push({
+      field: 'invoice_number',
+      message: `Ya existe un egreso con el folio ${draft.invoice_number}${supplier ? ' para este proveedor' : ''} (ID ${duplicates.map(d => d.id).join(', ')})`
+    });
+  }
+
+  return {
+    draft,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    supplier_match: {
+      method,
+      supplier: supplier ? { id: supplier.id, tax_id: supplier.tax_id, legal_name: supplier.legal_name } : null
+    },
+    // Cuerpo listo para POST /api/suppliers cuando el emisor no está registrado
+    supplier_suggestion: !supplier && invoice.issuer.rut_valido && invoice.issuer.legal_name
+      ? {
+        tax_id: invoice.issuer.rut,
+        legal_name: invoice.issuer.legal_name,
+        commercial_name: invoice.issuer.commercial_name,
+        address: invoice.issuer.address,
+        email: invoice.issuer.email,
+        phone: invoice.issuer.phone
+      }
+      : null,
+    duplicates
+  };
+}
+
+/**
+ * Extraer un PDF de factura/boleta/recibo y devolver el borrador de egreso
+ * @param {Object} params
+ * @param {Object} params.file - Archivo recibido por multer (buffer, originalname)
+ * @param {string} params.organizationId - ID de la organización
+ * @param {Object} params.defaults - Valores por defecto del borrador (tipo, centro de costo, categoría, estado)
+ */
+export async function extractExpenseDraftFromPdf({ file, organizationId, defaults = {} }) {
+  let extraction;
+  try {
+    extraction = await PdfExtractionService.extractInvoice(file.buffer, file.originalname);
+  } catch (error) {
+    const wrapped = new Error(`No se pudo leer el documento: ${error.message}`);
+    wrapped.statusCode = error instanceof SyntaxError ? 422 : 502;
+    throw wrapped;
+  }
+
+  const invoice = normalizeExtractedInvoice(extraction.invoice);
+
+  if (invoice.total_amount === null && invoice.net_amount === null) {
+    const error = new Error('El documento no parece ser una factura, boleta o recibo (no se encontraron montos)');
+    error.statusCode = 422;
+    error.usage = extraction.usage;
+    throw error;
+  }
+
+  const result = await buildExpenseDraft(invoice, organizationId, { defaults, fileName: file.originalname });
+
+  return {
+    ...result,
+    invoice,
+    extraction: {
+      method: extraction.extraction_method,
+      confidence: extraction.confidence,
+      processing_time_ms: extraction.processing_time_ms,
+      usage: extraction.usage
+    }
+  };
+}
@@ -2,6 +2,8 @@
 // 🚨 SOLUCION CRITICA: Optimizador de Análisis PDF
 // Evita consumo excesivo de API y mejora calidad de extracción
 
+import { annotateRut } from '../utils/rutUtils.mjs';
+
 /**
  * 🔥 PASO 1: Pre-validación inteligente del PDF
  * Evita procesar PDFs que no tienen datos útiles
@@ -141,6 +143,7 @@ ESTRUCTURA REQUERIDA:
   "proveedores_mencionados": [
     {
       "nombre": "nombre_proveedor",
+      "rut": "rut_si_aparece_o_null",
       "contacto": "telefono_o_email_si_existe",
       "especialidad": "area_especializada"
     }
@@ -281,9 +284,9 @@ export const intelligentConsolidator = (chunkResults) => {
       consolidatedData.all_equipment.push(...data.equipos_encontrados);
     }
     
-    // Consolidar proveedores
+    // Consolidar proveedores (RUT normalizado y marcado si no es válido)
     if (data.proveedores_mencionados?.length > 0) {
-      consolidatedData.all_providers.push(...data.proveedores_mencionados);
+      consolidatedData.all_providers.push(...data.proveedores_mencionados.map(provider => annotateRut(provider)));
     }
   });
 
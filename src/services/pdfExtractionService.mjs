@@ -6,6 +6,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
+import { extractUsage } from '../utils/anthropicUsageUtils.mjs';
 
 const execAsync = promisify(exec);
 
@@ -42,6 +43,9 @@ export class PdfExtractionService {
       const analysis = await this.analyzePdfType(buffer);
       console.log(`🔍 PDF clasificado como: ${analysis.pdfType} (${analysis.textLength} caracteres)`);
       
+      // Tokens de un intento directo fallido: también se consumieron
+      let failedAttemptUsage = [];
+
       // 🔥 ESTRATEGIA PRINCIPAL: CLAUDE VISION DIRECTO PARA PDFs LARGOS
       if (buffer.length < 30 * 1024 * 1024) { // < 30MB
         console.log('🎯 ESTRATEGIA: Análisis directo con Claude Vision (PDF completo)');
@@ -49,12 +53,15 @@ export class PdfExtractionService {
           return await this.analyzeWithClaudeVisionDirect(buffer, fileName, analysis, startTime);
         } catch (visionError) {
           console.warn('⚠️ Claude Vision directo falló, intentando estrategia de chunks:', visionError.message);
+          failedAttemptUsage = visionError.usage || [];
         }
       }
       
       // Fallback: Estrategia por páginas para PDFs muy grandes
       console.log('📄 ESTRATEGIA: Análisis por páginas (PDF muy grande)');
-      return await this.analyzeByPages(buffer, fileName, analysis, startTime);
+      const result = await this.analyzeByPages(buffer, fileName, analysis, startTime);
+      result.usage = [...failedAttemptUsage, ...result.usage];
+      return result;
       
     } catch (error) {
       console.error('❌ Error en extractContent:', error);
@@ -62,10 +69,108 @@ export class PdfExtractionService {
     }
   }
 
+  /**
+   * 🧾 EXTRACCIÓN DE DOCUMENTOS TRIBUTARIOS (facturas, boletas, boletas de honorarios y recibos)
+   * Claude Vision sobre el PDF completo; devuelve los datos crudos del documento
+   * (la normalización y el borrador de egreso los arma invoiceExtractionService)
+   */
+  static async extractInvoice(buffer, fileName) {
+    const startTime = Date.now();
+    console.log(`🧾 Extrayendo documento tributario: ${fileName} (${(buffer.length / 1024).toFixed(0)} KB)`);
+
+    const prompt = `
+Analiza este documento tributario chileno (factura, factura exenta, boleta, boleta de honorarios, recibo o nota de crédito) y extrae sus datos.
+
+RESPONDER SOLO EN FORMATO JSON:
+{
+  "document_type": "factura|factura_exenta|boleta|boleta_honorarios|recibo|nota_credito|otro",
+  "folio": "número de folio o documento",
+  "issue_date": "YYYY-MM-DD",
+  "due_date": "YYYY-MM-DD o null",
+  "currency": "CLP|UF|USD|EUR",
+  "issuer": {
+    "rut": "RUT del emisor (proveedor) con dígito verificador",
+    "legal_name": "razón social del emisor",
+    "commercial_name": "nombre de fantasía o null",
+    "address": "dirección o null",
+    "email": "correo o null",
+    "phone": "teléfono o null"
+  },
+  "receiver": {
+    "rut": "RUT del receptor",
+    "legal_name": "razón social del receptor"
+  },
+  "net_amount": número,
+  "exempt_amount": número,
+  "tax_amount": número,
+  "withholding_amount": número,
+  "total_amount": número,
+  "payment_method": "transferencia|cheque|efectivo|tarjeta|otro o null",
+  "line_items": [
+    {
+      "description": "descripción del ítem",
+      "quantity": número,
+      "unit_price": número,
+      "total": número
+    }
+  ],
+  "confidence_score": número_entre_0_y_100
+}
+
+INSTRUCCIONES CRÍTICAS:
+1. El emisor es quien vende o presta el servicio (el proveedor); no lo confundas con el receptor
+2. Montos como números sin separadores de miles ni símbolo de moneda (1.234.567 -> 1234567)
+3. tax_amount es el IVA; en boletas de honorarios withholding_amount es la retención y total_amount el líquido
+4. Usa null para los campos que no aparezcan en el documento; no inventes valores
+5. Fechas en formato YYYY-MM-DD
+
+DOCUMENTO: ${fileName}
+`;
+
+    const response = await anthropic.messages.create({
+      model: config.anthropic.model,
+      max_tokens: 4000,
+      temperature: 0,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          {
+            type: 'document',
+            source: {
+              type: 'base64',
+              media_type: 'application/pdf',
+              data: buffer.toString('base64')
+            }
+          }
+        ]
+      }]
+    });
+
+    const analysisText = response.content[0].text;
+    const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No se pudieron extraer datos estructurados del documento');
+    }
+
+    const invoice = JSON.parse(jsonMatch[0]);
+    console.log(`✅ Documento extraído: ${invoice.document_type || 'desconocido'} folio ${invoice.folio || '-'} (${invoice.line_items?.length || 0} ítems)`);
+
+    return {
+      invoice,
+      extraction_method: 'claude_vision_invoice',
+      confidence: invoice.confidence_score ?? null,
+      processing_time_ms: Date.now() - startTime,
+      usage: [extractUsage(response, config.anthropic.model)].filter(Boolean)
+    };
+  }
+
   /**
    * 🔥 ANÁLISIS DIRECTO CON CLAUDE VISION PARA PDFs COMPLETOS
    */
   static async analyzeWithClaudeVisionDirect(buffer, fileName, analysis, startTime) {
+    let usage = [];
+
     try {
       console.log('🤖 Analizando PDF completo con Claude Vision...');
       
@@ -140,6 +245,7 @@ DOCUMENTO: ${fileName}
         }]
       });
 
+      usage = [extractUsage(response, config.anthropic.model)].filter(Boolean);
       const analysisText = response.content[0].text;
       console.log(`✅ Claude Vision analizó PDF completo (${analysisText.length} caracteres)`);
 
@@ -163,7 +269,8 @@ DOCUMENTO: ${fileName}
               pdf_type: 'analyzed_complete',
               source: 'claude_vision_direct',
               metadata: parsedResult,
-              items_extracted: parsedResult.detailed_items?.length || 0
+              items_extracted: parsedResult.detailed_items?.length || 0,
+              usage
             };
           }
         }
@@ -183,7 +290,8 @@ DOCUMENTO: ${fileName}
             processing_time_ms: Date.now() - startTime,
             pdf_type: 'analyzed_text_only',
             source: 'claude_vision_fallback',
-            note: 'Análisis completo pero formato no estructurado'
+            note: 'Análisis completo pero formato no estructurado',
+            usage
           };
         }
         
@@ -192,6 +300,7 @@ DOCUMENTO: ${fileName}
       
     } catch (error) {
       console.error('❌ Error en análisis Claude Vision directo:', error);
+      error.usage = usage;
       throw error;
     }
   }
@@ -258,7 +367,8 @@ DOCUMENTO: ${fileName}
         pages_processed: images.length,
         batches_processed: totalBatches,
         successful_batches: successfulBatches,
-        detailed_results: allResults
+        detailed_results: allResults,
+        usage: allResults.map(result => result.usage).filter(Boolean)
       };
       
     } catch (error) {
@@ -396,6 +506,7 @@ CRÍTICO: Extrae TODOS los números, precios y cantidades con máxima precisión
       });
 
       const analysisText = response.content[0].text;
+      const usage = extractUsage(response, config.anthropic.model);
       
       // Intentar parsear JSON
       try {
@@ -405,7 +516,8 @@ CRÍTICO: Extrae TODOS los números, precios y cantidades con máxima precisión
           return {
             ...parsed,
             pages_in_batch: images.length,
-            start_page: startPage
+            start_page: startPage,
+            usage
           };
         }
       } catch (parseError) {
@@ -417,7 +529,8 @@ CRÍTICO: Extrae TODOS los números, precios y cantidades con máxima precisión
         extracted_text: analysisText,
         pages_in_batch: images.length,
         start_page: startPage,
-        parsing_error: true
+        parsing_error: true,
+        usage
       };
       
     } catch (error) {
@@ -0,0 +1,515 @@
+// src/services/recurringTemplateService.mjs
+// Reglas de recurrencia y generación programada de egresos/ingresos desde plantillas
+
+import * as RecurringTemplateModel from '../models/recurringTemplateModel.mjs';
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import { validateExpenseData } from './expenseValidationService.mjs';
+import { validateIncomeData } from './incomeValidationService.mjs';
+import { applyExchangeRate } from './exchangeRateService.mjs';
+import { applyTaxBreakdown } from '../utils/taxUtils.mjs';
+import { syncExpenseApproval } from './expenseApprovalService.mjs';
+import { recordAudit } from './auditService.mjs';
+import { getUsageAllowance, recordUsage } from '../middleware/usageMetricsMiddleware.mjs';
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+
+// Cada destino usa la misma validación y el mismo INSERT que POST /api/expenses y /api/incomes
+export const RECURRING_TARGETS = {
+  expense: {
+    typeField: 'expense_type_id',
+    validate: (data, organizationId) => validateExpenseData(data, data.expense_type_id, organizationId),
+    create: ExpenseDataModel.createExpense,
+    getById: ExpenseDataModel.getExpenseById,
+    // Mismo flujo de aprobación por monto que un egreso creado a mano
+    afterCreate: syncExpenseApproval
+  },
+  income: {
+    typeField: 'income_type_id',
+    validate: (data, organizationId) => validateIncomeData(data, data.income_type_id, organizationId),
+    create: IncomeDataModel.createIncome,
+    getById: IncomeDataModel.getIncomeById
+  }
+};
+
+// Campos que nunca se toman de template_data ni de los overrides
+const PROTECTED_FIELDS = ['id', 'organization_id', 'created_by', 'updated_by', 'recurring_template_id', 'paid_amount'];
+
+// Tope de iteraciones al recorrer la regla (evita bucles con reglas sin fin)
+const MAX_SCAN_OCCURRENCES = 1000;
+
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function isValidDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return formatDate(parseDate(value)) === value;
+}
+
+export function today() {
+  return formatDate(new Date());
+}
+
+/**
+ * Validar la regla de recurrencia
+ * @param {Object} rule - frequency, interval_count, day_of_month, day_of_week, start_date, end_date, max_occurrences, payment_due_days
+ * @returns {Array} Errores ({ field, message })
+ */
+export function validateRecurrenceRule(rule) {
+  const errors = [];
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    errors.push({ field: 'frequency', message: 'La frecuencia debe ser: weekly o monthly' });
+  }
+
+  const intervalCount = rule.interval_count ?? 1;
+  if (!Number.isInteger(Number(intervalCount)) || intervalCount < 1 || intervalCount > 12) {
+    errors.push({ field: 'interval_count', message: 'El intervalo debe ser un entero entre 1 y 12' });
+  }
+
+  if (rule.day_of_month !== undefined && rule.day_of_month !== null) {
+    const day = Number(rule.day_of_month);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      errors.push({ field: 'day_of_month', message: 'El día del mes debe estar entre 1 y 31' });
+    }
+  }
+
+  if (rule.day_of_week !== undefined && rule.day_of_week !== null) {
+    const day = Number(rule.day_of_week);
+    if (!Number.isInteger(day) || day < 1 || day > 7) {
+      errors.push({ field: 'day_of_week', message: 'El día de la semana debe estar entre 1 (lunes) y 7 (domingo)' });
+    }
+  }
+
+  if (rule.payment_due_days !== undefined && rule.payment_due_days !== null) {
+    const days = Number(rule.payment_due_days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      errors.push({ field: 'payment_due_days', message: 'Los días de pago deben estar entre 0 y 365' });
+    }
+  }
+
+  if (!isValidDateString(rule.start_date)) {
+    errors.push({ field: 'start_date', message: 'La fecha de inicio es requerida (YYYY-MM-DD)' });
+  }
+
+  if (rule.end_date !== undefined && rule.end_date !== null) {
+    if (!isValidDateString(rule.end_date)) {
+      errors.push({ field: 'end_date', message: 'La fecha de término debe tener formato YYYY-MM-DD' });
+    } else if (isValidDateString(rule.start_date) && rule.end_date < rule.start_date) {
+      errors.push({ field: 'end_date', message: 'La fecha de término no puede ser anterior a la de inicio' });
+    }
+  }
+
+  if (rule.max_occurrences !== undefined && rule.max_occurrences !== null) {
+    const count = Number(rule.max_occurrences);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push({ field: 'max_occurrences', message: 'La cantidad de ocurrencias debe ser un entero mayor a 0' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Recorrer las fechas de la regla en orden
+ * weekly: cada interval_count semanas en day_of_week (por defecto el día de start_date)
+ * monthly: cada interval_count meses en day_of_month (por defecto el de start_date), ajustado al último día del mes
+ * Se detiene en end_date o al completar max_occurrences
+ */
+function* iterateOccurrenceDates(template) {
+  const start = parseDate(template.start_date);
+  const end = template.end_date ? parseDate(template.end_date) : null;
+  const intervalCount = parseInt(template.interval_count) || 1;
+  const maxOccurrences = template.max_occurrences ? parseInt(template.max_occurrences) : null;
+
+  let first;
+  if (template.frequency === 'weekly') {
+    const startWeekday = ((start.getDay() + 6) % 7) + 1;
+    const dayOfWeek = parseInt(template.day_of_week) || startWeekday;
+    first = new Date(start.getFullYear(), start.getMonth(), start.getDate() + ((dayOfWeek - startWeekday + 7) % 7));
+  }
+
+  const dayOfMonth = parseInt(template.day_of_month) || start.getDate();
+  let index = 0;
+
+  for (let step = 0; step < MAX_SCAN_OCCURRENCES; step++) {
+    let date;
+    if (template.frequency === 'weekly') {
+      date = new Date(first.getFullYear(), first.getMonth(), first.getDate() + step * 7 * intervalCount);
+    } else {
+      const year = start.getFullYear();
+      const month = start.getMonth() + step * intervalCount;
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      date = new Date(year, month, Math.min(dayOfMonth, lastDay));
+      // El día elegido del primer mes puede quedar antes del inicio
+      if (date < start) continue;
+    }
+
+    if (end && date > end) return;
+    if (maxOccurrences !== null && index >= maxOccurrences) return;
+
+    yield { index: index + 1, date: formatDate(date) };
+    index++;
+  }
+}
+
+/**
+ * Fechas de la regla dentro de un rango
+ * @param {Object} template - Plantilla o regla
+ * @param {Object} options - from, to (YYYY-MM-DD, inclusive), limit
+ * @returns {Array<{ index: number, date: string }>}
+ */
+export function computeOccurrenceDates(template, { from = null, to = null, limit = null } = {}) {
+  const dates = [];
+
+  for (const occurrence of iterateOccurrenceDates(template)) {
+    if (to && occurrence.date > to) break;
+    if (from && occurrence.date < from) continue;
+
+    dates.push(occurrence);
+    if (limit && dates.length >= limit) break;
+  }
+
+  return dates;
+}
+
+/**
+ * Primera fecha de la regla posterior a `after` (o la primera de todas)
+ */
+export function getNextOccurrenceDate(template, after = null) {
+  for (const occurrence of iterateOccurrenceDates(template)) {
+    if (!after || occurrence.date > after) return occurrence.date;
+  }
+  return null;
+}
+
+/**
+ * Verificar que una fecha pertenezca a la regla
+ */
+export function isScheduledDate(template, date) {
+  return computeOccurrenceDates(template, { from: date, to: date }).length > 0;
+}
+
+function stripProtectedFields(data) {
+  const clean = { ...(data || {}) };
+  for (const field of PROTECTED_FIELDS) delete clean[field];
+  return clean;
+}
+
+/**
+ * Datos del registro para una fecha: template_data + overrides de la ocurrencia
+ * La fecha de pago esperada se deriva de payment_due_days si no viene explícita
+ */
+export function buildOccurrencePayload(template, scheduledDate, overrides = null) {
+  const payload = {
+    ...stripProtectedFields(template.template_data),
+    ...stripProtectedFields(overrides),
+    date: overrides?.date || scheduledDate
+  };
+
+  if (!payload.payment_date && template.payment_due_days !== null && template.payment_due_days !== undefined) {
+    const date = parseDate(payload.date);
+    date.setDate(date.getDate() + parseInt(template.payment_due_days));
+    payload.payment_date = formatDate(date);
+  }
+
+  return payload;
+}
+
+/**
+ * Validar los datos de la plantilla con el servicio de validación del destino
+ */
+export async function validateTemplatePayload(template, scheduledDate, overrides = null) {
+  const target = RECURRING_TARGETS[template.target];
+  const payload = buildOccurrencePayload(template, scheduledDate, overrides);
+
+  if (!payload[target.typeField]) {
+    return {
+      payload,
+      valid: false,
+      errors: [{ field: `template_data.${target.typeField}`, message: 'El tipo es requerido en los datos de la plantilla' }],
+      warnings: []
+    };
+  }
+
+  // Tipo de cambio vigente a la fecha de cada ocurrencia (salvo que la plantilla fije exchange_rate)
+  const currencyCheck = await applyExchangeRate(payload, template.organization_id);
+  // Retención de honorarios con la tasa del año de la ocurrencia
+  const taxCheck = applyTaxBreakdown(payload);
+  const validation = await target.validate(payload, template.organization_id);
+  const errors = [...currencyCheck.errors, ...taxCheck.errors, ...validation.errors];
+
+  return {
+    payload,
+    valid: errors.length === 0,
+    errors,
+    warnings: [...currencyCheck.warnings, ...taxCheck.warnings, ...validation.warnings]
+  };
+}
+
+/**
+ * Vista previa de las próximas ocurrencias con sus excepciones y resultados
+ * @param {Object} template - Plantilla
+ * @param {Object} options - from (por defecto hoy), count
+ */
+export async function previewOccurrences(template, { from = today(), count = 12 } = {}) {
+  const dates = computeOccurrenceDates(template, { from, limit: count });
+  const lastDate = dates.length > 0 ? dates[dates.length - 1].date : from;
+
+  const registered = await RecurringTemplateModel.getOccurrences(template.id, template.organization_id, {
+    date_from: from,
+    date_to: lastDate
+  });
+  const registeredByDate = new Map(registered.map(row => [row.scheduled_date, row]));
+
+  return dates.map(({ index, date }) => {
+    const occurrence = registeredByDate.get(date);
+    const status = occurrence?.status || 'scheduled';
+
+    return {
+      index,
+      scheduled_date: date,
+      status: status === 'pending' ? 'edited' : status,
+      overrides: occurrence?.overrides || null,
+      record_id: occurrence?.record_id || null,
+      error_message: occurrence?.error_message || null,
+      data: status === 'generated' ? null : buildOccurrencePayload(template, date, occurrence?.overrides)
+    };
+  });
+}
+
+/**
+ * Generar el registro de una ocurrencia usando la validación y el INSERT del destino
+ * La ocurrencia se reserva antes de crear el registro (claimOccurrence), así dos procesos
+ * nunca generan la misma fecha. Si la validación falla queda como 'failed' con el detalle del error.
+ * @returns {Object} { success, record_id, errors, warnings, already_generated?, in_progress? }
+ */
+export async function generateOccurrence(template, scheduledDate, { userId = null } = {}) {
+  const target = RECURRING_TARGETS[template.target];
+
+  const claimed = await RecurringTemplateModel.claimOccurrence(template.id, template.organization_id, scheduledDate, userId);
+  const existing = await RecurringTemplateModel.getOccurrence(template.id, template.organization_id, scheduledDate);
+
+  if (!claimed) {
+    if (existing?.status === 'generated') {
+      return { success: true, already_generated: true, record_id: existing.record_id, errors: [], warnings: [] };
+    }
+
+    return {
+      success: false,
+      in_progress: true,
+      record_id: null,
+      errors: [{ field: 'scheduled_date', message: 'La ocurrencia se está generando en otro proceso' }],
+      warnings: []
+    };
+  }
+
+  const overrides = existing?.overrides || null;
+  const markFailed = (errorMessage) => RecurringTemplateModel.upsertOccurrence({
+    template_id: template.id,
+    organization_id: template.organization_id,
+    scheduled_date: scheduledDate,
+    status: 'failed',
+    overrides,
+    error_message: errorMessage,
+    user_id: userId
+  });
+
+  let validation;
+  let recordId;
+  try {
+    validation = await validateTemplatePayload(template, scheduledDate, overrides);
+
+    if (!validation.valid) {
+      await markFailed(validation.errors.map(error => `${error.field}: ${error.message}`).join('; '));
+      return { success: false, record_id: null, errors: validation.errors, warnings: validation.warnings };
+    }
+
+    recordId = await target.create({
+      ...validation.payload,
+      organization_id: template.organization_id,
+      recurring_template_id: template.id,
+      created_by: userId || template.created_by
+    });
+  } catch (error) {
+    // Libera la reserva para un reintento
+    await markFailed(error.message);
+    throw error;
+  }
+
+  // Se marca generada antes de los pasos posteriores: el registro ya existe
+  await RecurringTemplateModel.upsertOccurrence({
+    template_id: template.id,
+    organization_id: template.organization_id,
+    scheduled_date: scheduledDate,
+    status: 'generated',
+    overrides,
+    record_id: recordId,
+    user_id: userId
+  });
+
+  // Sin request: se audita con el usuario que generó (o el creador de la plantilla)
+  await recordAudit({
+    organization_id: template.organization_id,
+    user_id: userId || template.created_by
+  }, {
+    entityType: template.target,
+    entityId: recordId,
+    action: 'create',
+    after: await target.getById(recordId, template.organization_id)
+  });
+
+  if (target.afterCreate) {
+    await target.afterCreate(recordId, template.organization_id, userId || template.created_by);
+  }
+
+  return { success: true, record_id: recordId, errors: [], warnings: validation.warnings };
+}
+
+/**
+ * Generar todas las ocurrencias vencidas de una plantilla hasta asOf y avanzar next_occurrence_date
+ * Las omitidas se saltan; las fallidas no detienen la plantilla (quedan para reintento manual)
+ * @param {Object} options - maxGenerations: transacciones disponibles en el plan; al agotarse la
+ *                           plantilla queda en la primera fecha sin generar
+ */
+export async function processTemplate(template, asOf = today(), { maxGenerations = Infinity } = {}) {
+  const summary = { template_id: template.id, generated: 0, skipped: 0, failed: 0, record_ids: [] };
+  let lastError = null;
+  let pendingDate = null;
+
+  const dueDates = computeOccurrenceDates(template, { from: template.next_occurrence_date, to: asOf });
+
+  for (const { date } of dueDates) {
+    if (summary.generated >= maxGenerations) {
+      pendingDate = date;
+      summary.limit_reached = true;
+      lastError = 'Límite de transacciones del plan alcanzado';
+      break;
+    }
+
+    const occurrence = await RecurringTemplateModel.getOccurrence(template.id, template.organization_id, date);
+
+    if (occurrence?.status === 'skipped') {
+      summary.skipped++;
+      continue;
+    }
+
+    if (occurrence?.status === 'generated') continue;
+
+    try {
+      const result = await generateOccurrence(template, date);
+      if (result.in_progress) continue;
+
+      if (result.success) {
+        summary.generated++;
+        summary.record_ids.push(result.record_id);
+      } else {
+        summary.failed++;
+        lastError = `${date}: ${result.errors.map(error => error.message).join('; ')}`;
+      }
+    } catch (error) {
+      // generateOccurrence ya dejó la ocurrencia como 'failed' (o 'generated' si el registro alcanzó a crearse)
+      summary.failed++;
+      lastError = `${date}: ${error.message}`;
+    }
+  }
+
+  const nextDate = pendingDate || getNextOccurrenceDate(template, asOf);
+
+  await RecurringTemplateModel.updateTemplateProgress(template.id, {
+    next_occurrence_date: nextDate,
+    status: nextDate ? template.status : 'finished',
+    generated: summary.generated,
+    last_error: lastError
+  });
+
+  return { ...summary, next_occurrence_date: nextDate };
+}
+
+/**
+ * Procesar las plantillas activas con ocurrencias vencidas
+ * Lo generado cuenta como transacciones del plan (cash-flow): en una request se descuenta del usuario
+ * que la hace (maxGenerations), en la ejecución programada del creador de cada plantilla (meterCreators).
+ * @param {Object} options - asOf (YYYY-MM-DD), organizationId (null = todas, solo para el scheduler),
+ *                           maxGenerations, meterCreators
+ */
+export async function runDueTemplates({ asOf = today(), organizationId = null, maxGenerations = Infinity, meterCreators = false } = {}) {
+  const templates = await RecurringTemplateModel.getDueTemplates(asOf, organizationId);
+  const results = [];
+  let generated = 0;
+
+  for (const template of templates) {
+    try {
+      let allowance = maxGenerations - generated;
+      if (meterCreators) {
+        allowance = Math.min(allowance, await getUsageAllowance(template.created_by, 'cash-flow', 'transactions'));
+      }
+
+      const result = await processTemplate(template, asOf, { maxGenerations: allowance });
+      generated += result.generated;
+
+      if (meterCreators) {
+        await recordUsage(template.created_by, 'cash-flow', 'transactions', result.generated);
+      }
+
+      results.push(result);
+    } catch (error) {
+      console.error(`❌ Error procesando plantilla recurrente ${template.id}:`, error.message);
+      results.push({ template_id: template.id, generated: 0, skipped: 0, failed: 0, error: error.message });
+    }
+  }
+
+  return {
+    as_of: asOf,
+    templates: results.length,
+    generated: results.reduce((sum, result) => sum + result.generated, 0),
+    skipped: results.reduce((sum, result) => sum + result.skipped, 0),
+    failed: results.reduce((sum, result) => sum + result.failed, 0),
+    results
+  };
+}
+
+let schedulerInterval = null;
+let schedulerRunning = false;
+
+/**
+ * Iniciar la generación programada (al arrancar y luego cada hora)
+ */
+export function startRecurringScheduler() {
+  if (schedulerInterval || process.env.RECURRING_SCHEDULER_ENABLED === 'false') return;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+      const summary = await runDueTemplates({ meterCreators: true });
+      if (summary.templates > 0) {
+        console.log(`🔁 Plantillas recurrentes: ${summary.generated} generadas, ${summary.skipped} omitidas, ${summary.failed} con error`);
+      }
+    } catch (error) {
+      console.error('❌ Error en generación de plantillas recurrentes:', error.message);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  tick();
+  schedulerInterval = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  console.log('🔁 Generación de plantillas recurrentes programada (cada 60 minutos)');
+}
@@ -0,0 +1,736 @@
+// src/services/spreadsheetImportService.mjs
+// Importación de egresos/ingresos desde planillas CSV o XLSX:
+// lectura del archivo, detección de columnas, resolución de nombres a IDs y validación por fila
+
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { getAllExpenseTypes } from '../models/expenseTypeModel.mjs';
+import { getCategoriesByType as getExpenseCategoriesByType } from '../models/expenseCategoryModel.mjs';
+import { getStatusesByType as getExpenseStatusesByType } from '../models/expenseStatusModel.mjs';
+import { getAllIncomeTypes } from '../models/incomeTypeModel.mjs';
+import { getCategoriesByType as getIncomeCategoriesByType } from '../models/incomeCategoryModel.mjs';
+import { getStatusesByType as getIncomeStatusesByType } from '../models/incomeStatusModel.mjs';
+import { getAllCostCenters } from '../models/costCenterModel.mjs';
+import { getAllSuppliers, getSupplierByTaxId } from '../models/supplierModel.mjs';
+import { getAllClients, getClientByTaxId } from '../models/clientModel.mjs';
+import { validateExpenseData } from './expenseValidationService.mjs';
+import { validateIncomeData } from './incomeValidationService.mjs';
+import { isValidRut } from '../utils/rutUtils.mjs';
+import { normalizeCurrency, SUPPORTED_CURRENCIES } from '../utils/currencyUtils.mjs';
+import { normalizeTaxTreatment, TAX_TREATMENTS } from '../utils/taxUtils.mjs';
+
+const MAX_IMPORT_ROWS = 2000;
+
+const PAYMENT_METHODS = ['transferencia', 'cheque', 'efectivo', 'tarjeta', 'otro'];
+const PAYMENT_STATUSES = ['pendiente', 'parcial', 'pagado', 'anulado'];
+
+// Alias de encabezados comunes (normalizados: minúsculas, sin tildes ni símbolos)
+const COMMON_FIELD_ALIASES = {
+  name: ['nombre', 'glosa', 'concepto', 'detalle', 'item'],
+  description: ['descripcion', 'descripcion larga'],
+  notes: ['notas', 'nota', 'observaciones', 'observacion', 'comentarios'],
+  date: ['fecha', 'fecha documento', 'fecha emision', 'fecha de emision', 'fecha contable', 'fecha movimiento'],
+  category: ['categoria', 'categoria nombre'],
+  status: ['estado', 'estado documento'],
+  cost_center: ['centro de costo', 'centro costo', 'centro de costos', 'cc', 'proyecto', 'obra', 'codigo centro de costo'],
+  amount: ['monto', 'valor', 'importe', 'monto bruto'],
+  tax_amount: ['iva', 'impuesto', 'impuestos', 'monto iva'],
+  net_amount: ['neto', 'monto neto', 'valor neto'],
+  total_amount: ['total', 'monto total', 'valor total'],
+  tax_treatment: ['tratamiento iva', 'afecto exento', 'tipo iva', 'tipo documento tributario'],
+  withholding_amount: ['retencion', 'monto retencion', 'retencion honorarios', 'impuesto retenido'],
+  payment_date: ['fecha pago', 'fecha de pago'],
+  reference_number: ['referencia', 'n referencia', 'numero referencia', 'numero de referencia', 'n operacion', 'numero operacion'],
+  payment_method: ['metodo pago', 'metodo de pago', 'medio de pago', 'medio pago', 'forma de pago', 'forma pago'],
+  payment_status: ['estado pago', 'estado de pago'],
+  currency: ['moneda', 'divisa'],
+  exchange_rate: ['tipo de cambio', 'tipo cambio', 'tasa de cambio'],
+  invoice_number: ['factura', 'n factura', 'numero factura', 'numero de factura', 'folio', 'n documento', 'numero documento']
+};
+
+/**
+ * Configuración por tipo de importación
+ */
+const IMPORT_TARGETS = {
+  expense: {
+    label: 'egreso',
+    typeField: 'expense_type_id',
+    partyField: 'supplier_id',
+    bulkKey: 'expenses',
+    aliases: {
+      ...COMMON_FIELD_ALIASES,
+      type: ['tipo', 'tipo egreso', 'tipo de egreso', 'tipo gasto', 'tipo de gasto'],
+      party: ['proveedor', 'rut proveedor', 'razon social proveedor', 'nombre proveedor'],
+      amount: [...COMMON_FIELD_ALIASES.amount, 'cargo', 'cargos', 'gasto']
+    },
+    getTypes: getAllExpenseTypes,
+    getCategories: getExpenseCategoriesByType,
+    getStatuses: getExpenseStatusesByType,
+    getPartyByTaxId: getSupplierByTaxId,
+    searchParties: getAllSuppliers,
+    partyLabel: 'Proveedor',
+    validate: validateExpenseData
+  },
+  income: {
+    label: 'ingreso',
+    typeField: 'income_type_id',
+    partyField: 'client_id',
+    bulkKey: 'incomes',
+    aliases: {
+      ...COMMON_FIELD_ALIASES,
+      type: ['tipo', 'tipo ingreso', 'tipo de ingreso'],
+      party: ['cliente', 'rut cliente', 'razon social cliente', 'nombre cliente'],
+      amount: [...COMMON_FIELD_ALIASES.amount, 'abono', 'abonos', 'deposito']
+    },
+    getTypes: getAllIncomeTypes,
+    getCategories: getIncomeCategoriesByType,
+    getStatuses: getIncomeStatusesByType,
+    getPartyByTaxId: getClientByTaxId,
+    searchParties: getAllClients,
+    partyLabel: 'Cliente',
+    validate: validateIncomeData
+  }
+};
+
+// Campos de la tabla que pueden venir directamente como columna
+const DIRECT_FIELDS = [
+  'name', 'description', 'notes', 'date', 'amount', 'tax_amount', 'net_amount', 'total_amount',
+  'tax_treatment', 'withholding_amount', 'payment_date', 'reference_number', 'payment_method', 'payment_status', 'currency',
+  'exchange_rate', 'invoice_number', 'category_id', 'status_id', 'cost_center_id'
+];
+
+// Campos que se resuelven desde un nombre/código a un ID
+const REFERENCE_FIELDS = ['type', 'category', 'status', 'cost_center', 'party'];
+
+const DATE_FIELDS = ['date', 'payment_date'];
+const AMOUNT_FIELDS = ['amount', 'tax_amount', 'net_amount', 'total_amount', 'withholding_amount', 'exchange_rate'];
+
+/**
+ * Normalizar texto para comparar encabezados y nombres
+ */
+function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Campos de destino válidos para un tipo de importación
+ */
+function getTargetFields(target) {
+  const config = IMPORT_TARGETS[target];
+  return [...DIRECT_FIELDS, config.typeField, config.partyField, ...REFERENCE_FIELDS];
+}
+
+// ============================================
+// LECTURA DE ARCHIVOS
+// ============================================
+
+/**
+ * Detectar el separador de un CSV (coma, punto y coma o tabulación)
+ */
+function detectDelimiter(firstLine) {
+  const candidates = [';', ',', '\t'];
+  let best = ',';
+  let bestCount = 0;
+
+  for (const candidate of candidates) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Parsear texto CSV (soporta comillas, comillas escapadas y saltos de línea dentro de celdas)
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Obtener el valor plano de una celda de ExcelJS
+ */
+function getCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if (value.result !== undefined) return getCellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+  return null;
+}
+
+function isEmptyRow(row) {
+  return !row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+}
+
+/**
+ * Leer la primera hoja de un XLSX en streaming (el libro comprimido nunca se carga completo)
+ * @param {number} maxRows - Filas de datos a leer; se detiene al pasar este máximo (null = sin límite)
+ */
+async function parseXlsx(buffer, maxRows = null) {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    entries: 'ignore'
+  });
+
+  const rows = [];
+  let sheetName = null;
+  // Encabezado + maxRows + 1 fila para que el llamador detecte el exceso
+  const rowLimit = maxRows !== null ? maxRows + 2 : Infinity;
+
+  for await (const worksheet of reader) {
+    sheetName = worksheet.name || null;
+
+    for await (const row of worksheet) {
+      // row.values es 1-indexado
+      const values = (row.values || []).slice(1).map(getCellValue);
+      if (isEmptyRow(values)) continue;
+
+      rows.push(values);
+      if (rows.length >= rowLimit) break;
+    }
+
+    // Solo la primera hoja
+    break;
+  }
+
+  return { rows, sheetName };
+}
+
+/**
+ * Leer una planilla CSV o XLSX y devolver encabezados y filas
+ * @param {Object} file - Archivo recibido por multer (buffer, originalname)
+ * @param {Object} options - maxRows: en XLSX se deja de leer al superar este número de filas de datos
+ *                           (rows trae como máximo maxRows + 1)
+ * @returns {Promise<{format: string, sheetName: string|null, headers: string[], rows: Array[]}>}
+ */
+export async function parseSpreadsheet(file, { maxRows = null } = {}) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  let format;
+  let sheetName = null;
+  let rawRows;
+
+  if (extension === '.xlsx') {
+    format = 'xlsx';
+    ({ rows: rawRows, sheetName } = await parseXlsx(file.buffer, maxRows));
+  } else {
+    format = 'csv';
+    rawRows = parseCsv(file.buffer.toString('utf8'));
+  }
+
+  // Descartar filas completamente vacías
+  const nonEmptyRows = rawRows.filter(row => !isEmptyRow(row));
+
+  if (nonEmptyRows.length === 0) {
+    return { format, sheetName, headers: [], rows: [] };
+  }
+
+  const headers = nonEmptyRows[0].map(header => String(header ?? '').trim());
+  return { format, sheetName, headers, rows: nonEmptyRows.slice(1) };
+}
+
+// ============================================
+// MAPEO DE COLUMNAS
+// ============================================
+
+/**
+ * Detectar automáticamente qué campo corresponde a cada encabezado
+ * @param {string[]} headers - Encabezados de la planilla
+ * @param {string} target - 'expense' | 'income'
+ * @returns {Object} { [encabezado]: campo }
+ */
+export function detectColumnMapping(headers, target) {
+  const config = IMPORT_TARGETS[target];
+  const targetFields = getTargetFields(target);
+  const mapping = {};
+  const usedFields = new Set();
+
+  for (const header of headers) {
+    if (!header) continue;
+    const normalized = normalizeText(header);
+    const asFieldName = normalized.replace(/ /g, '_');
+
+    // Coincidencia exacta con el nombre del campo (ej: "cost_center_id")
+    let field = targetFields.includes(asFieldName) ? asFieldName : null;
+
+    if (!field) {
+      field = Object.keys(config.aliases).find(candidate =>
+        config.aliases[candidate].includes(normalized)
+      ) || null;
+    }
+
+    if (field && !usedFields.has(field)) {
+      mapping[header] = field;
+      usedFields.add(field);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Combinar el mapeo detectado con el enviado por el usuario (el del usuario tiene prioridad)
+ * Un valor vacío o null en el mapeo del usuario ignora la columna
+ */
+function mergeMapping(detected, override, target) {
+  if (!override) return { mapping: detected, errors: [] };
+
+  const targetFields = getTargetFields(target);
+  const mapping = { ...detected };
+  const errors = [];
+
+  for (const [header, field] of Object.entries(override)) {
+    if (!field) {
+      delete mapping[header];
+      continue;
+    }
+    if (!targetFields.includes(field)) {
+      errors.push({ field: header, message: `Campo de destino inválido: ${field}` });
+      continue;
+    }
+    // Un campo solo puede venir de una columna
+    for (const [otherHeader, otherField] of Object.entries(mapping)) {
+      if (otherField === field && otherHeader !== header) delete mapping[otherHeader];
+    }
+    mapping[header] = field;
+  }
+
+  return { mapping, errors };
+}
+
+// ============================================
+// CONVERSIÓN DE VALORES
+// ============================================
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Convertir fecha de planilla a YYYY-MM-DD
+ * Acepta Date, serial de Excel, DD-MM-YYYY, DD/MM/YYYY y YYYY-MM-DD
+ */
+export function parseDateValue(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+  }
+
+  if (typeof value === 'number') {
+    // Serial de Excel (días desde 1899-12-30)
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000);
+    return parseDateValue(date);
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    return isValidDateParts(match[1], match[2], match[3]) ? `${match[1]}-${pad(match[2])}-${pad(match[3])}` : null;
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return isValidDateParts(year, match[2], match[1]) ? `${year}-${pad(match[2])}-${pad(match[1])}` : null;
+  }
+
+  return null;
+}
+
+function isValidDateParts(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === Number(day);
+}
+
+/**
+ * Convertir monto de planilla a número
+ * Soporta formato chileno ("$ 1.234.567", "1.234,50") y anglosajón ("1,234.50")
+ */
+export function parseAmountValue(value) {
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/[$\s]/g, '').replace(/CLP|UF|USD|EUR/gi, '');
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  text = text.replace(/[()-]/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // El último separador es el decimal
+    text = lastComma > lastDot
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    text = /,\d{1,2}$/.test(text) && text.split(',').length === 2
+      ? text.replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (lastDot > -1) {
+    // "1.234" o "1.234.567" son miles; "1234.5" es decimal
+    if (text.split('.').length > 2 || /\.\d{3}$/.test(text)) {
+      text = text.replace(/\./g, '');
+    }
+  }
+
+  const number = parseFloat(text);
+  if (isNaN(number)) return undefined;
+  return negative ? -number : number;
+}
+
+/**
+ * Buscar un valor de enum aceptando mayúsculas, tildes y prefijos ("Transferencia electrónica")
+ */
+function matchEnumValue(value, options) {
+  const normalized = normalizeText(value);
+  if (!normalized) return null;
+  return options.find(option => normalized === option || normalized.startsWith(option)) || undefined;
+}
+
+// ============================================
+// RESOLUCIÓN DE REFERENCIAS
+// ============================================
+
+/**
+ * Crear un resolvedor con caché de catálogos para una importación
+ */
+function createReferenceResolver(target, organizationId) {
+  const config = IMPORT_TARGETS[target];
+  const cache = {
+    types: null,
+    costCenters: null,
+    categories: new Map(),
+    statuses: new Map(),
+    parties: new Map()
+  };
+
+  function findByIdOrName(list, value, extraKeys = []) {
+    const normalized = normalizeText(value);
+    if (/^\d+$/.test(String(value).trim())) {
+      const byId = list.find(item => String(item.id) === String(value).trim());
+      if (byId) return byId;
+    }
+    return list.find(item =>
+      normalizeText(item.name) === normalized ||
+      extraKeys.some(key => item[key] && normalizeText(item[key]) === normalized)
+    ) || null;
+  }
+
+  return {
+    async type(value) {
+      if (!cache.types) cache.types = await config.getTypes(organizationId);
+      return findByIdOrName(cache.types, value);
+    },
+
+    async category(typeId, value) {
+      if (!cache.categories.has(typeId)) {
+        cache.categories.set(typeId, await config.getCategories(typeId, organizationId));
+      }
+      return findByIdOrName(cache.categories.get(typeId), value);
+    },
+
+    async status(typeId, value) {
+      if (!cache.statuses.has(typeId)) {
+        cache.statuses.set(typeId, await config.getStatuses(typeId, organizationId));
+      }
+      return findByIdOrName(cache.statuses.get(typeId), value);
+    },
+
+    async costCenter(value) {
+      if (!cache.costCenters) cache.costCenters = await getAllCostCenters(organizationId);
+      return findByIdOrName(cache.costCenters, value, ['code']);
+    },
+
+    // Proveedor o cliente por RUT o razón social
+    async party(value) {
+      const key = normalizeText(value);
+      if (cache.parties.has(key)) return cache.parties.get(key);
+
+      let party = null;
+      if (isValidRut(value)) {
+        party = await config.getPartyByTaxId(value, organizationId);
+      } else {
+        const matches = await config.searchParties({ organization_id: organizationId, search: String(value).trim(), limit: 10 });
+        party = matches.find(item =>
+          normalizeText(item.legal_name) === key || normalizeText(item.commercial_name) === key
+        ) || null;
+      }
+
+      cache.parties.set(key, party);
+      return party;
+    }
+  };
+}
+
+/**
+ * Convertir una fila de la planilla en un registro listo para el endpoint bulk
+ */
+async function buildRecordFromRow(cells, headers, mapping, target, resolver, defaults) {
+  const config = IMPORT_TARGETS[target];
+  const errors = [];
+  const raw = {};
+
+  headers.forEach((header, index) => {
+    const field = mapping[header];
+    if (!field) return;
+    const value = cells[index];
+    if (value === null || value === undefined || String(value).trim() === '') return;
+    raw[field] = value;
+  });
+
+  const record = {};
+
+  for (const field of DIRECT_FIELDS) {
+    if (raw[field] === undefined) continue;
+    const value = raw[field];
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = parseDateValue(value);
+      if (!date) {
+        errors.push({ field, message: `Fecha inválida: ${value}` });
+      } else {
+        record[field] = date;
+      }
+    } else if (AMOUNT_FIELDS.includes(field)) {
+      const amount = parseAmountValue(value);
+      if (amount === undefined) {
+        errors.push({ field, message: `Monto inválido: ${value}` });
+      } else if (amount !== null) {
+        record[field] = amount;
+      }
+    } else if (field === 'payment_method' || field === 'payment_status') {
+      const options = field === 'payment_method' ? PAYMENT_METHODS : PAYMENT_STATUSES;
+      const match = matchEnumValue(value, options);
+      if (match === undefined) {
+        errors.push({ field, message: `Valor no reconocido: ${value} (${options.join(', ')})` });
+      } else if (match) {
+        record[field] = match;
+      }
+    } else if (field === 'currency') {
+      const currency = normalizeCurrency(value);
+      if (!currency) {
+        errors.push({ field, message: `Moneda no soportada: ${value} (${SUPPORTED_CURRENCIES.join(', ')})` });
+      } else {
+        record[field] = currency;
+      }
+    } else if (field === 'tax_treatment') {
+      const treatment = normalizeTaxTreatment(value);
+      if (!treatment) {
+        errors.push({ field, message: `Tratamiento tributario no reconocido: ${value} (${TAX_TREATMENTS.join(', ')})` });
+      } else {
+        record[field] = treatment;
+      }
+    } else if (value instanceof Date) {
+      record[field] = parseDateValue(value);
+    } else {
+      record[field] = String(value).trim();
+    }
+  }
+
+  // Tipo: columna con ID, columna con nombre o valor por defecto
+  let typeId = raw[config.typeField] || null;
+  if (!typeId && raw.type) {
+    const type = await resolver.type(raw.type);
+    if (type) {
+      typeId = type.id;
+    } else {
+      errors.push({ field: config.typeField, message: `Tipo de ${config.label} no encontrado: ${raw.type}` });
+    }
+  }
+  typeId = typeId || defaults[config.typeField] || null;
+
+  if (!typeId) {
+    errors.push({ field: config.typeField, message: `El tipo de ${config.label} es requerido` });
+  }
+  record[config.typeField] = typeId ? parseInt(typeId) : null;
+
+  if (typeId && raw.category && !record.category_id) {
+    const category = await resolver.category(typeId, raw.category);
+    if (category) {
+      record.category_id = category.id;
+    } else {
+      errors.push({ field: 'category_id', message: `Categoría no encontrada: ${raw.category}` });
+    }
+  }
+
+  if (typeId && raw.status && !record.status_id) {
+    const status = await resolver.status(typeId, raw.status);
+    if (status) {
+      record.status_id = status.id;
+    } else {
+      errors.push({ field: 'status_id', message: `Estado no encontrado: ${raw.status}` });
+    }
+  }
+
+  if (raw.cost_center && !record.cost_center_id) {
+    const costCenter = await resolver.costCenter(raw.cost_center);
+    if (costCenter) {
+      record.cost_center_id = costCenter.id;
+    } else {
+      errors.push({ field: 'cost_center_id', message: `Centro de costo no encontrado: ${raw.cost_center}` });
+    }
+  }
+  if (!record.cost_center_id && defaults.cost_center_id) {
+    record.cost_center_id = defaults.cost_center_id;
+  }
+
+  if (raw[config.partyField]) {
+    record[config.partyField] = String(raw[config.partyField]).trim();
+  } else if (raw.party) {
+    const party = await resolver.party(raw.party);
+    if (party) {
+      record[config.partyField] = party.id;
+    } else {
+      errors.push({ field: config.partyField, message: `${config.partyLabel} no encontrado: ${raw.party}` });
+    }
+  }
+
+  return { record, errors };
+}
+
+// ============================================
+// PREVISUALIZACIÓN
+// ============================================
+
+/**
+ * Generar la previsualización de una importación
+ * @param {Object} params
+ * @param {Object} params.file - Archivo recibido por multer
+ * @param {string} params.target - 'expense' | 'income'
+ * @param {string} params.organizationId - ID de la organización
+ * @param {Object} params.mapping - Mapeo manual { encabezado: campo } (opcional)
+ * @param {Object} params.defaults - Valores por defecto (tipo, centro de costo)
+ */
+export async function buildImportPreview({ file, target, organizationId, mapping: mappingOverride = null, defaults = {} }) {
+  const config = IMPORT_TARGETS[target];
+  if (!config) {
+    throw new Error(`Tipo de importación no soportado: ${target}`);
+  }
+
+  const { format, sheetName, headers, rows } = await parseSpreadsheet(file, { maxRows: MAX_IMPORT_ROWS });
+
+  if (headers.length === 0) {
+    const error = new Error('La planilla está vacía o no tiene encabezados');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`La planilla supera el máximo de ${MAX_IMPORT_ROWS} filas por importación`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const detectedMapping = detectColumnMapping(headers, target);
+  const { mapping, errors: mappingErrors } = mergeMapping(detectedMapping, mappingOverride, target);
+  const resolver = createReferenceResolver(target, organizationId);
+
+  const previewRows = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const { record, errors } = await buildRecordFromRow(rows[i], headers, mapping, target, resolver, defaults);
+    let warnings = [];
+
+    // Validar según configuración del tipo (solo si el tipo se resolvió)
+    if (record[config.typeField]) {
+      const validation = await config.validate(record, record[config.typeField], organizationId);
+      errors.push(...validation.errors.filter(error =>
+        !errors.some(existing => existing.field === error.field)
+      ));
+      warnings = validation.warnings;
+    }
+
+    previewRows.push({
+      row: i + 2, // +2 porque la primera fila es el encabezado
+      data: record,
+      valid: errors.length === 0,
+      errors,
+      warnings
+    });
+  }
+
+  const validRecords = previewRows.filter(row => row.valid).map(row => row.data);
+
+  return {
+    file: {
+      name: file.originalname,
+      format,
+      sheet: sheetName,
+      total_rows: rows.length
+    },
+    headers,
+    detected_mapping: detectedMapping,
+    mapping,
+    mapping_errors: mappingErrors,
+    unmapped_headers: headers.filter(header => header && !mapping[header]),
+    available_fields: getTargetFields(target),
+    rows: previewRows,
+    summary: {
+      total: previewRows.length,
+      valid: validRecords.length,
+      invalid: previewRows.length - validRecords.length
+    },
+    // Cuerpo listo para POST /api/expenses/bulk o /api/incomes/bulk
+    bulk_payload: {
+      [config.bulkKey]: validRecords
+    }
+  };
+}
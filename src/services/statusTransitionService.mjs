@@ -0,0 +1,241 @@
+// src/services/statusTransitionService.mjs
+// Transiciones de estado permitidas por tipo, campos obligatorios por estado y bloqueo de estados finales
+
+import * as StatusTransitionModel from '../models/statusTransitionModel.mjs';
+import * as ExpenseStatusModel from '../models/expenseStatusModel.mjs';
+import * as IncomeStatusModel from '../models/incomeStatusModel.mjs';
+
+// Cada lado usa sus propios estados
+const STATUS_TARGETS = {
+  expense: {
+    getStatusById: ExpenseStatusModel.getStatusById,
+    getStatusesByType: ExpenseStatusModel.getStatusesByType,
+    typeField: 'expense_type_id',
+    label: 'egreso'
+  },
+  income: {
+    getStatusById: IncomeStatusModel.getStatusById,
+    getStatusesByType: IncomeStatusModel.getStatusesByType,
+    typeField: 'income_type_id',
+    label: 'ingreso'
+  }
+};
+
+const COMMON_REQUIRED_FIELDS = [
+  'description',
+  'notes',
+  'date',
+  'cost_center_id',
+  'amount',
+  'category_id',
+  'payment_date',
+  'reference_number',
+  'tax_amount',
+  'net_amount',
+  'total_amount',
+  'tax_treatment',
+  'payment_method',
+  'payment_status',
+  'currency',
+  'exchange_rate',
+  'invoice_number'
+];
+
+// Campos que un estado puede exigir al entrar
+export const STATUS_REQUIRED_FIELDS = {
+  expense: [...COMMON_REQUIRED_FIELDS, 'supplier_id'],
+  income: [...COMMON_REQUIRED_FIELDS, 'client_id']
+};
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Leer required_fields de un estado (columna JSON)
+ */
+export function parseRequiredFields(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Validar la lista de campos obligatorios de un estado
+ * @param {string} target - 'expense' | 'income'
+ * @returns {{ errors: Array, fields: Array<string>|null }}
+ */
+export function normalizeRequiredFields(target, value) {
+  const errors = [];
+  if (isEmptyValue(value)) return { errors, fields: null };
+
+  const fields = typeof value === 'string' ? parseRequiredFields(value) : value;
+  if (!Array.isArray(fields)) {
+    errors.push({ field: 'required_fields', message: 'required_fields debe ser una lista de campos' });
+    return { errors, fields: null };
+  }
+
+  const allowed = STATUS_REQUIRED_FIELDS[target];
+  const invalid = fields.filter(field => !allowed.includes(field));
+  if (invalid.length > 0) {
+    errors.push({
+      field: 'required_fields',
+      message: `Campos no válidos: ${invalid.join(', ')}. Permitidos: ${allowed.join(', ')}`
+    });
+  }
+
+  const unique = [...new Set(fields)];
+  return { errors, fields: unique.length > 0 ? unique : null };
+}
+
+/**
+ * Validar un grafo de transiciones para un tipo
+ * @param {Array<{from_status_id: number|null, to_status_id: number}>} transitions
+ * @returns {Promise<{ errors: Array, transitions: Array }>}
+ */
+export async function validateTransitionsInput(target, typeId, organizationId, transitions) {
+  const errors = [];
+
+  if (!Array.isArray(transitions)) {
+    errors.push({ field: 'transitions', message: 'Se requiere un array de transiciones' });
+    return { errors, transitions: [] };
+  }
+
+  const statuses = await STATUS_TARGETS[target].getStatusesByType(typeId, organizationId, true);
+  const statusIds = new Set(statuses.map(status => String(status.id)));
+  const seen = new Set();
+  const normalized = [];
+
+  transitions.forEach((transition, index) => {
+    const from = isEmptyValue(transition?.from_status_id) ? null : String(transition.from_status_id);
+    const to = isEmptyValue(transition?.to_status_id) ? null : String(transition.to_status_id);
+
+    if (!to || !statusIds.has(to)) {
+      errors.push({ field: `transitions[${index}].to_status_id`, message: 'Estado de destino no encontrado en este tipo' });
+      return;
+    }
+    if (from !== null && !statusIds.has(from)) {
+      errors.push({ field: `transitions[${index}].from_status_id`, message: 'Estado de origen no encontrado en este tipo' });
+      return;
+    }
+    if (from === to) {
+      errors.push({ field: `transitions[${index}]`, message: 'Una transición debe cambiar de estado' });
+      return;
+    }
+
+    const key = `${from}>${to}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    normalized.push({ from_status_id: from === null ? null : parseInt(from), to_status_id: parseInt(to) });
+  });
+
+  return { errors, transitions: normalized };
+}
+
+/**
+ * Verificar el estado de un egreso/ingreso al crear o actualizar
+ * - El estado debe pertenecer al tipo
+ * - Si el tipo tiene transiciones definidas, el cambio debe estar permitido
+ *   (al crear: transiciones desde NULL, si hay alguna definida)
+ * - Al entrar a un estado se exigen sus required_fields (si se mantiene el estado, solo advertencia)
+ * - Un registro con estado no puede quedar sin estado (se saltaría el grafo de transiciones)
+ * @param {string} target - 'expense' | 'income'
+ * @param {Object} options - existing: registro actual (en updates)
+ * @returns {Promise<{ errors: Array, warnings: Array }>}
+ */
+export async function checkStatusTransition(target, data, typeId, organizationId, { existing = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const config = STATUS_TARGETS[target];
+
+  if (!data.status_id) {
+    if (existing?.status_id) {
+      errors.push({ field: 'status_id', message: `No se puede quitar el estado de un ${config.label}` });
+    }
+    return { errors, warnings };
+  }
+  const status = await config.getStatusById(data.status_id, organizationId);
+
+  if (!status || String(status[config.typeField]) !== String(typeId)) {
+    errors.push({ field: 'status_id', message: 'El estado no pertenece a este tipo' });
+    return { errors, warnings };
+  }
+
+  const fromStatusId = existing?.status_id || null;
+  const entering = !fromStatusId || String(fromStatusId) !== String(data.status_id);
+
+  if (entering) {
+    const transitions = await StatusTransitionModel.getTransitionsByType(target, typeId, organizationId);
+
+    if (transitions.length > 0) {
+      const candidates = transitions.filter(transition => fromStatusId
+        ? String(transition.from_status_id) === String(fromStatusId)
+        : transition.from_status_id === null);
+      const allowed = candidates.some(transition => String(transition.to_status_id) === String(data.status_id));
+
+      // Sin estados iniciales definidos, un registro nuevo puede partir en cualquier estado
+      if (!allowed && (fromStatusId || candidates.length > 0)) {
+        const options = candidates.map(transition => transition.to_status_name).join(', ') || 'ninguno';
+        errors.push({
+          field: 'status_id',
+          message: fromStatusId
+            ? `No se permite pasar de "${existing.status_name || fromStatusId}" a "${status.name}". Estados permitidos: ${options}`
+            : `"${status.name}" no es un estado inicial permitido. Estados iniciales: ${options}`
+        });
+      }
+    }
+  }
+
+  for (const field of parseRequiredFields(status.required_fields)) {
+    if (isEmptyValue(data[field])) {
+      (entering ? errors : warnings).push({
+        field,
+        message: `El campo ${field} es requerido en el estado "${status.name}"`
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Bloqueo de registros en estado final
+ * Solo un administrador puede sacarlos del estado final (reapertura), y solo por una transición permitida,
+ * o enviarlos a la papelera.
+ * @param {string} target - 'expense' | 'income'
+ * @param {Object} existing - Registro actual
+ * @param {Object} data - Datos a guardar
+ * @param {Object} user - Usuario que edita (req.user)
+ * @param {Object} options - deleting: el registro se envía a la papelera
+ * @returns {Promise<{ error: string, status: number }|null>}
+ */
+export async function checkRecordLock(target, existing, data, organizationId, user, { deleting = false } = {}) {
+  if (!existing?.status_id) return null;
+
+  const config = STATUS_TARGETS[target];
+  const status = await config.getStatusById(existing.status_id, organizationId);
+  if (!status?.is_final) return null;
+
+  if (deleting) {
+    return user?.role === 'admin' ? null : {
+      error: `Solo un administrador puede eliminar un ${config.label} en estado final ("${status.name}")`,
+      status: 409
+    };
+  }
+
+  const reopening = data.status_id && String(data.status_id) !== String(existing.status_id);
+  if (reopening && user?.role === 'admin') return null;
+
+  return {
+    error: reopening
+      ? `Solo un administrador puede reabrir un ${config.label} en estado final ("${status.name}")`
+      : `El ${config.label} está en estado final ("${status.name}") y no puede modificarse`,
+    status: 409
+  };
+}
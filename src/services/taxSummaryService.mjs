@@ -0,0 +1,238 @@
+// src/services/taxSummaryService.mjs
+// Resumen mensual de IVA débito/crédito fiscal, retenciones de honorarios y PPM (cifras para el F29)
+
+import * as TaxModel from '../models/taxModel.mjs';
+import { IVA_RATE } from '../utils/taxUtils.mjs';
+
+// Máximo de meses por consulta
+const MAX_PERIODS = 24;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toNumber(value) {
+  return parseFloat(value) || 0;
+}
+
+// Los montos del F29 se declaran en pesos enteros
+function roundPesos(value) {
+  return Math.round(value);
+}
+
+/**
+ * Validar un período YYYY-MM
+ */
+export function isValidPeriod(value) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value || ''));
+}
+
+/**
+ * Meses entre dos períodos YYYY-MM (inclusive)
+ */
+function listPeriods(from, to) {
+  const periods = [];
+  let [year, month] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+
+  while (year < toYear || (year === toYear && month <= toMonth)) {
+    periods.push(`${year}-${pad(month)}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return periods;
+}
+
+function lastDayOfPeriod(period) {
+  const [year, month] = period.split('-').map(Number);
+  return `${period}-${pad(new Date(year, month, 0).getDate())}`;
+}
+
+function emptyTotals() {
+  return {
+    count: 0,
+    taxable_count: 0,
+    taxable_net: 0,
+    vat_amount: 0,
+    exempt_amount: 0,
+    fees_gross: 0,
+    fees_withholding: 0,
+    unclassified_count: 0,
+    missing_rate_count: 0
+  };
+}
+
+function indexByPeriod(rows) {
+  const map = new Map();
+  for (const row of rows) {
+    map.set(row.period, {
+      count: parseInt(row.count) || 0,
+      taxable_count: parseInt(row.taxable_count) || 0,
+      taxable_net: toNumber(row.taxable_net),
+      vat_amount: toNumber(row.vat_amount),
+      exempt_amount: toNumber(row.exempt_amount),
+      fees_gross: toNumber(row.fees_gross),
+      fees_withholding: toNumber(row.fees_withholding),
+      unclassified_count: parseInt(row.unclassified_count) || 0,
+      missing_rate_count: parseInt(row.missing_rate_count) || 0
+    });
+  }
+  return map;
+}
+
+/**
+ * Generar el resumen de IVA mes a mes
+ * El remanente de crédito fiscal de un mes se arrastra al siguiente dentro del rango.
+ * @param {string} organizationId - ID de la organización
+ * @param {Object} options
+ * @param {string} options.periodFrom - Primer mes (YYYY-MM)
+ * @param {string} options.periodTo - Último mes (YYYY-MM)
+ * @param {number} options.openingCredit - Remanente de crédito fiscal del mes anterior a periodFrom
+ * @param {number} options.ppmRate - Tasa de PPM en % sobre los ingresos brutos (0 = no calcular)
+ * @param {number} options.costCenterId - Limitar a un centro de costo (referencial)
+ */
+export async function generateTaxSummary(organizationId, {
+  periodFrom,
+  periodTo,
+  openingCredit = 0,
+  ppmRate = 0,
+  costCenterId = null
+}) {
+  const periods = listPeriods(periodFrom, periodTo);
+  if (periods.length === 0) {
+    return { error: 'El período inicial debe ser anterior o igual al final' };
+  }
+  if (periods.length > MAX_PERIODS) {
+    return { error: `El rango no puede superar ${MAX_PERIODS} meses` };
+  }
+
+  const filters = {
+    date_from: `${periodFrom}-01`,
+    date_to: lastDayOfPeriod(periodTo),
+    cost_center_id: costCenterId
+  };
+
+  const [salesRows, purchaseRows] = await Promise.all([
+    TaxModel.getMonthlyTaxTotals(organizationId, 'income', filters),
+    TaxModel.getMonthlyTaxTotals(organizationId, 'expense', filters)
+  ]);
+
+  const salesByPeriod = indexByPeriod(salesRows);
+  const purchasesByPeriod = indexByPeriod(purchaseRows);
+
+  let carriedCredit = roundPesos(openingCredit);
+  const totals = {
+    vat_debit: 0,
+    vat_credit: 0,
+    vat_payable: 0,
+    fees_withholding: 0,
+    ppm_amount: 0,
+    total_payable: 0
+  };
+
+  const months = periods.map(period => {
+    const sales = salesByPeriod.get(period) || emptyTotals();
+    const purchases = purchasesByPeriod.get(period) || emptyTotals();
+
+    const debit = roundPesos(sales.vat_amount);
+    const credit = roundPesos(purchases.vat_amount);
+    const creditIn = carriedCredit;
+    const totalCredit = credit + creditIn;
+
+    // IVA determinado si el débito supera al crédito; si no, remanente para el mes siguiente
+    const vatPayable = Math.max(debit - totalCredit, 0);
+    const creditOut = Math.max(totalCredit - debit, 0);
+    carriedCredit = creditOut;
+
+    const feesWithholding = roundPesos(purchases.fees_withholding);
+    const ppmBase = roundPesos(sales.taxable_net + sales.exempt_amount + sales.fees_gross);
+    const ppmAmount = ppmRate > 0 ? roundPesos(ppmBase * ppmRate / 100) : 0;
+    const totalPayable = vatPayable + feesWithholding + ppmAmount;
+
+    totals.vat_debit += debit;
+    totals.vat_credit += credit;
+    totals.vat_payable += vatPayable;
+    totals.fees_withholding += feesWithholding;
+    totals.ppm_amount += ppmAmount;
+    totals.total_payable += totalPayable;
+
+    const warnings = [];
+    const unclassified = sales.unclassified_count + purchases.unclassified_count;
+    if (unclassified > 0) {
+      warnings.push(`${unclassified} documentos sin tratamiento IVA ni IVA informado (no se incluyen)`);
+    }
+    const missingRate = sales.missing_rate_count + purchases.missing_rate_count;
+    if (missingRate > 0) {
+      warnings.push(`${missingRate} documentos en moneda extranjera sin tipo de cambio (no se incluyen)`);
+    }
+    if (sales.fees_withholding > 0) {
+      warnings.push('Hay boletas de honorarios emitidas con retención: la retiene el cliente y no se declara en este F29');
+    }
+
+    return {
+      period,
+      sales: {
+        count: sales.count,
+        taxable_count: sales.taxable_count,
+        taxable_net: roundPesos(sales.taxable_net),
+        exempt_amount: roundPesos(sales.exempt_amount),
+        fees_gross: roundPesos(sales.fees_gross),
+        fees_withheld_by_clients: roundPesos(sales.fees_withholding),
+        vat_debit: debit
+      },
+      purchases: {
+        count: purchases.count,
+        taxable_count: purchases.taxable_count,
+        taxable_net: roundPesos(purchases.taxable_net),
+        exempt_amount: roundPesos(purchases.exempt_amount),
+        fees_gross: roundPesos(purchases.fees_gross),
+        vat_credit: credit
+      },
+      vat: {
+        debit,
+        credit,
+        credit_carried_in: creditIn,
+        payable: vatPayable,
+        credit_carried_out: creditOut
+      },
+      fees_withholding: feesWithholding,
+      ppm: {
+        base: ppmBase,
+        rate: ppmRate,
+        amount: ppmAmount
+      },
+      total_payable: totalPayable,
+      // Códigos del formulario 29 (referencial, revisar con el contador antes de declarar)
+      f29: {
+        '538': debit,
+        '504': creditIn,
+        '537': totalCredit,
+        '089': vatPayable,
+        '077': creditOut,
+        '142': roundPesos(sales.exempt_amount),
+        '151': feesWithholding,
+        '563': ppmBase,
+        '062': ppmAmount,
+        '091': totalPayable
+      },
+      warnings
+    };
+  });
+
+  return {
+    summary: {
+      period_from: periodFrom,
+      period_to: periodTo,
+      vat_rate: IVA_RATE,
+      opening_credit: roundPesos(openingCredit),
+      closing_credit: carriedCredit,
+      cost_center_id: costCenterId || null,
+      totals,
+      months
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// src/services/trashService.mjs
+// Papelera de ingresos y egresos: eliminación permanente automática al vencer la retención
+
+import * as ExpenseDataModel from '../models/expenseDataModel.mjs';
+import * as IncomeDataModel from '../models/incomeDataModel.mjs';
+import { recordAudit } from './auditService.mjs';
+import { deleteRecordAttachments } from './attachmentService.mjs';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const SCHEDULER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TARGETS = {
+  expense: ExpenseDataModel.purgeExpiredExpenses,
+  income: IncomeDataModel.purgeExpiredIncomes
+};
+
+let schedulerInterval = null;
+let schedulerRunning = false;
+
+/**
+ * Días que un registro permanece en la papelera (TRASH_RETENTION_DAYS, por defecto 30)
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Eliminar permanentemente los registros con retención vencida (todas las organizaciones)
+ * Cada registro eliminado queda en audit_log como 'purge' sin usuario y sus adjuntos se eliminan.
+ * @returns {Promise<{ retention_days: number, expense: number, income: number }>}
+ */
+export async function purgeExpiredTrash(retentionDays = getTrashRetentionDays()) {
+  const summary = { retention_days: retentionDays };
+
+  for (const [entityType, purgeExpired] of Object.entries(TRASH_TARGETS)) {
+    const purged = await purgeExpired(retentionDays);
+
+    for (const record of purged) {
+      await deleteRecordAttachments(entityType, record.id, record.organization_id);
+      await recordAudit({ organization_id: record.organization_id }, {
+        entityType,
+        entityId: record.id,
+        action: 'purge',
+        before: record
+      });
+    }
+
+    summary[entityType] = purged.length;
+  }
+
+  return summary;
+}
+
+/**
+ * Iniciar la purga programada de la papelera (al arrancar y luego cada 24 horas)
+ */
+export function startTrashPurgeScheduler() {
+  if (schedulerInterval || process.env.TRASH_PURGE_ENABLED === 'false') return;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+      const summary = await purgeExpiredTrash();
+      if (summary.expense > 0 || summary.income > 0) {
+        console.log(`🗑️ Papelera: ${summary.expense} egresos y ${summary.income} ingresos eliminados (retención ${summary.retention_days} días)`);
+      }
+    } catch (error) {
+      console.error('❌ Error purgando la papelera:', error.message);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  tick();
+  schedulerInterval = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  console.log(`🗑️ Purga de papelera programada (cada 24 horas, retención ${getTrashRetentionDays()} días)`);
+}
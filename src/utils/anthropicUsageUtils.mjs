@@ -0,0 +1,90 @@
+// src/utils/anthropicUsageUtils.mjs
+// Uso real de tokens de las respuestas de Anthropic y su costo en USD según el modelo
+
+// Precios en USD por millón de tokens (entrada/salida), del más específico al más general
+const MODEL_PRICING = [
+  { match: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { match: 'claude-3-5-haiku', input: 0.80, output: 4.00 },
+  { match: 'haiku', input: 1.00, output: 5.00 },
+  { match: 'claude-3-opus', input: 15.00, output: 75.00 },
+  { match: 'claude-opus-4-0', input: 15.00, output: 75.00 },
+  { match: 'claude-opus-4-1', input: 15.00, output: 75.00 },
+  { match: 'claude-opus-4-20250514', input: 15.00, output: 75.00 },
+  { match: 'opus', input: 5.00, output: 25.00 },
+  { match: 'sonnet', input: 3.00, output: 15.00 }
+];
+
+// Modelos desconocidos se valoran como Sonnet
+const DEFAULT_PRICING = { input: 3.00, output: 15.00 };
+
+// Escritura y lectura de caché de prompt, relativas al precio de entrada
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.10;
+
+/**
+ * Precio por millón de tokens de un modelo
+ * @returns {{ input: number, output: number }}
+ */
+export function getModelPricing(model) {
+  const name = String(model || '').toLowerCase();
+  return MODEL_PRICING.find(pricing => name.includes(pricing.match)) || DEFAULT_PRICING;
+}
+
+/**
+ * Uso de tokens de una respuesta de anthropic.messages.create
+ * @param {Object} response - Respuesta de la API (usa response.usage y response.model)
+ * @param {string} model - Modelo solicitado (si la respuesta no lo informa)
+ * @returns {Object|null} { model, input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ */
+export function extractUsage(response, model = null) {
+  const usage = response?.usage;
+  if (!usage) return null;
+
+  return {
+    model: response.model || model,
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+    cache_read_input_tokens: usage.cache_read_input_tokens || 0
+  };
+}
+
+/**
+ * Normalizar uso a lista (acepta una entrada, una lista o null)
+ */
+export function toUsageList(usage) {
+  if (!usage) return [];
+  return (Array.isArray(usage) ? usage : [usage]).filter(Boolean);
+}
+
+/**
+ * Costo en USD de una o varias entradas de uso
+ * @param {Object|Array} usage - Entradas de extractUsage
+ */
+export function calculateUsageCost(usage) {
+  return toUsageList(usage).reduce((total, entry) => {
+    const pricing = getModelPricing(entry.model);
+    const inputCost = (entry.input_tokens || 0) * pricing.input +
+      (entry.cache_creation_input_tokens || 0) * pricing.input * CACHE_WRITE_MULTIPLIER +
+      (entry.cache_read_input_tokens || 0) * pricing.input * CACHE_READ_MULTIPLIER;
+    const outputCost = (entry.output_tokens || 0) * pricing.output;
+
+    return total + (inputCost + outputCost) / 1000000;
+  }, 0);
+}
+
+/**
+ * Totales de tokens de una o varias entradas de uso
+ * @returns {{ calls: number, input_tokens: number, output_tokens: number, cost_usd: number }}
+ */
+export function summarizeUsage(usage) {
+  const entries = toUsageList(usage);
+
+  return {
+    calls: entries.length,
+    input_tokens: entries.reduce((sum, entry) => sum + (entry.input_tokens || 0) +
+      (entry.cache_creation_input_tokens || 0) + (entry.cache_read_input_tokens || 0), 0),
+    output_tokens: entries.reduce((sum, entry) => sum + (entry.output_tokens || 0), 0),
+    cost_usd: calculateUsageCost(entries)
+  };
+}
@@ -486,6 +486,86 @@ export async function getPdfAnalysisFromDatabase(analysisId) {
   }
 }
 
+/**
+ * Obtiene un análisis guardado de la organización (JSON ya parseado)
+ * ✅ SE USA en budgetLineController.mjs
+ */
+export async function getAnalysisForOrganization(analysisId, organizationId) {
+  const [rows] = await pool.query(
+    `SELECT * FROM budget_analyses WHERE analysis_id = ? AND organization_id = ? AND active = 1 LIMIT 1`,
+    [analysisId, organizationId]
+  );
+
+  if (rows.length === 0) return null;
+
+  const analysis = rows[0];
+  for (const field of ['full_analysis', 'project_data', 'metadata']) {
+    if (typeof analysis[field] === 'string') {
+      analysis[field] = JSON.parse(analysis[field]);
+    }
+  }
+
+  return analysis;
+}
+
+/**
+ * Vincula un análisis guardado con un centro de costo
+ * ✅ SE USA en budgetLineController.mjs
+ */
+export async function linkAnalysisToCostCenter(analysisId, costCenterId, organizationId, connection = pool) {
+  const [result] = await connection.query(
+    `UPDATE budget_analyses SET cost_center_id = ? WHERE analysis_id = ? AND organization_id = ?`,
+    [costCenterId, analysisId, organizationId]
+  );
+  return result.affectedRows;
+}
+
+// Secciones del análisis que se convierten en partidas de presupuesto
+const BUDGET_SECTIONS = [
+  { key: 'materiales', label: 'Materiales', items: 'materiales_detallados', breakdown: 'materiales' },
+  { key: 'mano_obra', label: 'Mano de obra', items: 'mano_obra', breakdown: 'mano_obra' },
+  { key: 'equipos', label: 'Equipos y maquinaria', items: 'equipos_maquinaria', breakdown: 'equipos' }
+];
+
+const INDIRECT_SECTIONS = [
+  { key: 'gastos_generales', label: 'Gastos generales', breakdown: 'gastos_generales' },
+  { key: 'contingencia', label: 'Contingencia', breakdown: 'contingencia' }
+];
+
+/**
+ * Extrae los montos por sección de un full_analysis (materiales, mano de obra, equipos)
+ * Suma los subtotales de los items y, si no hay items, usa desglose_costos
+ * ✅ SE USA en budgetLineController.mjs
+ */
+export function extractBudgetSections(fullAnalysis, { includeIndirect = false } = {}) {
+  const breakdown = fullAnalysis?.desglose_costos || {};
+
+  const sections = BUDGET_SECTIONS.map(section => {
+    const items = Array.isArray(fullAnalysis?.[section.items]) ? fullAnalysis[section.items] : [];
+    const itemsTotal = items.reduce((sum, item) => sum + (parseFloat(item.subtotal) || 0), 0);
+
+    return {
+      key: section.key,
+      label: section.label,
+      item_count: items.length,
+      amount: itemsTotal > 0 ? itemsTotal : parseFloat(breakdown[section.breakdown]) || 0
+    };
+  });
+
+  if (includeIndirect) {
+    INDIRECT_SECTIONS.forEach(section => {
+      sections.push({
+        key: section.key,
+        label: section.label,
+        item_count: 0,
+        amount: parseFloat(breakdown[section.breakdown]) || 0
+      });
+    });
+  }
+
+  return sections.filter(section => section.amount > 0);
+}
+
 /**
  * Incrementa contador de uso del usuario
  * ✅ SE USA en budgetSuggestionsController.mjs
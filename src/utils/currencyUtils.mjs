@@ -0,0 +1,41 @@
+// src/utils/currencyUtils.mjs
+// Monedas soportadas y conversión a CLP en consultas SQL
+
+export const BASE_CURRENCY = 'CLP';
+
+// Monedas con tipo de cambio diario en exchange_rates (valor en CLP por unidad)
+export const RATE_CURRENCIES = ['UF', 'USD', 'EUR'];
+
+export const SUPPORTED_CURRENCIES = [BASE_CURRENCY, ...RATE_CURRENCIES];
+
+/**
+ * Normalizar un código de moneda ("usd" -> "USD", "$" -> "CLP")
+ * @param {string} currency - Código ingresado
+ * @returns {string|null} Código soportado o null
+ */
+export function normalizeCurrency(currency) {
+  if (currency === undefined || currency === null || currency === '') return null;
+  const code = String(currency).trim().toUpperCase();
+  if (code === '$' || code === 'PESOS') return BASE_CURRENCY;
+  if (code === 'US$') return 'USD';
+  if (code === '€') return 'EUR';
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Factor a CLP de un registro de expenses_data/incomes_data (SQL)
+ * CLP (o sin moneda) = 1; otras monedas = exchange_rate del registro (NULL si falta, no suma)
+ * @param {string} alias - Alias de la tabla en la consulta ('e', 'i')
+ */
+export function clpRateSql(alias) {
+  return `(CASE WHEN ${alias}.currency IS NULL OR ${alias}.currency = '${BASE_CURRENCY}' THEN 1 ELSE ${alias}.exchange_rate END)`;
+}
+
+/**
+ * Expresión SQL convertida a CLP con el tipo de cambio del registro
+ * @param {string} expression - Monto en la moneda del registro (ej: 'p.amount')
+ * @param {string} alias - Alias del registro que define la moneda
+ */
+export function toClpSql(expression, alias) {
+  return `(${expression}) * ${clpRateSql(alias)}`;
+}
@@ -0,0 +1,114 @@
+// src/utils/rutUtils.mjs
+// Validación y normalización de RUT chileno (dígito verificador módulo 11)
+
+/**
+ * Quitar puntos, guión y espacios; dígito verificador en mayúscula
+ * @param {string} rut - RUT en cualquier formato ("12.345.678-5", "12345678-5", "123456785")
+ * @returns {string} RUT compacto ("123456785") o cadena vacía
+ */
+export function cleanRut(rut) {
+  if (rut === undefined || rut === null) return '';
+  return String(rut).replace(/[.\-\s]/g, '').toUpperCase();
+}
+
+/**
+ * Calcular el dígito verificador de un cuerpo de RUT (módulo 11)
+ * @param {string|number} body - Cuerpo numérico del RUT, sin dígito verificador
+ * @returns {string} Dígito verificador ("0"-"9" o "K")
+ */
+export function computeCheckDigit(body) {
+  const digits = String(body).replace(/\D/g, '');
+  let sum = 0;
+  let multiplier = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += parseInt(digits[i], 10) * multiplier;
+    multiplier = multiplier === 7 ? 2 : multiplier + 1;
+  }
+
+  const result = 11 - (sum % 11);
+  if (result === 11) return '0';
+  if (result === 10) return 'K';
+  return String(result);
+}
+
+/**
+ * Verificar formato y dígito verificador de un RUT
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {boolean}
+ */
+export function isValidRut(rut) {
+  const compact = cleanRut(rut);
+  if (!/^\d{7,8}[0-9K]$/.test(compact)) return false;
+
+  const body = compact.slice(0, -1);
+  const checkDigit = compact.slice(-1);
+  return computeCheckDigit(body) === checkDigit;
+}
+
+/**
+ * Formatear un RUT
+ * @param {string} rut - RUT en cualquier formato
+ * @param {Object} options - dots: incluir separador de miles ("12.345.678-5")
+ * @returns {string} RUT formateado, o el valor original recortado si no tiene forma de RUT
+ */
+export function formatRut(rut, { dots = false } = {}) {
+  const compact = cleanRut(rut);
+  if (!/^\d{1,8}[0-9K]$/.test(compact)) return rut === undefined || rut === null ? '' : String(rut).trim();
+
+  const body = String(parseInt(compact.slice(0, -1), 10));
+  const checkDigit = compact.slice(-1);
+  const formattedBody = dots ? body.replace(/\B(?=(\d{3})+(?!\d))/g, '.') : body;
+  return `${formattedBody}-${checkDigit}`;
+}
+
+/**
+ * Formato canónico para almacenar: sin puntos, con guión ("12345678-5")
+ * @param {string} rut - RUT en cualquier formato
+ */
+export function normalizeRut(rut) {
+  return formatRut(rut);
+}
+
+/**
+ * Validar un RUT y devolver su forma normalizada
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {{ valid: boolean, normalized: string|null, message: string|null }}
+ */
+export function validateRut(rut) {
+  const compact = cleanRut(rut);
+
+  if (!compact) {
+    return { valid: false, normalized: null, message: 'El RUT es requerido' };
+  }
+
+  if (!/^\d{7,8}[0-9K]$/.test(compact)) {
+    return { valid: false, normalized: null, message: 'El RUT no tiene un formato válido (ej: 12.345.678-5)' };
+  }
+
+  if (!isValidRut(compact)) {
+    return { valid: false, normalized: null, message: 'El dígito verificador del RUT no es válido' };
+  }
+
+  return { valid: true, normalized: normalizeRut(compact), message: null };
+}
+
+/**
+ * Normalizar el RUT de un registro extraído (ej: proveedores detectados en un PDF)
+ * Los RUT válidos quedan en formato canónico; los inválidos se conservan y se marcan
+ * @param {Object} record - Registro con el RUT en `field`
+ * @param {string} field - Nombre del campo con el RUT
+ * @returns {Object} Copia del registro con `${field}_valido`
+ */
+export function annotateRut(record, field = 'rut') {
+  if (!record || typeof record !== 'object' || !record[field]) {
+    return record;
+  }
+
+  const { valid, normalized } = validateRut(record[field]);
+  return {
+    ...record,
+    [field]: valid ? normalized : String(record[field]).trim(),
+    [`${field}_valido`]: valid
+  };
+}
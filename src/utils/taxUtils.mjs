@@ -0,0 +1,213 @@
+// src/utils/taxUtils.mjs
+// IVA (19%) y retención de boletas de honorarios: desglose neto/impuesto/total de un documento
+
+export const IVA_RATE = 0.19;
+
+// afecto: factura/boleta con IVA; exento: sin IVA (exento o no afecto);
+// honorarios: boleta de honorarios, sin IVA y con retención sobre el bruto
+export const TAX_TREATMENTS = ['afecto', 'exento', 'honorarios'];
+
+// Tasa de retención de boletas de honorarios por año (Ley 21.133, alza gradual hasta 17%)
+const HONORARIOS_RETENTION_RATES = [
+  [2020, 0.1075],
+  [2021, 0.115],
+  [2022, 0.1225],
+  [2023, 0.13],
+  [2024, 0.1375],
+  [2025, 0.145],
+  [2026, 0.1525],
+  [2027, 0.16],
+  [2028, 0.17]
+];
+const HONORARIOS_BASE_RATE = 0.10;
+
+const TREATMENT_ALIASES = {
+  afecto: 'afecto',
+  'con iva': 'afecto',
+  iva: 'afecto',
+  exento: 'exento',
+  'no afecto': 'exento',
+  'sin iva': 'exento',
+  honorarios: 'honorarios',
+  'boleta de honorarios': 'honorarios',
+  'boleta honorarios': 'honorarios',
+  bh: 'honorarios'
+};
+
+/**
+ * Normalizar el tratamiento tributario ("No afecto" -> "exento", "BH" -> "honorarios")
+ * @returns {string|null} Tratamiento soportado o null
+ */
+export function normalizeTaxTreatment(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const key = String(value)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[_\-]+/g, ' ');
+  return TREATMENT_ALIASES[key] || null;
+}
+
+/**
+ * Tasa de retención de honorarios vigente en el año de la fecha
+ * @param {string|Date} date - Fecha del documento (por defecto hoy)
+ */
+export function getHonorariosRetentionRate(date = new Date()) {
+  const year = date instanceof Date ? date.getFullYear() : parseInt(String(date).slice(0, 4));
+  let rate = HONORARIOS_BASE_RATE;
+
+  for (const [fromYear, yearRate] of HONORARIOS_RETENTION_RATES) {
+    if (year >= fromYear) rate = yearRate;
+  }
+
+  return rate;
+}
+
+/**
+ * Redondeo tributario: pesos enteros en CLP, centavos en moneda extranjera
+ */
+export function roundTaxAmount(value, currency = 'CLP') {
+  if (!currency || currency === 'CLP') return Math.round(value);
+  return Math.round(value * 100) / 100;
+}
+
+function parseOptionalAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return parseFloat(value);
+}
+
+/**
+ * Derivar y cuadrar net_amount / tax_amount / total_amount (y withholding_amount) de un egreso/ingreso
+ * - afecto: IVA 19% sobre el neto; total = neto + IVA
+ * - exento: IVA 0; neto = total
+ * - honorarios: IVA 0; retención sobre el bruto (net_amount); total_amount = líquido a pagar
+ * Sin tratamiento ni montos tributarios el registro se deja tal cual (datos antiguos).
+ * Si falta amount se completa con el total (afecto/exento) o el bruto (honorarios).
+ * Modifica `data` y devuelve errores/advertencias con el formato de los servicios de validación
+ * @param {Object} data - Datos del registro (usa currency ya normalizada)
+ * @param {Object} options - existing: registro actual (en actualizaciones)
+ * @returns {{ errors: Array, warnings: Array }}
+ */
+export function applyTaxBreakdown(data, { existing = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  let treatment = existing?.tax_treatment || null;
+  if (data.tax_treatment !== undefined && data.tax_treatment !== null && data.tax_treatment !== '') {
+    treatment = normalizeTaxTreatment(data.tax_treatment);
+    if (!treatment) {
+      errors.push({ field: 'tax_treatment', message: `Tratamiento tributario no válido. Debe ser: ${TAX_TREATMENTS.join(', ')}` });
+      return { errors, warnings };
+    }
+  }
+
+  const amounts = {};
+  for (const field of ['amount', 'net_amount', 'tax_amount', 'total_amount', 'withholding_amount']) {
+    amounts[field] = parseOptionalAmount(data[field]);
+    if (amounts[field] !== null && (isNaN(amounts[field]) || amounts[field] < 0)) {
+      errors.push({ field, message: 'El monto debe ser un número mayor o igual a 0' });
+    }
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  let { amount, net_amount: net, tax_amount: tax, total_amount: total, withholding_amount: withholding } = amounts;
+
+  if (!treatment) {
+    if (net === null && tax === null && total === null) return { errors, warnings };
+    treatment = 'afecto';
+  }
+  data.tax_treatment = treatment;
+
+  const round = (value) => roundTaxAmount(value, data.currency);
+  const tolerance = !data.currency || data.currency === 'CLP' ? 1 : 0.01;
+  const differs = (a, b) => Math.abs(a - b) > tolerance;
+
+  if (treatment !== 'honorarios' && withholding) {
+    errors.push({ field: 'withholding_amount', message: 'La retención solo aplica a boletas de honorarios' });
+  }
+
+  if (treatment === 'afecto') {
+    if (net !== null) {
+      const expectedTax = round(net * IVA_RATE);
+      if (tax === null) {
+        tax = expectedTax;
+      } else if (differs(tax, expectedTax)) {
+        warnings.push({ field: 'tax_amount', message: `El IVA (${tax}) no corresponde al 19% del neto (${expectedTax})` });
+      }
+      if (total === null) total = round(net + tax);
+    } else if (total !== null || (tax === null && amount !== null)) {
+      // Sin neto: el total (o el monto) incluye IVA
+      if (total === null) total = amount;
+      if (tax === null) {
+        net = round(total / (1 + IVA_RATE));
+        tax = round(total - net);
+      } else {
+        net = round(total - tax);
+      }
+    } else if (tax !== null) {
+      net = round(tax / IVA_RATE);
+      total = round(net + tax);
+    }
+
+    if (net !== null && differs(net + tax, total)) {
+      errors.push({ field: 'total_amount', message: `El total (${total}) debe ser neto + IVA (${net + tax})` });
+    }
+  } else if (treatment === 'exento') {
+    if (tax) {
+      errors.push({ field: 'tax_amount', message: 'Un documento exento no lleva IVA' });
+    }
+    if (net !== null && total !== null && differs(net, total)) {
+      errors.push({ field: 'total_amount', message: 'En un documento exento el neto y el total deben coincidir' });
+    }
+    const base = net ?? total ?? amount;
+    if (base !== null) {
+      net = base;
+      total = base;
+      tax = 0;
+    }
+  } else {
+    if (tax) {
+      errors.push({ field: 'tax_amount', message: 'Una boleta de honorarios no lleva IVA' });
+    }
+
+    const rate = getHonorariosRetentionRate(data.date || existing?.date || new Date());
+    let gross = net ?? amount;
+    if (gross === null && total !== null) {
+      // Solo el líquido: el bruto se reconstruye con la retención informada o la tasa vigente
+      gross = withholding !== null ? round(total + withholding) : round(total / (1 - rate));
+    }
+
+    if (gross !== null) {
+      const expectedWithholding = round(gross * rate);
+      if (withholding === null) {
+        withholding = expectedWithholding;
+      } else if (differs(withholding, expectedWithholding)) {
+        warnings.push({
+          field: 'withholding_amount',
+          message: `La retención (${withholding}) no corresponde al ${(rate * 100).toFixed(2)}% del bruto (${expectedWithholding})`
+        });
+      }
+
+      const liquid = round(gross - withholding);
+      if (total !== null && differs(total, liquid)) {
+        errors.push({ field: 'total_amount', message: `El total líquido (${total}) debe ser bruto − retención (${liquid})` });
+      }
+
+      net = gross;
+      total = liquid;
+      tax = 0;
+    }
+  }
+
+  data.net_amount = net;
+  data.tax_amount = tax;
+  data.total_amount = total;
+  data.withholding_amount = treatment === 'honorarios' ? withholding : null;
+
+  if (amount === null && total !== null) {
+    data.amount = treatment === 'honorarios' ? net : total;
+  }
+
+  return { errors, warnings };
+}